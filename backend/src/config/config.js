@@ -2,6 +2,7 @@
  * Centralized configuration file for all environment variables and settings
  */
 const path = require('path');
+const os = require('os');
 const dotenv = require('dotenv');
 
 // Load environment variables from .env file
@@ -35,6 +36,8 @@ const config = {
     jwtExpiresIn: process.env.JWT_EXPIRES_IN || '2h',
     adminJwtExpiresIn: process.env.ADMIN_JWT_EXPIRES_IN || '4h',
     encryptionKey: process.env.ENCRYPTION_KEY || 'voting-system-encryption-key-32-bytes',
+    // How long an admin action proof stays valid after it was issued
+    adminActionWindowMs: parseInt(process.env.ADMIN_ACTION_WINDOW_MS, 10) || 300000, // 5 minutes
   },
   
   // Blockchain settings
@@ -67,14 +70,66 @@ const config = {
     }
   },
   
+  // Election settings
+  election: {
+    // Public election identifier (field element) that scopes voter nullifiers
+    id: process.env.ELECTION_ID || '1',
+    // Proving system new elections are created with (groth16, plonk or fflonk), in real mode
+    // only once its circuits are built and pinned
+    provingSystem: process.env.ELECTION_PROVING_SYSTEM || 'groth16',
+    // Circuit versions elections opened before versions were pinned per election verify against,
+    // e.g. "vote=1.0.0,auth=1.0.0"; circuits that are not listed use the current version of the registry
+    circuitVersions: (process.env.ELECTION_CIRCUIT_VERSIONS || '')
+      .split(',')
+      .filter((pin) => pin.includes('='))
+      .reduce((versions, pin) => {
+        const [name, version] = pin.split('=');
+        versions[name.trim()] = version.trim();
+        return versions;
+      }, {}),
+  },
+  
+  // Election scheduler settings
+  scheduler: {
+    // How often due election transitions are looked for, in milliseconds
+    pollIntervalMs: parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS, 10) || 15000,
+    // A running job not finished within this time is considered abandoned and run again
+    jobLeaseMs: parseInt(process.env.SCHEDULER_JOB_LEASE_MS, 10) || 60000, // 1 minute
+    // Attempts before a failing job is given up
+    maxAttempts: parseInt(process.env.SCHEDULER_MAX_ATTEMPTS, 10) || 5,
+    // Delay before a failed job is tried again, in milliseconds
+    retryDelayMs: parseInt(process.env.SCHEDULER_RETRY_DELAY_MS, 10) || 30000,
+  },
+  
+  // Registrar settings
+  registrar: {
+    // Only register identity commitments that carry a registrar-signed credential
+    requireCredential: process.env.REQUIRE_VOTER_CREDENTIAL === 'true',
+  },
+  
   // Circuit and proof settings
   zkp: {
-    authCircuitPath: path.join(__dirname, '../../circuits/auth'),
-    voteCircuitPath: path.join(__dirname, '../../circuits/vote'),
-    verificationKeyPath: {
-      auth: path.join(__dirname, '../../circuits/auth/verification_key.json'),
-      vote: path.join(__dirname, '../../circuits/vote/verification_key.json'),
-    }
+    // real: prove and verify with the compiled circuits; mock: also accept marked mock proofs (development only)
+    // USE_MOCK_PROOFS=true is still read as ZKP_MODE=mock
+    mode: process.env.ZKP_MODE || (process.env.USE_MOCK_PROOFS === 'true' ? 'mock' : 'real'),
+    // Directory holding the compiled circuits (see utils/circuitRegistry.js for the layout)
+    circuitsDir: process.env.CIRCUITS_DIR || path.join(__dirname, '../../../circuits'),
+    // Expected SHA-256 of each artifact, written by circuits/compile-circuits.js (defaults to <circuitsDir>/artifact-hashes.json)
+    artifactHashesPath: process.env.ARTIFACT_HASHES_PATH,
+    // How often verification keys are checked for changes on disk, in milliseconds
+    vkeyWatchIntervalMs: parseInt(process.env.VKEY_WATCH_INTERVAL_MS, 10) || 5000,
+    // Worker threads verifying proofs off the event loop (defaults to one per spare CPU core)
+    verifyPoolSize: parseInt(process.env.VERIFY_POOL_SIZE, 10) || Math.max(1, os.cpus().length - 1),
+    // Proofs waiting for a worker before new ones are turned away with 503
+    verifyQueueSize: parseInt(process.env.VERIFY_QUEUE_SIZE, 10) || 100,
+    // Maximum time for one verification, in milliseconds
+    verifyTimeoutMs: parseInt(process.env.VERIFY_TIMEOUT_MS, 10) || 15000,
+    // Depth of the voter registry Merkle tree (must match VoterAuth(levels) in auth.circom)
+    merkleTreeDepth: 20,
+    // Number of recent registry roots accepted for login proofs
+    merkleRootHistorySize: parseInt(process.env.MERKLE_ROOT_HISTORY_SIZE, 10) || 30,
+    // Maximum number of active candidates on a ballot (must match AnonymousVote(maxCandidates) in vote.circom)
+    maxCandidates: 16,
   }
 };
 
@@ -2,6 +2,13 @@ const SystemLog = require('../models/SystemLog');
 const User = require('../models/User');
 const Vote = require('../models/Vote');
 const logger = require('../utils/logger');
+const { logSystemEvent } = logger;
+const { isFieldElement } = require('../utils/validator');
+const verificationKeyService = require('../services/verificationKeyService');
+const verificationPool = require('../services/verificationPool');
+const voteAuditService = require('../services/voteAuditService');
+const zkpService = require('../services/zkpService');
+const electionService = require('../services/electionService');
 
 // Get system logs with pagination and filtering
 exports.getSystemLogs = async (req, res, next) => {
@@ -115,6 +122,20 @@ exports.getSystemStatus = async (req, res, next) => {
       status = 'Degraded';
     }
     
+    // Fingerprints of the loaded verification keys; a refused key makes its proofs unverifiable
+    const verificationKeys = verificationKeyService.getFingerprints();
+    const { MISMATCH, UNPINNED, INVALID } = verificationKeyService.VKEY_STATUS;
+    
+    if (verificationKeys.some((key) => [MISMATCH, UNPINNED, INVALID].includes(key.status))) {
+      status = 'Degraded';
+    }
+    
+    // Ballots are not cryptographically verified in mock mode
+    const zkp = zkpService.getZkpStatus(await electionService.getProvingSystems());
+    if (zkp.mode === 'mock' || !zkp.ready) {
+      status = 'Degraded';
+    }
+    
     res.status(200).json({
       success: true,
       data: {
@@ -123,10 +144,138 @@ exports.getSystemStatus = async (req, res, next) => {
         activeUsers,
         totalVotes,
         failedLogins,
-        recentErrors
+        recentErrors,
+        zkp,
+        verificationKeys,
+        verificationPool: verificationPool.getStats()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the enrollment status of the admin key used for admin action proofs
+exports.getAdminKey = async (req, res, next) => {
+  try {
+    const admin = await User.findById(req.user.id).select('adminKeyCommitment adminKeyEnrolledAt');
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin user not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enrolled: !!admin.adminKeyCommitment,
+        commitment: admin.adminKeyCommitment || null,
+        enrolledAt: admin.adminKeyEnrolledAt || null
       }
     });
   } catch (error) {
     next(error);
   }
-}; 
\ No newline at end of file
+};
+
+// Enroll an admin key; the secret key stays in the browser, only its Poseidon commitment is stored
+exports.enrollAdminKey = async (req, res, next) => {
+  try {
+    const { commitment } = req.body;
+
+    if (!isFieldElement(commitment)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the admin key commitment as a field element'
+      });
+    }
+
+    const admin = await User.findById(req.user.id);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin user not found'
+      });
+    }
+
+    // A stolen admin token must not be enough to replace the key
+    if (admin.adminKeyCommitment) {
+      await logSystemEvent('WARN', 'Admin key enrollment rejected', `Admin user ${admin.username} already has an enrolled key`);
+      return res.status(409).json({
+        success: false,
+        message: 'An admin key is already enrolled'
+      });
+    }
+
+    admin.adminKeyCommitment = commitment;
+    admin.adminKeyEnrolledAt = new Date();
+    await admin.save();
+
+    await logSystemEvent('INFO', 'Admin key enrolled', `Admin user: ${admin.username}`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        enrolled: true,
+        commitment: admin.adminKeyCommitment,
+        enrolledAt: admin.adminKeyEnrolledAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Re-verify every stored vote proof, streaming progress and the final report as NDJSON
+exports.auditVotes = async (req, res, next) => {
+  // Stop auditing when the client goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+
+  try {
+    if (voteAuditService.isAuditRunning()) {
+      return res.status(409).json({
+        success: false,
+        message: 'A vote audit is already running'
+      });
+    }
+
+    const { electionId } = req.query;
+    await logSystemEvent('INFO', 'Vote audit started', `Admin user: ${req.user.username}, election: ${electionId || 'all'}`);
+
+    res.status(200).set({
+      'Content-Type': 'application/x-ndjson',
+      'Cache-Control': 'no-cache'
+    });
+
+    const report = await voteAuditService.auditVotes(
+      { electionId, signal: controller.signal },
+      (event) => res.write(`${JSON.stringify(event)}\n`)
+    );
+
+    if (report) {
+      const { counts } = report;
+      await logSystemEvent(
+        report.allVerified ? 'INFO' : 'WARN',
+        'Vote audit completed',
+        `${report.processed} votes: ${counts.valid} valid, ${counts.invalid} invalid, ${counts.malformed} malformed, ${counts.mock} mock, ${counts.unverified} unverified`
+      );
+    }
+
+    res.end();
+  } catch (error) {
+    if (!res.headersSent) {
+      return next(error);
+    }
+
+    // The stream has started, so the error is reported as its last event
+    logger.error(`Vote audit failed: ${error.message}`);
+    await logSystemEvent('ERROR', 'Vote audit failed', error.message);
+    res.end(`${JSON.stringify({ type: 'error', message: error.message })}\n`);
+  }
+};
@@ -5,75 +5,176 @@ const SystemLog = require('../models/SystemLog');
 const logger = require('../utils/logger');
 const { logSystemEvent } = logger;
 const zkpService = require('../services/zkpService');
+const merkleTreeService = require('../services/merkleTreeService');
+const registrarService = require('../services/registrarService');
+const electionService = require('../services/electionService');
+const { isFieldElement } = require('../utils/validator');
+const { parsePublicSignals, PROOF_ERROR_CODES } = require('../utils/publicSignals');
+const { decodeCircuitProof } = require('../utils/proofCodec');
+const config = require('../config/config');
 
-// Register a voter with a hashed identifier
+// Register a voter by adding their identity commitment to the registry tree
 exports.registerVoter = async (req, res, next) => {
   try {
-    const { hashedIdentifier } = req.body;
+    const { identityCommitment, credential } = req.body;
 
-    if (!hashedIdentifier) {
+    if (!isFieldElement(identityCommitment)) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide a hashed identifier'
+        message: 'Please provide a valid identity commitment'
       });
     }
 
-    // Hash the identifier again on the server for additional security
-    const serverHashedId = crypto
-      .createHash('sha256')
-      .update(hashedIdentifier)
-      .digest('hex');
+    // Only commitments signed by a trusted registrar key can enter the registry
+    if (config.registrar.requireCredential &&
+      !(await registrarService.verifyCredential(identityCommitment, credential))) {
+      await logSystemEvent('WARN', 'Voter registration rejected', 'Missing or invalid registrar credential');
+      return res.status(403).json({
+        success: false,
+        message: 'A valid registrar credential is required to register'
+      });
+    }
 
-    // Check if user already exists
-    let user = await User.findOne({ hashedIdentifier: serverHashedId });
+    // Check if the commitment is already registered
+    const existingUser = await User.findOne({ identityCommitment });
 
-    if (user) {
+    if (existingUser) {
       return res.status(400).json({
         success: false,
         message: 'Voter already registered'
       });
     }
 
-    // Create new user
-    user = await User.create({
-      hashedIdentifier: serverHashedId,
-      isAdmin: false
-    });
+    // Append the commitment to the tree and store it with its leaf index
+    const { leafIndex, root } = await merkleTreeService.insertCommitment(
+      identityCommitment,
+      (index) => User.create({
+        identityCommitment,
+        leafIndex: index,
+        isAdmin: false
+      })
+    );
 
     await logSystemEvent('INFO', 'New voter registered', 'Anonymous voter registration successful');
 
     res.status(201).json({
       success: true,
-      message: 'Voter registered successfully'
+      message: 'Voter registered successfully',
+      data: {
+        leafIndex,
+        root
+      }
     });
   } catch (error) {
     next(error);
   }
 };
 
-// Authenticate a voter using zk-SNARK proof
+// Get the current root of the voter registry tree
+exports.getRegistryRoot = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: merkleTreeService.getRoot()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the authentication path of a registered identity commitment
+exports.getAuthenticationPath = async (req, res, next) => {
+  try {
+    const { identityCommitment } = req.params;
+
+    if (!isFieldElement(identityCommitment)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid identity commitment'
+      });
+    }
+
+    const user = await User.findOne({ identityCommitment }).select('leafIndex');
+    const path = user ? merkleTreeService.getAuthenticationPath(user.leafIndex) : null;
+
+    if (!path) {
+      return res.status(404).json({
+        success: false,
+        message: 'Voter not registered'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: path
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the leaves of the voter registry tree, voters can compute their own authentication path from them
+exports.getRegistryLeaves = async (req, res, next) => {
+  try {
+    const from = req.query.from === undefined ? 0 : Number(req.query.from);
+    const leaves = merkleTreeService.getLeaves(from);
+
+    if (!leaves) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must be a leaf index no greater than the number of registered voters'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: leaves
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Authenticate a voter using a zk-SNARK registry membership proof
 exports.authenticateVoter = async (req, res, next) => {
   try {
-    const { hashedIdentifier, zkProof } = req.body;
+    // The proof may be sent in any format of the proof codec
+    const zkProof = req.body.zkProof && decodeCircuitProof(req.body.zkProof, 'auth', { protocol: req.body.protocol });
 
-    if (!hashedIdentifier || !zkProof) {
+    const signals = zkProof && parsePublicSignals('auth', zkProof.publicSignals);
+    if (!signals) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide both hashed identifier and zkProof'
+        code: PROOF_ERROR_CODES.MALFORMED_SIGNALS,
+        message: 'Please provide a zkProof with its public signals'
       });
     }
 
-    // Hash the identifier again on the server
-    const serverHashedId = crypto
-      .createHash('sha256')
-      .update(hashedIdentifier)
-      .digest('hex');
+    const { nullifierHash, merkleRoot, electionId } = signals;
+
+    // The nullifier must be scoped to an open election, the token is only valid for that election
+    const election = await electionService.getOpenElection(electionId);
+    if (!election) {
+      await logSystemEvent('WARN', 'Failed login attempt', 'Proof is scoped to an election that is not open');
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication failed'
+      });
+    }
 
-    // Find the user
-    const user = await User.findOne({ hashedIdentifier: serverHashedId });
+    // The proof must be made with the election's proving system
+    const protocolError = zkpService.checkProofProtocol(election, zkProof.protocol);
+    if (protocolError) {
+      return res.status(400).json({
+        success: false,
+        code: protocolError.code,
+        message: protocolError.message
+      });
+    }
 
-    if (!user) {
-      await logSystemEvent('WARN', 'Failed login attempt', 'Invalid identifier provided');
+    // The proof must be made against a root the registry has actually had
+    if (!merkleTreeService.isKnownRoot(merkleRoot)) {
+      await logSystemEvent('WARN', 'Failed login attempt', 'Unknown registry root');
       return res.status(401).json({
         success: false,
         message: 'Authentication failed'
@@ -81,7 +182,7 @@ exports.authenticateVoter = async (req, res, next) => {
     }
 
     // Verify the zero-knowledge proof
-    const isProofValid = await zkpService.verifyProof(zkProof.proof, zkProof.publicSignals);
+    const isProofValid = await zkpService.verifyProof(zkProof.proof, zkProof.publicSignals, election);
 
     if (!isProofValid) {
       await logSystemEvent('WARN', 'Failed login attempt', 'Invalid proof provided');
@@ -93,7 +194,7 @@ exports.authenticateVoter = async (req, res, next) => {
 
     // Generate JWT token
     const token = jwt.sign(
-      { nullifierHash: zkProof.publicSignals?.[1] || zkProof.nullifierHash },
+      { nullifierHash, electionId },
       process.env.JWT_SECRET || 'your-secret-key',
       { expiresIn: '1h' }
     );
@@ -109,6 +210,81 @@ exports.authenticateVoter = async (req, res, next) => {
   }
 };
 
+// Authenticate a voter using a zk-SNARK proof of a registrar-signed credential
+exports.authenticateWithCredential = async (req, res, next) => {
+  try {
+    // The proof may be sent in any format of the proof codec
+    const zkProof = req.body.zkProof && decodeCircuitProof(req.body.zkProof, 'authCredential', { protocol: req.body.protocol });
+
+    const signals = zkProof && parsePublicSignals('authCredential', zkProof.publicSignals);
+    if (!signals) {
+      return res.status(400).json({
+        success: false,
+        code: PROOF_ERROR_CODES.MALFORMED_SIGNALS,
+        message: 'Please provide a zkProof with its public signals'
+      });
+    }
+
+    const { nullifierHash, registrarPubKeyX, registrarPubKeyY, electionId } = signals;
+
+    // The nullifier must be scoped to an open election, the token is only valid for that election
+    const election = await electionService.getOpenElection(electionId);
+    if (!election) {
+      await logSystemEvent('WARN', 'Failed login attempt', 'Proof is scoped to an election that is not open');
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication failed'
+      });
+    }
+
+    // The proof must be made with the election's proving system
+    const protocolError = zkpService.checkProofProtocol(election, zkProof.protocol);
+    if (protocolError) {
+      return res.status(400).json({
+        success: false,
+        code: protocolError.code,
+        message: protocolError.message
+      });
+    }
+
+    // The credential must be signed by a registrar key that has not been revoked
+    if (!(await registrarService.isTrustedKey(registrarPubKeyX, registrarPubKeyY))) {
+      await logSystemEvent('WARN', 'Failed login attempt', 'Credential signed by an unknown or revoked registrar key');
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication failed'
+      });
+    }
+
+    // Verify the zero-knowledge proof
+    const isProofValid = await zkpService.verifyCredentialAuthProof(zkProof.proof, zkProof.publicSignals, election);
+
+    if (!isProofValid) {
+      await logSystemEvent('WARN', 'Failed login attempt', 'Invalid proof provided');
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication failed'
+      });
+    }
+
+    // Generate JWT token
+    const token = jwt.sign(
+      { nullifierHash, electionId },
+      process.env.JWT_SECRET || 'your-secret-key',
+      { expiresIn: '1h' }
+    );
+
+    await logSystemEvent('INFO', 'User authentication successful', 'Credential proof verification completed successfully');
+
+    res.status(200).json({
+      success: true,
+      token
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Administrator login
 exports.adminLogin = async (req, res, next) => {
   try {
@@ -178,13 +354,18 @@ exports.initializeAdmin = async () => {
         .digest('hex');
 
       await User.create({
-        hashedIdentifier: 'admin-identifier',
         isAdmin: true,
+        isRegistrar: true,
         username: 'admin',
         passwordHash
       });
 
       logger.info('Default admin account created');
+    } else if (!(await User.exists({ isRegistrar: true }))) {
+      // Databases created before the registrar role existed get their first admin as registrar
+      adminExists.isRegistrar = true;
+      await adminExists.save();
+      logger.info(`Admin ${adminExists.username} granted the registrar role`);
     }
   } catch (error) {
     logger.error(`Failed to initialize admin: ${error.message}`);
@@ -2,18 +2,24 @@ const Candidate = require('../models/Candidate');
 const User = require('../models/User');
 const logger = require('../utils/logger');
 const { logSystemEvent } = logger;
-const { generateAdminActionProof, verifyAdminActionProof } = require('../services/zkpService');
+const { authorizeAdminAction } = require('../services/adminActionService');
+const candidateSetService = require('../services/candidateSetService');
+const electionService = require('../services/electionService');
+const config = require('../config/config');
 const crypto = require('crypto');
 
 /**
- * Get all active candidates
+ * Get all active candidates of an election (the configured election by default)
  * @route GET /api/candidates
+ * @route GET /api/elections/:electionId/candidates
  * @access Public
  */
 exports.getCandidates = async (req, res, next) => {
   try {
+    const electionId = req.params.electionId || req.query.electionId || config.election.id;
+
     // Get all active candidates only
-    const candidates = await Candidate.find({ isActive: true })
+    const candidates = await Candidate.find({ electionId, isActive: true })
       .select('candidateId name description isActive')
       .sort('name');
 
@@ -27,6 +33,30 @@ exports.getCandidates = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the published commitment of an election's active candidate set
+ * Voters use it to prove their choice is one of the candidates on the ballot
+ * @route GET /api/candidates/commitment
+ * @route GET /api/elections/:electionId/candidates/commitment
+ * @access Public
+ */
+exports.getCandidateSet = async (req, res, next) => {
+  try {
+    const electionId = req.params.electionId || req.query.electionId || config.election.id;
+    const candidateSet = await candidateSetService.getCurrentCandidateSet(electionId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...candidateSet,
+        maxCandidates: candidateSetService.MAX_CANDIDATES
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get all candidates for admin
  * @route GET /api/candidates/admin
@@ -42,9 +72,10 @@ exports.getAllCandidatesAdmin = async (req, res, next) => {
       });
     }
 
-    // Get all candidates including inactive ones
-    const candidates = await Candidate.find({})
-      .select('candidateId name description isActive')
+    // Get all candidates including inactive ones, of every election unless one is asked for
+    const filter = req.query.electionId ? { electionId: req.query.electionId } : {};
+    const candidates = await Candidate.find(filter)
+      .select('candidateId electionId name description isActive')
       .sort('name');
 
     res.status(200).json({
@@ -73,6 +104,7 @@ exports.addCandidate = async (req, res, next) => {
     }
 
     const { name, description, isActive, zkProof } = req.body;
+    const electionId = req.body.electionId || config.election.id;
 
     if (!name || !description || !zkProof) {
       return res.status(400).json({
@@ -90,43 +122,55 @@ exports.addCandidate = async (req, res, next) => {
       });
     }
 
+    // Candidates can only be added to elections that are not over
+    await electionService.getEditableElection(electionId);
+
+    // The vote circuit only fits a fixed number of candidates on a ballot
+    const willBeActive = isActive !== undefined ? isActive : true;
+    if (willBeActive && await Candidate.countDocuments({ electionId, isActive: true }) >= candidateSetService.MAX_CANDIDATES) {
+      return res.status(400).json({
+        success: false,
+        message: `A ballot can hold at most ${candidateSetService.MAX_CANDIDATES} active candidates`
+      });
+    }
+
     // Generate a unique candidate ID
     const candidateId = `candidate-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
 
-    // Create action data for verification
+    // Canonical description of the requested mutation, the proof must commit to exactly this
     const actionData = {
       action: 'add',
-      candidateId,
+      electionId,
       name,
       description,
-      isActive
+      isActive: willBeActive
     };
 
-    // Verify the admin proof
-    const expectedAdminProof = adminUser.hashedIdentifier;
-    const isValidProof = await verifyAdminActionProof(zkProof, expectedAdminProof);
-
-    if (!isValidProof) {
-      await logSystemEvent('ERROR', 'Candidate addition failed', 'Invalid admin proof');
-      return res.status(400).json({
+    // Verify the admin proof: enrolled key, matching action hash and an unused, recent nonce
+    const authorization = await authorizeAdminAction(adminUser, actionData, zkProof);
+    if (!authorization.authorized) {
+      await logSystemEvent('ERROR', 'Candidate addition failed', authorization.message);
+      return res.status(authorization.status).json({
         success: false,
-        message: 'Invalid ZK proof for admin action'
+        code: authorization.code,
+        message: authorization.message
       });
     }
-
-    // Extract actionHash from the proof
-    const actionHash = zkProof.publicSignals[1];
+    const { actionHash } = authorization;
 
     // Create the candidate with isActive status from request (default to true if not specified)
     const candidate = await Candidate.create({
       candidateId,
+      electionId,
       name,
       description,
-      isActive: isActive !== undefined ? isActive : true,
+      isActive: willBeActive,
       modificationProof: actionHash
     });
 
-    await logSystemEvent('INFO', 'Candidate added', `Admin added candidate: ${name}`);
+    await candidateSetService.publishCandidateSet(electionId);
+
+    await logSystemEvent('INFO', 'Candidate added', `Admin added candidate: ${name} to election ${electionId}`);
 
     res.status(201).json({
       success: true,
@@ -175,7 +219,18 @@ exports.updateCandidate = async (req, res, next) => {
       });
     }
 
-    // Create action data for verification
+    // The ballot of an election that is over cannot change
+    await electionService.getEditableElection(candidate.electionId);
+
+    // Reactivating a candidate must not overflow the ballot
+    if (isActive && !candidate.isActive && await Candidate.countDocuments({ electionId: candidate.electionId, isActive: true }) >= candidateSetService.MAX_CANDIDATES) {
+      return res.status(400).json({
+        success: false,
+        message: `A ballot can hold at most ${candidateSetService.MAX_CANDIDATES} active candidates`
+      });
+    }
+
+    // Canonical description of the requested mutation, the proof must commit to exactly this
     const actionData = {
       action: 'update',
       candidateId: id,
@@ -184,20 +239,17 @@ exports.updateCandidate = async (req, res, next) => {
       isActive: isActive !== undefined ? isActive : candidate.isActive
     };
 
-    // Verify the admin proof
-    const expectedAdminProof = adminUser.hashedIdentifier;
-    const isValidProof = await verifyAdminActionProof(zkProof, expectedAdminProof);
-
-    if (!isValidProof) {
-      await logSystemEvent('ERROR', 'Candidate update failed', 'Invalid admin proof');
-      return res.status(400).json({
+    // Verify the admin proof: enrolled key, matching action hash and an unused, recent nonce
+    const authorization = await authorizeAdminAction(adminUser, actionData, zkProof);
+    if (!authorization.authorized) {
+      await logSystemEvent('ERROR', 'Candidate update failed', authorization.message);
+      return res.status(authorization.status).json({
         success: false,
-        message: 'Invalid ZK proof for admin action'
+        code: authorization.code,
+        message: authorization.message
       });
     }
-
-    // Extract actionHash from the proof
-    const actionHash = zkProof.publicSignals[1];
+    const { actionHash } = authorization;
 
     // Update the candidate
     if (name) candidate.name = name;
@@ -209,6 +261,8 @@ exports.updateCandidate = async (req, res, next) => {
 
     await candidate.save();
 
+    await candidateSetService.publishCandidateSet(candidate.electionId);
+
     await logSystemEvent('INFO', 'Candidate updated', `Admin updated candidate: ${candidate.name}`);
 
     res.status(200).json({
@@ -258,32 +312,34 @@ exports.deleteCandidate = async (req, res, next) => {
       });
     }
 
-    // Create action data for verification
+    // The ballot of an election that is over cannot change
+    await electionService.getEditableElection(candidate.electionId);
+
+    // Canonical description of the requested mutation, the proof must commit to exactly this
     const actionData = {
       action: 'delete',
       candidateId: id
     };
 
-    // Verify the admin proof
-    const expectedAdminProof = adminUser.hashedIdentifier;
-    const isValidProof = await verifyAdminActionProof(zkProof, expectedAdminProof);
-
-    if (!isValidProof) {
-      await logSystemEvent('ERROR', 'Candidate deletion failed', 'Invalid admin proof');
-      return res.status(400).json({
+    // Verify the admin proof: enrolled key, matching action hash and an unused, recent nonce
+    const authorization = await authorizeAdminAction(adminUser, actionData, zkProof);
+    if (!authorization.authorized) {
+      await logSystemEvent('ERROR', 'Candidate deletion failed', authorization.message);
+      return res.status(authorization.status).json({
         success: false,
-        message: 'Invalid ZK proof for admin action'
+        code: authorization.code,
+        message: authorization.message
       });
     }
-
-    // Extract actionHash from the proof
-    const actionHash = zkProof.publicSignals[1];
+    const { actionHash } = authorization;
 
     // Soft delete by setting isActive to false
     candidate.isActive = false;
     candidate.modificationProof = actionHash;
     await candidate.save();
 
+    await candidateSetService.publishCandidateSet(candidate.electionId);
+
     await logSystemEvent('INFO', 'Candidate deleted', `Admin soft-deleted candidate: ${candidate.name}`);
 
     res.status(200).json({
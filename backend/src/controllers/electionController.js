@@ -0,0 +1,199 @@
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { logSystemEvent } = logger;
+const { authorizeAdminAction } = require('../services/adminActionService');
+const electionService = require('../services/electionService');
+const schedulerService = require('../services/schedulerService');
+const tallyService = require('../services/tallyService');
+
+// Fields of an election shown to voters and admins
+const toElectionData = (election) => ({
+  electionId: election.electionId,
+  name: election.name,
+  description: election.description,
+  ballotType: election.ballotType,
+  maxApprovals: election.maxApprovals,
+  status: election.status,
+  startTime: election.startTime,
+  endTime: election.endTime,
+  statusChangedAt: election.statusChangedAt,
+  provingSystem: election.provingSystem,
+  // Empty until the election opens, provers use the current versions until then
+  circuitVersions: Object.fromEntries(election.circuitVersions || []),
+  allowedTransitions: electionService.ELECTION_TRANSITIONS[election.status]
+});
+
+// Verify the admin proof for an election action, answering the request when it is rejected
+const authorize = async (req, res, actionData, failureMessage) => {
+  const adminUser = await User.findById(req.user.id);
+  if (!adminUser) {
+    res.status(404).json({
+      success: false,
+      message: 'Admin user not found'
+    });
+    return false;
+  }
+
+  const authorization = await authorizeAdminAction(adminUser, actionData, req.body.zkProof);
+  if (!authorization.authorized) {
+    await logSystemEvent('ERROR', failureMessage, authorization.message);
+    res.status(authorization.status).json({
+      success: false,
+      code: authorization.code,
+      message: authorization.message
+    });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Get all elections, optionally only those in some states
+ * @route GET /api/elections
+ * @access Public
+ */
+exports.getElections = async (req, res, next) => {
+  try {
+    const statuses = req.query.status ? String(req.query.status).split(',') : [];
+    const elections = await electionService.listElections(statuses);
+
+    res.status(200).json({
+      success: true,
+      count: elections.length,
+      data: elections.map(toElectionData)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one election
+ * @route GET /api/elections/:electionId
+ * @access Public
+ */
+exports.getElection = async (req, res, next) => {
+  try {
+    const election = await electionService.getElection(req.params.electionId);
+
+    res.status(200).json({
+      success: true,
+      data: toElectionData(election)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a draft election
+ * @route POST /api/elections
+ * @access Admin only
+ */
+exports.createElection = async (req, res, next) => {
+  try {
+    const { name, description = '', ballotType = 'single', maxApprovals = null, startTime, endTime, zkProof } = req.body;
+
+    if (!name || !zkProof) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a name and ZK proof'
+      });
+    }
+
+    // Canonical description of the requested action, the proof must commit to exactly this
+    const actionData = {
+      action: 'createElection',
+      name,
+      description,
+      ballotType,
+      maxApprovals,
+      startTime: startTime || null,
+      endTime: endTime || null
+    };
+    if (!await authorize(req, res, actionData, 'Election creation failed')) {
+      return;
+    }
+
+    const election = await electionService.createElection(
+      { name, description, ballotType, maxApprovals, startTime, endTime },
+      `admin ${req.user.username}`
+    );
+
+    res.status(201).json({
+      success: true,
+      data: toElectionData(election)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Move an election to another state of its lifecycle
+ * @route POST /api/elections/:electionId/transition
+ * @access Admin only
+ */
+exports.transitionElection = async (req, res, next) => {
+  try {
+    const { electionId } = req.params;
+    const { status, startTime, endTime, zkProof } = req.body;
+
+    if (!status || !zkProof) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the new status and ZK proof'
+      });
+    }
+
+    // Canonical description of the requested action, the proof must commit to exactly this
+    const actionData = {
+      action: 'transitionElection',
+      electionId,
+      status,
+      startTime: startTime || null,
+      endTime: endTime || null
+    };
+    if (!await authorize(req, res, actionData, 'Election transition failed')) {
+      return;
+    }
+
+    const election = await electionService.transitionElection(electionId, status, {
+      startTime,
+      endTime,
+      actor: `admin ${req.user.username}`
+    });
+
+    // Scheduled elections open and close by themselves, other states cancel what was scheduled
+    await schedulerService.scheduleElection(election);
+
+    res.status(200).json({
+      success: true,
+      data: toElectionData(election)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Tally the ballots of an election
+ * Single-choice ballots are counted by plurality, ranked ballots by instant runoff with a
+ * round-by-round elimination report, approval ballots by the approvals of each candidate
+ * @route GET /api/elections/:electionId/tally
+ * @access Admin only
+ */
+exports.getTally = async (req, res, next) => {
+  try {
+    const tally = await tallyService.tallyElection(req.params.electionId);
+
+    await logSystemEvent('INFO', 'Election tally accessed', `Admin viewed the tally of election ${tally.electionId}`);
+
+    res.status(200).json({
+      success: true,
+      data: tally
+    });
+  } catch (error) {
+    next(error);
+  }
+};
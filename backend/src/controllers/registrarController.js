@@ -0,0 +1,91 @@
+const registrarService = require('../services/registrarService');
+const logger = require('../utils/logger');
+const { logSystemEvent } = logger;
+const { isFieldElement } = require('../utils/validator');
+
+// List the registrar public keys whose credentials are accepted
+exports.getPublicKeys = async (req, res, next) => {
+  try {
+    const keys = await registrarService.listKeys();
+
+    res.status(200).json({
+      success: true,
+      data: keys
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Generate a new registrar signing key (rotates the active key)
+exports.createKey = async (req, res, next) => {
+  try {
+    const key = await registrarService.generateKey(req.user._id);
+
+    await logSystemEvent('INFO', 'Registrar key generated', `Key ${key.keyId} is now used to sign voter credentials`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Registrar key generated successfully',
+      data: key
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke a registrar key
+exports.revokeKey = async (req, res, next) => {
+  try {
+    const { keyId } = req.params;
+
+    const key = await registrarService.revokeKey(keyId);
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registrar key not found'
+      });
+    }
+
+    await logSystemEvent('WARN', 'Registrar key revoked', `Credentials signed by key ${keyId} are no longer accepted`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Registrar key revoked successfully',
+      data: key
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Sign a voter's identity commitment
+exports.issueCredential = async (req, res, next) => {
+  try {
+    const { identityCommitment } = req.body;
+
+    if (!isFieldElement(identityCommitment)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid identity commitment'
+      });
+    }
+
+    const credential = await registrarService.issueCredential(identityCommitment);
+    if (!credential) {
+      return res.status(409).json({
+        success: false,
+        message: 'No active registrar key, generate one first'
+      });
+    }
+
+    await logSystemEvent('INFO', 'Voter credential issued', `Signed with registrar key ${credential.keyId}`);
+
+    res.status(201).json({
+      success: true,
+      data: credential
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,26 +1,64 @@
 const User = require('../models/User');
 const Vote = require('../models/Vote');
+const Candidate = require('../models/Candidate');
 const SystemLog = require('../models/SystemLog');
 const logger = require('../utils/logger');
 const { logSystemEvent } = logger;
 const zkpService = require('../services/zkpService');
 const blockchainService = require('../services/blockchainService');
+const candidateSetService = require('../services/candidateSetService');
+const electionService = require('../services/electionService');
+const ballotService = require('../services/ballotService');
+const circuitRegistry = require('../utils/circuitRegistry');
+const { PROOF_ERROR_CODES } = require('../utils/publicSignals');
+const { decodeCircuitProof, toCompact } = require('../utils/proofCodec');
 
-// Cast a vote
+// MongoDB duplicate key error
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Cast a vote in the election the voter token was issued for
 exports.castVote = async (req, res, next) => {
   try {
-    const { choice, zkProof } = req.body;
-    const { nullifierHash } = req.user; // From JWT token
+    const { nullifierHash, electionId } = req.user; // From JWT token
 
-    if (!choice || !zkProof) {
+    if ((!req.body.choice && !req.body.ranking && !req.body.approvals) || !req.body.zkProof) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide both choice and zkProof'
+        message: 'Please provide both choice (or ranking, or approvals) and zkProof'
+      });
+    }
+
+    // Tokens are only valid for the election they were issued for
+    if (req.params.electionId && req.params.electionId !== electionId) {
+      await logSystemEvent('WARN', 'Ballot with a token of another election', `Election ${req.params.electionId}: token issued for election ${electionId}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Token is not valid for this election'
+      });
+    }
+
+    // Ballots are only accepted while the election is open
+    const election = await electionService.getElection(electionId);
+    const windowError = electionService.checkBallotWindow(election);
+    if (windowError) {
+      await logSystemEvent('WARN', 'Ballot outside the voting window', `Election ${electionId}: ${windowError.message}`);
+      return res.status(403).json({
+        success: false,
+        code: windowError.code,
+        message: windowError.message
       });
     }
 
-    // Check if nullifier has already been used (prevent double voting)
-    const existingVote = await Vote.findOne({ nullifierHash });
+    // Each kind of ballot is proven with its own circuit, in the version pinned when the election opened
+    const ballotType = election.ballotType || 'single';
+    const circuit = ballotService.getCircuit(ballotType);
+    const version = circuitRegistry.getElectionVersion(circuit, election);
+
+    // The proof may be sent in any format of the proof codec
+    const zkProof = decodeCircuitProof(req.body.zkProof, circuit, { protocol: election.provingSystem, version });
+
+    // Check if nullifier has already been used in this election (prevent double voting)
+    const existingVote = await Vote.findOne({ electionId, nullifierHash });
     if (existingVote) {
       await logSystemEvent('WARN', 'Double voting attempt', 'Nullifier hash already used');
       return res.status(400).json({
@@ -29,39 +67,89 @@ exports.castVote = async (req, res, next) => {
       });
     }
 
-    // Verify the zk-SNARK proof for the vote
-    const isProofValid = await zkpService.verifyVoteProof(zkProof, nullifierHash, choice);
+    // The choice (ranking, approvals) must be made from the candidates on the current ballot
+    const candidateSet = await candidateSetService.getCurrentCandidateSet(electionId);
+    const { ballot, error: ballotError } = ballotService.readBallot(ballotType, req.body, candidateSet.candidateIds, {
+      maxApprovals: election.maxApprovals
+    });
+    if (ballotError) {
+      return res.status(400).json({
+        success: false,
+        message: ballotError
+      });
+    }
+
+    // The proof must be made with the election's proving system
+    const protocolError = zkpService.checkProofProtocol(election, zkProof.protocol);
+    if (protocolError) {
+      await logSystemEvent('WARN', 'Invalid vote proof', protocolError.code);
+      return res.status(400).json({
+        success: false,
+        code: protocolError.code,
+        message: protocolError.message
+      });
+    }
+
+    // The proof must commit to this voter, this choice and the current ballot
+    const bindingError = await zkpService.checkVoteBinding(zkProof.publicSignals, {
+      nullifierHash,
+      choiceHash: await ballotService.computeChoiceHash(ballotType, ballot, candidateSet.candidateIds),
+      electionId,
+      candidateSetCommitment: candidateSet.commitment,
+      maxApprovals: election.maxApprovals
+    }, circuit, version);
+    if (bindingError) {
+      await logSystemEvent('WARN', 'Invalid vote proof', bindingError.code);
+      return res.status(400).json({
+        success: false,
+        code: bindingError.code,
+        message: bindingError.message
+      });
+    }
+
+    // Verify the zk-SNARK proof for the vote against the same public signals
+    const isProofValid = await zkpService.verifyVoteProof(zkProof.proof, zkProof.publicSignals, election, circuit);
     if (!isProofValid) {
       await logSystemEvent('WARN', 'Invalid vote proof', 'ZK proof verification failed');
       return res.status(400).json({
         success: false,
+        code: PROOF_ERROR_CODES.INVALID_PROOF,
         message: 'Invalid proof'
       });
     }
 
-    // Submit vote to blockchain
+    // Record the vote in the database, with the proof bundled with its circuit version
+    // The unique (electionId, nullifierHash) index decides between concurrent ballots of one voter,
+    // so only the ballot that won it goes on chain
+    let vote;
+    try {
+      vote = await Vote.create({
+        electionId,
+        nullifierHash,
+        ...ballot,
+        proof: toCompact(zkProof, { circuit, version })
+      });
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY_ERROR) {
+        await logSystemEvent('WARN', 'Double voting attempt', 'Nullifier hash already used');
+        return res.status(400).json({
+          success: false,
+          message: 'You have already voted'
+        });
+      }
+      throw error;
+    }
+
+    // Submit vote to blockchain and mark the record with the transaction
     let transactionHash = null;
     try {
-      transactionHash = await blockchainService.submitVote(nullifierHash, choice, zkProof);
+      transactionHash = await blockchainService.submitVote(nullifierHash, zkProof, circuit, version);
+      await Vote.updateOne({ _id: vote._id }, { $set: { transactionHash } });
     } catch (error) {
       logger.error(`Blockchain submission failed: ${error.message}`);
-      // Continue with local vote recording even if blockchain submission fails
+      // The vote stays recorded locally even if blockchain submission fails
     }
 
-    // Record the vote in the database
-    const vote = await Vote.create({
-      nullifierHash,
-      choice,
-      proof: JSON.stringify(zkProof),
-      transactionHash
-    });
-
-    // Update user's voting status
-    await User.findOneAndUpdate(
-      { nullifierHash },
-      { hasVoted: true }
-    );
-
     await logSystemEvent('INFO', 'Vote cast successfully', 'Vote recorded anonymously');
 
     res.status(201).json({
@@ -85,25 +173,38 @@ exports.getVotingStats = async (req, res, next) => {
       });
     }
 
-    // Count votes for each choice
+    // Count the votes of the election for each choice
+    // Ranked ballots count for their first preference here, see the tally for the instant-runoff result;
+    // approval ballots count once for every approved candidate
+    const { electionId } = await electionService.getElection(req.params.electionId);
     const voteCounts = await Vote.aggregate([
-      { $group: { _id: '$choice', count: { $sum: 1 } } }
+      { $match: { electionId } },
+      { $project: { choices: { $ifNull: ['$approvals', [{ $ifNull: ['$choice', { $arrayElemAt: ['$ranking', 0] }] }]] } } },
+      { $unwind: '$choices' },
+      { $group: { _id: '$choices', count: { $sum: 1 } } }
     ]);
 
-    const totalVotes = await Vote.countDocuments();
+    // Choices are candidate IDs, resolve them to names for display
+    const candidates = await Candidate.find({ electionId, candidateId: { $in: voteCounts.map(item => item._id) } })
+      .select('candidateId name');
+    const candidateNames = new Map(candidates.map(c => [c.candidateId, c.name]));
+
+    const totalVotes = await Vote.countDocuments({ electionId });
     const registeredVoters = await User.countDocuments({ isAdmin: false });
     const votingRate = registeredVoters > 0 ? (totalVotes / registeredVoters) * 100 : 0;
 
-    await logSystemEvent('INFO', 'Voting statistics accessed', 'Admin viewed voting statistics');
+    await logSystemEvent('INFO', 'Voting statistics accessed', `Admin viewed voting statistics of election ${electionId}`);
 
     res.status(200).json({
       success: true,
       data: {
+        electionId,
         totalVotes,
         registeredVoters,
         votingRate: Math.round(votingRate * 100) / 100, // Round to 2 decimal places
         voteCounts: voteCounts.map(item => ({
-          choice: item._id,
+          choice: candidateNames.get(item._id) || item._id,
+          candidateId: item._id,
           count: item.count
         }))
       }
@@ -14,6 +14,12 @@ const { globalLimiter } = require('./utils/rateLimiter');
 const routes = require('./routes');
 const errorHandler = require('./middleware/errorHandler');
 const { initializeAdmin } = require('./controllers/authController');
+const merkleTreeService = require('./services/merkleTreeService');
+const candidateSetService = require('./services/candidateSetService');
+const electionService = require('./services/electionService');
+const schedulerService = require('./services/schedulerService');
+const verificationKeyService = require('./services/verificationKeyService');
+const zkpService = require('./services/zkpService');
 
 // Load environment variables
 dotenv.config({
@@ -80,6 +86,24 @@ async function startServer() {
     await initializeAdmin();
     logger.info('Admin initialization check completed');
     
+    // Rebuild the voter registry tree from stored commitments
+    await merkleTreeService.initialize();
+    
+    // Create the configured election if it does not exist yet
+    await electionService.initialize();
+    
+    // Refuse to run a production election on mock proofs or without the circuits of its proving system
+    zkpService.checkZkpMode(await electionService.getProvingSystems());
+    
+    // Make sure the published candidate set matches the active candidates
+    await candidateSetService.publishCandidateSet(config.election.id);
+    
+    // Load and pin the verification keys, then reload them when they change on disk
+    verificationKeyService.initialize();
+    
+    // Open and close scheduled elections on time, catching up on what was missed while down
+    await schedulerService.initialize();
+    
     app.listen(PORT, () => {
       logger.info(`Server running on port ${PORT}`);
       logger.info(`Swagger docs available at http://localhost:${PORT}/api-docs`);
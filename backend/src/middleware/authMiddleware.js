@@ -34,8 +34,11 @@ exports.protect = async (req, res, next) => {
         }
         req.user = admin;
       } else {
-        // For voter tokens, we only have the nullifierHash
-        req.user = { nullifierHash: decoded.nullifierHash };
+        // For voter tokens, we only have the election-scoped nullifierHash
+        req.user = {
+          nullifierHash: decoded.nullifierHash,
+          electionId: decoded.electionId
+        };
       }
       
       next();
@@ -60,4 +63,15 @@ exports.adminOnly = (req, res, next) => {
     });
   }
   next();
-}; 
\ No newline at end of file
+};
+
+// Registrar only middleware
+exports.registrarOnly = (req, res, next) => {
+  if (!req.user.isAdmin || !req.user.isRegistrar) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied: Registrar only'
+    });
+  }
+  next();
+};
@@ -5,9 +5,15 @@ const errorHandler = (err, req, res, next) => {
   logger.error(`${err.name}: ${err.message}\nStack: ${err.stack}`);
   
   // Set default error response
-  const statusCode = res.statusCode === 200 ? 500 : res.statusCode;
+  const statusCode = err.statusCode || (res.statusCode === 200 ? 500 : res.statusCode);
+  
+  // Errors of temporarily unavailable services tell the client when to retry
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
   
   res.status(statusCode).json({
+    code: err.statusCode ? err.code : undefined,
     message: err.message,
     stack: process.env.NODE_ENV === 'production' ? null : err.stack,
     error: true
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const AdminActionNonceSchema = new mongoose.Schema({
+  // Nonce of an admin action proof that has already been used
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Admin who used the nonce
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Action hash the nonce was used for
+  actionHash: {
+    type: String,
+    required: true
+  },
+  // After this the proof is rejected as expired anyway, so the record can be dropped
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const AdminActionNonce = mongoose.model('AdminActionNonce', AdminActionNonceSchema);
+
+module.exports = AdminActionNonce;
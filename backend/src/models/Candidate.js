@@ -8,6 +8,12 @@ const CandidateSchema = new mongoose.Schema({
     unique: true,
     index: true
   },
+  // Election the candidate is on the ballot of
+  electionId: {
+    type: String,
+    required: true,
+    index: true
+  },
   // Name of the candidate
   name: {
     type: String,
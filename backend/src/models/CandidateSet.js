@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const CandidateSetSchema = new mongoose.Schema({
+  // Election the ballot belongs to
+  electionId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Poseidon commitment of the ballot's candidate list, a public input of the vote circuit
+  commitment: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // IDs of the active candidates, in ballot order
+  candidateIds: [{
+    type: String
+  }],
+  // Number of active candidates on the ballot
+  candidateCount: {
+    type: Number,
+    required: true
+  },
+  // Timestamp of when the candidate set was published
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const CandidateSet = mongoose.model('CandidateSet', CandidateSetSchema);
+
+module.exports = CandidateSet;
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { PROVING_SYSTEMS } = require('../utils/circuitRegistry');
+
+// Lifecycle states of an election, see services/electionService.js for the allowed transitions
+const ELECTION_STATES = ['draft', 'scheduled', 'open', 'closed', 'tallied', 'archived'];
+
+// Kinds of ballot an election can use, see services/ballotService.js for how each is cast and proven
+const BALLOT_TYPES = ['single', 'ranked', 'approval'];
+
+const ElectionSchema = new mongoose.Schema({
+  // Public election identifier (field element), scopes voter nullifiers in the circuits
+  electionId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // Name of the election
+  name: {
+    type: String,
+    required: true
+  },
+  // Description shown to voters
+  description: {
+    type: String,
+    default: ''
+  },
+  // Kind of ballot voters cast: one candidate, all candidates in order of preference,
+  // or any number of candidates up to maxApprovals
+  ballotType: {
+    type: String,
+    enum: BALLOT_TYPES,
+    default: 'single'
+  },
+  // Most candidates a voter may approve, on approval ballots
+  maxApprovals: {
+    type: Number,
+    default: null
+  },
+  // Proving system voters must use for their proofs, fixed when the election is created
+  provingSystem: {
+    type: String,
+    enum: PROVING_SYSTEMS
+  },
+  // Circuit versions the election verifies against, by circuit name, pinned when it opens
+  circuitVersions: {
+    type: Map,
+    of: String
+  },
+  // Current lifecycle state
+  status: {
+    type: String,
+    enum: ELECTION_STATES,
+    default: 'draft'
+  },
+  // Ballots are accepted from this time on, once the election is open
+  startTime: {
+    type: Date
+  },
+  // Ballots are no longer accepted from this time on
+  endTime: {
+    type: Date
+  },
+  // Timestamp of the last state transition
+  statusChangedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Timestamp of when the election was created
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Timestamp of last modification
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Pre-save middleware to update the updatedAt field
+ElectionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const Election = mongoose.model('Election', ElectionSchema);
+
+module.exports = Election;
+module.exports.ELECTION_STATES = ELECTION_STATES;
+module.exports.BALLOT_TYPES = BALLOT_TYPES;
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const RegistrarKeySchema = new mongoose.Schema({
+  // Public identifier of the key
+  keyId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // BabyJubJub public key, public inputs of the credential circuit
+  publicKeyX: {
+    type: String,
+    required: true
+  },
+  publicKeyY: {
+    type: String,
+    required: true
+  },
+  // EdDSA private key, encrypted with the server encryption key
+  encryptedPrivateKey: {
+    type: String,
+    required: true
+  },
+  // Only the active key signs new credentials, older keys stay trusted until revoked
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Credentials signed by a revoked key are no longer accepted
+  revokedAt: {
+    type: Date
+  },
+  // Registrar who created the key
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RegistrarKeySchema.index({ publicKeyX: 1, publicKeyY: 1 }, { unique: true });
+
+const RegistrarKey = mongoose.model('RegistrarKey', RegistrarKeySchema);
+
+module.exports = RegistrarKey;
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// States of a scheduled job, see services/schedulerService.js
+const JOB_STATES = ['pending', 'running', 'done', 'failed', 'cancelled'];
+
+const ScheduledJobSchema = new mongoose.Schema({
+  // Election the job moves to another state
+  electionId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // State the election is moved to when the job runs (open or closed)
+  targetStatus: {
+    type: String,
+    enum: ['open', 'closed'],
+    required: true
+  },
+  // When the transition is due
+  runAt: {
+    type: Date,
+    required: true
+  },
+  // Current state of the job
+  status: {
+    type: String,
+    enum: JOB_STATES,
+    default: 'pending'
+  },
+  // Number of times the job was started
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Error of the last failed attempt
+  lastError: {
+    type: String,
+    default: null
+  },
+  // A running job whose lease expired was abandoned (e.g. the server stopped) and is run again
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Timestamp of when the job finished
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Timestamp of when the job was created
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Timestamp of last modification
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One job per election and target state, rescheduling updates it
+ScheduledJobSchema.index({ electionId: 1, targetStatus: 1 }, { unique: true });
+// Due jobs are claimed in the order they are due
+ScheduledJobSchema.index({ status: 1, runAt: 1 });
+
+const ScheduledJob = mongoose.model('ScheduledJob', ScheduledJobSchema);
+
+module.exports = ScheduledJob;
+module.exports.JOB_STATES = JOB_STATES;
@@ -1,18 +1,35 @@
 const mongoose = require('mongoose');
 
 const UserSchema = new mongoose.Schema({
-  // For voters, we only store the hash of their identifier
+  // Legacy identifier hash (no longer written)
   hashedIdentifier: {
     type: String,
-    required: true,
-    unique: true,
-    index: true
+    sparse: true,
+    unique: true
+  },
+  // For voters, we only store the Poseidon commitment of their identifier
+  // which is inserted as a leaf of the voter registry Merkle tree
+  identityCommitment: {
+    type: String,
+    sparse: true,
+    unique: true
+  },
+  // Position of the identity commitment in the registry Merkle tree
+  leafIndex: {
+    type: Number,
+    sparse: true,
+    unique: true
   },
   // For admins, we store username and password hash
   isAdmin: {
     type: Boolean,
     default: false
   },
+  // Registrars manage the registrar signing keys and issue voter credentials
+  isRegistrar: {
+    type: Boolean,
+    default: false
+  },
   username: {
     type: String,
     sparse: true,
@@ -21,6 +38,17 @@ const UserSchema = new mongoose.Schema({
   passwordHash: {
     type: String
   },
+  // For admins, the Poseidon commitment of the secret key generated in the browser
+  // Admin action proofs must output this value as their adminProof signal
+  adminKeyCommitment: {
+    type: String,
+    sparse: true,
+    unique: true
+  },
+  // When the admin key was enrolled
+  adminKeyEnrolledAt: {
+    type: Date
+  },
   // To track if a user has voted
   hasVoted: {
     type: Boolean,
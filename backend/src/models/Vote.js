@@ -1,18 +1,33 @@
 const mongoose = require('mongoose');
 
 const VoteSchema = new mongoose.Schema({
+  // Election the vote was cast in (Election.electionId, a public input of the vote circuit)
+  electionId: {
+    type: String,
+    required: true
+  },
   // We don't store the voter's identity, only the nullifier hash
   // This ensures votes are anonymous but prevents double voting
   nullifierHash: {
     type: String,
-    required: true,
-    unique: true,
-    index: true
+    required: true
   },
-  // The choice that was made (candidates or options)
+  // The choice that was made (ID of the chosen candidate), on single-choice ballots
   choice: {
     type: String,
-    required: true
+    required: function() {
+      return !this.ranking && !this.approvals;
+    }
+  },
+  // IDs of all candidates in order of preference, on ranked ballots
+  ranking: {
+    type: [String],
+    default: undefined
+  },
+  // IDs of the approved candidates in ballot order, on approval ballots (may be empty)
+  approvals: {
+    type: [String],
+    default: undefined
   },
   // The zk proof that verified this vote
   proof: {
@@ -32,6 +47,9 @@ const VoteSchema = new mongoose.Schema({
   }
 });
 
+// Nullifiers are election-scoped, so they only have to be unique within one election
+VoteSchema.index({ electionId: 1, nullifierHash: 1 }, { unique: true });
+
 const Vote = mongoose.model('Vote', VoteSchema);
 
 module.exports = Vote; 
\ No newline at end of file
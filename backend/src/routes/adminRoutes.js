@@ -73,4 +73,92 @@ router.get('/logs', adminController.getSystemLogs);
  */
 router.get('/system-status', adminController.getSystemStatus);
 
+/**
+ * @swagger
+ * /api/admin/key:
+ *   get:
+ *     summary: Get the enrollment status of the admin key (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether a key is enrolled, and its commitment
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, admin access required
+ *       500:
+ *         description: Server error
+ */
+router.get('/key', adminController.getAdminKey);
+
+/**
+ * @swagger
+ * /api/admin/key:
+ *   post:
+ *     summary: Enroll the admin key used for admin action proofs (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - commitment
+ *             properties:
+ *               commitment:
+ *                 type: string
+ *                 description: Poseidon commitment of the secret admin key (decimal field element)
+ *     responses:
+ *       201:
+ *         description: Admin key enrolled
+ *       400:
+ *         description: Invalid commitment
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, admin access required
+ *       409:
+ *         description: An admin key is already enrolled
+ *       500:
+ *         description: Server error
+ */
+router.post('/key', adminController.enrollAdminKey);
+
+/**
+ * @swagger
+ * /api/admin/audit/votes:
+ *   post:
+ *     summary: Re-verify every stored vote proof (admin only)
+ *     description: >
+ *       Streams newline-delimited JSON events: a start event, a vote event for every vote
+ *       that is not valid, progress events, and a final report counting valid, invalid,
+ *       malformed, mock-generated and unverified votes with the tally of valid votes.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: electionId
+ *         schema:
+ *           type: string
+ *         description: Only audit the votes of this election (all elections if omitted)
+ *     responses:
+ *       200:
+ *         description: Audit events as application/x-ndjson
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, admin access required
+ *       409:
+ *         description: An audit is already running
+ *       500:
+ *         description: Server error
+ */
+router.post('/audit/votes', adminController.auditVotes);
+
 module.exports = router; 
\ No newline at end of file
@@ -25,26 +25,101 @@ const authRateLimiter = authLimiter(
  *           schema:
  *             type: object
  *             required:
- *               - hashedIdentifier
+ *               - identityCommitment
  *             properties:
- *               hashedIdentifier:
+ *               identityCommitment:
  *                 type: string
- *                 description: The hashed identifier of the voter
+ *                 description: Poseidon commitment of the voter identifier (decimal field element)
+ *               credential:
+ *                 type: object
+ *                 description: Registrar-signed credential for the commitment, required when REQUIRE_VOTER_CREDENTIAL is set
  *     responses:
  *       201:
  *         description: Voter registered successfully
  *       400:
  *         description: Bad request, missing required fields
+ *       403:
+ *         description: Missing or invalid registrar credential
  *       500:
  *         description: Server error
  */
 router.post('/register', authRateLimiter, createController(authController.registerVoter));
 
+/**
+ * @swagger
+ * /api/auth/registry/root:
+ *   get:
+ *     summary: Get the current root of the voter registry Merkle tree
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Registry root, tree depth and number of registered voters
+ *       500:
+ *         description: Server error
+ */
+router.get('/registry/root', createController(authController.getRegistryRoot));
+
+/**
+ * @swagger
+ * /api/auth/registry/path/{identityCommitment}:
+ *   get:
+ *     summary: Get the Merkle authentication path of a registered voter
+ *     description: >
+ *       The lookup names the voter's identity commitment, so a server that also sees the login
+ *       that follows can link the two by timing. Clients that must not reveal which voter is
+ *       logging in compute the path from /api/auth/registry/leaves instead.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: identityCommitment
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Poseidon commitment of the voter identifier
+ *     responses:
+ *       200:
+ *         description: Path elements, path indices and the root they hash to
+ *       400:
+ *         description: Invalid identity commitment
+ *       404:
+ *         description: Voter not registered
+ *       500:
+ *         description: Server error
+ */
+router.get('/registry/path/:identityCommitment', createController(authController.getAuthenticationPath));
+
+/**
+ * @swagger
+ * /api/auth/registry/leaves:
+ *   get:
+ *     summary: Get the identity commitments in the voter registry, in leaf order
+ *     description: >
+ *       Voters compute their Merkle authentication path from the leaves, so looking up a path
+ *       does not reveal which registered voter is about to log in. A client that kept the tree
+ *       from an earlier login only fetches the leaves registered since.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Index of the first leaf to return (0 if omitted)
+ *     responses:
+ *       200:
+ *         description: Registry leaves from the given index, the total number of leaves, tree depth and the root they hash to
+ *       400:
+ *         description: from is past the last leaf
+ *       500:
+ *         description: Server error
+ */
+router.get('/registry/leaves', createController(authController.getRegistryLeaves));
+
 /**
  * @swagger
  * /api/auth/login:
  *   post:
- *     summary: Authenticate a voter using zk-SNARK proof
+ *     summary: Authenticate a voter using a zk-SNARK registry membership proof
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -53,18 +128,19 @@ router.post('/register', authRateLimiter, createController(authController.regist
  *           schema:
  *             type: object
  *             required:
- *               - hashedIdentifier
  *               - zkProof
  *             properties:
- *               hashedIdentifier:
- *                 type: string
- *                 description: The hashed identifier of the voter
  *               zkProof:
- *                 type: object
- *                 description: The zero-knowledge proof object
+ *                 description: Proof that some registered voter knows their identifier, made against a recent registry root, as a snarkjs object, Solidity calldata or compact bundle (see POST /api/circuits/convert)
+ *               protocol:
+ *                 type: string
+ *                 enum: [groth16, plonk, fflonk]
+ *                 description: Proving system of the election, only needed for PLONK and fflonk Solidity calldata
  *     responses:
  *       200:
  *         description: Authentication successful
+ *       400:
+ *         description: Malformed public signals or a proving system the election does not accept
  *       401:
  *         description: Authentication failed
  *       500:
@@ -72,6 +148,39 @@ router.post('/register', authRateLimiter, createController(authController.regist
  */
 router.post('/login', authRateLimiter, createController(authController.authenticateVoter));
 
+/**
+ * @swagger
+ * /api/auth/login/credential:
+ *   post:
+ *     summary: Authenticate a voter using a zk-SNARK proof of a registrar-signed credential
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - zkProof
+ *             properties:
+ *               zkProof:
+ *                 description: Proof that the voter holds a credential signed by a trusted registrar key, as a snarkjs object, Solidity calldata or compact bundle (see POST /api/circuits/convert)
+ *               protocol:
+ *                 type: string
+ *                 enum: [groth16, plonk, fflonk]
+ *                 description: Proving system of the election, only needed for PLONK and fflonk Solidity calldata
+ *     responses:
+ *       200:
+ *         description: Authentication successful
+ *       400:
+ *         description: Malformed public signals or a proving system the election does not accept
+ *       401:
+ *         description: Authentication failed
+ *       500:
+ *         description: Server error
+ */
+router.post('/login/credential', authRateLimiter, createController(authController.authenticateWithCredential));
+
 /**
  * @swagger
  * /api/auth/admin/login:
@@ -8,8 +8,14 @@ const router = express.Router();
  * @swagger
  * /api/candidates:
  *   get:
- *     summary: Get all active candidates
+ *     summary: Get all active candidates of an election
  *     tags: [Candidates]
+ *     parameters:
+ *       - in: query
+ *         name: electionId
+ *         schema:
+ *           type: string
+ *         description: Election of the ballot (the configured election if omitted)
  *     responses:
  *       200:
  *         description: List of active candidates
@@ -18,6 +24,26 @@ const router = express.Router();
  */
 router.get('/', candidateController.getCandidates);
 
+/**
+ * @swagger
+ * /api/candidates/commitment:
+ *   get:
+ *     summary: Get the published commitment of an election's active candidate set
+ *     tags: [Candidates]
+ *     parameters:
+ *       - in: query
+ *         name: electionId
+ *         schema:
+ *           type: string
+ *         description: Election of the ballot (the configured election if omitted)
+ *     responses:
+ *       200:
+ *         description: Candidate set commitment, ballot order and field-encoded candidate list
+ *       500:
+ *         description: Server error
+ */
+router.get('/commitment', candidateController.getCandidateSet);
+
 /**
  * @swagger
  * /api/candidates/admin:
@@ -26,6 +52,12 @@ router.get('/', candidateController.getCandidates);
  *     tags: [Candidates]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: electionId
+ *         schema:
+ *           type: string
+ *         description: Only list the candidates of this election (all elections if omitted)
  *     responses:
  *       200:
  *         description: List of all candidates
@@ -63,9 +95,11 @@ router.get('/admin', protect, adminOnly, candidateController.getAllCandidatesAdm
  *               description:
  *                 type: string
  *                 description: Candidate description or policy focus
+ *               electionId:
+ *                 type: string
+ *                 description: Election whose ballot the candidate is added to (the configured election if omitted)
  *               zkProof:
- *                 type: object
- *                 description: Zero-knowledge proof for admin action
+ *                 description: Zero-knowledge proof for admin action, as a snarkjs object or compact bundle (see POST /api/circuits/convert)
  *     responses:
  *       201:
  *         description: Candidate created
@@ -75,6 +109,10 @@ router.get('/admin', protect, adminOnly, candidateController.getAllCandidatesAdm
  *         description: Unauthorized
  *       403:
  *         description: Forbidden - not admin
+ *       404:
+ *         description: Election not found
+ *       409:
+ *         description: The election has opened, its ballot cannot change
  *       500:
  *         description: Server error
  */
@@ -114,8 +152,7 @@ router.post('/', protect, adminOnly, candidateController.addCandidate);
  *                 type: boolean
  *                 description: Whether the candidate is active
  *               zkProof:
- *                 type: object
- *                 description: Zero-knowledge proof for admin action
+ *                 description: Zero-knowledge proof for admin action, as a snarkjs object or compact bundle (see POST /api/circuits/convert)
  *     responses:
  *       200:
  *         description: Candidate updated
@@ -127,6 +164,8 @@ router.post('/', protect, adminOnly, candidateController.addCandidate);
  *         description: Forbidden - not admin
  *       404:
  *         description: Candidate not found
+ *       409:
+ *         description: The election has opened, its ballot cannot change
  *       500:
  *         description: Server error
  */
@@ -157,8 +196,7 @@ router.put('/:id', protect, adminOnly, candidateController.updateCandidate);
  *               - zkProof
  *             properties:
  *               zkProof:
- *                 type: object
- *                 description: Zero-knowledge proof for admin action
+ *                 description: Zero-knowledge proof for admin action, as a snarkjs object or compact bundle (see POST /api/circuits/convert)
  *     responses:
  *       200:
  *         description: Candidate deleted
@@ -168,6 +206,8 @@ router.put('/:id', protect, adminOnly, candidateController.updateCandidate);
  *         description: Forbidden - not admin
  *       404:
  *         description: Candidate not found
+ *       409:
+ *         description: The election has opened, its ballot cannot change
  *       500:
  *         description: Server error
  */
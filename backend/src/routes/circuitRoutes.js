@@ -2,77 +2,250 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const logger = require('../utils/logger');
+const circuitRegistry = require('../utils/circuitRegistry');
+const proofCodec = require('../utils/proofCodec');
+const electionService = require('../services/electionService');
 
 const router = express.Router();
 
 /**
- * Routes to serve circuit artifacts (wasm and zkey files) to the frontend
+ * Routes to serve circuit artifacts (wasm, zkey and verification key files) to the frontend
  * These are needed for generating real ZK proofs in the browser
+ * Every route is derived from the circuit registry; /convert translates proofs between the
+ * formats of the proof codec
  */
 
-// Helper function to serve circuit files
-const serveCircuitFile = (circuitName, fileType) => {
-  return (req, res) => {
-    const filePath = path.join(
-      __dirname,
-      '../../../circuits',
-      circuitName,
-      `${circuitName}${fileType === 'zkey' ? '_final.zkey' : '.wasm'}`
-    );
-    
-    logger.info(`Serving ${fileType} file for ${circuitName} circuit`);
-    
-    if (fs.existsSync(filePath)) {
-      res.sendFile(filePath);
-    } else {
-      logger.error(`Circuit file not found: ${filePath}`);
-      res.status(404).json({ 
-        success: false, 
-        message: `${fileType.toUpperCase()} file for ${circuitName} circuit not found` 
+// Helper function to send an artifact file
+const sendArtifact = (res, filePath, description) => {
+  if (fs.existsSync(filePath)) {
+    res.sendFile(filePath);
+  } else {
+    logger.error(`Circuit file not found: ${filePath}`);
+    res.status(404).json({
+      success: false,
+      message: `${description} not found`
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/circuits/manifest:
+ *   get:
+ *     summary: Get the manifest of every registered circuit version
+ *     tags: [Circuits]
+ *     responses:
+ *       200:
+ *         description: The ZKP mode of the server (real or mock) and one entry per circuit, version and proving system with its public-signal names, the SHA-256 and URL of each artifact and the trusted setup ceremony transcript (Groth16 only)
+ *       500:
+ *         description: Server error
+ */
+router.get('/manifest', (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: circuitRegistry.getManifest()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/circuits/convert:
+ *   post:
+ *     summary: Convert a proof between the snarkjs, Solidity calldata and compact formats
+ *     tags: [Circuits]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - proof
+ *               - to
+ *             properties:
+ *               proof:
+ *                 description: The proof, as a snarkjs { proof, publicSignals, protocol } object, Solidity calldata array or compact base64url string
+ *               from:
+ *                 type: string
+ *                 enum: [snarkjs, solidity, compact]
+ *                 description: Format of the proof (detected if omitted)
+ *               to:
+ *                 type: string
+ *                 enum: [snarkjs, solidity, compact]
+ *                 description: Format to convert the proof to
+ *               protocol:
+ *                 type: string
+ *                 enum: [groth16, plonk, fflonk]
+ *                 description: Proving system of PLONK or fflonk calldata
+ *               circuit:
+ *                 type: string
+ *                 description: Circuit the proof is for, required to build a compact bundle unless the proof is one
+ *               version:
+ *                 type: string
+ *                 description: Circuit version (defaults to the bundle's version, then the election's version)
+ *     responses:
+ *       200:
+ *         description: The converted proof with its format, and the circuit and version when known
+ *       400:
+ *         description: The proof cannot be read in its format or converted to the requested one
+ */
+router.post('/convert', (req, res, next) => {
+  try {
+    const { proof, from, to, protocol } = req.body;
+
+    if (!proof || !proofCodec.PROOF_FORMATS.includes(to)) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide a proof and a target format (${proofCodec.PROOF_FORMATS.join(', ')})`
       });
     }
-  };
-};
 
-// Define routes for each circuit file
-router.get('/auth/auth.wasm', serveCircuitFile('auth', 'wasm'));
-router.get('/auth/auth_final.zkey', serveCircuitFile('auth', 'zkey'));
+    const decoded = proofCodec.decodeProof(proof, { format: from, protocol });
+    const circuit = req.body.circuit || decoded.circuit;
+    const version = req.body.version || decoded.version || undefined;
 
-router.get('/vote/vote.wasm', serveCircuitFile('vote', 'wasm'));
-router.get('/vote/vote_final.zkey', serveCircuitFile('vote', 'zkey'));
+    if (to === 'compact' && !circuit) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the circuit the proof is for to build a compact bundle'
+      });
+    }
 
-router.get('/admin/admin.wasm', serveCircuitFile('admin', 'wasm'));
-router.get('/admin/admin_final.zkey', serveCircuitFile('admin', 'zkey'));
+    const encoded = proofCodec.encodeProof(decoded.zkProof, to, { circuit, version });
+    // A new bundle pins the election's version of the circuit unless another one was given
+    const bundle = to === 'compact' ? proofCodec.fromCompact(encoded) : { circuit, version };
 
-// Verification key routes
-router.get('/auth/verification_key.json', (req, res) => {
-  const filePath = path.join(__dirname, '../../../circuits/auth/verification_key.json');
-  
-  if (fs.existsSync(filePath)) {
-    res.sendFile(filePath);
-  } else {
-    res.status(404).json({ success: false, message: 'Verification key not found' });
+    res.status(200).json({
+      success: true,
+      data: {
+        format: to,
+        circuit: bundle.circuit || null,
+        version: bundle.version || null,
+        proof: encoded
+      }
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
-router.get('/vote/verification_key.json', (req, res) => {
-  const filePath = path.join(__dirname, '../../../circuits/vote/verification_key.json');
-  
-  if (fs.existsSync(filePath)) {
-    res.sendFile(filePath);
-  } else {
-    res.status(404).json({ success: false, message: 'Verification key not found' });
+/**
+ * @swagger
+ * /api/circuits/{name}/{version}/{protocol}/{artifact}:
+ *   get:
+ *     summary: Download an artifact of a circuit version
+ *     tags: [Circuits]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Circuit name in the registry
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Circuit version
+ *       - in: path
+ *         name: protocol
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [groth16, plonk, fflonk]
+ *         description: Proving system
+ *       - in: path
+ *         name: artifact
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [wasm, zkey, vkey]
+ *         description: Artifact type
+ *     responses:
+ *       200:
+ *         description: The artifact file
+ *       404:
+ *         description: Unknown circuit, version or artifact, or the artifact has not been built
+ */
+router.get('/:name/:version/:protocol/:artifact', (req, res) => {
+  const { name, version, protocol, artifact } = req.params;
+
+  let entry;
+  try {
+    entry = circuitRegistry.resolve(name, { version, protocol });
+  } catch (error) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+
+  if (!circuitRegistry.ARTIFACT_TYPES.includes(artifact)) {
+    return res.status(404).json({ success: false, message: `Unknown artifact: ${artifact}` });
   }
+
+  logger.info(`Serving ${artifact} file for ${name}@${version} (${protocol})`);
+  sendArtifact(res, entry[artifact], `${artifact} file for ${name}@${version} (${protocol})`);
 });
 
-router.get('/admin/verification_key.json', (req, res) => {
-  const filePath = path.join(__dirname, '../../../circuits/admin/verification_key.json');
-  
-  if (fs.existsSync(filePath)) {
-    res.sendFile(filePath);
-  } else {
-    res.status(404).json({ success: false, message: 'Verification key not found' });
+/**
+ * @swagger
+ * /api/circuits/{directory}/{file}:
+ *   get:
+ *     summary: Download a circuit artifact by its unversioned path, as copied to public/circuits
+ *     tags: [Circuits]
+ *     parameters:
+ *       - in: path
+ *         name: directory
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Circuit directory, e.g. vote
+ *       - in: path
+ *         name: file
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Artifact file name, e.g. vote_final.zkey or verification_key_plonk.json
+ *       - in: query
+ *         name: electionId
+ *         schema:
+ *           type: string
+ *         description: Serve the circuit version pinned for this election instead of the current one
+ *     responses:
+ *       200:
+ *         description: The artifact file
+ *       404:
+ *         description: Unknown election, circuit file, or the artifact has not been built
+ */
+// Groth16 files keep their original names, PLONK and fflonk files carry the protocol as suffix
+// The version is resolved on every request, so a newly pinned or current version is served without a restart
+router.get('/:directory/:file', async (req, res, next) => {
+  try {
+    const { directory, file } = req.params;
+    const election = req.query.electionId ? await electionService.getElection(req.query.electionId) : null;
+
+    for (const name of circuitRegistry.getCircuitNames()) {
+      const version = circuitRegistry.getElectionVersion(name, election);
+
+      for (const protocol of circuitRegistry.PROVING_SYSTEMS) {
+        const entry = circuitRegistry.resolve(name, { version, protocol });
+        const artifact = entry.directory === directory &&
+          circuitRegistry.ARTIFACT_TYPES.find((type) => path.basename(entry[type]) === file);
+
+        if (artifact) {
+          logger.info(`Serving ${artifact} file for ${name}@${version} (${protocol})`);
+          return sendArtifact(res, entry[artifact], `${artifact} file for ${name} circuit`);
+        }
+      }
+    }
+
+    res.status(404).json({ success: false, message: `Unknown circuit file: ${directory}/${file}` });
+  } catch (error) {
+    next(error);
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,337 @@
+const express = require('express');
+const electionController = require('../controllers/electionController');
+const candidateController = require('../controllers/candidateController');
+const voteController = require('../controllers/voteController');
+const { protect, adminOnly } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/elections:
+ *   get:
+ *     summary: Get all elections
+ *     tags: [Elections]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Comma-separated states to list (draft, scheduled, open, closed, tallied, archived), all if omitted
+ *     responses:
+ *       200:
+ *         description: Elections with their state, voting window and the states they can move to
+ *       500:
+ *         description: Server error
+ */
+router.get('/', electionController.getElections);
+
+/**
+ * @swagger
+ * /api/elections/{electionId}:
+ *   get:
+ *     summary: Get an election
+ *     tags: [Elections]
+ *     parameters:
+ *       - in: path
+ *         name: electionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Election identifier
+ *     responses:
+ *       200:
+ *         description: The election with its state, voting window and the states it can move to
+ *       404:
+ *         description: Election not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:electionId', electionController.getElection);
+
+/**
+ * @swagger
+ * /api/elections:
+ *   post:
+ *     summary: Create a draft election (admin only)
+ *     tags: [Elections]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - zkProof
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Election name
+ *               description:
+ *                 type: string
+ *                 description: Description shown to voters
+ *               ballotType:
+ *                 type: string
+ *                 enum: [single, ranked, approval]
+ *                 default: single
+ *                 description: Voters choose one candidate (single), order all candidates (ranked) or approve up to maxApprovals candidates (approval)
+ *               maxApprovals:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 16
+ *                 description: Most candidates a voter may approve (required for approval ballots)
+ *               startTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When ballots are accepted from (required before scheduling)
+ *               endTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When ballots stop being accepted
+ *               zkProof:
+ *                 description: Zero-knowledge proof for admin action, as a snarkjs object or compact bundle (see POST /api/circuits/convert)
+ *     responses:
+ *       201:
+ *         description: Election created as draft
+ *       400:
+ *         description: Bad request or invalid schedule
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - not admin
+ *       409:
+ *         description: The configured proving system has no built and pinned circuits on this server
+ *       500:
+ *         description: Server error
+ */
+router.post('/', protect, adminOnly, electionController.createElection);
+
+/**
+ * @swagger
+ * /api/elections/{electionId}/transition:
+ *   post:
+ *     summary: Move an election to another state (admin only)
+ *     description: >
+ *       Allowed transitions are draft to scheduled, open or archived; scheduled to draft or open;
+ *       open to closed; closed to tallied; tallied to archived. Scheduling needs a start and an end
+ *       time in the future. Opening and closing record the actual time and open or close voting
+ *       on the contract. Every transition is written to the system log. Scheduled elections are
+ *       opened at their start time and open elections closed at their end time by the scheduler.
+ *     tags: [Elections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: electionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Election identifier
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *               - zkProof
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [draft, scheduled, open, closed, tallied, archived]
+ *                 description: State to move to
+ *               startTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: New start time (scheduling only)
+ *               endTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: New end time (scheduling and opening only)
+ *               zkProof:
+ *                 description: Zero-knowledge proof for admin action, as a snarkjs object or compact bundle (see POST /api/circuits/convert)
+ *     responses:
+ *       200:
+ *         description: Election moved to the new state
+ *       400:
+ *         description: Bad request, unknown state or invalid schedule
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - not admin
+ *       404:
+ *         description: Election not found
+ *       409:
+ *         description: The transition is not allowed from the current state
+ *       500:
+ *         description: Server error
+ */
+router.post('/:electionId/transition', protect, adminOnly, electionController.transitionElection);
+
+/**
+ * @swagger
+ * /api/elections/{electionId}/candidates:
+ *   get:
+ *     summary: Get the active candidates of an election
+ *     tags: [Elections]
+ *     parameters:
+ *       - in: path
+ *         name: electionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Election identifier
+ *     responses:
+ *       200:
+ *         description: List of the active candidates of the election
+ *       500:
+ *         description: Server error
+ */
+router.get('/:electionId/candidates', candidateController.getCandidates);
+
+/**
+ * @swagger
+ * /api/elections/{electionId}/candidates/commitment:
+ *   get:
+ *     summary: Get the published commitment of an election's candidate set
+ *     tags: [Elections]
+ *     parameters:
+ *       - in: path
+ *         name: electionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Election identifier
+ *     responses:
+ *       200:
+ *         description: Candidate set commitment, its version and the candidates in circuit order
+ *       500:
+ *         description: Server error
+ */
+router.get('/:electionId/candidates/commitment', candidateController.getCandidateSet);
+
+/**
+ * @swagger
+ * /api/elections/{electionId}/ballots:
+ *   post:
+ *     summary: Cast a vote anonymously in an election
+ *     description: >
+ *       The voter token must have been issued for this election, voters log in once
+ *       for every open election they take part in.
+ *     tags: [Elections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: electionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Election identifier
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - zkProof
+ *             properties:
+ *               choice:
+ *                 type: string
+ *                 description: The voting choice/candidate (single-choice elections)
+ *               ranking:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Every candidate on the ballot in order of preference (ranked elections)
+ *               approvals:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: The approved candidates, at most the election's maxApprovals (approval elections)
+ *               zkProof:
+ *                 description: The zero-knowledge proof for the vote, as a snarkjs object, Solidity calldata or compact bundle (see POST /api/circuits/convert)
+ *     responses:
+ *       201:
+ *         description: Vote cast successfully
+ *       400:
+ *         description: Bad request or already voted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: The token was issued for another election, the election is not open, or the voting window has passed
+ *       404:
+ *         description: Election not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:electionId/ballots', protect, voteController.castVote);
+
+/**
+ * @swagger
+ * /api/elections/{electionId}/stats:
+ *   get:
+ *     summary: Get the voting statistics of an election (admin only)
+ *     tags: [Elections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: electionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Election identifier
+ *     responses:
+ *       200:
+ *         description: Voting statistics retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, admin access required
+ *       404:
+ *         description: Election not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:electionId/stats', protect, adminOnly, voteController.getVotingStats);
+
+/**
+ * @swagger
+ * /api/elections/{electionId}/tally:
+ *   get:
+ *     summary: Tally the ballots of an election (admin only)
+ *     description: >
+ *       Single-choice elections are counted by plurality. Ranked elections are counted by
+ *       instant runoff, with the votes, exhausted ballots, eliminated candidate and vote
+ *       transfers of every round. Approval elections count the approvals of each candidate.
+ *     tags: [Elections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: electionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Election identifier
+ *     responses:
+ *       200:
+ *         description: Tally retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, admin access required
+ *       404:
+ *         description: Election not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:electionId/tally', protect, adminOnly, electionController.getTally);
+
+module.exports = router;
@@ -4,6 +4,8 @@ const voteRoutes = require('./voteRoutes');
 const adminRoutes = require('./adminRoutes');
 const candidateRoutes = require('./candidateRoutes');
 const circuitRoutes = require('./circuitRoutes');
+const registrarRoutes = require('./registrarRoutes');
+const electionRoutes = require('./electionRoutes');
 
 const router = express.Router();
 
@@ -12,5 +14,7 @@ router.use('/vote', voteRoutes);
 router.use('/admin', adminRoutes);
 router.use('/candidates', candidateRoutes);
 router.use('/circuits', circuitRoutes);
+router.use('/registrar', registrarRoutes);
+router.use('/elections', electionRoutes);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,106 @@
+const express = require('express');
+const registrarController = require('../controllers/registrarController');
+const { protect, registrarOnly } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/registrar/keys:
+ *   get:
+ *     summary: Get the registrar public keys whose credentials are accepted
+ *     tags: [Registrar]
+ *     responses:
+ *       200:
+ *         description: BabyJubJub public keys of the registrar keys that have not been revoked
+ *       500:
+ *         description: Server error
+ */
+router.get('/keys', registrarController.getPublicKeys);
+
+/**
+ * @swagger
+ * /api/registrar/keys:
+ *   post:
+ *     summary: Generate a new registrar signing key (registrar only)
+ *     tags: [Registrar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Key generated, it signs all new credentials
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, registrar access required
+ *       500:
+ *         description: Server error
+ */
+router.post('/keys', protect, registrarOnly, registrarController.createKey);
+
+/**
+ * @swagger
+ * /api/registrar/keys/{keyId}:
+ *   delete:
+ *     summary: Revoke a registrar key (registrar only)
+ *     tags: [Registrar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the registrar key
+ *     responses:
+ *       200:
+ *         description: Key revoked, credentials it signed are no longer accepted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, registrar access required
+ *       404:
+ *         description: Key not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/keys/:keyId', protect, registrarOnly, registrarController.revokeKey);
+
+/**
+ * @swagger
+ * /api/registrar/credentials:
+ *   post:
+ *     summary: Sign a voter's identity commitment (registrar only)
+ *     tags: [Registrar]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - identityCommitment
+ *             properties:
+ *               identityCommitment:
+ *                 type: string
+ *                 description: Poseidon commitment of the voter identifier (decimal field element)
+ *     responses:
+ *       201:
+ *         description: EdDSA signature of the commitment and the registrar public key
+ *       400:
+ *         description: Invalid identity commitment
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, registrar access required
+ *       409:
+ *         description: No active registrar key
+ *       500:
+ *         description: Server error
+ */
+router.post('/credentials', protect, registrarOnly, registrarController.issueCredential);
+
+module.exports = router;
@@ -1,9 +1,31 @@
 const express = require('express');
 const voteController = require('../controllers/voteController');
+const electionController = require('../controllers/electionController');
 const { protect, adminOnly } = require('../middleware/authMiddleware');
+const config = require('../config/config');
 
 const router = express.Router();
 
+// The routes below predate election-scoped routes and answer for the configured election
+const configuredElection = (req, res, next) => {
+  req.params.electionId = config.election.id;
+  next();
+};
+
+/**
+ * @swagger
+ * /api/vote/election:
+ *   get:
+ *     summary: Get the configured election (alias of GET /api/elections/{electionId} for ELECTION_ID)
+ *     tags: [Voting]
+ *     responses:
+ *       200:
+ *         description: Election identifier used to scope voter nullifiers, its state and voting window, and the proving system its proofs must use
+ *       500:
+ *         description: Server error
+ */
+router.get('/election', configuredElection, electionController.getElection);
+
 /**
  * @swagger
  * /api/vote/cast:
@@ -19,15 +41,23 @@ const router = express.Router();
  *           schema:
  *             type: object
  *             required:
- *               - choice
  *               - zkProof
  *             properties:
  *               choice:
  *                 type: string
- *                 description: The voting choice/candidate
+ *                 description: The voting choice/candidate (single-choice elections)
+ *               ranking:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Every candidate on the ballot in order of preference (ranked elections)
+ *               approvals:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: The approved candidates, at most the election's maxApprovals (approval elections)
  *               zkProof:
- *                 type: object
- *                 description: The zero-knowledge proof for the vote
+ *                 description: The zero-knowledge proof for the vote, as a snarkjs object, Solidity calldata or compact bundle (see POST /api/circuits/convert)
  *     responses:
  *       201:
  *         description: Vote cast successfully
@@ -35,6 +65,8 @@ const router = express.Router();
  *         description: Bad request or already voted
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: The election is not open, or the voting window has passed
  *       500:
  *         description: Server error
  */
@@ -44,7 +76,7 @@ router.post('/cast', protect, voteController.castVote);
  * @swagger
  * /api/vote/stats:
  *   get:
- *     summary: Get voting statistics (admin only)
+ *     summary: Get the voting statistics of the configured election (alias of GET /api/elections/{electionId}/stats for ELECTION_ID)
  *     tags: [Voting]
  *     security:
  *       - bearerAuth: []
@@ -58,6 +90,6 @@ router.post('/cast', protect, voteController.castVote);
  *       500:
  *         description: Server error
  */
-router.get('/stats', protect, adminOnly, voteController.getVotingStats);
+router.get('/stats', protect, adminOnly, configuredElection, voteController.getVotingStats);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,103 @@
+const AdminActionNonce = require('../models/AdminActionNonce');
+const { verifyAdminActionProof } = require('./zkpService');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const { getFieldEncoder } = require('../utils/poseidon');
+const { isFieldElement } = require('../utils/validator');
+const { parsePublicSignals, PROOF_ERROR_CODES } = require('../utils/publicSignals');
+const { decodeCircuitProof } = require('../utils/proofCodec');
+
+const ACTION_WINDOW_MS = config.auth.adminActionWindowMs;
+
+// MongoDB duplicate key error
+const DUPLICATE_KEY_ERROR = 11000;
+
+const reject = (status, code, message) => ({ authorized: false, status, code, message });
+
+/**
+ * Compute the action hash admin.circom outputs for an action
+ * actionHash = Poseidon(adminKeyCommitment, encodeJSON(actionData), encodeId(actionNonce))
+ * @param {string} adminKeyCommitment - Enrolled commitment of the admin key
+ * @param {Object} actionData - Canonical description of the action, including issuedAt
+ * @param {string} actionNonce - Nonce of the action proof
+ * @returns {Promise<string>} The expected action hash
+ */
+exports.computeActionHash = async (adminKeyCommitment, actionData, actionNonce) => {
+  const encoder = await getFieldEncoder();
+  return encoder.hash([
+    adminKeyCommitment,
+    encoder.encodeJSON(actionData),
+    encoder.encodeId(actionNonce)
+  ]);
+};
+
+/**
+ * Authorize an admin action with its zk-SNARK proof
+ * The proof must be made with the enrolled admin key, for exactly this action,
+ * recently, and with a nonce that has not been used before
+ * @param {Object} adminUser - The admin performing the action
+ * @param {Object} actionData - Canonical description of the requested mutation
+ * @param {Object|string} encodedProof - The proof ({ proof, publicSignals, actionNonce, issuedAt }), in any format of the proof codec
+ * @returns {Promise<Object>} { authorized: true, actionHash } or { authorized: false, status, code, message }
+ */
+exports.authorizeAdminAction = async (adminUser, actionData, encodedProof) => {
+  // Admin actions can only be authorized with an enrolled admin key
+  if (!adminUser.adminKeyCommitment) {
+    return reject(403, undefined, 'Admin key not enrolled');
+  }
+
+  // Admin proofs are always Groth16, whatever the election uses
+  let zkProof;
+  try {
+    zkProof = encodedProof && decodeCircuitProof(encodedProof, 'admin', { protocol: 'groth16' });
+  } catch (error) {
+    return reject(400, error.code, error.message);
+  }
+
+  const signals = zkProof && parsePublicSignals('admin', zkProof.publicSignals);
+  if (!signals) {
+    return reject(400, PROOF_ERROR_CODES.MALFORMED_SIGNALS, 'Admin proof public signals do not match the admin circuit layout');
+  }
+
+  const { actionNonce, issuedAt } = zkProof;
+  if (!isFieldElement(actionNonce) || !Number.isInteger(issuedAt)) {
+    return reject(400, PROOF_ERROR_CODES.ACTION_MISMATCH, 'Admin proof must include its actionNonce and issuedAt');
+  }
+
+  if (Math.abs(Date.now() - issuedAt) > ACTION_WINDOW_MS) {
+    return reject(400, PROOF_ERROR_CODES.NONCE_EXPIRED, 'Admin proof has expired, please try again');
+  }
+
+  // Recompute the hash of the requested mutation; a proof for any other action will not match
+  const expectedActionHash = await exports.computeActionHash(
+    adminUser.adminKeyCommitment,
+    { ...actionData, issuedAt },
+    actionNonce
+  );
+  if (signals.actionHash !== expectedActionHash || signals.publicActionHash !== expectedActionHash) {
+    return reject(400, PROOF_ERROR_CODES.ACTION_MISMATCH, 'Admin proof does not match the requested action');
+  }
+
+  const isValidProof = await verifyAdminActionProof(zkProof, adminUser.adminKeyCommitment);
+  if (!isValidProof) {
+    return reject(400, PROOF_ERROR_CODES.INVALID_PROOF, 'Invalid ZK proof for admin action');
+  }
+
+  // Consume the nonce only after the proof checked out, so invalid submissions cannot burn it
+  try {
+    await AdminActionNonce.create({
+      nonce: String(actionNonce),
+      adminId: adminUser._id,
+      actionHash: expectedActionHash,
+      expiresAt: new Date(issuedAt + ACTION_WINDOW_MS)
+    });
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      logger.warn(`Replayed admin action nonce from admin ${adminUser._id}`);
+      return reject(409, PROOF_ERROR_CODES.NONCE_REPLAYED, 'Admin proof has already been used');
+    }
+    throw error;
+  }
+
+  return { authorized: true, actionHash: expectedActionHash };
+};
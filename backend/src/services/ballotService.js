@@ -0,0 +1,103 @@
+const candidateSetService = require('./candidateSetService');
+
+// Circuit in the registry that proves each kind of ballot
+const BALLOT_CIRCUITS = {
+  single: 'vote',
+  ranked: 'rankedVote',
+  approval: 'approvalVote'
+};
+
+/**
+ * Get the circuit that proves a kind of ballot
+ * @param {string} ballotType - Kind of ballot (single, ranked or approval)
+ * @returns {string} Circuit name in the registry
+ */
+exports.getCircuit = (ballotType = 'single') => BALLOT_CIRCUITS[ballotType];
+
+/**
+ * Get the kind of ballot a stored vote was cast with
+ * @param {Object} vote - Vote document
+ * @returns {string} Kind of ballot
+ */
+exports.getBallotType = (vote) => {
+  if (vote.ranking && vote.ranking.length > 0) {
+    return 'ranked';
+  }
+  // An approval ballot may approve no candidate at all
+  return Array.isArray(vote.approvals) ? 'approval' : 'single';
+};
+
+/**
+ * Read the ballot of a vote and check it against the candidates on the ballot
+ * @param {string} ballotType - Kind of ballot the election uses
+ * @param {Object} values - { choice } for a single-choice ballot, { ranking } for a ranked ballot,
+ *   { approvals } for an approval ballot
+ * @param {Array<string>} candidateIds - IDs of the candidates on the ballot
+ * @param {Object} rules - Rules of the election's ballot
+ * @param {number} rules.maxApprovals - Most candidates an approval ballot may approve
+ * @returns {Object} { ballot } when valid, otherwise { error }
+ */
+exports.readBallot = (ballotType, values, candidateIds, { maxApprovals } = {}) => {
+  if (ballotType === 'approval') {
+    const { approvals } = values;
+    if (!Array.isArray(approvals)) {
+      return { error: 'Please provide the approved candidates' };
+    }
+
+    // Each candidate on the ballot is approved at most once, stored in ballot order
+    const approved = approvals.map(String);
+    if (new Set(approved).size !== approved.length ||
+        !approved.every((candidateId) => candidateIds.includes(candidateId))) {
+      return { error: 'Approvals must be distinct candidates on the current ballot' };
+    }
+    if (approved.length > maxApprovals) {
+      return { error: `At most ${maxApprovals} candidates can be approved` };
+    }
+    return { ballot: { approvals: candidateIds.filter((candidateId) => approved.includes(candidateId)) } };
+  }
+
+  if (ballotType === 'ranked') {
+    const { ranking } = values;
+    if (!Array.isArray(ranking) || ranking.length === 0) {
+      return { error: 'Please provide a ranking of the candidates' };
+    }
+
+    // The circuit only accepts a permutation of the ballot: every candidate ranked exactly once
+    const ranked = ranking.map(String);
+    if (ranked.length !== candidateIds.length ||
+        new Set(ranked).size !== ranked.length ||
+        !ranked.every((candidateId) => candidateIds.includes(candidateId))) {
+      return { error: 'The ranking must list every candidate on the current ballot exactly once' };
+    }
+    return { ballot: { ranking: ranked } };
+  }
+
+  const { choice } = values;
+  if (!choice) {
+    return { error: 'Please provide a choice' };
+  }
+  if (!candidateIds.includes(choice)) {
+    return { error: 'Choice is not a candidate on the current ballot' };
+  }
+  return { ballot: { choice } };
+};
+
+/**
+ * Compute the choice hash a ballot's circuit outputs for it
+ * @param {string} ballotType - Kind of ballot
+ * @param {Object} ballot - Ballot as returned by readBallot
+ * @param {Array<string>} candidateIds - IDs of the candidates on the ballot the proof commits to
+ *   (approval ballots are hashed by ballot index)
+ * @returns {Promise<string>} The choice hash
+ */
+exports.computeChoiceHash = (ballotType, ballot, candidateIds) => {
+  if (ballotType === 'approval') {
+    return candidateSetService.computeApprovalHash(ballot.approvals, candidateIds);
+  }
+  if (ballotType === 'ranked') {
+    return candidateSetService.computeRankingHash(ballot.ranking);
+  }
+  return candidateSetService.computeChoiceHash(ballot.choice);
+};
+
+exports.BALLOT_CIRCUITS = BALLOT_CIRCUITS;
@@ -3,6 +3,8 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
+const { parsePublicSignals } = require('../utils/publicSignals');
+const { toSolidityProofBytes } = require('../utils/proofCodec');
 
 // Path to the contract ABI
 const CONTRACT_ABI_PATH = path.join(__dirname, '../../contracts/VotingContract.json');
@@ -23,6 +25,9 @@ const loadJSONFile = (filePath) => {
   }
 };
 
+// Encode a decimal field element as a bytes32 contract argument
+const toBytes32 = (value) => ethers.toBeHex(BigInt(value), 32);
+
 // Initialize Ethereum provider and contract
 let provider;
 let contract;
@@ -80,12 +85,14 @@ initEthereumConnection();
 
 /**
  * Submit a vote to the blockchain
+ * The contract counts votes by the choice hash the vote proof outputs
  * @param {string} nullifierHash - The nullifier hash to prevent double voting
- * @param {string} choice - The voting choice
- * @param {Object} zkProof - The zero-knowledge proof
+ * @param {Object} zkProof - The zero-knowledge proof of the vote
+ * @param {string} circuit - Circuit of the ballot (vote, rankedVote or approvalVote), all output a choice hash
+ * @param {string} version - Version of the circuit pinned by the election
  * @returns {Promise<string>} The transaction hash
  */
-exports.submitVote = async (nullifierHash, choice, zkProof) => {
+exports.submitVote = async (nullifierHash, zkProof, circuit, version) => {
   try {
     // In development/testing mode, we'll simulate blockchain submission
     if (isDevelopment) {
@@ -98,16 +105,16 @@ exports.submitVote = async (nullifierHash, choice, zkProof) => {
       throw new Error('Ethereum connection not initialized');
     }
     
-    // Convert the proof to the format expected by the smart contract
-    const proofForContract = [
-      zkProof.proof.pi_a,
-      zkProof.proof.pi_b,
-      zkProof.proof.pi_c,
-      zkProof.publicSignals
-    ];
+    // The contract takes field elements as bytes32 and the proof as ABI-encoded verifier calldata
+    const signals = parsePublicSignals(circuit, zkProof.publicSignals, version);
+    if (!signals) {
+      throw new Error(`Public signals do not match the ${circuit}@${version} circuit`);
+    }
+    const { choiceHash } = signals;
+    const proofForContract = toSolidityProofBytes(zkProof);
     
     // Submit vote to the blockchain
-    const tx = await contract.castVote(nullifierHash, choice, proofForContract);
+    const tx = await contract.castVote(toBytes32(nullifierHash), toBytes32(choiceHash), proofForContract);
     await tx.wait(); // Wait for transaction to be mined
     
     logger.info(`Vote submitted to blockchain: ${tx.hash}`);
@@ -122,6 +129,34 @@ exports.submitVote = async (nullifierHash, choice, zkProof) => {
   }
 };
 
+/**
+ * Open or close voting on the contract
+ * @param {boolean} open - Whether the contract should accept votes
+ * @returns {Promise<string|null>} The transaction hash, or null when simulated
+ */
+exports.setVotingStatus = async (open) => {
+  try {
+    // In development/testing mode, we'll simulate the status change
+    if (isDevelopment) {
+      logger.info(`Simulating blockchain voting status change: ${open ? 'open' : 'closed'}`);
+      return null;
+    }
+    
+    if (!isConnected || !contract) {
+      throw new Error('Ethereum connection not initialized');
+    }
+    
+    const tx = await contract.setVotingStatus(open);
+    await tx.wait(); // Wait for transaction to be mined
+    
+    logger.info(`Voting ${open ? 'opened' : 'closed'} on the blockchain: ${tx.hash}`);
+    return tx.hash;
+  } catch (error) {
+    logger.error(`Error setting voting status on blockchain: ${error.message}`);
+    throw new Error('Failed to set voting status on blockchain');
+  }
+};
+
 /**
  * Get the total vote count from the blockchain
  * @returns {Promise<number>} The total vote count
@@ -0,0 +1,125 @@
+const Candidate = require('../models/Candidate');
+const CandidateSet = require('../models/CandidateSet');
+const logger = require('../utils/logger');
+const { logSystemEvent } = logger;
+const config = require('../config/config');
+const { getFieldEncoder } = require('../utils/poseidon');
+
+const MAX_CANDIDATES = config.zkp.maxCandidates;
+
+/**
+ * Map a candidate ID to the field element used as the vote circuit's choice
+ * @param {string} candidateId - The candidate ID
+ * @returns {Promise<string>} The candidate ID as a decimal field element
+ */
+exports.encodeCandidateId = async (candidateId) => {
+  const encoder = await getFieldEncoder();
+  return encoder.encodeId(candidateId);
+};
+
+/**
+ * Compute the choice hash the vote circuit outputs for a candidate
+ * @param {string} candidateId - The candidate ID
+ * @returns {Promise<string>} Poseidon hash of the encoded candidate ID
+ */
+exports.computeChoiceHash = async (candidateId) => {
+  const encoder = await getFieldEncoder();
+  return encoder.hash([encoder.encodeId(candidateId)]);
+};
+
+/**
+ * Compute the choice hash the ranked vote circuit outputs for a ranking
+ * @param {Array<string>} ranking - Candidate IDs in order of preference
+ * @returns {Promise<string>} Poseidon hash of the encoded candidate IDs, zero padded to the ballot size
+ */
+exports.computeRankingHash = async (ranking) => {
+  const encoder = await getFieldEncoder();
+  return encoder.hash(Array.from({ length: MAX_CANDIDATES }, (_, i) => (
+    i < ranking.length ? encoder.encodeId(ranking[i]) : '0'
+  )));
+};
+
+/**
+ * Compute the choice hash the approval vote circuit outputs for a set of approved candidates
+ * @param {Array<string>} approvals - IDs of the approved candidates
+ * @param {Array<string>} candidateIds - IDs of the candidates on the ballot the proof commits to, in ballot order
+ * @returns {Promise<string>} Poseidon hash of the encoded candidate IDs at their ballot index, zero for the others
+ */
+exports.computeApprovalHash = async (approvals, candidateIds) => {
+  const encoder = await getFieldEncoder();
+  return encoder.hash(Array.from({ length: MAX_CANDIDATES }, (_, i) => (
+    i < candidateIds.length && approvals.includes(candidateIds[i]) ? encoder.encodeId(candidateIds[i]) : '0'
+  )));
+};
+
+/**
+ * Compute the commitment of a candidate list, as the vote circuit does
+ * commitment = Poseidon(Poseidon(candidates padded with zeros), candidateCount)
+ * @param {Array<string>} candidateIds - IDs of the candidates, in ballot order
+ * @returns {Promise<Object>} The commitment and the padded, encoded candidate list
+ */
+exports.computeCandidateSet = async (candidateIds) => {
+  if (candidateIds.length > MAX_CANDIDATES) {
+    throw new Error(`A ballot can hold at most ${MAX_CANDIDATES} candidates`);
+  }
+
+  const encoder = await getFieldEncoder();
+  const candidates = Array.from({ length: MAX_CANDIDATES }, (_, i) => (
+    i < candidateIds.length ? encoder.encodeId(candidateIds[i]) : '0'
+  ));
+
+  const listHash = encoder.hash(candidates);
+  const commitment = encoder.hash([listHash, candidateIds.length]);
+
+  return {
+    commitment,
+    candidateIds,
+    candidateCount: candidateIds.length,
+    candidates
+  };
+};
+
+/**
+ * Recompute the commitment of an election's active candidates and publish it if it changed
+ * Candidates are ordered by ID so the same set always yields the same commitment
+ * @param {string} electionId - The election the ballot belongs to
+ * @returns {Promise<Object>} The current candidate set
+ */
+exports.publishCandidateSet = async (electionId = config.election.id) => {
+  const activeCandidates = await Candidate.find({ electionId, isActive: true })
+    .select('candidateId')
+    .sort({ candidateId: 1 });
+
+  const candidateSet = await exports.computeCandidateSet(activeCandidates.map(c => c.candidateId));
+
+  const latest = await CandidateSet.findOne({ electionId }).sort({ createdAt: -1, _id: -1 });
+  if (!latest || latest.commitment !== candidateSet.commitment) {
+    await CandidateSet.create({
+      electionId,
+      commitment: candidateSet.commitment,
+      candidateIds: candidateSet.candidateIds,
+      candidateCount: candidateSet.candidateCount
+    });
+
+    await logSystemEvent('INFO', 'Candidate set published', `Election ${electionId}: commitment ${candidateSet.commitment} for ${candidateSet.candidateCount} candidates`);
+  }
+
+  return candidateSet;
+};
+
+/**
+ * Get the most recently published candidate set of an election
+ * Publishes one first if none exists yet
+ * @param {string} electionId - The election the ballot belongs to
+ * @returns {Promise<Object>} The current candidate set
+ */
+exports.getCurrentCandidateSet = async (electionId = config.election.id) => {
+  const latest = await CandidateSet.findOne({ electionId }).sort({ createdAt: -1, _id: -1 });
+  if (!latest) {
+    return exports.publishCandidateSet(electionId);
+  }
+
+  return exports.computeCandidateSet(latest.candidateIds);
+};
+
+exports.MAX_CANDIDATES = MAX_CANDIDATES;
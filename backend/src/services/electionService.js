@@ -0,0 +1,334 @@
+const crypto = require('crypto');
+const Election = require('../models/Election');
+const { ELECTION_STATES, BALLOT_TYPES } = Election;
+const Candidate = require('../models/Candidate');
+const logger = require('../utils/logger');
+const { logSystemEvent } = logger;
+const config = require('../config/config');
+const blockchainService = require('./blockchainService');
+const zkpService = require('./zkpService');
+const circuitRegistry = require('../utils/circuitRegistry');
+
+// States an election may move to from each state
+const ELECTION_TRANSITIONS = {
+  draft: ['scheduled', 'open', 'archived'],
+  scheduled: ['draft', 'open'],
+  open: ['closed'],
+  closed: ['tallied'],
+  tallied: ['archived'],
+  archived: []
+};
+
+// States in which the ballot (the candidates of the election) may still change
+const EDITABLE_STATES = ['draft', 'scheduled'];
+
+const ELECTION_ERROR_CODES = {
+  NOT_FOUND: 'ELECTION_NOT_FOUND',
+  INVALID_TRANSITION: 'ELECTION_INVALID_TRANSITION',
+  INVALID_SCHEDULE: 'ELECTION_INVALID_SCHEDULE',
+  INVALID_BALLOT_TYPE: 'ELECTION_INVALID_BALLOT_TYPE',
+  INVALID_APPROVAL_LIMIT: 'ELECTION_INVALID_APPROVAL_LIMIT',
+  NOT_OPEN: 'ELECTION_NOT_OPEN',
+  BALLOT_LOCKED: 'ELECTION_BALLOT_LOCKED',
+  UNSUPPORTED_PROVING_SYSTEM: 'ELECTION_UNSUPPORTED_PROVING_SYSTEM'
+};
+
+/**
+ * Raised when an election does not exist or cannot do what was asked in its current state
+ * The error handler answers with its status code and error code
+ */
+class ElectionError extends Error {
+  constructor(statusCode, code, message) {
+    super(message);
+    this.name = 'ElectionError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+// Parse an optional date from a request, undefined when absent
+const parseTime = (value, field) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const time = new Date(value);
+  if (Number.isNaN(time.getTime())) {
+    throw new ElectionError(400, ELECTION_ERROR_CODES.INVALID_SCHEDULE, `${field} is not a valid date`);
+  }
+  return time;
+};
+
+const checkSchedule = (startTime, endTime) => {
+  if (startTime && endTime && startTime >= endTime) {
+    throw new ElectionError(400, ELECTION_ERROR_CODES.INVALID_SCHEDULE, 'The election must end after it starts');
+  }
+};
+
+// Elections are only created with a proving system whose circuits are built and pinned
+const checkProvingSystem = (provingSystem) => {
+  const problems = zkpService.getProvingSystemProblems(provingSystem);
+  if (problems.length > 0) {
+    throw new ElectionError(409, ELECTION_ERROR_CODES.UNSUPPORTED_PROVING_SYSTEM,
+      `Elections cannot use ${provingSystem} proofs on this server: ${problems.join('; ')}`);
+  }
+};
+
+/**
+ * Make sure the election this server was configured with exists
+ * It accepted ballots before elections had a lifecycle, so it is created open.
+ * Candidates from before elections existed are moved onto it.
+ * This should be run once during startup, after the database connection
+ * @returns {Promise<Object>} The configured election
+ */
+exports.initialize = async () => {
+  let election = await Election.findOne({ electionId: config.election.id });
+  if (!election) {
+    checkProvingSystem(config.election.provingSystem);
+    election = await Election.create({
+      electionId: config.election.id,
+      name: `Election ${config.election.id}`,
+      provingSystem: config.election.provingSystem,
+      circuitVersions: circuitRegistry.getCurrentVersions(),
+      status: 'open',
+      startTime: new Date()
+    });
+    await logSystemEvent('INFO', 'Election created', `Election ${election.electionId} created open from the server configuration`);
+  }
+
+  // Elections from before the proving system was stored per election used the configured one
+  const { modifiedCount: migratedElections } = await Election.updateMany(
+    { provingSystem: { $exists: false } },
+    { $set: { provingSystem: config.election.provingSystem } }
+  );
+  if (migratedElections > 0) {
+    logger.info(`Set the proving system of ${migratedElections} elections to ${config.election.provingSystem}`);
+  }
+
+  // Elections opened before the circuit versions were pinned per election used the configured versions
+  const { modifiedCount: pinnedElections } = await Election.updateMany(
+    { status: { $in: ['open', 'closed', 'tallied', 'archived'] }, circuitVersions: { $exists: false } },
+    { $set: { circuitVersions: { ...circuitRegistry.getCurrentVersions(), ...config.election.circuitVersions } } }
+  );
+  if (pinnedElections > 0) {
+    logger.info(`Pinned the circuit versions of ${pinnedElections} elections`);
+  }
+
+  const { modifiedCount } = await Candidate.updateMany(
+    { electionId: { $exists: false } },
+    { $set: { electionId: config.election.id } }
+  );
+  if (modifiedCount > 0) {
+    logger.info(`Assigned ${modifiedCount} candidates to election ${config.election.id}`);
+  }
+
+  logger.info(`Election ${election.electionId} is ${election.status}`);
+  return election;
+};
+
+/**
+ * Create a draft election
+ * Its proofs are made with the configured proving system for as long as the election exists
+ * @param {Object} details - The election details
+ * @param {string} details.name - Name of the election
+ * @param {string} details.description - Description shown to voters
+ * @param {string} details.ballotType - Kind of ballot voters cast (single, ranked or approval)
+ * @param {number} details.maxApprovals - Most candidates a voter may approve (approval ballots only)
+ * @param {string|Date} details.startTime - When ballots are accepted from (optional until scheduling)
+ * @param {string|Date} details.endTime - When ballots stop being accepted (optional)
+ * @param {string} actor - Who created the election, for the system log
+ * @returns {Promise<Object>} The new election
+ */
+exports.createElection = async ({ name, description, ballotType = 'single', maxApprovals, startTime, endTime }, actor) => {
+  if (!BALLOT_TYPES.includes(ballotType)) {
+    throw new ElectionError(400, ELECTION_ERROR_CODES.INVALID_BALLOT_TYPE, `Unknown ballot type: ${ballotType}`);
+  }
+
+  // The approval vote circuit checks the approvals against this limit, it cannot exceed the ballot size
+  const approvalLimit = ballotType === 'approval' ? Number(maxApprovals) : null;
+  if (ballotType === 'approval' && !(Number.isInteger(approvalLimit) && approvalLimit >= 1 && approvalLimit <= config.zkp.maxCandidates)) {
+    throw new ElectionError(400, ELECTION_ERROR_CODES.INVALID_APPROVAL_LIMIT, `maxApprovals must be a whole number from 1 to ${config.zkp.maxCandidates}`);
+  }
+
+  const start = parseTime(startTime, 'startTime');
+  const end = parseTime(endTime, 'endTime');
+  checkSchedule(start, end);
+  checkProvingSystem(config.election.provingSystem);
+
+  // Election IDs are circuit inputs, 248 random bits always fit in the field
+  const electionId = BigInt(`0x${crypto.randomBytes(31).toString('hex')}`).toString();
+
+  const election = await Election.create({
+    electionId,
+    name,
+    description,
+    ballotType,
+    maxApprovals: approvalLimit,
+    provingSystem: config.election.provingSystem,
+    startTime: start,
+    endTime: end
+  });
+
+  await logSystemEvent('INFO', 'Election created', `Election ${electionId} (${name}, ${ballotType} ballot) created as draft by ${actor}`);
+  return election;
+};
+
+/**
+ * Get an election by its public identifier
+ * @param {string} electionId - The election identifier
+ * @returns {Promise<Object>} The election
+ * @throws {ElectionError} When the election does not exist
+ */
+exports.getElection = async (electionId) => {
+  const election = await Election.findOne({ electionId: String(electionId) });
+  if (!election) {
+    throw new ElectionError(404, ELECTION_ERROR_CODES.NOT_FOUND, 'Election not found');
+  }
+  return election;
+};
+
+/**
+ * Get an election if it exists and is open
+ * @param {string} electionId - The election identifier
+ * @returns {Promise<Object|null>} The election, or null if it does not exist or is not open
+ */
+exports.getOpenElection = async (electionId) => {
+  return Election.findOne({ electionId: String(electionId), status: 'open' });
+};
+
+/**
+ * List the proving systems voters may have to prove with
+ * New elections are created with the configured one, elections still running keep their own
+ * @returns {Promise<Array<string>>} The proving systems
+ */
+exports.getProvingSystems = async () => {
+  const provingSystems = await Election.distinct('provingSystem', { status: { $in: ['draft', 'scheduled', 'open'] } });
+  return [...new Set([config.election.provingSystem, ...provingSystems.filter(Boolean)])];
+};
+
+/**
+ * List elections, newest first
+ * @param {Array<string>} statuses - Only list elections in these states (all if omitted)
+ * @returns {Promise<Array<Object>>} The elections
+ */
+exports.listElections = async (statuses) => {
+  const filter = statuses && statuses.length > 0 ? { status: { $in: statuses } } : {};
+  return Election.find(filter).sort({ createdAt: -1 });
+};
+
+/**
+ * Move an election to another state
+ * Scheduling needs a start and an end time; opening and closing record when it actually
+ * happened, and tell the voting contract whether it accepts votes
+ * @param {string} electionId - The election identifier
+ * @param {string} status - The state to move to
+ * @param {Object} options - Transition options
+ * @param {string|Date} options.startTime - New start time (scheduling only)
+ * @param {string|Date} options.endTime - New end time (scheduling and opening only)
+ * @param {Date} options.at - When opening or closing takes effect, now by default
+ *   (the scheduler passes the configured time when it catches up on a missed transition)
+ * @param {string} options.actor - Who requested the transition, for the system log
+ * @returns {Promise<Object>} The updated election
+ * @throws {ElectionError} When the transition is not allowed
+ */
+exports.transitionElection = async (electionId, status, { startTime, endTime, at, actor = 'system' } = {}) => {
+  if (!ELECTION_STATES.includes(status)) {
+    throw new ElectionError(400, ELECTION_ERROR_CODES.INVALID_TRANSITION, `Unknown election state: ${status}`);
+  }
+
+  const election = await exports.getElection(electionId);
+  const from = election.status;
+  if (!ELECTION_TRANSITIONS[from].includes(status)) {
+    throw new ElectionError(409, ELECTION_ERROR_CODES.INVALID_TRANSITION, `An election cannot go from ${from} to ${status}`);
+  }
+
+  const now = new Date();
+  const effectiveAt = at || now;
+  const update = { status, statusChangedAt: now, updatedAt: now };
+
+  if (status === 'scheduled') {
+    update.startTime = parseTime(startTime, 'startTime') || election.startTime;
+    update.endTime = parseTime(endTime, 'endTime') || election.endTime;
+    if (!update.startTime || !update.endTime) {
+      throw new ElectionError(400, ELECTION_ERROR_CODES.INVALID_SCHEDULE, 'A scheduled election needs a start and an end time');
+    }
+    if (update.startTime <= now) {
+      throw new ElectionError(400, ELECTION_ERROR_CODES.INVALID_SCHEDULE, 'A scheduled election must start in the future');
+    }
+    checkSchedule(update.startTime, update.endTime);
+  } else if (status === 'open') {
+    // Proofs are verified against the circuit versions current at opening, even after newer ones are added
+    update.circuitVersions = circuitRegistry.getCurrentVersions();
+    update.startTime = effectiveAt;
+    update.endTime = parseTime(endTime, 'endTime') || election.endTime;
+    if (update.endTime && update.endTime <= effectiveAt) {
+      throw new ElectionError(400, ELECTION_ERROR_CODES.INVALID_SCHEDULE, 'The election would end before it opens');
+    }
+  } else if (status === 'closed' && (!election.endTime || election.endTime > effectiveAt)) {
+    update.endTime = effectiveAt;
+  }
+
+  // Only move from the state checked above, a concurrent transition wins otherwise
+  const updated = await Election.findOneAndUpdate(
+    { electionId: election.electionId, status: from },
+    { $set: update },
+    { new: true }
+  );
+  if (!updated) {
+    throw new ElectionError(409, ELECTION_ERROR_CODES.INVALID_TRANSITION, 'The election changed state in the meantime, please try again');
+  }
+
+  await logSystemEvent('INFO', 'Election state changed', `Election ${updated.electionId} (${updated.name}): ${from} -> ${status}, by ${actor}`);
+
+  // The contract has one flag for all elections: voting is open while any election is
+  // Failing to update it must not undo the transition
+  if (status === 'open' || from === 'open') {
+    try {
+      await blockchainService.setVotingStatus(Boolean(await Election.exists({ status: 'open' })));
+    } catch (error) {
+      logger.error(`Failed to update the contract voting status: ${error.message}`);
+      await logSystemEvent('ERROR', 'Contract voting status not updated', `Election ${updated.electionId}: ${error.message}`);
+    }
+  }
+
+  return updated;
+};
+
+/**
+ * Check that an election accepts ballots right now
+ * It must be open, and the time must be within its start and end time
+ * @param {Object} election - The election
+ * @param {Date} now - The time the ballot was received
+ * @returns {Object|null} { code, message } when ballots are not accepted, otherwise null
+ */
+exports.checkBallotWindow = (election, now = new Date()) => {
+  if (election.status !== 'open') {
+    return { code: ELECTION_ERROR_CODES.NOT_OPEN, message: `The election is ${election.status}, it does not accept ballots` };
+  }
+  if (election.startTime && now < election.startTime) {
+    return { code: ELECTION_ERROR_CODES.NOT_OPEN, message: 'The election has not started yet' };
+  }
+  if (election.endTime && now >= election.endTime) {
+    return { code: ELECTION_ERROR_CODES.NOT_OPEN, message: 'The election has ended' };
+  }
+  return null;
+};
+
+/**
+ * Get an election whose ballot may still change
+ * @param {string} electionId - The election identifier
+ * @returns {Promise<Object>} The election
+ * @throws {ElectionError} When the election does not exist or has opened
+ */
+exports.getEditableElection = async (electionId) => {
+  const election = await exports.getElection(electionId);
+  if (!EDITABLE_STATES.includes(election.status)) {
+    throw new ElectionError(409, ELECTION_ERROR_CODES.BALLOT_LOCKED, `The candidates of a ${election.status} election cannot change`);
+  }
+  return election;
+};
+
+exports.ELECTION_STATES = ELECTION_STATES;
+exports.BALLOT_TYPES = BALLOT_TYPES;
+exports.ELECTION_TRANSITIONS = ELECTION_TRANSITIONS;
+exports.ELECTION_ERROR_CODES = ELECTION_ERROR_CODES;
+exports.ElectionError = ElectionError;
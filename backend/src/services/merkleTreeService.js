@@ -0,0 +1,196 @@
+const { getFieldEncoder } = require('../utils/poseidon');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+const TREE_DEPTH = config.zkp.merkleTreeDepth;
+const ROOT_HISTORY_SIZE = config.zkp.merkleRootHistorySize;
+
+// Value of an empty leaf in the voter registry
+const ZERO_LEAF = BigInt(0);
+
+// Tree state, rebuilt from the User collection on startup
+let encoder;
+let zeros = [];
+let layers = [];
+let recentRoots = [];
+let initialized = false;
+
+// Registrations are serialized so leaf indices are assigned without gaps or collisions
+let insertQueue = Promise.resolve();
+
+// Hash two child nodes into their parent node
+const hashPair = (left, right) => BigInt(encoder.hash([left, right]));
+
+const getNode = (level, index) => {
+  const node = layers[level][index];
+  return node === undefined ? zeros[level] : node;
+};
+
+const currentRoot = () => getNode(TREE_DEPTH, 0);
+
+const rememberRoot = (root) => {
+  recentRoots.push(root.toString());
+  if (recentRoots.length > ROOT_HISTORY_SIZE) {
+    recentRoots.shift();
+  }
+};
+
+// Write a leaf and recompute every node on its path to the root
+const setLeaf = (leafIndex, leaf) => {
+  let index = leafIndex;
+  layers[0][index] = leaf;
+
+  for (let level = 0; level < TREE_DEPTH; level++) {
+    const parentIndex = Math.floor(index / 2);
+    const left = getNode(level, parentIndex * 2);
+    const right = getNode(level, parentIndex * 2 + 1);
+    layers[level + 1][parentIndex] = hashPair(left, right);
+    index = parentIndex;
+  }
+};
+
+/**
+ * Compute the Poseidon identity commitment for the field-encoded voter secrets
+ * @param {string|bigint} identifierPreimage - The identifier as a field element
+ * @param {string|bigint} nullifierSecret - The nullifier secret as a field element
+ * @returns {Promise<string>} The identity commitment
+ */
+exports.computeIdentityCommitment = async (identifierPreimage, nullifierSecret) => {
+  const fieldEncoder = await getFieldEncoder();
+  return fieldEncoder.hash([identifierPreimage, nullifierSecret]);
+};
+
+/**
+ * Build the registry tree from the commitments stored on voter records
+ * This should be run once during startup, after the database connection
+ * @returns {Promise<void>}
+ */
+exports.initialize = async () => {
+  encoder = await getFieldEncoder();
+
+  zeros = [ZERO_LEAF];
+  for (let level = 1; level <= TREE_DEPTH; level++) {
+    zeros[level] = hashPair(zeros[level - 1], zeros[level - 1]);
+  }
+
+  layers = Array.from({ length: TREE_DEPTH + 1 }, () => []);
+  recentRoots = [];
+
+  const voters = await User.find({ identityCommitment: { $exists: true } })
+    .select('identityCommitment leafIndex')
+    .sort({ leafIndex: 1 });
+
+  voters.forEach((voter) => {
+    setLeaf(voter.leafIndex, BigInt(voter.identityCommitment));
+  });
+
+  rememberRoot(currentRoot());
+  initialized = true;
+
+  logger.info(`Voter registry tree initialized with ${voters.length} leaves (depth ${TREE_DEPTH})`);
+};
+
+/**
+ * Insert a new identity commitment into the registry
+ * @param {string} identityCommitment - Poseidon commitment of the voter identifier
+ * @param {Function} persist - Async callback that stores the commitment with its leaf index
+ * @returns {Promise<Object>} The leaf index and the new root
+ */
+exports.insertCommitment = (identityCommitment, persist) => {
+  const task = insertQueue.then(async () => {
+    if (!initialized) {
+      throw new Error('Voter registry tree is not initialized');
+    }
+
+    const leafIndex = layers[0].length;
+    if (leafIndex >= 2 ** TREE_DEPTH) {
+      throw new Error('Voter registry tree is full');
+    }
+
+    // Persist first so the in-memory tree never contains an unsaved leaf
+    await persist(leafIndex);
+
+    setLeaf(leafIndex, BigInt(identityCommitment));
+    const root = currentRoot();
+    rememberRoot(root);
+
+    return { leafIndex, root: root.toString() };
+  });
+
+  // Keep the queue alive even if this insertion fails
+  insertQueue = task.catch(() => {});
+  return task;
+};
+
+/**
+ * Get the current registry root
+ * @returns {Object} The root, tree depth and number of registered leaves
+ */
+exports.getRoot = () => ({
+  root: currentRoot().toString(),
+  depth: TREE_DEPTH,
+  leafCount: layers[0].length
+});
+
+/**
+ * Get the registered leaves from a leaf index on, in leaf order
+ * Voters compute their authentication path from the leaves, so the server never learns which
+ * leaf a voter is about to prove membership of; a voter who kept the tree from an earlier
+ * login only asks for the leaves registered since
+ * @param {number} from - Index of the first leaf to return
+ * @returns {Object|null} The leaves, their first index, the number of leaves, tree depth and
+ *   the root they hash to, or null when from is past the last leaf
+ */
+exports.getLeaves = (from = 0) => {
+  if (!Number.isInteger(from) || from < 0 || from > layers[0].length) {
+    return null;
+  }
+
+  return {
+    leaves: layers[0].slice(from).map((leaf) => leaf.toString()),
+    from,
+    leafCount: layers[0].length,
+    depth: TREE_DEPTH,
+    root: currentRoot().toString()
+  };
+};
+
+/**
+ * Get the authentication path for a registered leaf
+ * @param {number} leafIndex - Index of the leaf in the tree
+ * @returns {Object|null} Path elements, path indices and the root they hash to
+ */
+exports.getAuthenticationPath = (leafIndex) => {
+  if (!Number.isInteger(leafIndex) || leafIndex < 0 || leafIndex >= layers[0].length) {
+    return null;
+  }
+
+  const pathElements = [];
+  const pathIndices = [];
+  let index = leafIndex;
+
+  for (let level = 0; level < TREE_DEPTH; level++) {
+    const isRightChild = index % 2;
+    pathElements.push(getNode(level, isRightChild ? index - 1 : index + 1).toString());
+    pathIndices.push(isRightChild);
+    index = Math.floor(index / 2);
+  }
+
+  return {
+    leafIndex,
+    pathElements,
+    pathIndices,
+    root: currentRoot().toString()
+  };
+};
+
+/**
+ * Check whether a root is the current root or one of the recent roots
+ * Recent roots stay valid so registrations do not invalidate in-flight login proofs
+ * @param {string} root - The root claimed by a proof
+ * @returns {boolean} Whether the root is known
+ */
+exports.isKnownRoot = (root) => {
+  return recentRoots.includes(String(root));
+};
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const { buildEddsa } = require('circomlibjs');
+const RegistrarKey = require('../models/RegistrarKey');
+const logger = require('../utils/logger');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { generateUUID } = require('../utils/idGenerator');
+const { isFieldElement } = require('../utils/validator');
+
+let eddsaPromise;
+
+// BabyJubJub EdDSA over Poseidon, as verified by circomlib EdDSAPoseidonVerifier
+const getEddsa = () => {
+  if (!eddsaPromise) {
+    eddsaPromise = buildEddsa();
+  }
+  return eddsaPromise;
+};
+
+// Public view of a registrar key
+const toPublicKey = (key) => ({
+  keyId: key.keyId,
+  publicKey: {
+    x: key.publicKeyX,
+    y: key.publicKeyY
+  },
+  isActive: key.isActive,
+  revokedAt: key.revokedAt,
+  createdAt: key.createdAt
+});
+
+/**
+ * Generate a new registrar signing key and make it the active one
+ * Previous keys stop signing but stay trusted until they are revoked
+ * @param {string} createdBy - ID of the registrar creating the key
+ * @returns {Promise<Object>} The public view of the new key
+ */
+exports.generateKey = async (createdBy) => {
+  const eddsa = await getEddsa();
+  const privateKey = crypto.randomBytes(32);
+  const publicKey = eddsa.prv2pub(privateKey);
+
+  await RegistrarKey.updateMany({ isActive: true }, { isActive: false });
+
+  const key = await RegistrarKey.create({
+    keyId: generateUUID(),
+    publicKeyX: eddsa.F.toObject(publicKey[0]).toString(),
+    publicKeyY: eddsa.F.toObject(publicKey[1]).toString(),
+    encryptedPrivateKey: encrypt(privateKey.toString('hex')),
+    isActive: true,
+    createdBy
+  });
+
+  logger.info(`Registrar key ${key.keyId} generated`);
+  return toPublicKey(key);
+};
+
+/**
+ * List the registrar keys
+ * @param {boolean} includeRevoked - Whether to include revoked keys
+ * @returns {Promise<Array<Object>>} Public views of the keys, newest first
+ */
+exports.listKeys = async (includeRevoked = false) => {
+  const filter = includeRevoked ? {} : { revokedAt: { $exists: false } };
+  const keys = await RegistrarKey.find(filter).sort({ createdAt: -1 });
+  return keys.map(toPublicKey);
+};
+
+/**
+ * Revoke a registrar key, credentials it signed are no longer accepted
+ * @param {string} keyId - ID of the key to revoke
+ * @returns {Promise<Object|null>} The public view of the revoked key, or null if it does not exist
+ */
+exports.revokeKey = async (keyId) => {
+  const key = await RegistrarKey.findOne({ keyId });
+  if (!key) {
+    return null;
+  }
+
+  if (!key.revokedAt) {
+    key.revokedAt = new Date();
+    key.isActive = false;
+    await key.save();
+    logger.info(`Registrar key ${keyId} revoked`);
+  }
+
+  return toPublicKey(key);
+};
+
+/**
+ * Check whether a public key belongs to a registrar key that has not been revoked
+ * @param {string} publicKeyX - X coordinate of the public key
+ * @param {string} publicKeyY - Y coordinate of the public key
+ * @returns {Promise<boolean>} Whether credentials signed by the key are accepted
+ */
+exports.isTrustedKey = async (publicKeyX, publicKeyY) => {
+  const key = await RegistrarKey.findOne({
+    publicKeyX: String(publicKeyX),
+    publicKeyY: String(publicKeyY),
+    revokedAt: { $exists: false }
+  });
+  return !!key;
+};
+
+/**
+ * Sign a voter's identity commitment with the active registrar key
+ * @param {string} identityCommitment - Poseidon(identifierPreimage, nullifierSecret)
+ * @returns {Promise<Object|null>} The credential, or null if there is no active key
+ */
+exports.issueCredential = async (identityCommitment) => {
+  const key = await RegistrarKey.findOne({ isActive: true, revokedAt: { $exists: false } });
+  if (!key) {
+    return null;
+  }
+
+  const privateKey = decrypt(key.encryptedPrivateKey);
+  if (!privateKey) {
+    throw new Error('Failed to decrypt registrar key');
+  }
+
+  const eddsa = await getEddsa();
+  const signature = eddsa.signPoseidon(Buffer.from(privateKey, 'hex'), eddsa.F.e(BigInt(identityCommitment)));
+
+  return {
+    keyId: key.keyId,
+    publicKey: {
+      x: key.publicKeyX,
+      y: key.publicKeyY
+    },
+    identityCommitment: String(identityCommitment),
+    signature: {
+      R8x: eddsa.F.toObject(signature.R8[0]).toString(),
+      R8y: eddsa.F.toObject(signature.R8[1]).toString(),
+      S: signature.S.toString()
+    }
+  };
+};
+
+/**
+ * Check a credential against its identity commitment and a trusted registrar key
+ * @param {string} identityCommitment - The signed identity commitment
+ * @param {Object} credential - Credential from issueCredential ({ publicKey, signature })
+ * @returns {Promise<boolean>} Whether the credential is valid
+ */
+exports.verifyCredential = async (identityCommitment, credential) => {
+  const { publicKey, signature } = credential || {};
+  if (!publicKey || !signature ||
+    ![identityCommitment, publicKey.x, publicKey.y, signature.R8x, signature.R8y, signature.S].every(isFieldElement)) {
+    return false;
+  }
+
+  if (!(await exports.isTrustedKey(publicKey.x, publicKey.y))) {
+    return false;
+  }
+
+  const eddsa = await getEddsa();
+  const { F } = eddsa;
+  try {
+    return eddsa.verifyPoseidon(
+      F.e(BigInt(identityCommitment)),
+      { R8: [F.e(BigInt(signature.R8x)), F.e(BigInt(signature.R8y))], S: BigInt(signature.S) },
+      [F.e(BigInt(publicKey.x)), F.e(BigInt(publicKey.y))]
+    );
+  } catch (error) {
+    logger.warn(`Registrar credential verification failed: ${error.message}`);
+    return false;
+  }
+};
@@ -0,0 +1,173 @@
+const Election = require('../models/Election');
+const ScheduledJob = require('../models/ScheduledJob');
+const logger = require('../utils/logger');
+const { logSystemEvent } = logger;
+const config = require('../config/config');
+const electionService = require('./electionService');
+
+let timer = null;
+let ticking = false;
+
+// Transitions the scheduler makes for an election in its current state, and when they are due
+const plannedJobs = (election) => {
+  if (election.status === 'scheduled') {
+    return [
+      { targetStatus: 'open', runAt: election.startTime },
+      { targetStatus: 'closed', runAt: election.endTime }
+    ];
+  }
+  if (election.status === 'open' && election.endTime) {
+    return [{ targetStatus: 'closed', runAt: election.endTime }];
+  }
+  return [];
+};
+
+/**
+ * Bring the scheduled jobs of an election in line with its state and voting window
+ * Scheduled elections are opened at their start time and closed at their end time, open
+ * elections are closed at their end time; jobs that no longer apply are cancelled.
+ * This should be run after every change of an election's state or times
+ * @param {Object} election - The election
+ */
+exports.scheduleElection = async (election) => {
+  const now = new Date();
+  const jobs = plannedJobs(election);
+
+  for (const { targetStatus, runAt } of jobs) {
+    // Leave a job that is already waiting for the same time alone
+    const existing = await ScheduledJob.findOne({ electionId: election.electionId, targetStatus });
+    if (existing && ['pending', 'running'].includes(existing.status) && existing.runAt.getTime() === runAt.getTime()) {
+      continue;
+    }
+
+    await ScheduledJob.updateOne(
+      { electionId: election.electionId, targetStatus },
+      {
+        $set: { runAt, status: 'pending', attempts: 0, lastError: null, lockedUntil: null, completedAt: null, updatedAt: now },
+        $setOnInsert: { createdAt: now }
+      },
+      { upsert: true }
+    );
+    logger.info(`Election ${election.electionId} will be ${targetStatus} automatically at ${runAt.toISOString()}`);
+  }
+
+  await ScheduledJob.updateMany(
+    { electionId: election.electionId, status: 'pending', targetStatus: { $nin: jobs.map((job) => job.targetStatus) } },
+    { $set: { status: 'cancelled', updatedAt: now } }
+  );
+};
+
+// Claim the next due job, jobs abandoned by a stopped server are claimed again once their lease expires
+const claimNextJob = (now) => ScheduledJob.findOneAndUpdate(
+  {
+    status: { $in: ['pending', 'running'] },
+    runAt: { $lte: now },
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+  },
+  {
+    $set: { status: 'running', lockedUntil: new Date(now.getTime() + config.scheduler.jobLeaseMs), updatedAt: now },
+    $inc: { attempts: 1 }
+  },
+  { sort: { runAt: 1 }, new: true }
+);
+
+const finishJob = (job, status, lastError = null) => ScheduledJob.updateOne(
+  { _id: job._id },
+  { $set: { status, lastError, lockedUntil: null, completedAt: new Date(), updatedAt: new Date() } }
+);
+
+const runJob = async (job, now) => {
+  let election;
+  try {
+    // The transition takes effect at the configured time, also when it is caught up on late
+    election = await electionService.transitionElection(job.electionId, job.targetStatus, {
+      at: job.runAt,
+      actor: 'scheduler'
+    });
+  } catch (error) {
+    if (error instanceof electionService.ElectionError) {
+      // The election is no longer in a state the job applies to, e.g. an admin already closed it
+      await finishJob(job, 'cancelled', error.message);
+      await logSystemEvent('WARN', 'Scheduled election transition skipped', `Election ${job.electionId} -> ${job.targetStatus}: ${error.message}`);
+    } else if (job.attempts >= config.scheduler.maxAttempts) {
+      await finishJob(job, 'failed', error.message);
+      logger.error(`Scheduled transition of election ${job.electionId} to ${job.targetStatus} failed: ${error.message}`);
+      await logSystemEvent('ERROR', 'Scheduled election transition failed', `Election ${job.electionId} -> ${job.targetStatus}, gave up after ${job.attempts} attempts: ${error.message}`);
+    } else {
+      // Not claimed again before the retry delay has passed
+      await ScheduledJob.updateOne(
+        { _id: job._id },
+        { $set: { status: 'pending', lastError: error.message, lockedUntil: new Date(now.getTime() + config.scheduler.retryDelayMs), updatedAt: new Date() } }
+      );
+      logger.warn(`Scheduled transition of election ${job.electionId} to ${job.targetStatus} failed, retrying: ${error.message}`);
+    }
+    return;
+  }
+
+  await finishJob(job, 'done');
+
+  const lateSeconds = Math.round((now.getTime() - job.runAt.getTime()) / 1000);
+  const catchUp = lateSeconds * 1000 > config.scheduler.pollIntervalMs ? `, caught up ${lateSeconds}s late` : '';
+  await logSystemEvent('INFO', 'Scheduled election transition', `Election ${election.electionId} (${election.name}) is now ${job.targetStatus}, due at ${job.runAt.toISOString()}${catchUp}`);
+
+  // Opening keeps the closing job, this only picks up times that changed in the meantime
+  await exports.scheduleElection(election);
+};
+
+/**
+ * Run every job that is due, oldest first
+ * Jobs missed while the server was down are due as well, so a scheduled election whose whole
+ * voting window has passed is opened and then closed again with its configured times
+ * @param {Date} now - The time to run the jobs due by
+ * @returns {Promise<number>} Number of jobs run
+ */
+exports.runDueJobs = async (now = new Date()) => {
+  let count = 0;
+  let job = await claimNextJob(now);
+  while (job) {
+    await runJob(job, now);
+    count += 1;
+    job = await claimNextJob(now);
+  }
+  return count;
+};
+
+// Ticks do not overlap, a slow transition delays the next tick instead
+const tick = async () => {
+  if (ticking) {
+    return;
+  }
+
+  ticking = true;
+  try {
+    await exports.runDueJobs();
+  } catch (error) {
+    logger.error(`Election scheduler failed: ${error.message}`);
+  } finally {
+    ticking = false;
+  }
+};
+
+/**
+ * Start the election scheduler
+ * Jobs are created for elections that have none yet, transitions missed while the server
+ * was down are caught up on, then due jobs are looked for periodically.
+ * This should be run once during startup, after the elections are initialized
+ */
+exports.initialize = async () => {
+  const elections = await Election.find({ status: { $in: ['scheduled', 'open'] } });
+  for (const election of elections) {
+    await exports.scheduleElection(election);
+  }
+
+  const pending = await ScheduledJob.countDocuments({ status: { $in: ['pending', 'running'] } });
+  logger.info(`Election scheduler started with ${pending} pending transitions`);
+
+  await tick();
+
+  if (!timer) {
+    timer = setInterval(tick, config.scheduler.pollIntervalMs);
+    // The scheduler alone must not keep the process alive
+    timer.unref();
+  }
+};
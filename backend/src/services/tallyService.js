@@ -0,0 +1,182 @@
+const Vote = require('../models/Vote');
+const Candidate = require('../models/Candidate');
+const electionService = require('./electionService');
+const candidateSetService = require('./candidateSetService');
+
+// Votes of each continuing candidate, every continuing candidate listed even without votes
+const countPreferences = (rankings, continuing) => {
+  const counts = new Map(continuing.map((candidateId) => [candidateId, 0]));
+  let exhausted = 0;
+
+  rankings.forEach((ranking) => {
+    const preference = ranking.find((candidateId) => counts.has(candidateId));
+    if (preference === undefined) {
+      exhausted += 1;
+    } else {
+      counts.set(preference, counts.get(preference) + 1);
+    }
+  });
+
+  return { counts, exhausted };
+};
+
+// Candidates a stored vote chose, ranked or approved
+const ballotChoices = (ballotType, vote) => {
+  if (ballotType === 'ranked') {
+    return vote.ranking || [];
+  }
+  return ballotType === 'approval' ? vote.approvals || [] : [vote.choice];
+};
+
+// Pick the candidate to eliminate: fewest votes, then fewest votes in the latest earlier round
+// that tells them apart, then the one listed last in the candidate order
+const pickEliminated = (counts, history, candidateIds) => {
+  const fewest = Math.min(...counts.values());
+  let tied = Array.from(counts.keys()).filter((candidateId) => counts.get(candidateId) === fewest);
+
+  for (let round = history.length - 1; round >= 0 && tied.length > 1; round--) {
+    const earlier = history[round];
+    const earlierFewest = Math.min(...tied.map((candidateId) => earlier.get(candidateId)));
+    tied = tied.filter((candidateId) => earlier.get(candidateId) === earlierFewest);
+  }
+
+  return tied.sort((a, b) => candidateIds.indexOf(b) - candidateIds.indexOf(a))[0];
+};
+
+/**
+ * Run an instant-runoff tally over ranked ballots
+ * Every round counts each ballot for its highest-ranked continuing candidate. A candidate with
+ * more than half of the ballots that are not exhausted wins; otherwise the candidate with the
+ * fewest votes is eliminated and their ballots move on to the next continuing preference.
+ * @param {Array<string>} candidateIds - Candidates on the ballot, in ballot order (breaks the last ties)
+ * @param {Array<Array<string>>} rankings - Candidate IDs of every ballot in order of preference
+ * @returns {Object} { winner, totalBallots, rounds } where every round lists the votes of the continuing
+ *   candidates, the exhausted ballots, the majority threshold, and the eliminated candidate with where
+ *   their ballots were transferred to
+ */
+exports.instantRunoff = (candidateIds, rankings) => {
+  let continuing = [...candidateIds];
+  const rounds = [];
+  const history = [];
+  let winner = null;
+
+  while (continuing.length > 0) {
+    const { counts, exhausted } = countPreferences(rankings, continuing);
+    const active = rankings.length - exhausted;
+    const threshold = Math.floor(active / 2) + 1;
+    const round = {
+      round: rounds.length + 1,
+      counts: continuing.map((candidateId) => ({ candidateId, votes: counts.get(candidateId) })),
+      exhausted,
+      threshold,
+      eliminated: null,
+      transfers: null
+    };
+    rounds.push(round);
+
+    const leader = round.counts.reduce((best, entry) => (entry.votes > best.votes ? entry : best));
+    if (active > 0 && (leader.votes >= threshold || continuing.length === 1)) {
+      winner = leader.candidateId;
+      break;
+    }
+    if (active === 0) {
+      break;
+    }
+
+    // Eliminate and record where the eliminated candidate's ballots go next
+    const eliminated = pickEliminated(counts, history, candidateIds);
+    const remaining = continuing.filter((candidateId) => candidateId !== eliminated);
+    const transfers = Object.fromEntries(remaining.map((candidateId) => [candidateId, 0]));
+    transfers.exhausted = 0;
+    rankings.forEach((ranking) => {
+      if (ranking.find((candidateId) => continuing.includes(candidateId)) !== eliminated) {
+        return;
+      }
+      const next = ranking.find((candidateId) => remaining.includes(candidateId));
+      transfers[next === undefined ? 'exhausted' : next] += 1;
+    });
+
+    round.eliminated = eliminated;
+    round.transfers = transfers;
+    history.push(counts);
+    continuing = remaining;
+  }
+
+  return { winner, totalBallots: rankings.length, rounds };
+};
+
+/**
+ * Count the plurality result of single-choice ballots
+ * @param {Array<string>} candidateIds - Candidates on the ballot, in ballot order
+ * @param {Array<string>} choices - Candidate ID of every ballot
+ * @returns {Object} { winner, totalBallots, counts } with winner null when the most votes are tied
+ */
+exports.plurality = (candidateIds, choices) => {
+  const votes = new Map(candidateIds.map((candidateId) => [candidateId, 0]));
+  choices.forEach((choice) => votes.set(choice, (votes.get(choice) || 0) + 1));
+
+  const counts = Array.from(votes, ([candidateId, count]) => ({ candidateId, votes: count }))
+    .sort((a, b) => b.votes - a.votes);
+  const tied = counts.length > 1 && counts[0].votes === counts[1].votes;
+
+  return {
+    winner: counts.length > 0 && counts[0].votes > 0 && !tied ? counts[0].candidateId : null,
+    totalBallots: choices.length,
+    counts
+  };
+};
+
+/**
+ * Count the approvals of every candidate on approval ballots
+ * @param {Array<string>} candidateIds - Candidates on the ballot, in ballot order
+ * @param {Array<Array<string>>} approvals - Approved candidate IDs of every ballot
+ * @returns {Object} { winner, totalBallots, totalApprovals, counts } with winner null when the most approvals are tied
+ */
+exports.approvalCount = (candidateIds, approvals) => {
+  const result = exports.plurality(candidateIds, approvals.flat());
+  return { ...result, totalBallots: approvals.length, totalApprovals: result.totalBallots };
+};
+
+/**
+ * Tally the ballots of an election according to its ballot type
+ * @param {string} electionId - The election identifier
+ * @returns {Promise<Object>} The tally with candidate names, { electionId, ballotType, candidates, winner, totalBallots, ... }
+ * @throws {ElectionError} When the election does not exist
+ */
+exports.tallyElection = async (electionId) => {
+  const election = await electionService.getElection(electionId);
+  const ballotType = election.ballotType || 'single';
+  const votes = await Vote.find({ electionId: election.electionId }).select('choice ranking approvals');
+
+  // Candidates of the current ballot, and any that ballots were cast for before it changed
+  const { candidateIds: currentIds } = await candidateSetService.getCurrentCandidateSet(election.electionId);
+  const candidateIds = [...currentIds];
+  votes.forEach((vote) => {
+    ballotChoices(ballotType, vote).forEach((candidateId) => {
+      if (candidateId && !candidateIds.includes(candidateId)) {
+        candidateIds.push(candidateId);
+      }
+    });
+  });
+
+  const candidates = await Candidate.find({ electionId: election.electionId, candidateId: { $in: candidateIds } })
+    .select('candidateId name');
+  const names = new Map(candidates.map((candidate) => [candidate.candidateId, candidate.name]));
+
+  let result;
+  if (ballotType === 'ranked') {
+    result = exports.instantRunoff(candidateIds, votes.map((vote) => ballotChoices(ballotType, vote)));
+  } else if (ballotType === 'approval') {
+    result = exports.approvalCount(candidateIds, votes.map((vote) => ballotChoices(ballotType, vote)));
+  } else {
+    result = exports.plurality(candidateIds, votes.map((vote) => vote.choice));
+  }
+
+  return {
+    electionId: election.electionId,
+    ballotType,
+    maxApprovals: election.maxApprovals,
+    candidates: candidateIds.map((candidateId) => ({ candidateId, name: names.get(candidateId) || candidateId })),
+    ...result
+  };
+};
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const circuitRegistry = require('../utils/circuitRegistry');
+
+// State of a cached verification key
+const VKEY_STATUS = {
+  // Hash matches the pinned hash, proofs are verified with this key
+  LOADED: 'loaded',
+  // No key on disk for this circuit version and proving system
+  MISSING: 'missing',
+  // Hash differs from the pinned hash, verification is refused
+  MISMATCH: 'mismatch',
+  // No pinned hash to check the key against, verification is refused
+  UNPINNED: 'unpinned',
+  // Not a verification key for the expected proving system, verification is refused
+  INVALID: 'invalid'
+};
+
+// Keys by circuit version and proving system, replaced as a whole on every reload
+let cache = new Map();
+let loaded = false;
+let reloadTimer = null;
+const watchedFiles = new Set();
+
+const cacheKey = (name, version, protocol) => `${name}@${version}/${protocol}`;
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const getArtifactHashesPath = () =>
+  config.zkp.artifactHashesPath || path.join(config.zkp.circuitsDir, 'artifact-hashes.json');
+
+/**
+ * Read the pinned artifact hashes written by circuits/compile-circuits.js
+ * @returns {Object|null} Hashes keyed by path relative to the circuits directory, or null if the file is unreadable
+ */
+const readPinnedHashes = () => {
+  const hashesPath = getArtifactHashesPath();
+  if (!fs.existsSync(hashesPath)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(hashesPath)).artifacts || {};
+  } catch (error) {
+    logger.error(`Failed to read pinned artifact hashes from ${hashesPath}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Load and validate the verification key of a registry entry
+ * The file is read once, so the parsed key is exactly the bytes that were hashed
+ * @param {Object} entry - Resolved circuit registry entry
+ * @param {Object|null} pinnedHashes - Pinned artifact hashes
+ * @param {Object} previous - The entry's cached key before this reload
+ * @returns {Object} Cached key with its fingerprint and status
+ */
+const loadKey = (entry, pinnedHashes, previous) => {
+  const relativePath = path.relative(config.zkp.circuitsDir, entry.vkey);
+  const key = {
+    circuit: entry.name,
+    version: entry.version,
+    protocol: entry.protocol,
+    path: relativePath,
+    sha256: null,
+    expectedSha256: null,
+    status: VKEY_STATUS.MISSING,
+    loadedAt: null,
+    vkey: null
+  };
+
+  if (!fs.existsSync(entry.vkey)) {
+    return key;
+  }
+
+  const buffer = fs.readFileSync(entry.vkey);
+  key.sha256 = sha256(buffer);
+
+  if (pinnedHashes === null) {
+    logger.error(`Refusing verification key ${relativePath}: pinned artifact hashes are unreadable`);
+    return { ...key, status: VKEY_STATUS.MISMATCH };
+  }
+
+  // A key is only trusted once circuits/compile-circuits.js pinned its hash
+  key.expectedSha256 = pinnedHashes[relativePath] || null;
+  if (!key.expectedSha256) {
+    logger.error(`Refusing verification key ${relativePath}: no pinned hash in ${getArtifactHashesPath()}`);
+    return { ...key, status: VKEY_STATUS.UNPINNED };
+  }
+
+  if (key.sha256 !== key.expectedSha256) {
+    logger.error(`Refusing verification key ${relativePath}: SHA-256 ${key.sha256} does not match pinned ${key.expectedSha256}`);
+    return { ...key, status: VKEY_STATUS.MISMATCH };
+  }
+
+  // Unchanged keys are reused as is
+  if (previous && previous.status === VKEY_STATUS.LOADED && previous.sha256 === key.sha256) {
+    return { ...previous, expectedSha256: key.expectedSha256 };
+  }
+
+  try {
+    key.vkey = JSON.parse(buffer);
+  } catch (error) {
+    logger.error(`Verification key ${relativePath} is not valid JSON: ${error.message}`);
+    return { ...key, status: VKEY_STATUS.INVALID };
+  }
+
+  // A key exported for another proving system cannot verify proofs of this one
+  if (key.vkey.protocol !== entry.protocol) {
+    logger.error(`Verification key ${relativePath} is for ${key.vkey.protocol}, not ${entry.protocol}`);
+    return { ...key, status: VKEY_STATUS.INVALID, vkey: null };
+  }
+
+  if (previous && previous.sha256) {
+    logger.info(`Reloaded verification key ${relativePath} (${key.sha256})`);
+  }
+
+  return { ...key, status: VKEY_STATUS.LOADED, loadedAt: new Date() };
+};
+
+/**
+ * Reload every verification key from disk
+ * The new set of keys replaces the old one in a single assignment, so a verification
+ * never sees a mix of old and new keys
+ */
+exports.reload = () => {
+  const pinnedHashes = readPinnedHashes();
+  const next = new Map();
+
+  circuitRegistry.getEntries().forEach((entry) => {
+    const id = cacheKey(entry.name, entry.version, entry.protocol);
+    next.set(id, loadKey(entry, pinnedHashes, cache.get(id)));
+  });
+
+  cache = next;
+  loaded = true;
+};
+
+// Coalesce the change events of a recompile (several keys and the hashes file) into one reload
+const scheduleReload = () => {
+  if (reloadTimer) {
+    return;
+  }
+
+  reloadTimer = setTimeout(() => {
+    reloadTimer = null;
+    try {
+      exports.reload();
+    } catch (error) {
+      logger.error(`Failed to reload verification keys: ${error.message}`);
+    }
+  }, 100);
+};
+
+const watchFile = (filePath) => {
+  if (watchedFiles.has(filePath)) {
+    return;
+  }
+  watchedFiles.add(filePath);
+
+  // Polling also notices files that do not exist yet and works on mounted volumes
+  fs.watchFile(filePath, { interval: config.zkp.vkeyWatchIntervalMs, persistent: false }, (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size) {
+      scheduleReload();
+    }
+  });
+};
+
+/**
+ * Load every verification key and watch the keys and pinned hashes for changes
+ */
+exports.initialize = () => {
+  exports.reload();
+
+  const keys = Array.from(cache.values());
+  const usable = keys.filter((key) => key.status === VKEY_STATUS.LOADED).length;
+  const refused = keys.filter((key) => key.status === VKEY_STATUS.MISMATCH || key.status === VKEY_STATUS.INVALID);
+  logger.info(`Loaded ${usable} of ${keys.length} verification keys`);
+  if (refused.length > 0) {
+    logger.error(`Verification keys refused: ${refused.map((key) => key.path).join(', ')}`);
+  }
+
+  watchFile(getArtifactHashesPath());
+  circuitRegistry.getEntries().forEach((entry) => watchFile(entry.vkey));
+};
+
+/**
+ * Get the cached verification key of a circuit version
+ * @param {string} name - Circuit name in the registry
+ * @param {string} version - Circuit version
+ * @param {string} protocol - Proving system
+ * @returns {Object} Cached key ({ status, vkey, path, sha256, expectedSha256, ... })
+ */
+exports.getKey = (name, version, protocol) => {
+  if (!loaded) {
+    exports.reload();
+  }
+  return cache.get(cacheKey(name, version, protocol));
+};
+
+/**
+ * Get the fingerprints of the cached verification keys
+ * @returns {Array<Object>} One fingerprint per circuit version and proving system
+ */
+exports.getFingerprints = () => {
+  if (!loaded) {
+    exports.reload();
+  }
+  return Array.from(cache.values()).map(({ vkey, ...fingerprint }) => fingerprint);
+};
+
+exports.VKEY_STATUS = VKEY_STATUS;
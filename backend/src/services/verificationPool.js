@@ -0,0 +1,223 @@
+const { Worker } = require('worker_threads');
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+const WORKER_PATH = path.join(__dirname, '../workers/verifyWorker.js');
+// ffjavascript loads the web-worker shim, which takes every worker thread for one it started itself
+// and fails to load in any other, so verification workers are started through the shim's own entry
+const SHIM_PATH = require.resolve('web-worker', { paths: [path.dirname(require.resolve('ffjavascript'))] });
+const POOL_SIZE = config.zkp.verifyPoolSize;
+const MAX_QUEUE_SIZE = config.zkp.verifyQueueSize;
+const JOB_TIMEOUT_MS = config.zkp.verifyTimeoutMs;
+
+// Number of recent verifications the latency stats are computed over
+const LATENCY_WINDOW = 200;
+
+/**
+ * Raised when a proof cannot be verified right now; the client should retry later
+ * The error handler answers 503 with a Retry-After header
+ */
+class VerificationUnavailableError extends Error {
+  constructor(code, message, retryAfter) {
+    super(message);
+    this.name = 'VerificationUnavailableError';
+    this.code = code;
+    this.statusCode = 503;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Workers are started when there are proofs to verify, each runs one job at a time
+const workers = [];
+const queue = [];
+let nextJobId = 1;
+
+const stats = {
+  completed: 0,
+  failed: 0,
+  timedOut: 0,
+  rejected: 0,
+  latencies: []
+};
+
+const recordLatency = (job) => {
+  stats.latencies.push(Date.now() - job.enqueuedAt);
+  if (stats.latencies.length > LATENCY_WINDOW) {
+    stats.latencies.shift();
+  }
+};
+
+const averageLatency = () => {
+  if (stats.latencies.length === 0) {
+    return 0;
+  }
+  return Math.round(stats.latencies.reduce((sum, latency) => sum + latency, 0) / stats.latencies.length);
+};
+
+// Seconds until the queue ahead of a new proof has drained, at the recent verification rate
+const estimateRetryAfter = () => {
+  const drainMs = (queue.length / POOL_SIZE) * (averageLatency() || 1000);
+  return Math.max(1, Math.ceil(drainMs / 1000));
+};
+
+const finishJob = (slot, error, valid) => {
+  const { job } = slot;
+  slot.job = null;
+  clearTimeout(job.timer);
+  recordLatency(job);
+
+  // Idle workers must not keep the process alive
+  if (slot.worker) {
+    slot.worker.unref();
+  }
+
+  if (error) {
+    stats.failed++;
+    job.reject(error);
+  } else {
+    stats.completed++;
+    job.resolve(valid);
+  }
+};
+
+const spawnWorker = (slot) => {
+  const worker = new Worker(SHIM_PATH, { workerData: { mod: WORKER_PATH, name: 'verify' } });
+  slot.worker = worker;
+
+  worker.on('message', ({ id, valid, error }) => {
+    if (slot.worker !== worker || !slot.job || slot.job.id !== id) {
+      return;
+    }
+    finishJob(slot, error ? new Error(error) : null, valid);
+    dispatch();
+  });
+
+  worker.on('error', (error) => {
+    logger.error(`Verification worker failed: ${error.message}`);
+  });
+
+  // A worker that exits unexpectedly fails its job and is replaced when the next job arrives
+  worker.on('exit', (exitCode) => {
+    if (slot.worker !== worker) {
+      return;
+    }
+    logger.error(`Verification worker exited with code ${exitCode}`);
+    slot.worker = null;
+    if (slot.job) {
+      finishJob(slot, new Error('Verification worker exited'));
+    }
+    dispatch();
+  });
+};
+
+const onJobTimeout = (slot) => {
+  const { job, worker } = slot;
+  logger.error(`Proof verification timed out after ${JOB_TIMEOUT_MS}ms`);
+  stats.timedOut++;
+  recordLatency(job);
+
+  // A pairing check cannot be interrupted, so the worker is discarded
+  slot.job = null;
+  slot.worker = null;
+  worker.terminate();
+
+  job.reject(new VerificationUnavailableError(
+    'VERIFICATION_TIMEOUT',
+    'Proof verification timed out, please try again',
+    estimateRetryAfter()
+  ));
+  dispatch();
+};
+
+// Hand queued jobs to idle workers
+const dispatch = () => {
+  if (workers.length === 0) {
+    for (let i = 0; i < POOL_SIZE; i++) {
+      workers.push({ worker: null, job: null });
+    }
+  }
+
+  workers.forEach((slot) => {
+    if (slot.job || queue.length === 0) {
+      return;
+    }
+
+    if (!slot.worker) {
+      spawnWorker(slot);
+    }
+
+    const job = queue.shift();
+    slot.job = job;
+    job.timer = setTimeout(() => onJobTimeout(slot), JOB_TIMEOUT_MS);
+    slot.worker.ref();
+    slot.worker.postMessage({
+      id: job.id,
+      protocol: job.protocol,
+      vkey: job.vkey,
+      publicSignals: job.publicSignals,
+      proof: job.proof
+    });
+  });
+};
+
+/**
+ * Verify a proof on a worker thread
+ * @param {string} protocol - Proving system of the proof
+ * @param {Object} vkey - Verification key
+ * @param {Array} publicSignals - The public signals of the proof
+ * @param {Object} proof - The proof to verify
+ * @returns {Promise<boolean>} Whether the proof is valid
+ * @throws {VerificationUnavailableError} When the queue is full or the verification times out
+ */
+exports.verify = (protocol, vkey, publicSignals, proof) => {
+  if (queue.length >= MAX_QUEUE_SIZE) {
+    stats.rejected++;
+    logger.warn(`Verification queue is full (${queue.length} proofs waiting)`);
+    return Promise.reject(new VerificationUnavailableError(
+      'VERIFICATION_QUEUE_FULL',
+      'The server is busy verifying other proofs, please try again',
+      estimateRetryAfter()
+    ));
+  }
+
+  return new Promise((resolve, reject) => {
+    queue.push({
+      id: nextJobId++,
+      protocol,
+      vkey,
+      publicSignals,
+      proof,
+      enqueuedAt: Date.now(),
+      resolve,
+      reject
+    });
+    dispatch();
+  });
+};
+
+/**
+ * Get the queue depth and latency of the verification pool
+ * @returns {Object} Pool statistics
+ */
+exports.getStats = () => {
+  const sorted = [...stats.latencies].sort((a, b) => a - b);
+
+  return {
+    poolSize: POOL_SIZE,
+    busyWorkers: workers.filter((slot) => slot.job).length,
+    queueDepth: queue.length,
+    maxQueueSize: MAX_QUEUE_SIZE,
+    completed: stats.completed,
+    failed: stats.failed,
+    timedOut: stats.timedOut,
+    rejected: stats.rejected,
+    latencyMs: {
+      average: averageLatency(),
+      p95: sorted.length > 0 ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))] : 0,
+      max: sorted.length > 0 ? sorted[sorted.length - 1] : 0
+    }
+  };
+};
+
+exports.VerificationUnavailableError = VerificationUnavailableError;
@@ -0,0 +1,269 @@
+const Vote = require('../models/Vote');
+const CandidateSet = require('../models/CandidateSet');
+const Election = require('../models/Election');
+const zkpService = require('./zkpService');
+const ballotService = require('./ballotService');
+const verificationKeyService = require('./verificationKeyService');
+const { VerificationUnavailableError } = require('./verificationPool');
+const circuitRegistry = require('../utils/circuitRegistry');
+const { parsePublicSignals, PROOF_ERROR_CODES } = require('../utils/publicSignals');
+const { isFieldElement } = require('../utils/validator');
+const { decodeProof } = require('../utils/proofCodec');
+const mockProof = require('../utils/mockProof');
+
+// Outcome of re-checking one stored vote
+const AUDIT_STATUS = {
+  // Proof verifies and is bound to the stored nullifier, choice and election
+  VALID: 'valid',
+  // Proof does not verify or is bound to other values than the stored ones
+  INVALID: 'invalid',
+  // Stored proof cannot be parsed or its public signals do not match the vote circuit
+  MALFORMED: 'malformed',
+  // Proof was made by a mock prover instead of the vote circuit
+  MOCK: 'mock',
+  // No verification key to check the proof against, so it was not verified
+  UNVERIFIED: 'unverified'
+};
+
+// Number of votes between two progress events
+const PROGRESS_INTERVAL = 50;
+
+// Attempts to verify one proof while the verification pool is saturated
+const MAX_VERIFY_ATTEMPTS = 5;
+
+let auditRunning = false;
+
+const result = (status, code, message) => ({ status, code, message });
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Members of snarkjs proofs that label the proof instead of holding curve points
+const PROOF_LABELS = ['protocol', 'curve'];
+
+/**
+ * Collect the string values of a proof object
+ * @param {*} value - Proof or one of its members
+ * @param {Array<string>} values - Accumulated values
+ * @returns {Array<string>} Every string in the proof
+ */
+const collectProofValues = (value, values = []) => {
+  if (typeof value === 'string') {
+    values.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach((member) => collectProofValues(member, values));
+  } else if (value && typeof value === 'object') {
+    Object.keys(value)
+      .filter((key) => !PROOF_LABELS.includes(key))
+      .forEach((key) => collectProofValues(value[key], values));
+  }
+  return values;
+};
+
+/**
+ * Tell whether a proof was made by one of the mock provers
+ * Mock proofs carry the mock marker; ones stored before the marker existed are recognised by
+ * their values, since real proofs only hold decimal field elements
+ * @param {Object} proof - The stored proof
+ * @returns {boolean} Whether the proof is a mock
+ */
+const isMockProof = (proof) =>
+  mockProof.isMockProof(proof) || collectProofValues(proof).some((value) => !isFieldElement(value));
+
+// Verify a proof, waiting for the verification pool when it turns the proof away
+const verifyWithRetry = async (zkProof, election, circuit) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await zkpService.verifyVoteProof(zkProof.proof, zkProof.publicSignals, election, circuit);
+    } catch (error) {
+      if (!(error instanceof VerificationUnavailableError) || attempt >= MAX_VERIFY_ATTEMPTS) {
+        throw error;
+      }
+      await sleep(error.retryAfter * 1000);
+    }
+  }
+};
+
+/**
+ * Re-check one stored vote
+ * @param {Object} vote - Vote document
+ * @param {Map} candidateSets - Candidate IDs of every published candidate set, by commitment
+ * @param {Object} election - The election the vote was cast in
+ * @returns {Promise<Object>} { status, code, message }
+ */
+const auditVote = async (vote, candidateSets, election) => {
+  // Votes are stored as compact bundles, older ones as snarkjs JSON
+  let zkProof;
+  try {
+    ({ zkProof } = decodeProof(vote.proof));
+  } catch (error) {
+    return result(AUDIT_STATUS.MALFORMED, PROOF_ERROR_CODES.MALFORMED_PROOF, `Stored proof cannot be decoded: ${error.message}`);
+  }
+
+  if (!election) {
+    return result(AUDIT_STATUS.INVALID, PROOF_ERROR_CODES.ELECTION_MISMATCH, `Vote was cast in an unknown election ${vote.electionId}`);
+  }
+
+  // Ranked and approval ballots are proven with their own circuit, in the version pinned when the election opened
+  const { ballotType } = election;
+  if (ballotService.getBallotType(vote) !== ballotType) {
+    return result(AUDIT_STATUS.INVALID, PROOF_ERROR_CODES.CHOICE_MISMATCH, `Stored ballot is not a ${ballotType} ballot`);
+  }
+  const circuit = ballotService.getCircuit(ballotType);
+  const version = circuitRegistry.getElectionVersion(circuit, election);
+
+  const signals = parsePublicSignals(circuit, zkProof.publicSignals, version);
+  if (!signals) {
+    return result(AUDIT_STATUS.MALFORMED, PROOF_ERROR_CODES.MALFORMED_SIGNALS, `Public signals do not match the ${circuit} circuit layout`);
+  }
+
+  if (isMockProof(zkProof.proof)) {
+    return result(AUDIT_STATUS.MOCK, PROOF_ERROR_CODES.INVALID_PROOF, 'Proof was made by a mock prover');
+  }
+
+  // Approval ballots are hashed by ballot index, so by the candidate set the proof commits to
+  const candidateIds = candidateSets.get(signals.candidateSetCommitment);
+  const rules = { maxApprovals: election.maxApprovals };
+
+  // The proof must commit to the stored nullifier, choice and election, and to the election's approval limit
+  const bindingError = await zkpService.checkVoteBinding(zkProof.publicSignals, {
+    nullifierHash: vote.nullifierHash,
+    choiceHash: await ballotService.computeChoiceHash(ballotType, vote, candidateIds || []),
+    electionId: vote.electionId,
+    candidateSetCommitment: signals.candidateSetCommitment,
+    maxApprovals: election.maxApprovals
+  }, circuit, version);
+  if (bindingError) {
+    return result(AUDIT_STATUS.INVALID, bindingError.code, bindingError.message);
+  }
+
+  // ...and to a published ballot that offered the stored choice
+  if (!candidateIds || ballotService.readBallot(ballotType, vote, candidateIds, rules).error) {
+    return result(AUDIT_STATUS.INVALID, PROOF_ERROR_CODES.CANDIDATE_SET_MISMATCH, 'Proof was not made against a published candidate set offering this choice');
+  }
+
+  // The proof must be made with the election's proving system
+  const protocolError = zkpService.checkProofProtocol(election, zkProof.protocol);
+  if (protocolError) {
+    return result(AUDIT_STATUS.MALFORMED, protocolError.code, protocolError.message);
+  }
+  const protocol = election.provingSystem;
+
+  // Without a key the proof cannot be checked, which says nothing about the vote
+  const key = verificationKeyService.getKey(circuit, version, protocol);
+  if (key.status === verificationKeyService.VKEY_STATUS.MISSING) {
+    return result(AUDIT_STATUS.UNVERIFIED, PROOF_ERROR_CODES.INVALID_PROOF, `No ${protocol} verification key for the ${circuit} circuit`);
+  }
+
+  const isValid = await verifyWithRetry(zkProof, election, circuit);
+  if (!isValid) {
+    return result(AUDIT_STATUS.INVALID, PROOF_ERROR_CODES.INVALID_PROOF, `Proof does not verify against the ${circuit} verification key`);
+  }
+
+  return result(AUDIT_STATUS.VALID);
+};
+
+/**
+ * Tell whether an audit is in progress
+ * @returns {boolean} Whether an audit is running
+ */
+exports.isAuditRunning = () => auditRunning;
+
+/**
+ * Re-verify every stored vote proof and report which votes the tally can rely on
+ * Emits a start event, a vote event for every vote that is not valid, a progress event
+ * every PROGRESS_INTERVAL votes and a final report
+ * @param {Object} options - Audit options
+ * @param {string} options.electionId - Only audit the votes of this election (all elections if omitted)
+ * @param {AbortSignal} options.signal - Stops the audit when aborted
+ * @param {Function} onEvent - Called with every event
+ * @returns {Promise<Object|null>} The final report, or null if the audit was aborted
+ */
+exports.auditVotes = async ({ electionId, signal } = {}, onEvent) => {
+  if (auditRunning) {
+    const error = new Error('A vote audit is already running');
+    error.statusCode = 409;
+    throw error;
+  }
+  auditRunning = true;
+
+  try {
+    const filter = electionId ? { electionId: String(electionId) } : {};
+    const startedAt = new Date();
+    const total = await Vote.countDocuments(filter);
+
+    const publishedSets = await CandidateSet.find().select('commitment candidateIds');
+    const candidateSets = new Map(publishedSets.map((set) => [set.commitment, set.candidateIds]));
+
+    const elections = await Election.find(filter).select('electionId ballotType maxApprovals provingSystem circuitVersions');
+    const electionsById = new Map(elections.map((election) => [election.electionId, election]));
+
+    const counts = Object.values(AUDIT_STATUS).reduce((acc, status) => ({ ...acc, [status]: 0 }), {});
+    const verifiedTally = {};
+    let processed = 0;
+
+    onEvent({
+      type: 'start',
+      electionId: filter.electionId || null,
+      total,
+      startedAt,
+      verificationKeys: verificationKeyService.getFingerprints()
+        .filter((key) => Object.values(ballotService.BALLOT_CIRCUITS).includes(key.circuit) && key.status !== verificationKeyService.VKEY_STATUS.MISSING)
+    });
+
+    const cursor = Vote.find(filter).sort({ timestamp: 1, _id: 1 }).cursor();
+    for await (const vote of cursor) {
+      if (signal && signal.aborted) {
+        await cursor.close();
+        return null;
+      }
+
+      const { status, code, message } = await auditVote(vote, candidateSets, electionsById.get(vote.electionId));
+      counts[status]++;
+      processed++;
+
+      if (status === AUDIT_STATUS.VALID) {
+        // Ranked ballots are counted by their full ranking, which the instant-runoff tally can be rerun from;
+        // approval ballots count for every approved candidate
+        const electionTally = verifiedTally[vote.electionId] || (verifiedTally[vote.electionId] = {});
+        const ballotType = ballotService.getBallotType(vote);
+        const ballotKeys = ballotType === 'ranked' ? [vote.ranking.join('>')] : ballotType === 'approval' ? vote.approvals : [vote.choice];
+        ballotKeys.forEach((ballotKey) => {
+          electionTally[ballotKey] = (electionTally[ballotKey] || 0) + 1;
+        });
+      } else {
+        onEvent({
+          type: 'vote',
+          voteId: vote._id,
+          electionId: vote.electionId,
+          status,
+          code,
+          message
+        });
+      }
+
+      if (processed % PROGRESS_INTERVAL === 0) {
+        onEvent({ type: 'progress', processed, total, counts: { ...counts } });
+      }
+    }
+
+    const report = {
+      type: 'report',
+      electionId: filter.electionId || null,
+      processed,
+      total,
+      counts,
+      // Votes per election and choice (ranked ballots per ranking, approvals per candidate), counting valid ballots only
+      verifiedTally,
+      allVerified: counts[AUDIT_STATUS.VALID] === processed,
+      startedAt,
+      finishedAt: new Date()
+    };
+    onEvent(report);
+
+    return report;
+  } finally {
+    auditRunning = false;
+  }
+};
+
+exports.AUDIT_STATUS = AUDIT_STATUS;
@@ -1,94 +1,173 @@
 const snarkjs = require('snarkjs');
 const fs = require('fs');
-const path = require('path');
-const crypto = require('crypto');
 const logger = require('../utils/logger');
 const config = require('../config/config');
+const { getFieldEncoder } = require('../utils/poseidon');
+const { parsePublicSignals, PROOF_ERROR_CODES } = require('../utils/publicSignals');
+const circuitRegistry = require('../utils/circuitRegistry');
+const verificationKeyService = require('./verificationKeyService');
+const verificationPool = require('./verificationPool');
+const { buildEddsa } = require('circomlibjs');
+const { ZKP_MODES, isMockProof, verifyMockProof, createMockProver } = require('../utils/mockProof');
 
-// Path to the verification keys
-const AUTH_VERIFICATION_KEY_PATH = path.join(__dirname, '../../circuits/auth/verification_key.json');
-const VOTE_VERIFICATION_KEY_PATH = path.join(__dirname, '../../circuits/vote/verification_key.json');
-const ADMIN_VERIFICATION_KEY_PATH = path.join(__dirname, '../../circuits/admin/verification_key.json');
+const { VKEY_STATUS } = verificationKeyService;
+const { VerificationUnavailableError } = verificationPool;
 
-// Path to the circuit WASM files
-const AUTH_WASM_PATH = path.join(__dirname, '../../circuits/auth/auth.wasm');
-const VOTE_WASM_PATH = path.join(__dirname, '../../circuits/vote/vote.wasm');
-const ADMIN_WASM_PATH = path.join(__dirname, '../../circuits/admin/admin.wasm');
+/**
+ * Verify a proof with the verification key of the proving system it was made with
+ * The key is taken from the circuit version the election verifies against
+ * @param {string} circuitName - Circuit name in the registry (auth, authCredential, vote, rankedVote, approvalVote or admin)
+ * @param {string} label - Name of the proof in log messages
+ * @param {Object} proof - The proof to verify
+ * @param {Array} publicSignals - The public signals from the proof
+ * @param {string} protocol - Proving system the proof was made with
+ * @param {string} version - Circuit version (defaults to the current version)
+ * @returns {Promise<boolean>} Whether the proof is valid
+ */
+const verifyCircuitProof = async (circuitName, label, proof, publicSignals, protocol, version) => {
+  if (!circuitRegistry.PROVING_SYSTEMS.includes(protocol)) {
+    logger.warn(`Unsupported proving system for ${label} proof: ${protocol}`);
+    return false;
+  }
+  
+  // Mock proofs are only accepted in mock mode, a real server rejects them whatever their signals
+  if (isMockProof(proof)) {
+    if (config.zkp.mode !== 'mock') {
+      logger.error(`Rejecting mock ${label} proof: the server runs in real ZKP mode`);
+      return false;
+    }
+    if (!verifyMockProof(await getFieldEncoder(), proof, publicSignals)) {
+      logger.warn(`Rejecting mock ${label} proof: it was not made for these public signals`);
+      return false;
+    }
+    logger.warn(`Accepting mock ${label} proof (ZKP_MODE=mock)`);
+    return true;
+  }
+  
+  const entry = circuitRegistry.resolve(circuitName, { version, protocol });
+  const key = verificationKeyService.getKey(circuitName, entry.version, protocol);
+  
+  // Never verify without a key, or against one that is unpinned or does not match its pinned hash or proving system
+  if (key.status !== VKEY_STATUS.LOADED) {
+    logger.error(`Refusing to verify ${label} proof: verification key ${key.path} is ${key.status}`);
+    return false;
+  }
+  
+  // Verify the proof using snarkjs on a worker thread, off the event loop
+  const result = await verificationPool.verify(protocol, key.vkey, publicSignals, proof);
+  
+  logger.info(`${label} proof verification result (${circuitName}@${entry.version}, ${protocol}): ${result}`);
+  return result;
+};
 
-// Path to the circuit zkey files
-const AUTH_ZKEY_PATH = path.join(__dirname, '../../circuits/auth/auth_final.zkey');
-const VOTE_ZKEY_PATH = path.join(__dirname, '../../circuits/vote/vote_final.zkey');
-const ADMIN_ZKEY_PATH = path.join(__dirname, '../../circuits/admin/admin_final.zkey');
+// The mock prover is built on first use, only in mock mode
+let mockProverPromise;
+const getMockProver = () => {
+  if (!mockProverPromise) {
+    mockProverPromise = buildEddsa().then(createMockProver);
+  }
+  return mockProverPromise;
+};
 
-// Helper function to load JSON files
-const loadJSONFile = (filePath) => {
-  try {
-    if (fs.existsSync(filePath)) {
-      return JSON.parse(fs.readFileSync(filePath));
+/**
+ * Prove a circuit input with the circuit's artifacts, or with the mock prover in mock mode
+ * Both compute the same public signals and reject the same inputs; real mode never falls back to mocks
+ * @param {Object} artifacts - Resolved registry entry
+ * @param {Object} input - Circuit input
+ * @returns {Promise<Object>} { proof, publicSignals }
+ * @throws {Error} When the input does not satisfy the circuit, or the wasm or zkey is missing in real mode
+ */
+const prove = async (artifacts, input) => {
+  if (config.zkp.mode === 'mock') {
+    logger.warn(`Using mock ${artifacts.name} prover`);
+    const mockProver = await getMockProver();
+    return mockProver.fullProve(artifacts.name, input, artifacts.protocol);
+  }
+  
+  ['wasm', 'zkey'].forEach((type) => {
+    if (!fs.existsSync(artifacts[type])) {
+      throw new Error(`Missing ${type} of the ${artifacts.name} circuit (${artifacts.protocol}): ${artifacts[type]}`);
     }
-    logger.warn(`File not found: ${filePath}, using mock data`);
-    return {};
-  } catch (error) {
-    logger.error(`Error loading JSON file: ${error.message}`);
-    return null;
+  });
+  
+  return snarkjs[artifacts.protocol].fullProve(input, artifacts.wasm, artifacts.zkey);
+};
+
+/**
+ * Turn a verification error into a rejection, unless the proof could not be verified yet
+ * A saturated verification pool is not an invalid proof, so its error reaches the error handler (503)
+ * @param {string} label - Name of the proof in log messages
+ * @param {Error} error - The error thrown while verifying
+ * @returns {boolean} false
+ */
+const handleVerificationError = (label, error) => {
+  if (error instanceof VerificationUnavailableError) {
+    throw error;
   }
+  
+  logger.error(`Error verifying ${label} proof: ${error.message}`);
+  return false;
+};
+
+/**
+ * Check that a voter proof uses the proving system the election was set up with
+ * Proofs without a protocol field are treated as Groth16, like proofs made before PLONK support
+ * @param {Object} election - The election the proof is for
+ * @param {string} protocol - The zkProof.protocol field
+ * @returns {Object|null} null if accepted, otherwise { code, message }
+ */
+exports.checkProofProtocol = (election, protocol = 'groth16') => {
+  if (!circuitRegistry.PROVING_SYSTEMS.includes(protocol)) {
+    return {
+      code: PROOF_ERROR_CODES.PROTOCOL_MISMATCH,
+      message: `Unsupported proving system: ${protocol}`
+    };
+  }
+  
+  if (protocol !== election.provingSystem) {
+    return {
+      code: PROOF_ERROR_CODES.PROTOCOL_MISMATCH,
+      message: `This election only accepts ${election.provingSystem} proofs`
+    };
+  }
+  
+  return null;
 };
 
 /**
  * Generate a zk-SNARK proof for authentication
- * @param {string} hashedIdentifier - The hashed identifier of the user
  * @param {string} identifierPreimage - The original identifier
  * @param {string} nullifierSecret - Secret for the nullifier
+ * @param {Object} merklePath - Registry authentication path ({ pathElements, pathIndices, root })
+ * @param {string} electionId - Election the nullifier is scoped to
+ * @param {string} protocol - Proving system to use
  * @returns {Promise<Object>} The generated proof
  */
-exports.generateAuthProof = async (identifierPreimage, nullifierSecret) => {
+exports.generateAuthProof = async (identifierPreimage, nullifierSecret, merklePath, electionId, protocol = config.election.provingSystem) => {
   try {
     logger.info(`Generating authentication proof`);
     
-    // Check if we're in dev/test mode and need to use mock proofs
-    if (process.env.USE_MOCK_PROOFS === 'true' || !fs.existsSync(AUTH_WASM_PATH) || !fs.existsSync(AUTH_ZKEY_PATH)) {
-      logger.warn('Using mock authentication proof');
-      
-      // Create a mock proof for development/testing
-      const hashedIdentifier = crypto.createHash('sha256').update(identifierPreimage).digest('hex');
-      const nullifierHash = crypto.createHash('sha256').update(`nullifier-${identifierPreimage}-${nullifierSecret}`).digest('hex');
-      
-      const mockProof = {
-        proof: {
-          pi_a: ["mock_pi_a_1", "mock_pi_a_2"],
-          pi_b: [["mock_pi_b_1_1", "mock_pi_b_1_2"], ["mock_pi_b_2_1", "mock_pi_b_2_2"]],
-          pi_c: ["mock_pi_c_1", "mock_pi_c_2"],
-        },
-        publicSignals: [hashedIdentifier, nullifierHash],
-        protocol: "groth16"
-      };
-      
-      return {
-        proof: mockProof.proof,
-        publicSignals: mockProof.publicSignals,
-        protocol: mockProof.protocol
-      };
-    }
+    const artifacts = circuitRegistry.resolve('auth', { protocol });
     
     // Create witness input for the circuit
     const input = {
       identifierPreimage: identifierPreimage,
-      nullifierSecret: nullifierSecret
+      nullifierSecret: nullifierSecret,
+      pathElements: merklePath.pathElements,
+      pathIndices: merklePath.pathIndices,
+      merkleRoot: merklePath.root,
+      electionId: electionId
     };
     
-    // Generate witness
-    const { proof, publicSignals } = await snarkjs.groth16.fullProve(
-      input, 
-      AUTH_WASM_PATH, 
-      AUTH_ZKEY_PATH
-    );
+    // Generate witness and proof
+    const { proof, publicSignals } = await prove(artifacts, input);
     
     logger.info(`Authentication proof generated successfully`);
     
     return { 
       proof, 
       publicSignals,
-      protocol: "groth16"
+      protocol
     };
   } catch (error) {
     logger.error(`Error generating auth proof: ${error.message}`);
@@ -100,96 +179,82 @@ exports.generateAuthProof = async (identifierPreimage, nullifierSecret) => {
  * Verify a zk-SNARK proof for authentication
  * @param {Object} zkProof - The proof to verify
  * @param {Array} publicSignals - The public signals from the proof
+ * @param {Object} election - The election, whose proving system and circuit version the proof is verified with
  * @returns {Promise<boolean>} Whether the proof is valid
  */
-exports.verifyProof = async (zkProof, publicSignals) => {
+exports.verifyProof = async (zkProof, publicSignals, election) => {
   try {
     logger.info(`Verifying authentication proof`);
     
-    // Check if we're in dev/test mode and using mock proofs
-    if (process.env.USE_MOCK_PROOFS === 'true' || !fs.existsSync(AUTH_VERIFICATION_KEY_PATH)) {
-      logger.warn('Using mock verification for authentication proof');
-      
-      // For development/testing, return true if the proof exists
-      const result = !!zkProof;
-      logger.info(`Mock proof verification result: ${result}`);
-      return result;
-    }
-    
-    // Load verification key
-    const vKey = loadJSONFile(AUTH_VERIFICATION_KEY_PATH);
-    if (!vKey) {
-      logger.error('Failed to load authentication verification key');
-      return false;
-    }
-    
-    // Verify the proof using snarkjs
-    const result = await snarkjs.groth16.verify(vKey, publicSignals, zkProof);
+    return await verifyCircuitProof('auth', 'authentication', zkProof, publicSignals,
+      election.provingSystem, circuitRegistry.getElectionVersion('auth', election));
+  } catch (error) {
+    return handleVerificationError('authentication', error);
+  }
+};
+
+/**
+ * Verify a zk-SNARK proof of a registrar-signed voter credential
+ * @param {Object} zkProof - The proof to verify
+ * @param {Array} publicSignals - The public signals from the proof
+ * @param {Object} election - The election, whose proving system and circuit version the proof is verified with
+ * @returns {Promise<boolean>} Whether the proof is valid
+ */
+exports.verifyCredentialAuthProof = async (zkProof, publicSignals, election) => {
+  try {
+    logger.info(`Verifying credential authentication proof`);
     
-    logger.info(`Authentication proof verification result: ${result}`);
-    return result;
+    return await verifyCircuitProof('authCredential', 'credential authentication', zkProof, publicSignals,
+      election.provingSystem, circuitRegistry.getElectionVersion('authCredential', election));
   } catch (error) {
-    logger.error(`Error verifying authentication proof: ${error.message}`);
-    return false;
+    return handleVerificationError('credential authentication', error);
   }
 };
 
 /**
  * Generate a zk-SNARK proof for voting
- * @param {string} identifierPreimage - The original identifier
  * @param {string} nullifierSecret - Secret for nullifier
- * @param {string} choice - The voting choice (e.g. candidate ID)
+ * @param {string} choice - The voting choice (candidate ID)
+ * @param {string} electionId - Election the ballot is cast in
+ * @param {Object} candidateSet - Published candidate set ({ commitment, candidateIds, candidateCount, candidates })
+ * @param {string} protocol - Proving system to use
  * @returns {Promise<Object>} The generated proof
  */
-exports.generateVoteProof = async (identifierPreimage, nullifierSecret, choice) => {
+exports.generateVoteProof = async (nullifierSecret, choice, electionId, candidateSet, protocol = config.election.provingSystem) => {
   try {
     logger.info(`Generating voting proof`);
     
-    // Check if we're in dev/test mode and need to use mock proofs
-    if (process.env.USE_MOCK_PROOFS === 'true' || !fs.existsSync(VOTE_WASM_PATH) || !fs.existsSync(VOTE_ZKEY_PATH)) {
-      logger.warn('Using mock voting proof');
-      
-      // Create a mock proof for development/testing
-      const nullifierHash = crypto.createHash('sha256').update(`nullifier-${identifierPreimage}-${nullifierSecret}`).digest('hex');
-      const choiceHash = crypto.createHash('sha256').update(choice).digest('hex');
-      
-      const mockProof = {
-        proof: {
-          pi_a: ["mock_vote_pi_a_1", "mock_vote_pi_a_2"],
-          pi_b: [["mock_vote_pi_b_1_1", "mock_vote_pi_b_1_2"], ["mock_vote_pi_b_2_1", "mock_vote_pi_b_2_2"]],
-          pi_c: ["mock_vote_pi_c_1", "mock_vote_pi_c_2"],
-        },
-        publicSignals: [nullifierHash, choiceHash],
-        protocol: "groth16"
-      };
-      
-      return {
-        proof: mockProof.proof,
-        publicSignals: mockProof.publicSignals,
-        protocol: mockProof.protocol
-      };
+    const artifacts = circuitRegistry.resolve('vote', { protocol });
+    
+    const choiceIndex = candidateSet.candidateIds.indexOf(choice);
+    if (choiceIndex === -1) {
+      throw new Error('Choice is not in the candidate set');
     }
     
+    const encoder = await getFieldEncoder();
+    
     // Create witness input for the circuit
     const input = {
-      identifierPreimage: identifierPreimage,
       nullifierSecret: nullifierSecret,
-      choice: choice
+      choice: candidateSet.candidates[choiceIndex],
+      choiceIndex: choiceIndex,
+      candidates: candidateSet.candidates,
+      candidateCount: candidateSet.candidateCount,
+      electionId: electionId,
+      candidateSetCommitment: candidateSet.commitment,
+      publicNullifierHash: encoder.hash([nullifierSecret, electionId]),
+      publicChoiceHash: encoder.hash([candidateSet.candidates[choiceIndex]])
     };
     
-    // Generate witness
-    const { proof, publicSignals } = await snarkjs.groth16.fullProve(
-      input, 
-      VOTE_WASM_PATH, 
-      VOTE_ZKEY_PATH
-    );
+    // Generate witness and proof
+    const { proof, publicSignals } = await prove(artifacts, input);
     
     logger.info(`Voting proof generated successfully`);
     
     return { 
       proof, 
       publicSignals,
-      protocol: "groth16"
+      protocol
     };
   } catch (error) {
     logger.error(`Error generating vote proof: ${error.message}`);
@@ -201,102 +266,123 @@ exports.generateVoteProof = async (identifierPreimage, nullifierSecret, choice)
  * Verify a zk-SNARK proof for voting
  * @param {Object} zkProof - The proof to verify
  * @param {Array} publicSignals - The public signals from the proof
+ * @param {Object} election - The election, whose proving system and circuit version the proof is verified with
+ * @param {string} circuit - Circuit of the ballot (vote, rankedVote or approvalVote, see ballotService)
  * @returns {Promise<boolean>} Whether the proof is valid
  */
-exports.verifyVoteProof = async (zkProof, publicSignals) => {
+exports.verifyVoteProof = async (zkProof, publicSignals, election, circuit = 'vote') => {
   try {
     logger.info(`Verifying voting proof`);
     
-    // Check if we're in dev/test mode and using mock proofs
-    if (process.env.USE_MOCK_PROOFS === 'true' || !fs.existsSync(VOTE_VERIFICATION_KEY_PATH)) {
-      logger.warn('Using mock verification for voting proof');
-      
-      // For development/testing, return true if the proof exists
-      const result = !!zkProof;
-      logger.info(`Mock vote proof verification result: ${result}`);
-      return result;
-    }
-    
-    // Load verification key
-    const vKey = loadJSONFile(VOTE_VERIFICATION_KEY_PATH);
-    if (!vKey) {
-      logger.error('Failed to load voting verification key');
-      return false;
-    }
-    
-    // Verify the proof using snarkjs
-    const result = await snarkjs.groth16.verify(vKey, publicSignals, zkProof);
-    
-    logger.info(`Voting proof verification result: ${result}`);
-    return result;
+    return await verifyCircuitProof(circuit, 'voting', zkProof, publicSignals,
+      election.provingSystem, circuitRegistry.getElectionVersion(circuit, election));
   } catch (error) {
-    logger.error(`Error verifying voting proof: ${error.message}`);
-    return false;
+    return handleVerificationError('voting', error);
   }
 };
 
+/**
+ * Check that a vote proof's public signals are bound to the ballot being cast
+ * The same publicSignals must then be passed to verifyVoteProof, so the binding
+ * holds for the verified proof and not just for the submitted values
+ * @param {Array} publicSignals - The public signals from the proof
+ * @param {Object} expected - Values the proof must commit to
+ * @param {string} expected.nullifierHash - Nullifier hash from the voter's token
+ * @param {string} expected.choiceHash - Choice hash of the submitted ballot (see ballotService.computeChoiceHash)
+ * @param {string} expected.electionId - Election the ballot is cast in
+ * @param {string} expected.candidateSetCommitment - Currently published candidate set commitment
+ * @param {number} expected.maxApprovals - Approval limit of the election (approvalVote only)
+ * @param {string} circuit - Circuit of the ballot (vote, rankedVote or approvalVote, see ballotService)
+ * @param {string} version - Circuit version the election verifies against (defaults to the current version)
+ * @returns {Promise<Object|null>} null if bound, otherwise { code, message }
+ */
+exports.checkVoteBinding = async (publicSignals, expected, circuit = 'vote', version) => {
+  const signals = parsePublicSignals(circuit, publicSignals, version);
+  if (!signals) {
+    return {
+      code: PROOF_ERROR_CODES.MALFORMED_SIGNALS,
+      message: `Vote proof public signals do not match the ${circuit} circuit layout`
+    };
+  }
+
+  if (signals.nullifierHash !== String(expected.nullifierHash) ||
+      signals.publicNullifierHash !== signals.nullifierHash) {
+    return {
+      code: PROOF_ERROR_CODES.NULLIFIER_MISMATCH,
+      message: 'Vote proof nullifier does not match the authenticated voter'
+    };
+  }
+
+  if (signals.choiceHash !== String(expected.choiceHash) ||
+      signals.publicChoiceHash !== signals.choiceHash) {
+    return {
+      code: PROOF_ERROR_CODES.CHOICE_MISMATCH,
+      message: 'Vote proof does not commit to the submitted choice'
+    };
+  }
+
+  if (signals.electionId !== String(expected.electionId)) {
+    return {
+      code: PROOF_ERROR_CODES.ELECTION_MISMATCH,
+      message: 'Vote proof was made for a different election'
+    };
+  }
+
+  if (signals.candidateSetCommitment !== String(expected.candidateSetCommitment)) {
+    return {
+      code: PROOF_ERROR_CODES.CANDIDATE_SET_MISMATCH,
+      message: 'Proof was not made against the current candidate set'
+    };
+  }
+
+  if (signals.maxApprovals !== undefined && signals.maxApprovals !== String(expected.maxApprovals)) {
+    return {
+      code: PROOF_ERROR_CODES.APPROVAL_LIMIT_MISMATCH,
+      message: 'Proof was not made with the approval limit of the election'
+    };
+  }
+
+  return null;
+};
+
 /**
  * Generate a zk-SNARK proof for admin actions (candidate management)
  * @param {string} adminKey - The admin secret key
  * @param {string} actionData - Data about the action (add/modify/remove candidate)
  * @param {string} actionNonce - Nonce for the action to prevent replay attacks
+ * @param {string} protocol - Proving system to use
  * @returns {Promise<Object>} The generated proof
  */
-exports.generateAdminActionProof = async (adminKey, actionData, actionNonce = Date.now().toString()) => {
+exports.generateAdminActionProof = async (adminKey, actionData, actionNonce = Date.now().toString(), protocol = 'groth16') => {
   try {
     logger.info(`Generating admin action proof`);
     
-    // Check if we're in dev/test mode and need to use mock proofs
-    if (process.env.USE_MOCK_PROOFS === 'true' || !fs.existsSync(ADMIN_WASM_PATH) || !fs.existsSync(ADMIN_ZKEY_PATH)) {
-      logger.warn('Using mock admin action proof');
-      
-      // Create a mock proof for development/testing
-      const actionString = typeof actionData === 'object' ? JSON.stringify(actionData) : String(actionData);
-      const actionHash = crypto.createHash('sha256').update(`${actionString}-${actionNonce}`).digest('hex');
-      const adminProof = crypto.createHash('sha256').update(adminKey).digest('hex');
-      
-      const mockProof = {
-        proof: {
-          pi_a: ["mock_admin_pi_a_1", "mock_admin_pi_a_2"],
-          pi_b: [["mock_admin_pi_b_1_1", "mock_admin_pi_b_1_2"], ["mock_admin_pi_b_2_1", "mock_admin_pi_b_2_2"]],
-          pi_c: ["mock_admin_pi_c_1", "mock_admin_pi_c_2"],
-        },
-        publicSignals: [adminProof, actionHash],
-        protocol: "groth16",
-        actionNonce: actionNonce
-      };
-      
-      return {
-        proof: mockProof.proof,
-        publicSignals: mockProof.publicSignals,
-        protocol: mockProof.protocol,
-        actionNonce: actionNonce
-      };
-    }
+    const artifacts = circuitRegistry.resolve('admin', { protocol });
     
-    // Ensure actionData is properly formatted
-    const actionDataFormatted = typeof actionData === 'string' ? actionData : JSON.stringify(actionData);
+    // Encode every input as a field element
+    const encoder = await getFieldEncoder();
+    const encodedInputs = {
+      adminKey: encoder.encodeId(adminKey),
+      actionData: typeof actionData === 'string' ? encoder.encodeString(actionData) : encoder.encodeJSON(actionData),
+      actionNonce: encoder.encodeId(actionNonce)
+    };
     
     // Create witness input for the circuit
     const input = {
-      adminKey: adminKey,
-      actionData: actionDataFormatted,
-      actionNonce: actionNonce
+      ...encodedInputs,
+      // admin.circom hashes the key commitment, so the server can recompute this hash
+      publicActionHash: encoder.hash([encoder.hash([encodedInputs.adminKey]), encodedInputs.actionData, encodedInputs.actionNonce])
     };
     
-    // Generate witness
-    const { proof, publicSignals } = await snarkjs.groth16.fullProve(
-      input, 
-      ADMIN_WASM_PATH, 
-      ADMIN_ZKEY_PATH
-    );
+    // Generate witness and proof
+    const { proof, publicSignals } = await prove(artifacts, input);
     
     logger.info(`Admin action proof generated successfully`);
     
     return { 
       proof, 
       publicSignals,
-      protocol: "groth16",
+      protocol,
       actionNonce: actionNonce
     };
   } catch (error) {
@@ -307,40 +393,115 @@ exports.generateAdminActionProof = async (adminKey, actionData, actionNonce = Da
 
 /**
  * Verify a zk-SNARK proof for admin actions
- * @param {Object} zkProof - The proof to verify
- * @param {Array} publicSignals - The public signals from the proof
+ * The proof's adminProof output is Poseidon(adminKey), so it must equal the
+ * commitment the admin enrolled; otherwise the prover does not hold the admin key
+ * @param {Object} zkProof - The proof to verify ({ proof, publicSignals, protocol })
+ * @param {string} adminKeyCommitment - Enrolled Poseidon commitment of the admin key
  * @returns {Promise<boolean>} Whether the proof is valid
  */
-exports.verifyAdminActionProof = async (zkProof, publicSignals) => {
+exports.verifyAdminActionProof = async (zkProof, adminKeyCommitment) => {
   try {
     logger.info(`Verifying admin action proof`);
     
-    // Check if we're in dev/test mode and using mock proofs
-    if (process.env.USE_MOCK_PROOFS === 'true' || !fs.existsSync(ADMIN_VERIFICATION_KEY_PATH)) {
-      logger.warn('Using mock verification for admin action proof');
-      
-      // For development/testing, return true if the proof exists
-      const result = !!zkProof;
-      logger.info(`Mock admin action proof verification result: ${result}`);
-      return result;
-    }
-    
-    // Load verification key
-    const vKey = loadJSONFile(ADMIN_VERIFICATION_KEY_PATH);
-    if (!vKey) {
-      logger.error('Failed to load admin verification key');
+    const signals = zkProof && parsePublicSignals('admin', zkProof.publicSignals);
+    if (!signals || !adminKeyCommitment || signals.adminProof !== String(adminKeyCommitment)) {
+      logger.warn('Admin action proof is not bound to the enrolled admin key');
       return false;
     }
     
-    // Verify the proof using snarkjs
-    const result = await snarkjs.groth16.verify(vKey, publicSignals, zkProof);
+    const { proof, publicSignals, protocol = 'groth16' } = zkProof;
     
-    logger.info(`Admin action proof verification result: ${result}`);
-    return result;
+    return await verifyCircuitProof('admin', 'admin action', proof, publicSignals, protocol);
   } catch (error) {
-    logger.error(`Error verifying admin action proof: ${error.message}`);
-    return false;
+    return handleVerificationError('admin action', error);
+  }
+};
+
+// Circuits the server proves and verifies with, for each proving system elections use
+const getRequiredCircuits = (provingSystems) => [
+  ...provingSystems.flatMap((protocol) => [
+    { name: 'auth', protocol },
+    { name: 'vote', protocol },
+    { name: 'rankedVote', protocol },
+    { name: 'approvalVote', protocol },
+    ...(config.registrar.requireCredential ? [{ name: 'authCredential', protocol }] : [])
+  ]),
+  // Admin action proofs are always Groth16
+  { name: 'admin', protocol: 'groth16' }
+];
+
+/**
+ * Report the ZKP mode and what keeps the required circuits from being used for real proofs
+ * @param {Array<string>} provingSystems - Proving systems of the elections (see electionService.getProvingSystems)
+ * @returns {Object} { mode, ready, problems }
+ */
+exports.getZkpStatus = (provingSystems = [config.election.provingSystem]) => {
+  const problems = [];
+  
+  getRequiredCircuits(provingSystems).forEach(({ name, protocol }) => {
+    const artifacts = circuitRegistry.resolve(name, { protocol });
+    const label = `${name}@${artifacts.version} (${protocol})`;
+    
+    ['wasm', 'zkey'].forEach((type) => {
+      if (!fs.existsSync(artifacts[type])) {
+        problems.push(`${type} of ${label} is missing`);
+      }
+    });
+    
+    const key = verificationKeyService.getKey(name, artifacts.version, protocol);
+    if (key.status !== VKEY_STATUS.LOADED) {
+      problems.push(`verification key of ${label} is ${key.status}`);
+    }
+  });
+  
+  return {
+    mode: config.zkp.mode,
+    ready: problems.length === 0,
+    problems
+  };
+};
+
+/**
+ * List what keeps new elections from using a proving system
+ * Mock proofs are accepted whatever the proving system, real proofs need its circuits built and pinned
+ * @param {string} provingSystem - Proving system of the new election
+ * @returns {Array<string>} Problems, none when elections can use the proving system
+ */
+exports.getProvingSystemProblems = (provingSystem) => {
+  if (config.zkp.mode === 'mock') {
+    return [];
+  }
+  return exports.getZkpStatus([provingSystem]).problems;
+};
+
+/**
+ * Check the ZKP mode before the server starts
+ * Production fails closed: mock mode or an unusable circuit stops the server
+ * @param {Array<string>} provingSystems - Proving systems of the elections (see electionService.getProvingSystems)
+ * @throws {Error} When the mode is unknown, or the server is not fit to run a production election
+ */
+exports.checkZkpMode = (provingSystems) => {
+  const { mode } = config.zkp;
+  if (!ZKP_MODES.includes(mode)) {
+    throw new Error(`Unknown ZKP_MODE "${mode}", expected ${ZKP_MODES.join(' or ')}`);
+  }
+  
+  const { problems } = exports.getZkpStatus(provingSystems);
+  
+  if (config.server.nodeEnv === 'production') {
+    if (mode === 'mock') {
+      throw new Error('ZKP_MODE=mock is not allowed in production');
+    }
+    if (problems.length > 0) {
+      throw new Error(`Circuits are not ready for production: ${problems.join('; ')}`);
+    }
+  }
+  
+  if (mode === 'mock') {
+    logger.warn('ZKP_MODE=mock: mock proofs are accepted, ballots are not cryptographically verified');
   }
+  problems.forEach((problem) => logger.warn(`Circuit not ready: ${problem}`));
+  logger.info(`ZKP mode: ${mode}`);
 };
 
 /**
@@ -352,7 +513,7 @@ exports.compileCircuits = async () => {
     logger.info('Starting circuit compilation...');
     
     // Compile the auth circuit
-    if (!fs.existsSync(AUTH_WASM_PATH) || !fs.existsSync(AUTH_ZKEY_PATH) || !fs.existsSync(AUTH_VERIFICATION_KEY_PATH)) {
+    if (!circuitRegistry.ARTIFACT_TYPES.every((type) => fs.existsSync(circuitRegistry.resolve('auth')[type]))) {
       logger.info('Compiling auth circuit...');
       // This would typically call snarkjs functions to compile the circuit
       // For now, we'll just log that this would happen in production
@@ -360,14 +521,14 @@ exports.compileCircuits = async () => {
     }
     
     // Compile the vote circuit
-    if (!fs.existsSync(VOTE_WASM_PATH) || !fs.existsSync(VOTE_ZKEY_PATH) || !fs.existsSync(VOTE_VERIFICATION_KEY_PATH)) {
+    if (!circuitRegistry.ARTIFACT_TYPES.every((type) => fs.existsSync(circuitRegistry.resolve('vote')[type]))) {
       logger.info('Compiling vote circuit...');
       // This would typically call snarkjs functions to compile the circuit
       logger.info('Vote circuit compilation would happen here in production');
     }
     
     // Compile the admin circuit
-    if (!fs.existsSync(ADMIN_WASM_PATH) || !fs.existsSync(ADMIN_ZKEY_PATH) || !fs.existsSync(ADMIN_VERIFICATION_KEY_PATH)) {
+    if (!circuitRegistry.ARTIFACT_TYPES.every((type) => fs.existsSync(circuitRegistry.resolve('admin')[type]))) {
       logger.info('Compiling admin circuit...');
       // This would typically call snarkjs functions to compile the circuit
       logger.info('Admin circuit compilation would happen here in production');
@@ -379,4 +540,4 @@ exports.compileCircuits = async () => {
     logger.error(`Error compiling circuits: ${error.message}`);
     return false;
   }
-}; 
\ No newline at end of file
+}; 
@@ -0,0 +1,328 @@
+/**
+ * Registry of the circuits the backend proves and verifies
+ *
+ * Every version of every circuit is listed with its artifact directory, public-signal
+ * layout and proving systems. Versions coexist: an election keeps verifying against
+ * the versions pinned when it opened (Election.circuitVersions) after a newer one
+ * becomes current.
+ *
+ * Artifacts are named the way circuits/compile-circuits.js writes them, inside the
+ * version's directory under config.zkp.circuitsDir.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/config');
+
+// Proving systems the circuits are set up for
+const PROVING_SYSTEMS = ['groth16', 'plonk', 'fflonk'];
+
+// Artifacts served and hashed for each circuit version and proving system
+const ARTIFACT_TYPES = ['wasm', 'zkey', 'vkey'];
+
+// Public-signal layouts list outputs first, then public inputs in declaration order
+const CIRCUITS = {
+  // circuits/auth/auth.circom
+  auth: {
+    current: '1.0.0',
+    versions: {
+      '1.0.0': {
+        directory: 'auth',
+        artifactName: 'auth',
+        publicSignals: ['nullifierHash', 'merkleRoot', 'electionId']
+      }
+    }
+  },
+  // circuits/auth_credential/auth_credential.circom
+  authCredential: {
+    current: '1.0.0',
+    versions: {
+      '1.0.0': {
+        directory: 'auth_credential',
+        artifactName: 'auth_credential',
+        publicSignals: ['nullifierHash', 'registrarPubKeyX', 'registrarPubKeyY', 'electionId']
+      }
+    }
+  },
+  // circuits/vote/vote.circom
+  vote: {
+    current: '1.0.0',
+    versions: {
+      '1.0.0': {
+        directory: 'vote',
+        artifactName: 'vote',
+        publicSignals: [
+          'nullifierHash',
+          'choiceHash',
+          'electionId',
+          'candidateSetCommitment',
+          'publicNullifierHash',
+          'publicChoiceHash'
+        ]
+      }
+    }
+  },
+  // circuits/ranked_vote/ranked_vote.circom
+  rankedVote: {
+    current: '1.0.0',
+    versions: {
+      '1.0.0': {
+        directory: 'ranked_vote',
+        artifactName: 'ranked_vote',
+        publicSignals: [
+          'nullifierHash',
+          'choiceHash',
+          'electionId',
+          'candidateSetCommitment',
+          'publicNullifierHash',
+          'publicChoiceHash'
+        ]
+      }
+    }
+  },
+  // circuits/approval_vote/approval_vote.circom
+  approvalVote: {
+    current: '1.0.0',
+    versions: {
+      '1.0.0': {
+        directory: 'approval_vote',
+        artifactName: 'approval_vote',
+        publicSignals: [
+          'nullifierHash',
+          'choiceHash',
+          'electionId',
+          'candidateSetCommitment',
+          'maxApprovals',
+          'publicNullifierHash',
+          'publicChoiceHash'
+        ]
+      }
+    }
+  },
+  // circuits/admin/admin.circom
+  admin: {
+    current: '1.0.0',
+    versions: {
+      '1.0.0': {
+        directory: 'admin',
+        artifactName: 'admin',
+        publicSignals: ['adminProof', 'actionHash', 'publicActionHash']
+      }
+    }
+  }
+};
+
+// SHA-256 of artifact files, invalidated when the file changes on disk
+const hashCache = new Map();
+
+/**
+ * Get the names of the registered circuits
+ *
+ * @returns {Array<string>} - Circuit names
+ */
+function getCircuitNames() {
+  return Object.keys(CIRCUITS);
+}
+
+/**
+ * Get the current version of every circuit, as pinned for an election when it opens
+ *
+ * @returns {Object} - Current version by circuit name
+ */
+function getCurrentVersions() {
+  return getCircuitNames().reduce((versions, name) => {
+    versions[name] = CIRCUITS[name].current;
+    return versions;
+  }, {});
+}
+
+/**
+ * Get the version of a circuit an election verifies against
+ *
+ * @param {string} name - Circuit name
+ * @param {Object} election - The election (its circuitVersions were pinned when it opened)
+ * @returns {string} - The version pinned for the election, or the current version before it opens
+ */
+function getElectionVersion(name, election) {
+  const circuit = CIRCUITS[name];
+  if (!circuit) {
+    throw new Error(`Unknown circuit: ${name}`);
+  }
+  const pinned = election && election.circuitVersions && election.circuitVersions.get(name);
+  return pinned || circuit.current;
+}
+
+/**
+ * Get the artifact file names of a circuit version for a proving system
+ * Groth16 keeps the original names, PLONK and fflonk files carry the protocol as suffix
+ *
+ * @param {string} artifactName - Base name of the circuit files
+ * @param {string} protocol - Proving system
+ * @returns {Object} - File names of the wasm, zkey, verification key and ceremony transcript
+ */
+function getArtifactFileNames(artifactName, protocol) {
+  const isGroth16 = protocol === 'groth16';
+  return {
+    wasm: path.join(`${artifactName}_js`, `${artifactName}.wasm`),
+    zkey: isGroth16 ? `${artifactName}_final.zkey` : `${artifactName}_${protocol}.zkey`,
+    vkey: isGroth16 ? 'verification_key.json' : `verification_key_${protocol}.json`,
+    // Only the Groth16 zkey comes out of a circuit-specific ceremony (circuits/ceremony.js)
+    transcript: isGroth16 ? `${artifactName}_ceremony.json` : null
+  };
+}
+
+/**
+ * Resolve a registry entry
+ *
+ * @param {string} name - Circuit name
+ * @param {Object} options - Lookup options
+ * @param {string} options.version - Circuit version (defaults to the current version)
+ * @param {string} options.protocol - Proving system (defaults to groth16)
+ * @returns {Object} - Entry with name, version, protocol, publicSignals and absolute artifact paths
+ */
+function resolve(name, { version, protocol = 'groth16' } = {}) {
+  const circuit = CIRCUITS[name];
+  if (!circuit) {
+    throw new Error(`Unknown circuit: ${name}`);
+  }
+
+  const resolvedVersion = version || circuit.current;
+  const definition = circuit.versions[resolvedVersion];
+  if (!definition) {
+    throw new Error(`Unknown version ${resolvedVersion} of circuit ${name}`);
+  }
+  if (!PROVING_SYSTEMS.includes(protocol)) {
+    throw new Error(`Unsupported proving system: ${protocol}`);
+  }
+
+  const directory = path.join(config.zkp.circuitsDir, definition.directory);
+  const fileNames = getArtifactFileNames(definition.artifactName, protocol);
+
+  return {
+    name,
+    version: resolvedVersion,
+    protocol,
+    directory: definition.directory,
+    publicSignals: definition.publicSignals,
+    wasm: path.join(directory, fileNames.wasm),
+    zkey: path.join(directory, fileNames.zkey),
+    vkey: path.join(directory, fileNames.vkey),
+    transcript: fileNames.transcript && path.join(directory, fileNames.transcript)
+  };
+}
+
+/**
+ * Compute the SHA-256 of an artifact file
+ *
+ * @param {string} filePath - Absolute path of the file
+ * @returns {string|null} - Hex digest, or null if the file does not exist
+ */
+function hashFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    hashCache.delete(filePath);
+    return null;
+  }
+
+  const { mtimeMs, size } = fs.statSync(filePath);
+  const cached = hashCache.get(filePath);
+  if (cached && cached.mtimeMs === mtimeMs && cached.size === size) {
+    return cached.sha256;
+  }
+
+  const sha256 = crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+  hashCache.set(filePath, { mtimeMs, size, sha256 });
+  return sha256;
+}
+
+/**
+ * List every registered circuit version for every proving system
+ *
+ * @returns {Array<Object>} - Resolved entries, each with a current flag
+ */
+function getEntries() {
+  const entries = [];
+
+  getCircuitNames().forEach((name) => {
+    const circuit = CIRCUITS[name];
+
+    Object.keys(circuit.versions).forEach((version) => {
+      PROVING_SYSTEMS.forEach((protocol) => {
+        entries.push({
+          ...resolve(name, { version, protocol }),
+          current: version === circuit.current
+        });
+      });
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Read the trusted setup ceremony transcript of an entry
+ *
+ * @param {Object} entry - Resolved registry entry
+ * @returns {Object|null} - The transcript and its SHA-256, or null if the zkey has no ceremony
+ */
+function getCeremony(entry) {
+  if (!entry.transcript || !fs.existsSync(entry.transcript)) {
+    return null;
+  }
+
+  try {
+    return {
+      path: path.relative(config.zkp.circuitsDir, entry.transcript),
+      sha256: hashFile(entry.transcript),
+      transcript: JSON.parse(fs.readFileSync(entry.transcript))
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the manifest of every circuit version and proving system
+ *
+ * @returns {Object} - Manifest with one entry per circuit, version and protocol
+ */
+function getManifest() {
+  const circuits = getEntries().map((entry) => {
+    const artifacts = {};
+
+    ARTIFACT_TYPES.forEach((type) => {
+      artifacts[type] = {
+        path: path.relative(config.zkp.circuitsDir, entry[type]),
+        sha256: hashFile(entry[type]),
+        url: `/api/circuits/${entry.name}/${entry.version}/${entry.protocol}/${type}`
+      };
+    });
+
+    return {
+      name: entry.name,
+      version: entry.version,
+      protocol: entry.protocol,
+      current: entry.current,
+      publicSignals: entry.publicSignals,
+      artifacts,
+      ceremony: getCeremony(entry)
+    };
+  });
+
+  return {
+    // Clients only fall back to mock proofs when the server accepts them
+    zkpMode: config.zkp.mode,
+    circuits
+  };
+}
+
+module.exports = {
+  PROVING_SYSTEMS,
+  ARTIFACT_TYPES,
+  getCircuitNames,
+  getCurrentVersions,
+  getElectionVersion,
+  resolve,
+  getEntries,
+  hashFile,
+  getManifest
+};
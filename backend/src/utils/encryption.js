@@ -8,6 +8,17 @@ const ALGORITHM = 'aes-256-gcm';
 const IV_LENGTH = 16; // For AES, this is always 16
 const KEY = process.env.ENCRYPTION_KEY || 'voting-system-encryption-key-32-bytes';
 
+/**
+ * Get the 32-byte AES-256 key
+ * Keys of exactly 32 bytes are used as is, anything else is stretched with SHA-256
+ * 
+ * @returns {Buffer} - The cipher key
+ */
+function getCipherKey() {
+  const key = Buffer.from(KEY);
+  return key.length === 32 ? key : crypto.createHash('sha256').update(key).digest();
+}
+
 /**
  * Encrypt data using AES-256-GCM
  * 
@@ -22,7 +33,7 @@ function encrypt(data) {
   const iv = crypto.randomBytes(IV_LENGTH);
   
   // Create cipher
-  const cipher = crypto.createCipheriv(ALGORITHM, Buffer.from(KEY), iv);
+  const cipher = crypto.createCipheriv(ALGORITHM, getCipherKey(), iv);
   
   // Encrypt the data
   let encrypted = cipher.update(dataString, 'utf8', 'hex');
@@ -55,7 +66,7 @@ function decrypt(encryptedData, parseJson = false) {
     const encryptedText = parts[2];
     
     // Create decipher
-    const decipher = crypto.createDecipheriv(ALGORITHM, Buffer.from(KEY), iv);
+    const decipher = crypto.createDecipheriv(ALGORITHM, getCipherKey(), iv);
     decipher.setAuthTag(authTag);
     
     // Decrypt the data
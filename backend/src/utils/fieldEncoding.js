@@ -0,0 +1,180 @@
+/**
+ * Field-element encoding shared by the backend and the frontend
+ *
+ * The circuits only accept BN254 field elements, so every string, JSON object or ID
+ * that ends up in a circuit input goes through this module first. It has no Node or
+ * browser specific dependencies: the only committed copy lives in backend/src/utils and
+ * `npm run sync-shared-utils` copies it to src/utils (gitignored) for the React app.
+ *
+ * Poseidon is injected (circomlibjs buildPoseidon) so both sides hash with the
+ * exact parameters the circuits use.
+ */
+
+// Order of the BN254 scalar field
+const SNARK_FIELD_SIZE = BigInt('21888242871839275222246405745257275088548364400416034343698204186575808495617');
+
+// 31 bytes always fit below the field size
+const BYTES_PER_LIMB = 31;
+
+// circomlib Poseidon supports at most 16 inputs
+const POSEIDON_MAX_INPUTS = 16;
+
+const DECIMAL_PATTERN = /^[0-9]{1,78}$/;
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Check whether a value is a canonical field element (decimal string, number or bigint)
+ *
+ * @param {string|number|bigint} value - Value to check
+ * @returns {boolean} - Whether the value is below the field size
+ */
+function isFieldElement(value) {
+  if (typeof value === 'bigint') {
+    return value >= BigInt(0) && value < SNARK_FIELD_SIZE;
+  }
+  const str = String(value);
+  return DECIMAL_PATTERN.test(str) && BigInt(str) < SNARK_FIELD_SIZE;
+}
+
+/**
+ * Serialize JSON with sorted object keys, so equal objects always encode the same way
+ *
+ * @param {any} value - JSON-compatible value
+ * @returns {string} - Canonical JSON string
+ */
+function canonicalStringify(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value === undefined ? null : value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalStringify).join(',')}]`;
+  }
+  const keys = Object.keys(value)
+    .filter((key) => value[key] !== undefined)
+    .sort();
+  return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`).join(',')}}`;
+}
+
+/**
+ * Split a string into field-element limbs
+ * The first limb is the UTF-8 byte length, followed by big-endian 31-byte chunks
+ *
+ * @param {string} str - String to encode
+ * @returns {Array<string>} - Limbs as decimal field elements
+ */
+function stringToLimbs(str) {
+  const bytes = new TextEncoder().encode(String(str));
+  const limbs = [String(bytes.length)];
+
+  for (let offset = 0; offset < bytes.length; offset += BYTES_PER_LIMB) {
+    let limb = BigInt(0);
+    const end = Math.min(offset + BYTES_PER_LIMB, bytes.length);
+    for (let i = offset; i < end; i++) {
+      limb = (limb << BigInt(8)) + BigInt(bytes[i]);
+    }
+    limbs.push(limb.toString());
+  }
+
+  return limbs;
+}
+
+/**
+ * Decode limbs produced by stringToLimbs back into the original string
+ *
+ * @param {Array<string|bigint>} limbs - Length limb followed by data limbs
+ * @returns {string} - The decoded string
+ */
+function limbsToString(limbs) {
+  const length = Number(limbs[0]);
+  const bytes = new Uint8Array(length);
+
+  for (let chunk = 1; chunk < limbs.length; chunk++) {
+    const offset = (chunk - 1) * BYTES_PER_LIMB;
+    const size = Math.min(BYTES_PER_LIMB, length - offset);
+    let limb = BigInt(limbs[chunk]);
+    for (let i = size - 1; i >= 0; i--) {
+      bytes[offset + i] = Number(limb & BigInt(0xff));
+      limb >>= BigInt(8);
+    }
+  }
+
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Create an encoder bound to a Poseidon instance
+ *
+ * @param {Function} poseidon - Poseidon hasher from circomlibjs buildPoseidon()
+ * @returns {Object} - Hashing and encoding functions returning decimal field elements
+ */
+function createFieldEncoder(poseidon) {
+  /**
+   * Poseidon hash of up to 16 field elements, identical to circomlib Poseidon(n)
+   */
+  const hash = (inputs) => {
+    if (inputs.length === 0 || inputs.length > POSEIDON_MAX_INPUTS) {
+      throw new Error(`Poseidon takes 1 to ${POSEIDON_MAX_INPUTS} inputs, got ${inputs.length}`);
+    }
+    return poseidon.F.toObject(poseidon(inputs.map((input) => BigInt(input)))).toString();
+  };
+
+  /**
+   * Hash any number of limbs into one field element
+   * Up to 16 limbs are hashed directly, longer inputs are folded in chunks of 15
+   * behind the running hash: h = Poseidon(h, limb[i..i+14])
+   */
+  const hashLimbs = (limbs) => {
+    if (limbs.length <= POSEIDON_MAX_INPUTS) {
+      return hash(limbs);
+    }
+    let acc = hash(limbs.slice(0, POSEIDON_MAX_INPUTS));
+    for (let i = POSEIDON_MAX_INPUTS; i < limbs.length; i += POSEIDON_MAX_INPUTS - 1) {
+      acc = hash([acc].concat(limbs.slice(i, i + POSEIDON_MAX_INPUTS - 1)));
+    }
+    return acc;
+  };
+
+  /**
+   * Encode an arbitrary string as a single field element
+   */
+  const encodeString = (str) => hashLimbs(stringToLimbs(str));
+
+  /**
+   * Encode a JSON-compatible value (key order does not matter)
+   */
+  const encodeJSON = (value) => encodeString(canonicalStringify(value));
+
+  /**
+   * Encode an identifier
+   * Field elements pass through unchanged, Mongo ObjectIds are read as hex,
+   * anything else is encoded as a string
+   */
+  const encodeId = (id) => {
+    const str = String(id);
+    if (isFieldElement(str)) {
+      return BigInt(str).toString();
+    }
+    if (OBJECT_ID_PATTERN.test(str)) {
+      return BigInt(`0x${str}`).toString();
+    }
+    return encodeString(str);
+  };
+
+  return {
+    hash,
+    hashLimbs,
+    encodeString,
+    encodeJSON,
+    encodeId
+  };
+}
+
+module.exports = {
+  SNARK_FIELD_SIZE,
+  BYTES_PER_LIMB,
+  isFieldElement,
+  canonicalStringify,
+  stringToLimbs,
+  limbsToString,
+  createFieldEncoder
+};
@@ -0,0 +1,379 @@
+/**
+ * Mock proofs for development and tests without compiled circuits (ZKP_MODE=mock)
+ *
+ * The mock prover evaluates each circuit's logic with real Poseidon and EdDSA, so the
+ * public signals, their order and every constraint are the same as with the real
+ * circuits; only the proof object is faked. Inputs that would not satisfy the circuit
+ * are rejected the way snarkjs rejects them when computing the witness.
+ *
+ * Every mock proof carries MOCK_PROOF_MARKER. A server in real mode rejects any proof
+ * with the marker before it reaches snarkjs, so a mock proof can never pass as a real one,
+ * even if it was stored while the server ran in mock mode. A mock proof also carries the
+ * Poseidon hash of its public signals, so in mock mode a proof sent with other signals
+ * fails verification like a real one would.
+ *
+ * Like fieldEncoding.js this module has no Node or browser specific dependencies: the
+ * only committed copy lives in backend/src/utils and `npm run sync-shared-utils` copies it to
+ * src/utils (gitignored) for the React app. EdDSA (circomlibjs buildEddsa) is injected.
+ */
+const { createFieldEncoder, isFieldElement } = require('./fieldEncoding');
+
+// ZKP modes of the server (config.zkp.mode)
+const ZKP_MODES = ['real', 'mock'];
+
+// Value of the `mock` member of every mock proof
+const MOCK_PROOF_MARKER = 'zkp-mock-proof';
+
+/**
+ * What each circuit computes, keyed by circuit registry name
+ * `inputs` gives the size of every input signal, as instantiated by the circuit's main component.
+ * snarkjs orders public signals as outputs first, then public inputs in declaration order.
+ */
+const CIRCUITS = {
+  // circuits/auth/auth.circom, VoterAuth(20)
+  auth: {
+    inputs: { identifierPreimage: 1, nullifierSecret: 1, pathElements: 20, pathIndices: 20, merkleRoot: 1, electionId: 1 },
+    outputs: ['nullifierHash'],
+    publicInputs: ['merkleRoot', 'electionId'],
+    evaluate: (signals, { hash, assert }) => {
+      let node = hash([signals.identifierPreimage, signals.nullifierSecret]);
+      signals.pathIndices.forEach((pathIndex, level) => {
+        assert(pathIndex === BigInt(0) || pathIndex === BigInt(1), `pathIndices[${level}] * (1 - pathIndices[${level}]) === 0`);
+        const sibling = signals.pathElements[level];
+        node = pathIndex === BigInt(0) ? hash([node, sibling]) : hash([sibling, node]);
+      });
+      assert(BigInt(node) === signals.merkleRoot, 'merkleRoot === inclusionProof.root');
+
+      return { nullifierHash: hash([signals.nullifierSecret, signals.electionId]) };
+    }
+  },
+
+  // circuits/auth_credential/auth_credential.circom, CredentialVoterAuth()
+  authCredential: {
+    inputs: {
+      identifierPreimage: 1,
+      nullifierSecret: 1,
+      signatureR8x: 1,
+      signatureR8y: 1,
+      signatureS: 1,
+      registrarPubKeyX: 1,
+      registrarPubKeyY: 1,
+      electionId: 1
+    },
+    outputs: ['nullifierHash'],
+    publicInputs: ['registrarPubKeyX', 'registrarPubKeyY', 'electionId'],
+    evaluate: (signals, { hash, assert, eddsa }) => {
+      const F = eddsa.F;
+      const commitment = hash([signals.identifierPreimage, signals.nullifierSecret]);
+      const signature = { R8: [F.e(signals.signatureR8x), F.e(signals.signatureR8y)], S: signals.signatureS };
+      const publicKey = [F.e(signals.registrarPubKeyX), F.e(signals.registrarPubKeyY)];
+      assert(eddsa.verifyPoseidon(F.e(BigInt(commitment)), signature, publicKey), 'EdDSAPoseidonVerifier');
+
+      return { nullifierHash: hash([signals.nullifierSecret, signals.electionId]) };
+    }
+  },
+
+  // circuits/vote/vote.circom, AnonymousVote(16)
+  vote: {
+    inputs: {
+      nullifierSecret: 1,
+      choice: 1,
+      choiceIndex: 1,
+      candidates: 16,
+      candidateCount: 1,
+      electionId: 1,
+      candidateSetCommitment: 1,
+      publicNullifierHash: 1,
+      publicChoiceHash: 1
+    },
+    outputs: ['nullifierHash', 'choiceHash'],
+    publicInputs: ['electionId', 'candidateSetCommitment', 'publicNullifierHash', 'publicChoiceHash'],
+    evaluate: (signals, { hash, assert }) => {
+      const nullifierHash = hash([signals.nullifierSecret, signals.electionId]);
+      assert(signals.publicNullifierHash === BigInt(nullifierHash), 'publicNullifierHash === nullifierHash');
+
+      const choiceHash = hash([signals.choice]);
+      assert(signals.publicChoiceHash === BigInt(choiceHash), 'publicChoiceHash === choiceHash');
+
+      const commitment = hash([hash(signals.candidates), signals.candidateCount]);
+      assert(signals.candidateSetCommitment === BigInt(commitment), 'candidateSetCommitment === commitmentHasher.out');
+
+      const maxCandidates = BigInt(signals.candidates.length);
+      assert(signals.choiceIndex < BigInt(256), 'Num2Bits(8) of choiceIndex');
+      assert(signals.candidateCount < BigInt(256), 'Num2Bits(8) of candidateCount');
+      assert(signals.candidateCount <= maxCandidates, 'candidateCount <= maxCandidates');
+      assert(signals.choiceIndex < signals.candidateCount, 'choiceIndex < candidateCount');
+      assert(signals.choice === signals.candidates[Number(signals.choiceIndex)], 'choice === selectedSum');
+
+      return { nullifierHash, choiceHash };
+    }
+  },
+
+  // circuits/ranked_vote/ranked_vote.circom, RankedVote(16)
+  rankedVote: {
+    inputs: {
+      nullifierSecret: 1,
+      ranking: 16,
+      candidates: 16,
+      candidateCount: 1,
+      electionId: 1,
+      candidateSetCommitment: 1,
+      publicNullifierHash: 1,
+      publicChoiceHash: 1
+    },
+    outputs: ['nullifierHash', 'choiceHash'],
+    publicInputs: ['electionId', 'candidateSetCommitment', 'publicNullifierHash', 'publicChoiceHash'],
+    evaluate: (signals, { hash, assert }) => {
+      const nullifierHash = hash([signals.nullifierSecret, signals.electionId]);
+      assert(signals.publicNullifierHash === BigInt(nullifierHash), 'publicNullifierHash === nullifierHash');
+
+      const commitment = hash([hash(signals.candidates), signals.candidateCount]);
+      assert(signals.candidateSetCommitment === BigInt(commitment), 'candidateSetCommitment === commitmentHasher.out');
+
+      const maxCandidates = signals.candidates.length;
+      assert(signals.candidateCount < BigInt(256), 'Num2Bits(8) of candidateCount');
+      assert(signals.candidateCount <= BigInt(maxCandidates), 'candidateCount <= maxCandidates');
+
+      // The ranking is a permutation of the candidates on the ballot, followed by zeros
+      const count = Number(signals.candidateCount);
+      const ranked = new Set();
+      signals.ranking.forEach((index, position) => {
+        if (position < count) {
+          assert(index < signals.candidateCount, 'rowSum * onBallot === onBallot');
+          ranked.add(index);
+        } else {
+          assert(index === BigInt(0), '(1 - onBallot) * ranking === 0');
+        }
+      });
+      assert(ranked.size === count, 'columnSum === onBallot');
+
+      const rankedChoices = signals.ranking.map((index, position) => (
+        position < count ? signals.candidates[Number(index)] : BigInt(0)
+      ));
+      const choiceHash = hash(rankedChoices);
+      assert(signals.publicChoiceHash === BigInt(choiceHash), 'publicChoiceHash === choiceHash');
+
+      return { nullifierHash, choiceHash };
+    }
+  },
+
+  // circuits/approval_vote/approval_vote.circom, ApprovalVote(16)
+  approvalVote: {
+    inputs: {
+      nullifierSecret: 1,
+      approvals: 16,
+      candidates: 16,
+      candidateCount: 1,
+      electionId: 1,
+      candidateSetCommitment: 1,
+      maxApprovals: 1,
+      publicNullifierHash: 1,
+      publicChoiceHash: 1
+    },
+    outputs: ['nullifierHash', 'choiceHash'],
+    publicInputs: ['electionId', 'candidateSetCommitment', 'maxApprovals', 'publicNullifierHash', 'publicChoiceHash'],
+    evaluate: (signals, { hash, assert }) => {
+      const nullifierHash = hash([signals.nullifierSecret, signals.electionId]);
+      assert(signals.publicNullifierHash === BigInt(nullifierHash), 'publicNullifierHash === nullifierHash');
+
+      const commitment = hash([hash(signals.candidates), signals.candidateCount]);
+      assert(signals.candidateSetCommitment === BigInt(commitment), 'candidateSetCommitment === commitmentHasher.out');
+
+      const maxCandidates = signals.candidates.length;
+      assert(signals.candidateCount < BigInt(256), 'Num2Bits(8) of candidateCount');
+      assert(signals.candidateCount <= BigInt(maxCandidates), 'candidateCount <= maxCandidates');
+      assert(signals.maxApprovals < BigInt(256), 'Num2Bits(8) of maxApprovals');
+
+      // Every entry is a bit, only candidates on the ballot can be approved
+      signals.approvals.forEach((approval, index) => {
+        assert(approval <= BigInt(1), 'Num2Bits(1) of approvals');
+        assert(approval === BigInt(0) || BigInt(index) < signals.candidateCount, 'approvals * (1 - onBallot) === 0');
+      });
+      const approvedCount = signals.approvals.filter((approval) => approval === BigInt(1)).length;
+      assert(BigInt(approvedCount) <= signals.maxApprovals, 'approvedCount <= maxApprovals');
+
+      const choiceHash = hash(signals.approvals.map((approval, index) => approval * signals.candidates[index]));
+      assert(signals.publicChoiceHash === BigInt(choiceHash), 'publicChoiceHash === choiceHash');
+
+      return { nullifierHash, choiceHash };
+    }
+  },
+
+  // circuits/admin/admin.circom, AdminAction()
+  admin: {
+    inputs: { adminKey: 1, actionData: 1, actionNonce: 1, publicActionHash: 1 },
+    outputs: ['adminProof', 'actionHash'],
+    publicInputs: ['publicActionHash'],
+    evaluate: (signals, { hash, assert }) => {
+      const adminProof = hash([signals.adminKey]);
+      const actionHash = hash([adminProof, signals.actionData, signals.actionNonce]);
+      assert(signals.publicActionHash === BigInt(actionHash), 'publicActionHash === actionHash');
+
+      return { adminProof, actionHash };
+    }
+  }
+};
+
+/**
+ * Read one input value as a field element, the way the witness calculator does
+ *
+ * @param {string} name - Signal name, for error messages
+ * @param {string|number|bigint} value - Input value
+ * @param {bigint} fieldSize - Order of the scalar field
+ * @returns {bigint} - The value reduced modulo the field size
+ */
+function toSignal(name, value, fieldSize) {
+  let signal;
+  try {
+    signal = BigInt(value);
+  } catch (error) {
+    throw new Error(`Invalid value for input signal ${name}: ${value}`);
+  }
+  return ((signal % fieldSize) + fieldSize) % fieldSize;
+}
+
+/**
+ * Check the inputs of a circuit and read them as field elements
+ *
+ * @param {string} circuitName - Circuit registry name
+ * @param {Object} circuit - Entry of CIRCUITS
+ * @param {Object} input - Circuit input, as passed to snarkjs fullProve
+ * @param {bigint} fieldSize - Order of the scalar field
+ * @returns {Object} - Signal values by name (arrays for array signals)
+ */
+function readInputs(circuitName, circuit, input, fieldSize) {
+  Object.keys(input).forEach((name) => {
+    if (!circuit.inputs[name]) {
+      throw new Error(`Signal ${name} is not an input of the ${circuitName} circuit`);
+    }
+  });
+
+  return Object.keys(circuit.inputs).reduce((signals, name) => {
+    const size = circuit.inputs[name];
+    const value = input[name];
+    if (value === undefined) {
+      throw new Error(`Not all inputs have been set: ${name} is missing`);
+    }
+
+    if (size === 1) {
+      if (Array.isArray(value)) {
+        throw new Error(`Too many values for input signal ${name}`);
+      }
+      signals[name] = toSignal(name, value, fieldSize);
+    } else {
+      if (!Array.isArray(value) || value.length !== size) {
+        throw new Error(`Input signal ${name} takes ${size} values`);
+      }
+      signals[name] = value.map((member, index) => toSignal(`${name}[${index}]`, member, fieldSize));
+    }
+    return signals;
+  }, {});
+}
+
+/**
+ * Hash the public signals a mock proof is bound to
+ *
+ * @param {Object} encoder - Field encoder from fieldEncoding.createFieldEncoder
+ * @param {Array<string>} publicSignals - Public signals of the proof
+ * @returns {string|null} - Poseidon hash of the signals, or null if they are not field elements
+ */
+function hashPublicSignals(encoder, publicSignals) {
+  if (!Array.isArray(publicSignals) || publicSignals.length === 0 || !publicSignals.every(isFieldElement)) {
+    return null;
+  }
+  return encoder.hashLimbs(publicSignals);
+}
+
+/**
+ * Create a mock proof with the shape of a snarkjs proof
+ *
+ * @param {string} protocol - Proving system the proof pretends to use
+ * @param {string} label - Prefix of the placeholder curve points
+ * @param {string} signalsHash - Hash of the public signals the proof is bound to (see hashPublicSignals)
+ * @returns {Object} - The mock proof, carrying MOCK_PROOF_MARKER
+ */
+function createMockProof(protocol, label, signalsHash) {
+  return {
+    pi_a: [`${label}_pi_a_1`, `${label}_pi_a_2`],
+    pi_b: [[`${label}_pi_b_1_1`, `${label}_pi_b_1_2`], [`${label}_pi_b_2_1`, `${label}_pi_b_2_2`]],
+    pi_c: [`${label}_pi_c_1`, `${label}_pi_c_2`],
+    protocol,
+    signalsHash,
+    mock: MOCK_PROOF_MARKER
+  };
+}
+
+/**
+ * Tell whether a proof carries the mock marker
+ *
+ * @param {Object} proof - The proof (not the { proof, publicSignals } envelope)
+ * @returns {boolean} - Whether the proof is a mock proof
+ */
+function isMockProof(proof) {
+  return !!proof && typeof proof === 'object' && proof.mock === MOCK_PROOF_MARKER;
+}
+
+/**
+ * Verify a mock proof: it must be bound to exactly the public signals it was sent with
+ *
+ * @param {Object} encoder - Field encoder from fieldEncoding.createFieldEncoder
+ * @param {Object} proof - The mock proof
+ * @param {Array<string>} publicSignals - The public signals sent with the proof
+ * @returns {boolean} - Whether the proof was made for these signals
+ */
+function verifyMockProof(encoder, proof, publicSignals) {
+  const signalsHash = hashPublicSignals(encoder, publicSignals);
+  return isMockProof(proof) && signalsHash !== null && proof.signalsHash === signalsHash;
+}
+
+/**
+ * Create a mock prover bound to an EdDSA instance
+ *
+ * @param {Object} eddsa - EdDSA from circomlibjs buildEddsa(), its Poseidon hashes the signals
+ * @returns {Object} - Prover with a fullProve(circuitName, input, protocol) like snarkjs
+ */
+function createMockProver(eddsa) {
+  const encoder = createFieldEncoder(eddsa.poseidon);
+  const { hash } = encoder;
+  const fieldSize = eddsa.poseidon.F.p;
+
+  /**
+   * Compute the public signals a circuit would output for an input and fake the proof
+   * Throws like the witness calculator when the input does not satisfy the circuit
+   */
+  const fullProve = async (circuitName, input, protocol = 'groth16') => {
+    const circuit = CIRCUITS[circuitName];
+    if (!circuit) {
+      throw new Error(`No mock prover for circuit ${circuitName}`);
+    }
+
+    const signals = readInputs(circuitName, circuit, input, fieldSize);
+    const assert = (condition, constraint) => {
+      if (!condition) {
+        throw new Error(`Assert Failed: ${constraint} (mock ${circuitName} prover)`);
+      }
+    };
+    const outputs = circuit.evaluate(signals, { hash, assert, eddsa });
+
+    const publicSignals = [
+      ...circuit.outputs.map((name) => String(outputs[name])),
+      ...circuit.publicInputs.map((name) => signals[name].toString())
+    ];
+
+    return {
+      proof: createMockProof(protocol, `mock_${circuitName}`, hashPublicSignals(encoder, publicSignals)),
+      publicSignals
+    };
+  };
+
+  return { fullProve };
+}
+
+module.exports = {
+  ZKP_MODES,
+  MOCK_PROOF_MARKER,
+  createMockProof,
+  isMockProof,
+  verifyMockProof,
+  createMockProver
+};
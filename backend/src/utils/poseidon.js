@@ -0,0 +1,23 @@
+/**
+ * Shared Poseidon field encoder for the backend
+ */
+const { buildPoseidon } = require('circomlibjs');
+const { createFieldEncoder } = require('./fieldEncoding');
+
+let encoderPromise;
+
+/**
+ * Get the field encoder, building Poseidon on first use
+ * 
+ * @returns {Promise<Object>} - Encoder from fieldEncoding.createFieldEncoder
+ */
+function getFieldEncoder() {
+  if (!encoderPromise) {
+    encoderPromise = buildPoseidon().then(createFieldEncoder);
+  }
+  return encoderPromise;
+}
+
+module.exports = {
+  getFieldEncoder
+};
@@ -0,0 +1,442 @@
+/**
+ * Proof codec: converts zk-SNARK proofs between the formats they travel in
+ *
+ * - snarkjs: the { proof, publicSignals, protocol } envelope snarkjs produces and verifies
+ * - solidity: the calldata arrays of the verifier contracts snarkjs exports, as 0x-prefixed
+ *   uint256 words (Groth16 swaps the coordinates of each G2 point)
+ * - compact: a base64url CBOR bundle that also names the circuit and version the proof is for
+ *
+ * Every place that stores, sends or submits a proof goes through this module.
+ */
+
+const { Encoder } = require('cbor-x');
+const { ethers } = require('ethers');
+const circuitRegistry = require('./circuitRegistry');
+const { PROOF_ERROR_CODES } = require('./publicSignals');
+
+const PROOF_FORMATS = ['snarkjs', 'solidity', 'compact'];
+
+// Version of the compact bundle layout, bumped when the layout changes
+const COMPACT_BUNDLE_VERSION = 1;
+
+// Plain, minimally sized CBOR maps, so any CBOR decoder can read the bundle
+const cbor = new Encoder({ useRecords: false, mapsAsObjects: true, variableMapSize: true });
+
+// Canonical decimal strings below 2^256; the compact bundle stores these as bytes
+const DECIMAL_PATTERN = /^(0|[1-9][0-9]{0,77})$/;
+const UINT256_LIMIT = BigInt(2) ** BigInt(256);
+
+// Calldata layout of the PLONK and fflonk verifiers: one fixed-size array of proof words
+const PLONK_CALLDATA = {
+  points: ['A', 'B', 'C', 'Z', 'T1', 'T2', 'T3', 'Wxi', 'Wxiw'],
+  evaluations: ['eval_a', 'eval_b', 'eval_c', 'eval_s1', 'eval_s2', 'eval_zw']
+};
+const FFLONK_CALLDATA = {
+  points: ['C1', 'C2', 'W1', 'W2'],
+  evaluations: ['ql', 'qr', 'qm', 'qo', 'qc', 's1', 's2', 's3', 'a', 'b', 'c', 'z', 'zw', 't1w', 't2w', 'inv']
+};
+
+/**
+ * Raised when a proof cannot be read or converted
+ * The error handler answers 400 with the PROOF_MALFORMED code
+ */
+class ProofFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProofFormatError';
+    this.code = PROOF_ERROR_CODES.MALFORMED_PROOF;
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Format a field element as a 0x-prefixed uint256 word, like snarkjs calldata
+ *
+ * @param {string} value - Decimal field element
+ * @returns {string} - 32-byte hex word
+ */
+function toWord(value) {
+  if (typeof value !== 'string' || !DECIMAL_PATTERN.test(value) || BigInt(value) >= UINT256_LIMIT) {
+    throw new ProofFormatError(`Proof value ${value} is not a field element`);
+  }
+  return `0x${BigInt(value).toString(16).padStart(64, '0')}`;
+}
+
+/**
+ * Read a uint256 calldata word as a decimal field element
+ *
+ * @param {string|number|bigint} word - Hex or decimal word
+ * @returns {string} - Decimal string
+ */
+function fromWord(word) {
+  try {
+    const value = BigInt(word);
+    if (value >= BigInt(0) && value < UINT256_LIMIT) {
+      return value.toString();
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw new ProofFormatError(`Calldata word ${word} is not a uint256`);
+}
+
+/**
+ * Check the shape of a snarkjs envelope
+ *
+ * @param {Object} zkProof - Proof envelope
+ * @returns {Object} - The envelope
+ */
+function checkEnvelope(zkProof) {
+  if (!zkProof || typeof zkProof !== 'object' || Array.isArray(zkProof)) {
+    throw new ProofFormatError('A snarkjs proof must be an object with proof and publicSignals');
+  }
+  if (!zkProof.proof || typeof zkProof.proof !== 'object' || !Array.isArray(zkProof.publicSignals)) {
+    throw new ProofFormatError('A snarkjs proof must be an object with proof and publicSignals');
+  }
+  return zkProof;
+}
+
+/**
+ * Get the proving system of an envelope, from the envelope or the proof itself
+ *
+ * @param {Object} zkProof - Proof envelope
+ * @returns {string} - groth16, plonk or fflonk
+ */
+function getProtocol(zkProof) {
+  const protocol = zkProof.protocol || zkProof.proof.protocol || 'groth16';
+  if (!circuitRegistry.PROVING_SYSTEMS.includes(protocol)) {
+    throw new ProofFormatError(`Unsupported proving system: ${protocol}`);
+  }
+  return protocol;
+}
+
+/**
+ * Convert a snarkjs envelope to verifier contract calldata
+ *
+ * @param {Object} zkProof - snarkjs envelope
+ * @returns {Array} - [pA, pB, pC, pubSignals] for Groth16, [proof, pubSignals] for PLONK and fflonk
+ */
+function toSolidityCalldata(zkProof) {
+  const { proof, publicSignals } = checkEnvelope(zkProof);
+  const protocol = getProtocol(zkProof);
+  const inputs = publicSignals.map((signal) => toWord(String(signal)));
+  const point = (p) => {
+    if (!Array.isArray(p)) {
+      throw new ProofFormatError(`The ${protocol} proof is missing a curve point`);
+    }
+    return [toWord(p[0]), toWord(p[1])];
+  };
+
+  if (protocol === 'groth16') {
+    if (!Array.isArray(proof.pi_b) || !Array.isArray(proof.pi_b[0]) || !Array.isArray(proof.pi_b[1])) {
+      throw new ProofFormatError('The groth16 proof is missing pi_b');
+    }
+    // The verifier takes G2 coordinates as (imaginary, real), snarkjs stores (real, imaginary)
+    const pB = [point(proof.pi_b[0]).reverse(), point(proof.pi_b[1]).reverse()];
+    return [point(proof.pi_a), pB, point(proof.pi_c), inputs];
+  }
+
+  const layout = protocol === 'plonk' ? PLONK_CALLDATA : FFLONK_CALLDATA;
+  const points = protocol === 'plonk' ? proof : proof.polynomials || {};
+  const evaluations = protocol === 'plonk' ? proof : proof.evaluations || {};
+  const words = [
+    ...layout.points.flatMap((name) => point(points[name])),
+    ...layout.evaluations.map((name) => toWord(evaluations[name]))
+  ];
+  return [words, inputs];
+}
+
+/**
+ * Convert verifier contract calldata back to a snarkjs envelope
+ *
+ * @param {Array} calldata - Calldata as returned by toSolidityCalldata
+ * @param {string} protocol - Proving system (only needed to tell PLONK from fflonk)
+ * @returns {Object} - snarkjs envelope
+ */
+function fromSolidityCalldata(calldata, protocol) {
+  if (!Array.isArray(calldata)) {
+    throw new ProofFormatError('Solidity calldata must be an array');
+  }
+  const resolvedProtocol = protocol || (calldata.length === 4 ? 'groth16' : null);
+  if (!resolvedProtocol) {
+    throw new ProofFormatError('The proving system of PLONK and fflonk calldata must be given');
+  }
+  const words = (value, length) => {
+    if (!Array.isArray(value) || (length !== undefined && value.length !== length)) {
+      throw new ProofFormatError(`Calldata does not match the ${resolvedProtocol} verifier layout`);
+    }
+    return value.map(fromWord);
+  };
+
+  if (resolvedProtocol === 'groth16') {
+    if (calldata.length !== 4 || !Array.isArray(calldata[1])) {
+      throw new ProofFormatError('Calldata does not match the groth16 verifier layout');
+    }
+    const [pA, pB, pC, inputs] = calldata;
+    const g2 = (coordinates) => words(coordinates, 2).reverse();
+    return {
+      proof: {
+        pi_a: [...words(pA, 2), '1'],
+        pi_b: [g2(pB[0]), g2(pB[1]), ['1', '0']],
+        pi_c: [...words(pC, 2), '1'],
+        protocol: 'groth16',
+        curve: 'bn128'
+      },
+      publicSignals: words(inputs),
+      protocol: 'groth16'
+    };
+  }
+
+  if (!circuitRegistry.PROVING_SYSTEMS.includes(resolvedProtocol)) {
+    throw new ProofFormatError(`Unsupported proving system: ${resolvedProtocol}`);
+  }
+  if (calldata.length !== 2) {
+    throw new ProofFormatError(`Calldata does not match the ${resolvedProtocol} verifier layout`);
+  }
+
+  const layout = resolvedProtocol === 'plonk' ? PLONK_CALLDATA : FFLONK_CALLDATA;
+  const proofWords = words(calldata[0], layout.points.length * 2 + layout.evaluations.length);
+  const points = {};
+  layout.points.forEach((name, index) => {
+    points[name] = [proofWords[index * 2], proofWords[index * 2 + 1], '1'];
+  });
+  const evaluations = {};
+  layout.evaluations.forEach((name, index) => {
+    evaluations[name] = proofWords[layout.points.length * 2 + index];
+  });
+
+  const proof = resolvedProtocol === 'plonk'
+    ? { ...points, ...evaluations, protocol: 'plonk', curve: 'bn128' }
+    : { polynomials: points, evaluations, protocol: 'fflonk', curve: 'bn128' };
+  return { proof, publicSignals: words(calldata[1]), protocol: resolvedProtocol };
+}
+
+/**
+ * ABI-encode a proof for the `bytes _proof` argument of VotingContract.castVote
+ * The contract decodes it with the same types and passes the values on to its verifier.
+ *
+ * @param {Object} zkProof - snarkjs envelope
+ * @returns {string} - 0x-prefixed ABI encoding of the calldata
+ */
+function toSolidityProofBytes(zkProof) {
+  const calldata = toSolidityCalldata(zkProof);
+  const inputs = calldata[calldata.length - 1];
+  const inputsType = `uint256[${inputs.length}]`;
+
+  let types;
+  if (calldata.length === 4) {
+    types = ['uint256[2]', 'uint256[2][2]', 'uint256[2]', inputsType];
+  } else {
+    // fflonk verifiers take their proof as bytes32 words
+    const wordType = getProtocol(zkProof) === 'fflonk' ? 'bytes32' : 'uint256';
+    types = [`${wordType}[${calldata[0].length}]`, inputsType];
+  }
+  return ethers.AbiCoder.defaultAbiCoder().encode(types, calldata);
+}
+
+// Replace canonical decimal strings by their big-endian bytes, recursively
+function packValues(value) {
+  if (typeof value === 'string' && DECIMAL_PATTERN.test(value) && BigInt(value) < UINT256_LIMIT) {
+    const hex = BigInt(value).toString(16);
+    return Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+  }
+  if (Array.isArray(value)) {
+    return value.map(packValues);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce((packed, key) => {
+      packed[key] = packValues(value[key]);
+      return packed;
+    }, {});
+  }
+  return value;
+}
+
+// Inverse of packValues
+function unpackValues(value) {
+  if (value instanceof Uint8Array) {
+    return value.length ? BigInt(`0x${Buffer.from(value).toString('hex')}`).toString() : '0';
+  }
+  if (Array.isArray(value)) {
+    return value.map(unpackValues);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce((unpacked, key) => {
+      unpacked[key] = unpackValues(value[key]);
+      return unpacked;
+    }, {});
+  }
+  return value;
+}
+
+/**
+ * Bundle a proof with the circuit it was made for
+ *
+ * @param {Object} zkProof - snarkjs envelope; members other than proof and publicSignals are kept
+ * @param {Object} circuit - Circuit the proof is for
+ * @param {string} circuit.circuit - Circuit name in the registry
+ * @param {string} circuit.version - Circuit version (defaults to the current version)
+ * @returns {string} - base64url CBOR bundle
+ */
+function toCompact(zkProof, { circuit, version } = {}) {
+  checkEnvelope(zkProof);
+  const protocol = getProtocol(zkProof);
+
+  let entry;
+  try {
+    entry = circuitRegistry.resolve(circuit, { version, protocol });
+  } catch (error) {
+    throw new ProofFormatError(error.message);
+  }
+
+  const bundle = {
+    v: COMPACT_BUNDLE_VERSION,
+    circuit: entry.name,
+    version: entry.version,
+    zkProof: packValues({ ...zkProof, protocol })
+  };
+  return cbor.encode(bundle).toString('base64url');
+}
+
+/**
+ * Open a compact bundle
+ *
+ * @param {string} encoded - base64url CBOR bundle
+ * @returns {Object} - { circuit, version, zkProof }
+ */
+function fromCompact(encoded) {
+  let bundle;
+  try {
+    bundle = cbor.decode(Buffer.from(encoded, 'base64url'));
+  } catch (error) {
+    throw new ProofFormatError('Compact proof is not a valid CBOR bundle');
+  }
+  if (!bundle || bundle.v !== COMPACT_BUNDLE_VERSION) {
+    throw new ProofFormatError('Unsupported compact proof bundle version');
+  }
+
+  return {
+    circuit: bundle.circuit,
+    version: bundle.version,
+    zkProof: checkEnvelope(unpackValues(bundle.zkProof))
+  };
+}
+
+/**
+ * Tell which format an encoded proof is in
+ * JSON strings are parsed like the objects they hold
+ *
+ * @param {Object|Array|string} encoded - Encoded proof
+ * @returns {string} - snarkjs, solidity or compact
+ */
+function detectFormat(encoded) {
+  if (Array.isArray(encoded)) {
+    return 'solidity';
+  }
+  if (encoded && typeof encoded === 'object') {
+    return 'snarkjs';
+  }
+  if (typeof encoded === 'string') {
+    const trimmed = encoded.trim();
+    if (trimmed.startsWith('{')) {
+      return 'snarkjs';
+    }
+    return trimmed.startsWith('[') ? 'solidity' : 'compact';
+  }
+  throw new ProofFormatError('Unrecognised proof format');
+}
+
+/**
+ * Decode a proof in any format
+ *
+ * @param {Object|Array|string} encoded - Encoded proof
+ * @param {Object} options - Decoding options
+ * @param {string} options.format - Format of the proof (detected if omitted)
+ * @param {string} options.protocol - Proving system of PLONK and fflonk calldata
+ * @returns {Object} - { format, zkProof, circuit, version }; circuit and version are only known for compact bundles
+ */
+function decodeProof(encoded, { format, protocol } = {}) {
+  const resolvedFormat = format || detectFormat(encoded);
+  if (!PROOF_FORMATS.includes(resolvedFormat)) {
+    throw new ProofFormatError(`Unknown proof format: ${resolvedFormat}`);
+  }
+
+  if (resolvedFormat === 'compact') {
+    if (typeof encoded !== 'string') {
+      throw new ProofFormatError('A compact proof must be a string');
+    }
+    return { format: resolvedFormat, ...fromCompact(encoded) };
+  }
+
+  let value = encoded;
+  if (typeof encoded === 'string') {
+    try {
+      value = JSON.parse(encoded);
+    } catch (error) {
+      throw new ProofFormatError(`The ${resolvedFormat} proof is not valid JSON`);
+    }
+  }
+
+  const zkProof = resolvedFormat === 'solidity'
+    ? fromSolidityCalldata(value, protocol)
+    : checkEnvelope(value);
+  return { format: resolvedFormat, zkProof, circuit: null, version: null };
+}
+
+/**
+ * Decode a proof submitted for a circuit of an election
+ * Compact bundles must name that circuit and, when given, the version the election verifies against.
+ *
+ * @param {Object|Array|string} encoded - Proof in any format
+ * @param {string} circuit - Circuit name in the registry the proof must be for
+ * @param {Object} options - What the election expects
+ * @param {string} options.protocol - Proving system of the election, needed to read PLONK and fflonk calldata
+ * @param {string} options.version - Circuit version the election verifies against (see circuitRegistry.getElectionVersion)
+ * @returns {Object} - snarkjs envelope
+ */
+function decodeCircuitProof(encoded, circuit, { protocol, version } = {}) {
+  const decoded = decodeProof(encoded, { protocol });
+  if (decoded.circuit && decoded.circuit !== circuit) {
+    throw new ProofFormatError(`Expected a ${circuit} proof, got a ${decoded.circuit} proof`);
+  }
+
+  if (version && decoded.version && decoded.version !== version) {
+    throw new ProofFormatError(`The election verifies ${circuit} proofs of version ${version}, not ${decoded.version}`);
+  }
+  return decoded.zkProof;
+}
+
+/**
+ * Encode a snarkjs envelope in a format
+ *
+ * @param {Object} zkProof - snarkjs envelope
+ * @param {string} format - snarkjs, solidity or compact
+ * @param {Object} circuit - { circuit, version } of the proof, required for compact bundles
+ * @returns {Object|Array|string} - The encoded proof
+ */
+function encodeProof(zkProof, format, circuit = {}) {
+  switch (format) {
+    case 'snarkjs':
+      return checkEnvelope(zkProof);
+    case 'solidity':
+      return toSolidityCalldata(zkProof);
+    case 'compact':
+      return toCompact(zkProof, circuit);
+    default:
+      throw new ProofFormatError(`Unknown proof format: ${format}`);
+  }
+}
+
+module.exports = {
+  PROOF_FORMATS,
+  ProofFormatError,
+  toSolidityCalldata,
+  fromSolidityCalldata,
+  toSolidityProofBytes,
+  toCompact,
+  fromCompact,
+  detectFormat,
+  decodeProof,
+  decodeCircuitProof,
+  encodeProof
+};
@@ -0,0 +1,81 @@
+/**
+ * Public-signal layouts of the circuits, as declared in the circuit registry
+ * snarkjs orders public signals as outputs first, then public inputs in declaration order.
+ * Every reader of zkProof.publicSignals should go through these layouts instead of raw indices.
+ */
+
+const circuitRegistry = require('./circuitRegistry');
+
+/**
+ * Error codes returned when a proof is not bound to the request it accompanies
+ */
+const PROOF_ERROR_CODES = {
+  MALFORMED_SIGNALS: 'PROOF_SIGNALS_MALFORMED',
+  NULLIFIER_MISMATCH: 'PROOF_NULLIFIER_MISMATCH',
+  CHOICE_MISMATCH: 'PROOF_CHOICE_MISMATCH',
+  ELECTION_MISMATCH: 'PROOF_ELECTION_MISMATCH',
+  CANDIDATE_SET_MISMATCH: 'PROOF_CANDIDATE_SET_MISMATCH',
+  APPROVAL_LIMIT_MISMATCH: 'PROOF_APPROVAL_LIMIT_MISMATCH',
+  ACTION_MISMATCH: 'PROOF_ACTION_MISMATCH',
+  NONCE_EXPIRED: 'PROOF_NONCE_EXPIRED',
+  NONCE_REPLAYED: 'PROOF_NONCE_REPLAYED',
+  PROTOCOL_MISMATCH: 'PROOF_PROTOCOL_MISMATCH',
+  MALFORMED_PROOF: 'PROOF_MALFORMED',
+  INVALID_PROOF: 'PROOF_INVALID'
+};
+
+/**
+ * Get the ordered public-signal names of a circuit
+ *
+ * @param {string} circuit - Circuit name in the registry (auth, authCredential, vote, rankedVote, approvalVote or admin)
+ * @param {string} version - Circuit version (defaults to the current version)
+ * @returns {Array<string>} - Signal names in publicSignals order
+ */
+function getLayout(circuit, version) {
+  return circuitRegistry.resolve(circuit, { version }).publicSignals;
+}
+
+/**
+ * Map a publicSignals array to named values
+ *
+ * @param {string} circuit - Circuit name in the registry (auth, authCredential, vote, rankedVote, approvalVote or admin)
+ * @param {Array} publicSignals - Public signals of a proof
+ * @param {string} version - Circuit version (defaults to the current version)
+ * @returns {Object|null} - Signal values by name, or null if the array does not fit the layout
+ */
+function parsePublicSignals(circuit, publicSignals, version) {
+  const layout = getLayout(circuit, version);
+
+  if (!Array.isArray(publicSignals) || publicSignals.length !== layout.length) {
+    return null;
+  }
+
+  return layout.reduce((signals, name, index) => {
+    signals[name] = String(publicSignals[index]);
+    return signals;
+  }, {});
+}
+
+/**
+ * Build a publicSignals array from named values
+ *
+ * @param {string} circuit - Circuit name in the registry (auth, authCredential, vote, rankedVote, approvalVote or admin)
+ * @param {Object} values - Signal values by name
+ * @param {string} version - Circuit version (defaults to the current version)
+ * @returns {Array<string>} - Public signals in circuit order
+ */
+function buildPublicSignals(circuit, values, version) {
+  return getLayout(circuit, version).map((name) => {
+    if (values[name] === undefined) {
+      throw new Error(`Missing public signal ${name} for ${circuit} circuit`);
+    }
+    return String(values[name]);
+  });
+}
+
+module.exports = {
+  PROOF_ERROR_CODES,
+  getLayout,
+  parsePublicSignals,
+  buildPublicSignals
+};
@@ -1,6 +1,7 @@
 /**
  * Validation utilities for input sanitization and verification
  */
+const { SNARK_FIELD_SIZE } = require('./fieldEncoding');
 
 // Regular expression patterns for validation
 const PATTERNS = {
@@ -20,7 +21,10 @@ const PATTERNS = {
   SHA256: /^[0-9a-fA-F]{64}$/,
   
   // Ethereum transaction hash (66 chars including 0x prefix)
-  ETH_HASH: /^0x[0-9a-fA-F]{64}$/
+  ETH_HASH: /^0x[0-9a-fA-F]{64}$/,
+  
+  // Field element: decimal string as produced by circuits and snarkjs
+  FIELD_ELEMENT: /^[0-9]{1,78}$/
 };
 
 /**
@@ -131,6 +135,16 @@ function isValidTransactionHash(hash) {
   return matchesPattern(hash, PATTERNS.ETH_HASH);
 }
 
+/**
+ * Validates a BN254 field element given as a decimal string
+ * 
+ * @param {string} value - The value to validate
+ * @returns {boolean} - Whether the value is a field element
+ */
+function isFieldElement(value) {
+  return matchesPattern(value, PATTERNS.FIELD_ELEMENT) && BigInt(value) < SNARK_FIELD_SIZE;
+}
+
 /**
  * Creates a required validator function
  * 
@@ -154,5 +168,6 @@ module.exports = {
   isValidHash,
   isValidObjectId,
   isValidTransactionHash,
+  isFieldElement,
   required
 }; 
\ No newline at end of file
@@ -0,0 +1,23 @@
+/**
+ * Worker thread of the proof verification pool (see services/verificationPool.js)
+ * Loaded by the web-worker shim the pool starts it through
+ * Receives { id, protocol, vkey, publicSignals, proof } and answers { id, valid } or { id, error }
+ */
+const threads = require('worker_threads');
+const snarkjs = require('snarkjs');
+const { buildBn128 } = require('ffjavascript');
+
+// snarkjs reuses globalThis.curve_bn128; a single-threaded curve keeps each worker to one thread
+const curveReady = buildBn128(true).then((curve) => {
+  globalThis.curve_bn128 = curve;
+});
+
+threads.parentPort.on('message', async ({ id, protocol, vkey, publicSignals, proof }) => {
+  try {
+    await curveReady;
+    const valid = await snarkjs[protocol].verify(vkey, publicSignals, proof);
+    threads.parentPort.postMessage({ id, valid });
+  } catch (error) {
+    threads.parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,30 @@
+/**
+ * Committed circuit artifacts against the circuit sources
+ *
+ * circuits/artifact-hashes.json pins the .circom sources every circuit was last built from
+ * next to the artifacts built from them. A source edited without running
+ * circuits/compile-circuits.js leaves stale artifacts behind and fails here.
+ */
+const fs = require('fs');
+const path = require('path');
+const circuitRegistry = require('../src/utils/circuitRegistry');
+const { ARTIFACT_HASHES_FILE, sha256File, hashSources } = require('../../circuits/pin-artifacts');
+
+const pinned = JSON.parse(fs.readFileSync(ARTIFACT_HASHES_FILE, 'utf8'));
+const directories = [...new Set(circuitRegistry.getEntries().map((entry) => entry.directory))];
+
+describe.each(directories)('%s circuit', (directory) => {
+  test('was built from its current sources', () => {
+    expect(pinned.sources[directory]).toBeDefined();
+    expect(hashSources(directory)).toEqual(pinned.sources[directory]);
+  });
+
+  test('has the pinned artifacts on disk', () => {
+    const artifacts = Object.entries(pinned.artifacts).filter(([file]) => file.startsWith(`${directory}/`));
+
+    expect(artifacts.length).toBeGreaterThan(0);
+    artifacts.forEach(([file, sha256]) => {
+      expect([file, sha256File(path.join(path.dirname(ARTIFACT_HASHES_FILE), file))]).toEqual([file, sha256]);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Ballot tests
+ *
+ * A ballot is read from the request and checked against the candidates on the ballot, then
+ * hashed the way its circuit does, so the hash can be compared with the proof's public signals.
+ */
+const ballotService = require('../src/services/ballotService');
+const { MAX_CANDIDATES } = require('../src/services/candidateSetService');
+const { getFieldEncoder } = require('../src/utils/poseidon');
+
+const candidateIds = ['665f1c2a9b1e8a0012345671', '665f1c2a9b1e8a0012345672', '665f1c2a9b1e8a0012345673'];
+const [first, second, third] = candidateIds;
+
+let encoder;
+
+beforeAll(async () => {
+  encoder = await getFieldEncoder();
+});
+
+// Choice hash as the circuit computes it: encoded candidate IDs in the given slots, zero elsewhere
+const circuitHash = (slots) => encoder.hash(Array.from({ length: MAX_CANDIDATES }, (_, i) => (
+  slots[i] ? encoder.encodeId(slots[i]) : '0'
+)));
+
+describe('ranked ballots', () => {
+  test('keep the ranking in the order of preference', () => {
+    expect(ballotService.readBallot('ranked', { ranking: [third, first, second] }, candidateIds))
+      .toEqual({ ballot: { ranking: [third, first, second] } });
+  });
+
+  test.each([
+    ['no ranking', {}],
+    ['an empty ranking', { ranking: [] }],
+    ['a ranking that is not a list', { ranking: first }]
+  ])('reject %s', (_, values) => {
+    expect(ballotService.readBallot('ranked', values, candidateIds))
+      .toEqual({ error: 'Please provide a ranking of the candidates' });
+  });
+
+  test.each([
+    ['leaves a candidate out', [third, first]],
+    ['ranks a candidate twice', [third, first, third]],
+    ['ranks a candidate that is not on the ballot', [third, first, '665f1c2a9b1e8a0012345679']],
+    ['ranks more candidates than the ballot holds', [third, first, second, '665f1c2a9b1e8a0012345679']]
+  ])('reject a ranking that %s', (_, ranking) => {
+    expect(ballotService.readBallot('ranked', { ranking }, candidateIds))
+      .toEqual({ error: 'The ranking must list every candidate on the current ballot exactly once' });
+  });
+
+  test('hash to the candidates in order of preference, zero padded', async () => {
+    const { ballot } = ballotService.readBallot('ranked', { ranking: [third, first, second] }, candidateIds);
+
+    const hash = await ballotService.computeChoiceHash('ranked', ballot, candidateIds);
+
+    expect(hash).toBe(circuitHash([third, first, second]));
+  });
+
+  test('hash differently for another order of the same candidates', async () => {
+    const hash = await ballotService.computeChoiceHash('ranked', { ranking: [third, first, second] }, candidateIds);
+
+    expect(await ballotService.computeChoiceHash('ranked', { ranking: [first, third, second] }, candidateIds)).not.toBe(hash);
+  });
+
+  test('are proven with the ranked vote circuit', () => {
+    expect(ballotService.getCircuit('ranked')).toBe('rankedVote');
+    expect(ballotService.getBallotType({ ranking: [third, first, second] })).toBe('ranked');
+  });
+});
+
+describe('approval ballots', () => {
+  const readApprovals = (approvals, maxApprovals = 2) =>
+    ballotService.readBallot('approval', { approvals }, candidateIds, { maxApprovals });
+
+  test('keep the approved candidates in ballot order', () => {
+    expect(readApprovals([third, first])).toEqual({ ballot: { approvals: [first, third] } });
+  });
+
+  test('may approve no candidate', () => {
+    expect(readApprovals([])).toEqual({ ballot: { approvals: [] } });
+  });
+
+  test('may approve up to maxApprovals candidates', () => {
+    expect(readApprovals([first, second, third], 3)).toEqual({ ballot: { approvals: candidateIds } });
+  });
+
+  test('reject more approvals than maxApprovals', () => {
+    expect(readApprovals([first, second, third], 2)).toEqual({ error: 'At most 2 candidates can be approved' });
+    expect(readApprovals([first, third], 1)).toEqual({ error: 'At most 1 candidates can be approved' });
+  });
+
+  test.each([
+    ['approve a candidate twice', [first, first]],
+    ['approve a candidate that is not on the ballot', [first, '665f1c2a9b1e8a0012345679']]
+  ])('reject ballots that %s', (_, approvals) => {
+    expect(readApprovals(approvals)).toEqual({ error: 'Approvals must be distinct candidates on the current ballot' });
+  });
+
+  test('reject duplicates before counting them against maxApprovals', () => {
+    expect(readApprovals([first, first, first])).toEqual({ error: 'Approvals must be distinct candidates on the current ballot' });
+  });
+
+  test('reject approvals that are not a list', () => {
+    expect(readApprovals(first)).toEqual({ error: 'Please provide the approved candidates' });
+    expect(ballotService.readBallot('approval', {}, candidateIds, { maxApprovals: 2 }))
+      .toEqual({ error: 'Please provide the approved candidates' });
+  });
+
+  test('hash to the approved candidates at their ballot index, zero elsewhere', async () => {
+    const { ballot } = readApprovals([third, first]);
+
+    const hash = await ballotService.computeChoiceHash('approval', ballot, candidateIds);
+
+    expect(hash).toBe(circuitHash([first, null, third]));
+  });
+
+  test('are proven with the approval vote circuit', () => {
+    expect(ballotService.getCircuit('approval')).toBe('approvalVote');
+    expect(ballotService.getBallotType({ approvals: [] })).toBe('approval');
+  });
+});
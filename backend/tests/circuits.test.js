@@ -0,0 +1,542 @@
+/**
+ * Circuit tests against the artifacts committed in circuits/
+ *
+ * Each case calculates a witness with the compiled wasm, checks it against the r1cs and
+ * verifies a Groth16 proof of it. Invalid inputs make the wasm reject the witness, so they
+ * are also tried the way a dishonest prover would: by forging the witness directly.
+ */
+const snarkjs = require('snarkjs');
+const { buildEddsa } = require('circomlibjs');
+const {
+  loadCircuit,
+  calculateWitness,
+  forgeWitness,
+  checkConstraints,
+  proveAndVerify,
+  terminateCurves
+} = require('./helpers/circuitHarness');
+const { getFieldEncoder } = require('../src/utils/poseidon');
+const merkleTreeService = require('../src/services/merkleTreeService');
+const candidateSetService = require('../src/services/candidateSetService');
+
+// The registry tree is built in memory, without registered voters in the database
+jest.mock('../src/models/User', () => ({
+  find: () => ({ select: () => ({ sort: async () => [] }) })
+}));
+
+// Proving the auth circuit takes a few seconds on its own
+jest.setTimeout(120000);
+
+let encoder;
+
+beforeAll(async () => {
+  encoder = await getFieldEncoder();
+});
+
+afterAll(terminateCurves);
+
+// The wasm prints the failing template and line before it throws, keep that out of the test output
+const expectWitnessRejected = async (circuit, input) => {
+  const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  try {
+    await expect(calculateWitness(circuit, input)).rejects.toThrow('Assert Failed');
+  } finally {
+    consoleError.mockRestore();
+  }
+};
+
+describe('admin circuit', () => {
+  let circuit;
+  let input;
+
+  beforeAll(async () => {
+    circuit = loadCircuit('admin');
+
+    const adminKey = encoder.encodeString('admin secret key');
+    const actionData = encoder.encodeJSON({ action: 'addCandidate', name: 'Alice' });
+    const actionNonce = '1718000000000';
+    const adminKeyCommitment = encoder.hash([adminKey]);
+
+    input = {
+      adminKey,
+      actionData,
+      actionNonce,
+      publicActionHash: encoder.hash([adminKeyCommitment, actionData, actionNonce])
+    };
+  });
+
+  test('accepts an action hash that matches the admin key, action and nonce', async () => {
+    const witness = await calculateWitness(circuit, input);
+
+    expect(await checkConstraints(circuit, witness)).toBe(true);
+    const { publicSignals, verified } = await proveAndVerify(circuit, witness);
+    expect(verified).toBe(true);
+    expect(publicSignals).toEqual([encoder.hash([input.adminKey]), input.publicActionHash, input.publicActionHash]);
+  });
+
+  test('rejects a public action hash for a different action', async () => {
+    const publicActionHash = encoder.hash([encoder.hash([input.adminKey]), input.actionData, '1']);
+
+    await expectWitnessRejected(circuit, { ...input, publicActionHash });
+
+    const witness = await forgeWitness(circuit, await calculateWitness(circuit, input), { publicActionHash });
+    expect(await checkConstraints(circuit, witness)).toBe(false);
+    expect((await proveAndVerify(circuit, witness)).verified).toBe(false);
+  });
+
+  test('rejects a public action hash made with a different admin key', async () => {
+    const otherKey = encoder.encodeString('not the admin key');
+    const publicActionHash = encoder.hash([encoder.hash([otherKey]), input.actionData, input.actionNonce]);
+
+    await expectWitnessRejected(circuit, { ...input, publicActionHash });
+
+    const witness = await forgeWitness(circuit, await calculateWitness(circuit, input), { adminKey: otherKey });
+    expect(await checkConstraints(circuit, witness)).toBe(false);
+    expect((await proveAndVerify(circuit, witness)).verified).toBe(false);
+  });
+});
+
+describe('auth circuit', () => {
+  let circuit;
+  let input;
+
+  beforeAll(async () => {
+    circuit = loadCircuit('auth');
+
+    const identifierPreimage = encoder.encodeString('voter@example.com');
+    const nullifierSecret = encoder.encodeString('voter nullifier secret');
+
+    await merkleTreeService.initialize();
+    const commitment = await merkleTreeService.computeIdentityCommitment(identifierPreimage, nullifierSecret);
+    // Another voter first, so the path is not all zero subtrees
+    await merkleTreeService.insertCommitment(encoder.hash(['1', '2']), async () => {});
+    const { leafIndex } = await merkleTreeService.insertCommitment(commitment, async () => {});
+    const { pathElements, pathIndices, root } = merkleTreeService.getAuthenticationPath(leafIndex);
+
+    input = {
+      identifierPreimage,
+      nullifierSecret,
+      pathElements,
+      pathIndices,
+      merkleRoot: root,
+      electionId: encoder.encodeId('election-2026')
+    };
+  });
+
+  test('accepts a registered voter and outputs the election-scoped nullifier hash', async () => {
+    const witness = await calculateWitness(circuit, input);
+
+    expect(await checkConstraints(circuit, witness)).toBe(true);
+    const { publicSignals, verified } = await proveAndVerify(circuit, witness);
+    expect(verified).toBe(true);
+    expect(publicSignals).toEqual([
+      encoder.hash([input.nullifierSecret, input.electionId]),
+      input.merkleRoot,
+      input.electionId
+    ]);
+  });
+
+  test('rejects a wrong nullifier secret', async () => {
+    const nullifierSecret = encoder.encodeString('guessed nullifier secret');
+
+    await expectWitnessRejected(circuit, { ...input, nullifierSecret });
+
+    const witness = await forgeWitness(circuit, await calculateWitness(circuit, input), { nullifierSecret });
+    expect(await checkConstraints(circuit, witness)).toBe(false);
+    expect((await proveAndVerify(circuit, witness)).verified).toBe(false);
+  });
+
+  test('rejects a root the voter is not registered under', async () => {
+    const merkleRoot = encoder.hash([input.merkleRoot, '1']);
+
+    await expectWitnessRejected(circuit, { ...input, merkleRoot });
+
+    const witness = await forgeWitness(circuit, await calculateWitness(circuit, input), { merkleRoot });
+    expect(await checkConstraints(circuit, witness)).toBe(false);
+    expect((await proveAndVerify(circuit, witness)).verified).toBe(false);
+  });
+
+  test('rejects path indices that are not bits', async () => {
+    const pathIndices = [2, ...input.pathIndices.slice(1)];
+
+    await expectWitnessRejected(circuit, { ...input, pathIndices });
+  });
+
+  test('rejects a valid proof presented for another election', async () => {
+    const { proof, publicSignals } = await proveAndVerify(circuit, await calculateWitness(circuit, input));
+    const otherElection = [publicSignals[0], publicSignals[1], encoder.encodeId('election-2027')];
+
+    expect(await snarkjs.groth16.verify(circuit.verificationKey, otherElection, proof)).toBe(false);
+  });
+});
+
+describe('credential auth circuit', () => {
+  let circuit;
+  let eddsa;
+  let input;
+
+  // Public key of a BabyJubJub private key, as registrarService stores it
+  const publicKeyOf = (privateKey) => {
+    const [x, y] = eddsa.prv2pub(privateKey);
+    return { x: eddsa.F.toObject(x).toString(), y: eddsa.F.toObject(y).toString() };
+  };
+
+  beforeAll(async () => {
+    circuit = loadCircuit('authCredential');
+    eddsa = await buildEddsa();
+
+    const identifierPreimage = encoder.encodeString('voter@example.com');
+    const nullifierSecret = encoder.encodeString('voter nullifier secret');
+    const commitment = encoder.hash([identifierPreimage, nullifierSecret]);
+
+    // Signed the way registrarService.issueCredential signs
+    const privateKey = Buffer.alloc(32, 7);
+    const signature = eddsa.signPoseidon(privateKey, eddsa.F.e(BigInt(commitment)));
+    const publicKey = publicKeyOf(privateKey);
+
+    input = {
+      identifierPreimage,
+      nullifierSecret,
+      signatureR8x: eddsa.F.toObject(signature.R8[0]).toString(),
+      signatureR8y: eddsa.F.toObject(signature.R8[1]).toString(),
+      signatureS: signature.S.toString(),
+      registrarPubKeyX: publicKey.x,
+      registrarPubKeyY: publicKey.y,
+      electionId: encoder.encodeId('election-2026')
+    };
+  });
+
+  test('accepts a commitment signed by the registrar and outputs the election-scoped nullifier hash', async () => {
+    const witness = await calculateWitness(circuit, input);
+
+    expect(await checkConstraints(circuit, witness)).toBe(true);
+    const { publicSignals, verified } = await proveAndVerify(circuit, witness);
+    expect(verified).toBe(true);
+    expect(publicSignals).toEqual([
+      encoder.hash([input.nullifierSecret, input.electionId]),
+      input.registrarPubKeyX,
+      input.registrarPubKeyY,
+      input.electionId
+    ]);
+  });
+
+  test('rejects a nullifier secret the registrar did not sign', async () => {
+    const nullifierSecret = encoder.encodeString('guessed nullifier secret');
+
+    await expectWitnessRejected(circuit, { ...input, nullifierSecret });
+
+    const witness = await forgeWitness(circuit, await calculateWitness(circuit, input), { nullifierSecret });
+    expect(await checkConstraints(circuit, witness)).toBe(false);
+    expect((await proveAndVerify(circuit, witness)).verified).toBe(false);
+  });
+
+  test('rejects the public key of another registrar', async () => {
+    const otherKey = publicKeyOf(Buffer.alloc(32, 8));
+
+    await expectWitnessRejected(circuit, { ...input, registrarPubKeyX: otherKey.x, registrarPubKeyY: otherKey.y });
+  });
+
+  test('rejects a tampered signature', async () => {
+    const signatureS = (BigInt(input.signatureS) + 1n).toString();
+
+    await expectWitnessRejected(circuit, { ...input, signatureS });
+  });
+
+  test('rejects a valid proof presented for another election', async () => {
+    const { proof, publicSignals } = await proveAndVerify(circuit, await calculateWitness(circuit, input));
+    const otherElection = [...publicSignals.slice(0, 3), encoder.encodeId('election-2027')];
+
+    expect(await snarkjs.groth16.verify(circuit.verificationKey, otherElection, proof)).toBe(false);
+  });
+});
+
+describe('vote circuit', () => {
+  let circuit;
+  let input;
+
+  beforeAll(async () => {
+    circuit = loadCircuit('vote');
+
+    const nullifierSecret = encoder.encodeString('voter nullifier secret');
+    const electionId = encoder.encodeId('election-2026');
+    const candidateSet = await candidateSetService.computeCandidateSet([
+      '665f1c2a9b1e8a0012345671',
+      '665f1c2a9b1e8a0012345672',
+      '665f1c2a9b1e8a0012345673'
+    ]);
+
+    input = {
+      nullifierSecret,
+      choice: candidateSet.candidates[1],
+      choiceIndex: 1,
+      candidates: candidateSet.candidates,
+      candidateCount: candidateSet.candidateCount,
+      electionId,
+      candidateSetCommitment: candidateSet.commitment,
+      publicNullifierHash: encoder.hash([nullifierSecret, electionId]),
+      publicChoiceHash: await candidateSetService.computeChoiceHash(candidateSet.candidateIds[1])
+    };
+  });
+
+  test('accepts a choice on the ballot', async () => {
+    const witness = await calculateWitness(circuit, input);
+
+    expect(await checkConstraints(circuit, witness)).toBe(true);
+    const { publicSignals, verified } = await proveAndVerify(circuit, witness);
+    expect(verified).toBe(true);
+    expect(publicSignals).toEqual([
+      input.publicNullifierHash,
+      input.publicChoiceHash,
+      input.electionId,
+      input.candidateSetCommitment,
+      input.publicNullifierHash,
+      input.publicChoiceHash
+    ]);
+  });
+
+  test('rejects a wrong nullifier secret', async () => {
+    const nullifierSecret = encoder.encodeString('guessed nullifier secret');
+
+    await expectWitnessRejected(circuit, { ...input, nullifierSecret });
+
+    const witness = await forgeWitness(circuit, await calculateWitness(circuit, input), { nullifierSecret });
+    expect(await checkConstraints(circuit, witness)).toBe(false);
+    expect((await proveAndVerify(circuit, witness)).verified).toBe(false);
+  });
+
+  test('rejects a choice index past the last candidate', async () => {
+    // The padding after the last candidate is zero, so choice 0 at index 3 would otherwise match
+    const outOfRange = {
+      ...input,
+      choice: '0',
+      choiceIndex: input.candidateCount,
+      publicChoiceHash: encoder.hash(['0'])
+    };
+
+    await expectWitnessRejected(circuit, outOfRange);
+
+    const witness = await forgeWitness(circuit, await calculateWitness(circuit, input), { choiceIndex: input.candidateCount });
+    expect(await checkConstraints(circuit, witness)).toBe(false);
+    expect((await proveAndVerify(circuit, witness)).verified).toBe(false);
+  });
+
+  test('rejects a choice index that overflows the range check', async () => {
+    await expectWitnessRejected(circuit, { ...input, choiceIndex: 256 + 1 });
+  });
+
+  test('rejects a choice that is not the candidate at the chosen index', async () => {
+    const choice = input.candidates[2];
+
+    await expectWitnessRejected(circuit, {
+      ...input,
+      choice,
+      publicChoiceHash: encoder.hash([choice])
+    });
+  });
+
+  test('rejects a mismatched public choice hash', async () => {
+    const publicChoiceHash = encoder.hash([input.candidates[0]]);
+
+    await expectWitnessRejected(circuit, { ...input, publicChoiceHash });
+
+    const witness = await forgeWitness(circuit, await calculateWitness(circuit, input), { publicChoiceHash });
+    expect(await checkConstraints(circuit, witness)).toBe(false);
+    expect((await proveAndVerify(circuit, witness)).verified).toBe(false);
+  });
+});
+
+describe('ranked vote circuit', () => {
+  let circuit;
+  let input;
+  let candidateSet;
+
+  // Choice hash of the candidates at these indices, zero padded like the ranking
+  const rankingHash = (indices) => encoder.hash(candidateSet.candidates.map((_, i) => (
+    i < indices.length ? candidateSet.candidates[indices[i]] : '0'
+  )));
+  const padRanking = (indices) => candidateSet.candidates.map((_, i) => (i < indices.length ? indices[i] : 0));
+
+  beforeAll(async () => {
+    circuit = loadCircuit('rankedVote');
+
+    const nullifierSecret = encoder.encodeString('voter nullifier secret');
+    const electionId = encoder.encodeId('election-2026');
+    candidateSet = await candidateSetService.computeCandidateSet([
+      '665f1c2a9b1e8a0012345671',
+      '665f1c2a9b1e8a0012345672',
+      '665f1c2a9b1e8a0012345673'
+    ]);
+    const ranking = [candidateSet.candidateIds[2], candidateSet.candidateIds[0], candidateSet.candidateIds[1]];
+
+    input = {
+      nullifierSecret,
+      ranking: padRanking([2, 0, 1]),
+      candidates: candidateSet.candidates,
+      candidateCount: candidateSet.candidateCount,
+      electionId,
+      candidateSetCommitment: candidateSet.commitment,
+      publicNullifierHash: encoder.hash([nullifierSecret, electionId]),
+      publicChoiceHash: await candidateSetService.computeRankingHash(ranking)
+    };
+  });
+
+  test('accepts a ranking of every candidate on the ballot', async () => {
+    const witness = await calculateWitness(circuit, input);
+
+    expect(await checkConstraints(circuit, witness)).toBe(true);
+    const { publicSignals, verified } = await proveAndVerify(circuit, witness);
+    expect(verified).toBe(true);
+    expect(publicSignals).toEqual([
+      input.publicNullifierHash,
+      input.publicChoiceHash,
+      input.electionId,
+      input.candidateSetCommitment,
+      input.publicNullifierHash,
+      input.publicChoiceHash
+    ]);
+  });
+
+  test('rejects a candidate ranked twice', async () => {
+    const duplicate = { ...input, ranking: padRanking([2, 2, 1]), publicChoiceHash: rankingHash([2, 2, 1]) };
+
+    await expectWitnessRejected(circuit, duplicate);
+
+    const witness = await forgeWitness(circuit, await calculateWitness(circuit, input), { 'ranking[1]': 2 });
+    expect(await checkConstraints(circuit, witness)).toBe(false);
+    expect((await proveAndVerify(circuit, witness)).verified).toBe(false);
+  });
+
+  test('rejects a ranking index past the last candidate', async () => {
+    await expectWitnessRejected(circuit, { ...input, ranking: padRanking([2, 0, 3]), publicChoiceHash: rankingHash([2, 0, 3]) });
+
+    const witness = await forgeWitness(circuit, await calculateWitness(circuit, input), { 'ranking[2]': 3 });
+    expect(await checkConstraints(circuit, witness)).toBe(false);
+  });
+
+  test('rejects a ranking that leaves a candidate out', async () => {
+    // Index 0 doubles as padding, so ranking only two candidates must still be rejected
+    await expectWitnessRejected(circuit, { ...input, ranking: padRanking([2, 0]), publicChoiceHash: rankingHash([2, 0]) });
+  });
+
+  test('rejects non-zero padding after the ranking', async () => {
+    const ranking = [...input.ranking];
+    ranking[3] = 1;
+
+    await expectWitnessRejected(circuit, { ...input, ranking });
+
+    const witness = await forgeWitness(circuit, await calculateWitness(circuit, input), { 'ranking[3]': 1 });
+    expect(await checkConstraints(circuit, witness)).toBe(false);
+  });
+
+  test('rejects a public choice hash of another order', async () => {
+    const publicChoiceHash = rankingHash([0, 1, 2]);
+
+    await expectWitnessRejected(circuit, { ...input, publicChoiceHash });
+
+    const witness = await forgeWitness(circuit, await calculateWitness(circuit, input), { publicChoiceHash });
+    expect(await checkConstraints(circuit, witness)).toBe(false);
+    expect((await proveAndVerify(circuit, witness)).verified).toBe(false);
+  });
+});
+
+describe('approval vote circuit', () => {
+  let circuit;
+  let input;
+  let candidateSet;
+
+  // Choice hash of the approved candidates at their ballot index
+  const approvalHash = (bits) => encoder.hash(candidateSet.candidates.map((candidate, i) => (bits[i] ? candidate : '0')));
+  const padApprovals = (bits) => candidateSet.candidates.map((_, i) => bits[i] || 0);
+
+  beforeAll(async () => {
+    circuit = loadCircuit('approvalVote');
+
+    const nullifierSecret = encoder.encodeString('voter nullifier secret');
+    const electionId = encoder.encodeId('election-2026');
+    candidateSet = await candidateSetService.computeCandidateSet([
+      '665f1c2a9b1e8a0012345671',
+      '665f1c2a9b1e8a0012345672',
+      '665f1c2a9b1e8a0012345673',
+      '665f1c2a9b1e8a0012345674'
+    ]);
+
+    input = {
+      nullifierSecret,
+      approvals: padApprovals([1, 0, 1, 0]),
+      candidates: candidateSet.candidates,
+      candidateCount: candidateSet.candidateCount,
+      electionId,
+      candidateSetCommitment: candidateSet.commitment,
+      maxApprovals: 2,
+      publicNullifierHash: encoder.hash([nullifierSecret, electionId]),
+      publicChoiceHash: await candidateSetService.computeApprovalHash(
+        [candidateSet.candidateIds[0], candidateSet.candidateIds[2]],
+        candidateSet.candidateIds
+      )
+    };
+  });
+
+  test('accepts up to maxApprovals approved candidates', async () => {
+    const witness = await calculateWitness(circuit, input);
+
+    expect(await checkConstraints(circuit, witness)).toBe(true);
+    const { publicSignals, verified } = await proveAndVerify(circuit, witness);
+    expect(verified).toBe(true);
+    expect(publicSignals).toEqual([
+      input.publicNullifierHash,
+      input.publicChoiceHash,
+      input.electionId,
+      input.candidateSetCommitment,
+      String(input.maxApprovals),
+      input.publicNullifierHash,
+      input.publicChoiceHash
+    ]);
+  });
+
+  test('accepts a ballot without approvals', async () => {
+    const witness = await calculateWitness(circuit, {
+      ...input,
+      approvals: padApprovals([]),
+      publicChoiceHash: approvalHash([])
+    });
+
+    expect(await checkConstraints(circuit, witness)).toBe(true);
+  });
+
+  test('rejects more approvals than maxApprovals', async () => {
+    const bits = [1, 1, 1, 0];
+
+    await expectWitnessRejected(circuit, { ...input, approvals: padApprovals(bits), publicChoiceHash: approvalHash(bits) });
+
+    const witness = await forgeWitness(circuit, await calculateWitness(circuit, input), { maxApprovals: 1 });
+    expect(await checkConstraints(circuit, witness)).toBe(false);
+    expect((await proveAndVerify(circuit, witness)).verified).toBe(false);
+  });
+
+  test('rejects an entry that is not boolean', async () => {
+    // Two approvals worth of weight on one candidate would still sum to maxApprovals
+    const approvals = padApprovals([2, 0, 0, 0]);
+    const publicChoiceHash = encoder.hash(approvals.map((weight, i) => BigInt(weight) * BigInt(candidateSet.candidates[i])));
+
+    await expectWitnessRejected(circuit, { ...input, approvals, publicChoiceHash });
+
+    const witness = await forgeWitness(circuit, await calculateWitness(circuit, input), { 'approvals[0]': 2, 'approvals[2]': 0 });
+    expect(await checkConstraints(circuit, witness)).toBe(false);
+  });
+
+  test('rejects an approval past the last candidate', async () => {
+    const bits = [1, 0, 0, 0, 1];
+
+    await expectWitnessRejected(circuit, { ...input, approvals: padApprovals(bits), publicChoiceHash: approvalHash(bits) });
+  });
+
+  test('rejects a public choice hash of other approvals', async () => {
+    const publicChoiceHash = approvalHash([0, 1, 1, 0]);
+
+    await expectWitnessRejected(circuit, { ...input, publicChoiceHash });
+
+    const witness = await forgeWitness(circuit, await calculateWitness(circuit, input), { publicChoiceHash });
+    expect(await checkConstraints(circuit, witness)).toBe(false);
+    expect((await proveAndVerify(circuit, witness)).verified).toBe(false);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Helpers for testing the compiled circuits in circuits/ without a server
+ *
+ * Witnesses are calculated with the committed wasm, checked against the committed r1cs
+ * and proven with the committed zkeys, so the tests catch artifacts that drift from
+ * the circuit sources as well as broken constraints.
+ */
+const fs = require('fs');
+const path = require('path');
+const snarkjs = require('snarkjs');
+const circuitRegistry = require('../../src/utils/circuitRegistry');
+
+// snarkjs reports the first unsatisfied constraint through its logger, the tests only need the result
+const silentLogger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+/**
+ * Load the artifacts of a circuit the backend would prove and verify with
+ *
+ * @param {string} name - Circuit name in the registry
+ * @returns {Object} - Registry entry with the r1cs, the signal wires and the verification key
+ */
+function loadCircuit(name) {
+  const entry = circuitRegistry.resolve(name, { protocol: 'groth16' });
+  const basePath = path.join(path.dirname(entry.wasm), '..', path.basename(entry.wasm, '.wasm'));
+
+  // .sym lines are "labelIndex,wireIndex,componentIndex,name", wire -1 was optimized out
+  const wires = {};
+  fs.readFileSync(`${basePath}.sym`, 'utf8').split('\n').forEach((line) => {
+    const [, wire, , signal] = line.split(',');
+    if (signal && Number(wire) >= 0) {
+      wires[signal] = Number(wire);
+    }
+  });
+
+  return {
+    ...entry,
+    r1cs: `${basePath}.r1cs`,
+    wires,
+    verificationKey: JSON.parse(fs.readFileSync(entry.vkey, 'utf8'))
+  };
+}
+
+/**
+ * Calculate a witness with the circuit's wasm
+ * Rejects when a constraint assertion of the circuit fails
+ *
+ * @param {Object} circuit - Circuit from loadCircuit
+ * @param {Object} input - Circuit input
+ * @returns {Promise<Object>} - In-memory .wtns file
+ */
+async function calculateWitness(circuit, input) {
+  const witness = { type: 'mem' };
+  await snarkjs.wtns.calculate(input, circuit.wasm, witness);
+  return witness;
+}
+
+/**
+ * Replace the values of main component signals in a witness
+ * This is how a dishonest prover, who does not run the wasm, would build a witness
+ *
+ * @param {Object} circuit - Circuit from loadCircuit
+ * @param {Object} witness - In-memory .wtns file
+ * @param {Object} values - New values, keyed by signal name without the "main." prefix
+ * @returns {Promise<Object>} - In-memory .wtns file with the values replaced
+ */
+async function forgeWitness(circuit, witness, values) {
+  const signals = await snarkjs.wtns.exportJson(witness);
+  Object.entries(values).forEach(([signal, value]) => {
+    const wire = circuit.wires[`main.${signal}`];
+    if (wire === undefined) {
+      throw new Error(`${circuit.name} has no signal main.${signal}`);
+    }
+    signals[wire] = BigInt(value);
+  });
+
+  // The header and section layout of the honest witness are kept, only the values change
+  const data = new Uint8Array(witness.data);
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const valuesOffset = data.length - signals.length * 32;
+  signals.forEach((value, i) => {
+    let remaining = value;
+    for (let word = 0; word < 4; word++) {
+      view.setBigUint64(valuesOffset + i * 32 + word * 8, remaining & 0xffffffffffffffffn, true);
+      remaining >>= 64n;
+    }
+  });
+  return { type: 'mem', data };
+}
+
+/**
+ * Check whether a witness satisfies every constraint of the circuit
+ *
+ * @param {Object} circuit - Circuit from loadCircuit
+ * @param {Object} witness - In-memory .wtns file
+ * @returns {Promise<boolean>} - Whether all constraints are satisfied
+ */
+async function checkConstraints(circuit, witness) {
+  return snarkjs.wtns.check(circuit.r1cs, { type: 'mem', data: witness.data }, silentLogger);
+}
+
+/**
+ * Prove a witness and verify the proof with the circuit's verification key
+ * Proving does not check the witness, so an unsatisfied witness still yields a proof
+ *
+ * @param {Object} circuit - Circuit from loadCircuit
+ * @param {Object} witness - In-memory .wtns file
+ * @returns {Promise<Object>} - The proof, its public signals and whether it verified
+ */
+async function proveAndVerify(circuit, witness) {
+  const { proof, publicSignals } = await snarkjs.groth16.prove(circuit.zkey, { type: 'mem', data: witness.data });
+  const verified = await snarkjs.groth16.verify(circuit.verificationKey, publicSignals, proof);
+  return { proof, publicSignals, verified };
+}
+
+/**
+ * Stop the curve worker threads snarkjs leaves running, so Jest can exit
+ *
+ * @returns {Promise<void>}
+ */
+async function terminateCurves() {
+  if (globalThis.curve_bn128) {
+    await globalThis.curve_bn128.terminate();
+  }
+}
+
+module.exports = {
+  loadCircuit,
+  calculateWitness,
+  forgeWitness,
+  checkConstraints,
+  proveAndVerify,
+  terminateCurves
+};
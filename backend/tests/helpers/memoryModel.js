@@ -0,0 +1,120 @@
+/**
+ * In-memory stand-in for a Mongoose model, for testing services without a database
+ *
+ * Only the query operators the services use are understood: equality (null matches a
+ * missing value, dates compare by time), $in, $nin, $lte and $or. Updates support $set,
+ * $setOnInsert and $inc. Documents are copied in and out, like documents loaded from MongoDB.
+ */
+const { randomUUID } = require('crypto');
+
+const copy = (doc) => doc && { ...doc };
+
+const sameValue = (value, expected) => {
+  if (expected === null) {
+    return value === null || value === undefined;
+  }
+  if (expected instanceof Date) {
+    return value instanceof Date && value.getTime() === expected.getTime();
+  }
+  return value === expected;
+};
+
+const OPERATORS = {
+  $in: (value, operand) => operand.some((expected) => sameValue(value, expected)),
+  $nin: (value, operand) => !operand.some((expected) => sameValue(value, expected)),
+  $lte: (value, operand) => value !== null && value !== undefined && value <= operand
+};
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') {
+      return condition.some((branch) => matches(doc, branch));
+    }
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      return Object.entries(condition).every(([operator, operand]) => OPERATORS[operator](doc[key], operand));
+    }
+    return sameValue(doc[key], condition);
+  });
+}
+
+function applyUpdate(doc, update) {
+  Object.assign(doc, update.$set);
+  Object.entries(update.$inc || {}).forEach(([key, amount]) => {
+    doc[key] = (doc[key] || 0) + amount;
+  });
+}
+
+/**
+ * Create an empty in-memory model
+ *
+ * @param {Object} defaults - Field values of a new document, like the schema defaults
+ * @returns {Object} - Model with the stored documents in `docs`
+ */
+function createMemoryModel(defaults = {}) {
+  const model = {
+    docs: [],
+
+    insert(doc) {
+      const stored = { _id: randomUUID(), ...defaults, ...doc };
+      model.docs.push(stored);
+      return copy(stored);
+    },
+
+    async find(filter = {}) {
+      return model.docs.filter((doc) => matches(doc, filter)).map(copy);
+    },
+
+    async findOne(filter = {}) {
+      return copy(model.docs.find((doc) => matches(doc, filter)));
+    },
+
+    async countDocuments(filter = {}) {
+      return model.docs.filter((doc) => matches(doc, filter)).length;
+    },
+
+    async updateOne(filter, update, { upsert = false } = {}) {
+      const doc = model.docs.find((candidate) => matches(candidate, filter));
+      if (doc) {
+        applyUpdate(doc, update);
+        return { matchedCount: 1, upsertedCount: 0 };
+      }
+      if (upsert) {
+        // Equality conditions of the filter become fields of the inserted document
+        const fields = Object.fromEntries(Object.entries(filter).filter(([key]) => !key.startsWith('$')));
+        const inserted = { _id: randomUUID(), ...defaults, ...fields, ...update.$setOnInsert };
+        applyUpdate(inserted, update);
+        model.docs.push(inserted);
+        return { matchedCount: 0, upsertedCount: 1 };
+      }
+      return { matchedCount: 0, upsertedCount: 0 };
+    },
+
+    async updateMany(filter, update) {
+      const docs = model.docs.filter((doc) => matches(doc, filter));
+      docs.forEach((doc) => applyUpdate(doc, update));
+      return { matchedCount: docs.length };
+    },
+
+    // Only ascending sorts and the updated document ({ new: true }) are supported
+    async findOneAndUpdate(filter, update, { sort = {} } = {}) {
+      const [doc] = model.docs
+        .filter((candidate) => matches(candidate, filter))
+        .sort((a, b) => Object.keys(sort).reduce((order, key) => order || (a[key] > b[key]) - (a[key] < b[key]), 0));
+      if (!doc) {
+        return null;
+      }
+      applyUpdate(doc, update);
+      return copy(doc);
+    },
+
+    reset() {
+      model.docs = [];
+    }
+  };
+
+  return model;
+}
+
+module.exports = {
+  createMemoryModel
+};
@@ -0,0 +1,53 @@
+/**
+ * Mock proof tests
+ *
+ * A mock proof is bound to the public signals it was made for, so in mock mode a proof
+ * sent with other signals is rejected the way a real proof would be.
+ */
+const { buildEddsa } = require('circomlibjs');
+const { createFieldEncoder } = require('../src/utils/fieldEncoding');
+const { createMockProver, verifyMockProof, isMockProof } = require('../src/utils/mockProof');
+
+let encoder;
+let proof;
+let publicSignals;
+
+beforeAll(async () => {
+  const eddsa = await buildEddsa();
+  encoder = createFieldEncoder(eddsa.poseidon);
+
+  const adminKey = encoder.encodeString('admin secret key');
+  const actionData = encoder.encodeJSON({ action: 'addCandidate', name: 'Alice' });
+  const actionNonce = '1718000000000';
+  ({ proof, publicSignals } = await createMockProver(eddsa).fullProve('admin', {
+    adminKey,
+    actionData,
+    actionNonce,
+    publicActionHash: encoder.hash([encoder.hash([adminKey]), actionData, actionNonce])
+  }));
+});
+
+test('verifies with the public signals it was made for', () => {
+  expect(isMockProof(proof)).toBe(true);
+  expect(verifyMockProof(encoder, proof, publicSignals)).toBe(true);
+});
+
+test('rejects other public signals', () => {
+  const otherAction = encoder.hash([publicSignals[0], encoder.encodeJSON({ action: 'removeCandidate' }), '1']);
+
+  expect(verifyMockProof(encoder, proof, [publicSignals[0], otherAction, otherAction])).toBe(false);
+  expect(verifyMockProof(encoder, proof, publicSignals.slice(0, 2))).toBe(false);
+  expect(verifyMockProof(encoder, proof, [...publicSignals].reverse())).toBe(false);
+});
+
+test('rejects public signals that are not field elements', () => {
+  expect(verifyMockProof(encoder, proof, publicSignals.map((signal) => `${signal}x`))).toBe(false);
+  expect(verifyMockProof(encoder, proof, null)).toBe(false);
+});
+
+test('rejects a mock proof without the hash of its signals', () => {
+  const { signalsHash, ...unbound } = proof;
+
+  expect(signalsHash).toBeDefined();
+  expect(verifyMockProof(encoder, unbound, publicSignals)).toBe(false);
+});
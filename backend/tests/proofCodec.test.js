@@ -0,0 +1,186 @@
+/**
+ * Proof codec tests
+ *
+ * Every proving system is taken through each format and back: snarkjs envelopes must come
+ * out of Solidity calldata and compact bundles unchanged. A real Groth16 proof of the
+ * committed admin circuit must still verify after the round trip. Truncated input and
+ * proofs for another circuit or version are rejected with a ProofFormatError.
+ */
+const snarkjs = require('snarkjs');
+const { loadCircuit, calculateWitness, proveAndVerify, terminateCurves } = require('./helpers/circuitHarness');
+const { getFieldEncoder } = require('../src/utils/poseidon');
+const {
+  ProofFormatError,
+  toSolidityCalldata,
+  fromSolidityCalldata,
+  toSolidityProofBytes,
+  toCompact,
+  fromCompact,
+  detectFormat,
+  decodeProof,
+  decodeCircuitProof,
+  encodeProof
+} = require('../src/utils/proofCodec');
+
+jest.setTimeout(60000);
+
+afterAll(terminateCurves);
+
+// Distinct field elements, so a swapped or dropped value changes the result
+let nextValue = 1000;
+const fieldElement = () => String(BigInt('0x30644e72e131a029b85045b68181585d2833e84879b9709143e1f593f0000000') - BigInt(nextValue++));
+const point = () => [fieldElement(), fieldElement(), '1'];
+
+// Envelopes shaped like the ones snarkjs produces for each proving system
+const groth16Envelope = () => ({
+  proof: {
+    pi_a: point(),
+    pi_b: [[fieldElement(), fieldElement()], [fieldElement(), fieldElement()], ['1', '0']],
+    pi_c: point(),
+    protocol: 'groth16',
+    curve: 'bn128'
+  },
+  publicSignals: [fieldElement(), fieldElement(), fieldElement()],
+  protocol: 'groth16'
+});
+
+const plonkEnvelope = () => {
+  const proof = { protocol: 'plonk', curve: 'bn128' };
+  ['A', 'B', 'C', 'Z', 'T1', 'T2', 'T3', 'Wxi', 'Wxiw'].forEach((name) => { proof[name] = point(); });
+  ['eval_a', 'eval_b', 'eval_c', 'eval_s1', 'eval_s2', 'eval_zw'].forEach((name) => { proof[name] = fieldElement(); });
+  return { proof, publicSignals: [fieldElement(), fieldElement(), fieldElement()], protocol: 'plonk' };
+};
+
+const fflonkEnvelope = () => {
+  const polynomials = {};
+  ['C1', 'C2', 'W1', 'W2'].forEach((name) => { polynomials[name] = point(); });
+  const evaluations = {};
+  ['ql', 'qr', 'qm', 'qo', 'qc', 's1', 's2', 's3', 'a', 'b', 'c', 'z', 'zw', 't1w', 't2w', 'inv']
+    .forEach((name) => { evaluations[name] = fieldElement(); });
+  return {
+    proof: { polynomials, evaluations, protocol: 'fflonk', curve: 'bn128' },
+    publicSignals: [fieldElement(), fieldElement(), fieldElement()],
+    protocol: 'fflonk'
+  };
+};
+
+const ENVELOPES = { groth16: groth16Envelope, plonk: plonkEnvelope, fflonk: fflonkEnvelope };
+
+describe.each(Object.keys(ENVELOPES))('%s round trip', (protocol) => {
+  let zkProof;
+
+  beforeEach(() => {
+    zkProof = ENVELOPES[protocol]();
+  });
+
+  test('Solidity calldata decodes to the same envelope', () => {
+    const calldata = toSolidityCalldata(zkProof);
+
+    expect(fromSolidityCalldata(calldata, protocol)).toEqual(zkProof);
+    expect(decodeProof(JSON.stringify(calldata), { protocol })).toEqual({ format: 'solidity', zkProof, circuit: null, version: null });
+  });
+
+  test('a compact bundle decodes to the same envelope, circuit and version', () => {
+    const compact = toCompact(zkProof, { circuit: 'vote' });
+
+    expect(detectFormat(compact)).toBe('compact');
+    expect(fromCompact(compact)).toEqual({ circuit: 'vote', version: '1.0.0', zkProof });
+    expect(decodeCircuitProof(compact, 'vote', { protocol, version: '1.0.0' })).toEqual(zkProof);
+  });
+
+  test('encodeProof and decodeProof agree for every format', () => {
+    ['snarkjs', 'solidity', 'compact'].forEach((format) => {
+      const encoded = encodeProof(zkProof, format, { circuit: 'auth' });
+      expect(decodeProof(encoded, { format, protocol }).zkProof).toEqual(zkProof);
+    });
+  });
+
+  test('the proof ABI-encodes for the voting contract', () => {
+    expect(toSolidityProofBytes(zkProof)).toMatch(/^0x([0-9a-f]{64})+$/);
+  });
+});
+
+describe('Groth16 proof of the admin circuit', () => {
+  let circuit;
+  let zkProof;
+
+  beforeAll(async () => {
+    circuit = loadCircuit('admin');
+
+    const encoder = await getFieldEncoder();
+    const adminKey = encoder.encodeId('admin-key');
+    const actionData = encoder.encodeJSON({ action: 'addCandidate', name: 'Alice' });
+    const actionNonce = encoder.encodeId('1');
+    const witness = await calculateWitness(circuit, {
+      adminKey,
+      actionData,
+      actionNonce,
+      publicActionHash: encoder.hash([encoder.hash([adminKey]), actionData, actionNonce])
+    });
+    const { proof, publicSignals } = await proveAndVerify(circuit, witness);
+    zkProof = { proof, publicSignals, protocol: 'groth16' };
+  });
+
+  test('still verifies after going through every format', async () => {
+    for (const format of ['snarkjs', 'solidity', 'compact']) {
+      const decoded = decodeCircuitProof(encodeProof(zkProof, format, { circuit: 'admin' }), 'admin', { protocol: 'groth16' });
+      expect(await snarkjs.groth16.verify(circuit.verificationKey, decoded.publicSignals, decoded.proof)).toBe(true);
+    }
+  });
+});
+
+describe('rejected input', () => {
+  test('truncated Groth16 calldata', () => {
+    const calldata = toSolidityCalldata(groth16Envelope());
+
+    expect(() => fromSolidityCalldata(calldata.slice(0, 3), 'groth16')).toThrow(ProofFormatError);
+    expect(() => fromSolidityCalldata([calldata[0].slice(0, 1), ...calldata.slice(1)], 'groth16')).toThrow(ProofFormatError);
+  });
+
+  test('PLONK calldata with a word missing', () => {
+    const [words, inputs] = toSolidityCalldata(plonkEnvelope());
+
+    expect(() => fromSolidityCalldata([words.slice(0, -1), inputs], 'plonk')).toThrow(ProofFormatError);
+  });
+
+  test('PLONK and fflonk calldata without their proving system', () => {
+    expect(() => fromSolidityCalldata(toSolidityCalldata(fflonkEnvelope()))).toThrow('must be given');
+  });
+
+  test('a truncated compact bundle', () => {
+    const compact = toCompact(groth16Envelope(), { circuit: 'vote' });
+
+    expect(() => fromCompact(compact.slice(0, compact.length / 2))).toThrow(ProofFormatError);
+  });
+
+  test('a snarkjs envelope without public signals', () => {
+    const { proof } = groth16Envelope();
+
+    expect(() => decodeProof({ proof })).toThrow(ProofFormatError);
+    expect(() => decodeProof('{"proof": ')).toThrow(ProofFormatError);
+  });
+
+  test('a proof value that is not a field element', () => {
+    const zkProof = groth16Envelope();
+    zkProof.proof.pi_a[0] = '-1';
+
+    expect(() => toSolidityCalldata(zkProof)).toThrow(ProofFormatError);
+  });
+
+  test('a compact bundle for another circuit', () => {
+    const compact = toCompact(groth16Envelope(), { circuit: 'vote' });
+
+    expect(() => decodeCircuitProof(compact, 'auth')).toThrow('Expected a auth proof, got a vote proof');
+  });
+
+  test('a compact bundle for another circuit version', () => {
+    const compact = toCompact(groth16Envelope(), { circuit: 'vote' });
+
+    expect(() => decodeCircuitProof(compact, 'vote', { version: '2.0.0' })).toThrow('not 1.0.0');
+  });
+
+  test('a compact bundle for a circuit or version the registry does not know', () => {
+    expect(() => toCompact(groth16Envelope(), { circuit: 'unknown' })).toThrow(ProofFormatError);
+    expect(() => toCompact(groth16Envelope(), { circuit: 'vote', version: '9.9.9' })).toThrow(ProofFormatError);
+  });
+});
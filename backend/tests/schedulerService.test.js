@@ -0,0 +1,142 @@
+/**
+ * Election scheduler tests
+ *
+ * Jobs are kept in an in-memory ScheduledJob model and the transitions themselves are
+ * stubbed, so the tests cover which jobs the scheduler keeps, runs and cancels.
+ */
+jest.mock('../src/models/ScheduledJob', () => require('./helpers/memoryModel').createMemoryModel({
+  status: 'pending',
+  attempts: 0,
+  lastError: null,
+  lockedUntil: null,
+  completedAt: null
+}));
+jest.mock('../src/models/Election', () => ({ find: jest.fn() }));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  logSystemEvent: jest.fn()
+}));
+jest.mock('../src/services/electionService', () => {
+  class ElectionError extends Error {}
+  return { ElectionError, transitionElection: jest.fn() };
+});
+
+const ScheduledJob = require('../src/models/ScheduledJob');
+const Election = require('../src/models/Election');
+const { logSystemEvent } = require('../src/utils/logger');
+const electionService = require('../src/services/electionService');
+const schedulerService = require('../src/services/schedulerService');
+
+const HOUR = 60 * 60 * 1000;
+const hoursFromNow = (hours) => new Date(Date.now() + hours * HOUR);
+
+let elections;
+
+const addElection = (election) => {
+  elections.set(election.electionId, { name: election.electionId, ...election });
+  return elections.get(election.electionId);
+};
+
+const jobOf = (electionId, targetStatus) =>
+  ScheduledJob.docs.find((job) => job.electionId === electionId && job.targetStatus === targetStatus);
+
+beforeEach(() => {
+  ScheduledJob.reset();
+  jest.clearAllMocks();
+
+  // Transitions succeed unless a test says otherwise
+  elections = new Map();
+  electionService.transitionElection.mockImplementation(async (electionId, status) => {
+    const election = elections.get(electionId);
+    election.status = status;
+    return { ...election };
+  });
+});
+
+describe('catching up on missed transitions', () => {
+  test('opens and then closes an election whose voting window passed while the server was down', async () => {
+    const election = addElection({ electionId: 'missed', status: 'scheduled', startTime: hoursFromNow(-2), endTime: hoursFromNow(-1) });
+    Election.find.mockResolvedValue([{ ...election }]);
+    jest.spyOn(global, 'setInterval').mockReturnValue({ unref: () => {} });
+
+    await schedulerService.initialize();
+
+    expect(electionService.transitionElection.mock.calls).toEqual([
+      ['missed', 'open', { at: election.startTime, actor: 'scheduler' }],
+      ['missed', 'closed', { at: election.endTime, actor: 'scheduler' }]
+    ]);
+    expect(elections.get('missed').status).toBe('closed');
+    expect(ScheduledJob.docs.map((job) => job.status)).toEqual(['done', 'done']);
+  });
+
+  test('closes an open election whose end time passed at its end time', async () => {
+    const election = addElection({ electionId: 'overdue', status: 'open', startTime: hoursFromNow(-3), endTime: hoursFromNow(-1) });
+    await schedulerService.scheduleElection(election);
+
+    expect(await schedulerService.runDueJobs()).toBe(1);
+
+    expect(electionService.transitionElection).toHaveBeenCalledWith('overdue', 'closed', { at: election.endTime, actor: 'scheduler' });
+    expect(jobOf('overdue', 'closed').status).toBe('done');
+    expect(logSystemEvent).toHaveBeenCalledWith('INFO', 'Scheduled election transition', expect.stringContaining('caught up'));
+  });
+
+  test('leaves jobs that are not due yet', async () => {
+    await schedulerService.scheduleElection(addElection({ electionId: 'later', status: 'scheduled', startTime: hoursFromNow(1), endTime: hoursFromNow(2) }));
+
+    expect(await schedulerService.runDueJobs()).toBe(0);
+
+    expect(electionService.transitionElection).not.toHaveBeenCalled();
+  });
+});
+
+describe('rescheduling', () => {
+  test('moves the pending jobs to the new voting window', async () => {
+    const election = addElection({ electionId: 'moved', status: 'scheduled', startTime: hoursFromNow(1), endTime: hoursFromNow(2) });
+    await schedulerService.scheduleElection(election);
+
+    election.startTime = hoursFromNow(3);
+    election.endTime = hoursFromNow(4);
+    await schedulerService.scheduleElection(election);
+
+    expect(ScheduledJob.docs).toHaveLength(2);
+    expect(jobOf('moved', 'open')).toMatchObject({ status: 'pending', runAt: election.startTime });
+    expect(jobOf('moved', 'closed')).toMatchObject({ status: 'pending', runAt: election.endTime });
+
+    // Nothing runs at the old times
+    expect(await schedulerService.runDueJobs(new Date(Date.now() + 2.5 * HOUR))).toBe(0);
+  });
+
+  test('cancels the jobs of an election taken back to draft', async () => {
+    const election = addElection({ electionId: 'withdrawn', status: 'scheduled', startTime: hoursFromNow(1), endTime: hoursFromNow(2) });
+    await schedulerService.scheduleElection(election);
+
+    election.status = 'draft';
+    await schedulerService.scheduleElection(election);
+
+    expect(ScheduledJob.docs.map((job) => job.status)).toEqual(['cancelled', 'cancelled']);
+    expect(await schedulerService.runDueJobs(hoursFromNow(3))).toBe(0);
+    expect(electionService.transitionElection).not.toHaveBeenCalled();
+  });
+
+  test('cancels the opening job of an election opened by hand and keeps the closing job', async () => {
+    const election = addElection({ electionId: 'early', status: 'scheduled', startTime: hoursFromNow(1), endTime: hoursFromNow(2) });
+    await schedulerService.scheduleElection(election);
+
+    election.status = 'open';
+    await schedulerService.scheduleElection(election);
+
+    expect(jobOf('early', 'open').status).toBe('cancelled');
+    expect(jobOf('early', 'closed').status).toBe('pending');
+  });
+
+  test('cancels a due job whose election an admin already moved on', async () => {
+    await schedulerService.scheduleElection(addElection({ electionId: 'closed-by-hand', status: 'open', endTime: hoursFromNow(-1) }));
+    electionService.transitionElection.mockRejectedValue(new electionService.ElectionError('Cannot move a closed election to closed'));
+
+    expect(await schedulerService.runDueJobs()).toBe(1);
+
+    expect(jobOf('closed-by-hand', 'closed')).toMatchObject({ status: 'cancelled', lastError: 'Cannot move a closed election to closed' });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Tally tests
+ *
+ * The counting functions take candidate IDs and the choices of every ballot, so they are
+ * tested without stored votes.
+ */
+const tallyService = require('../src/services/tallyService');
+
+// The same ballot cast a number of times
+const ballots = (count, ballot) => Array.from({ length: count }, () => ballot);
+
+describe('instantRunoff', () => {
+  test('elects a candidate with a majority of first preferences in the first round', () => {
+    const result = tallyService.instantRunoff(['a', 'b', 'c'], [
+      ...ballots(3, ['a', 'b', 'c']),
+      ...ballots(1, ['b', 'a', 'c'])
+    ]);
+
+    expect(result.winner).toBe('a');
+    expect(result.totalBallots).toBe(4);
+    expect(result.rounds).toEqual([{
+      round: 1,
+      counts: [{ candidateId: 'a', votes: 3 }, { candidateId: 'b', votes: 1 }, { candidateId: 'c', votes: 0 }],
+      exhausted: 0,
+      threshold: 3,
+      eliminated: null,
+      transfers: null
+    }]);
+  });
+
+  test('eliminates the candidate with the fewest votes each round and transfers their ballots', () => {
+    const result = tallyService.instantRunoff(['a', 'b', 'c', 'd'], [
+      ...ballots(5, ['a', 'b', 'c', 'd']),
+      ...ballots(4, ['b', 'a', 'c', 'd']),
+      ...ballots(3, ['c', 'd', 'b', 'a']),
+      ...ballots(2, ['d', 'c', 'b', 'a'])
+    ]);
+
+    expect(result.rounds.map((round) => round.eliminated)).toEqual(['d', 'b', null]);
+    expect(result.rounds.map((round) => round.counts)).toEqual([
+      [{ candidateId: 'a', votes: 5 }, { candidateId: 'b', votes: 4 }, { candidateId: 'c', votes: 3 }, { candidateId: 'd', votes: 2 }],
+      [{ candidateId: 'a', votes: 5 }, { candidateId: 'b', votes: 4 }, { candidateId: 'c', votes: 5 }],
+      [{ candidateId: 'a', votes: 9 }, { candidateId: 'c', votes: 5 }]
+    ]);
+    expect(result.rounds[0].transfers).toEqual({ a: 0, b: 0, c: 2, exhausted: 0 });
+    expect(result.rounds[1].transfers).toEqual({ a: 4, c: 0, exhausted: 0 });
+    expect(result.rounds.every((round) => round.threshold === 8)).toBe(true);
+    expect(result.winner).toBe('a');
+  });
+
+  test('breaks a tie for fewest votes by the latest earlier round that tells the candidates apart', () => {
+    // b and c tie in round 2, c had fewer votes in round 1 although b is listed last
+    const result = tallyService.instantRunoff(['a', 'c', 'b', 'd'], [
+      ...ballots(6, ['a', 'b', 'c', 'd']),
+      ...ballots(4, ['b', 'a', 'c', 'd']),
+      ...ballots(3, ['c', 'a', 'b', 'd']),
+      ...ballots(1, ['d', 'c', 'a', 'b'])
+    ]);
+
+    expect(result.rounds[1].counts).toEqual([
+      { candidateId: 'a', votes: 6 },
+      { candidateId: 'c', votes: 4 },
+      { candidateId: 'b', votes: 4 }
+    ]);
+    expect(result.rounds.map((round) => round.eliminated)).toEqual(['d', 'c', null]);
+    expect(result.winner).toBe('a');
+  });
+
+  test('breaks a tie the earlier rounds do not settle by eliminating the candidate listed last', () => {
+    const result = tallyService.instantRunoff(['a', 'b', 'c'], [
+      ...ballots(2, ['a', 'b', 'c']),
+      ...ballots(2, ['b', 'c', 'a']),
+      ...ballots(2, ['c', 'b', 'a'])
+    ]);
+
+    expect(result.rounds[0].eliminated).toBe('c');
+    expect(result.rounds[0].transfers).toEqual({ a: 0, b: 2, exhausted: 0 });
+    expect(result.winner).toBe('b');
+  });
+
+  test('leaves exhausted ballots out of the majority threshold', () => {
+    // Rankings cast before candidates were added do not list them
+    const result = tallyService.instantRunoff(['a', 'b', 'c'], [
+      ...ballots(3, ['a', 'b']),
+      ...ballots(2, ['b', 'a']),
+      ...ballots(2, ['c'])
+    ]);
+
+    expect(result.rounds[0]).toMatchObject({ exhausted: 0, threshold: 4, eliminated: 'c', transfers: { a: 0, b: 0, exhausted: 2 } });
+    expect(result.rounds[1]).toMatchObject({ exhausted: 2, threshold: 3, eliminated: null });
+    expect(result.winner).toBe('a');
+  });
+
+  test('elects nobody without ballots', () => {
+    const result = tallyService.instantRunoff(['a', 'b'], []);
+
+    expect(result.winner).toBeNull();
+    expect(result.rounds).toHaveLength(1);
+    expect(result.rounds[0].counts).toEqual([{ candidateId: 'a', votes: 0 }, { candidateId: 'b', votes: 0 }]);
+  });
+
+  test('elects nobody once every ballot is exhausted', () => {
+    const result = tallyService.instantRunoff(['a', 'b'], ballots(2, ['c']));
+
+    expect(result.winner).toBeNull();
+    expect(result.rounds[0]).toMatchObject({ exhausted: 2, eliminated: null });
+  });
+});
+
+describe('approvalCount', () => {
+  test('counts every approval of a ballot and elects the most approved candidate', () => {
+    const result = tallyService.approvalCount(['a', 'b', 'c'], [
+      ['a', 'b'],
+      ['b'],
+      ['b', 'c'],
+      ['a']
+    ]);
+
+    expect(result).toEqual({
+      winner: 'b',
+      totalBallots: 4,
+      totalApprovals: 6,
+      counts: [{ candidateId: 'b', votes: 3 }, { candidateId: 'a', votes: 2 }, { candidateId: 'c', votes: 1 }]
+    });
+  });
+
+  test('counts ballots without approvals but not as approvals', () => {
+    const result = tallyService.approvalCount(['a', 'b'], [['a'], [], []]);
+
+    expect(result).toMatchObject({ winner: 'a', totalBallots: 3, totalApprovals: 1 });
+    expect(result.counts).toEqual([{ candidateId: 'a', votes: 1 }, { candidateId: 'b', votes: 0 }]);
+  });
+
+  test('elects nobody when the most approvals are tied', () => {
+    const result = tallyService.approvalCount(['a', 'b', 'c'], [['a', 'b'], ['a', 'b', 'c']]);
+
+    expect(result.winner).toBeNull();
+    expect(result.counts.slice(0, 2).map((entry) => entry.votes)).toEqual([2, 2]);
+  });
+
+  test('elects nobody without approvals', () => {
+    expect(tallyService.approvalCount(['a', 'b'], [[], []])).toMatchObject({ winner: null, totalBallots: 2, totalApprovals: 0 });
+    expect(tallyService.approvalCount(['a', 'b'], [])).toMatchObject({ winner: null, totalBallots: 0, totalApprovals: 0 });
+  });
+});
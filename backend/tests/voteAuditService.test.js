@@ -0,0 +1,114 @@
+/**
+ * Vote audit tests
+ *
+ * Stored votes, candidate sets and elections are kept in memory and the pairing check is
+ * stubbed to pass, so the tests cover what the audit checks besides the proof itself: the
+ * values the proof's public signals are bound to.
+ */
+jest.mock('../src/models/Vote', () => ({ countDocuments: jest.fn(), find: jest.fn() }));
+jest.mock('../src/models/CandidateSet', () => ({ find: jest.fn() }));
+jest.mock('../src/models/Election', () => ({ find: jest.fn() }));
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  logSystemEvent: jest.fn()
+}));
+
+const Vote = require('../src/models/Vote');
+const CandidateSet = require('../src/models/CandidateSet');
+const Election = require('../src/models/Election');
+const zkpService = require('../src/services/zkpService');
+const voteAuditService = require('../src/services/voteAuditService');
+const candidateSetService = require('../src/services/candidateSetService');
+const { buildPublicSignals, PROOF_ERROR_CODES } = require('../src/utils/publicSignals');
+const { toCompact } = require('../src/utils/proofCodec');
+
+const candidateIds = ['665f1c2a9b1e8a0012345671', '665f1c2a9b1e8a0012345672', '665f1c2a9b1e8a0012345673'];
+const candidateSetCommitment = '4242';
+const electionId = '7';
+const nullifierHash = '1234';
+
+// A Groth16 proof with curve points for values, the pairing check is stubbed
+const groth16Proof = {
+  pi_a: ['1', '2', '1'],
+  pi_b: [['1', '2'], ['3', '4'], ['1', '0']],
+  pi_c: ['1', '2', '1'],
+  protocol: 'groth16',
+  curve: 'bn128'
+};
+
+// Stored approval vote whose proof was made with the given approval limit
+const approvalVote = async (approvals, maxApprovals) => {
+  const choiceHash = await candidateSetService.computeApprovalHash(approvals, candidateIds);
+  const publicSignals = buildPublicSignals('approvalVote', {
+    nullifierHash,
+    choiceHash,
+    electionId,
+    candidateSetCommitment,
+    maxApprovals,
+    publicNullifierHash: nullifierHash,
+    publicChoiceHash: choiceHash
+  });
+
+  return {
+    _id: 'vote-1',
+    electionId,
+    nullifierHash,
+    approvals,
+    proof: toCompact({ proof: groth16Proof, publicSignals }, { circuit: 'approvalVote' })
+  };
+};
+
+// Audit the given votes of an approval election and collect the events of every vote that is not valid
+const audit = async (votes, election) => {
+  Vote.countDocuments.mockResolvedValue(votes.length);
+  Vote.find.mockReturnValue({
+    sort: () => ({
+      cursor: () => Object.assign((async function* cursor() { yield* votes; })(), { close: async () => {} })
+    })
+  });
+  CandidateSet.find.mockReturnValue({ select: async () => [{ commitment: candidateSetCommitment, candidateIds }] });
+  Election.find.mockReturnValue({ select: async () => [election] });
+
+  const events = [];
+  const report = await voteAuditService.auditVotes({ electionId }, (event) => events.push(event));
+  return { report, voteEvents: events.filter((event) => event.type === 'vote') };
+};
+
+const approvalElection = { electionId, ballotType: 'approval', maxApprovals: 2, provingSystem: 'groth16' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(zkpService, 'verifyVoteProof').mockResolvedValue(true);
+});
+
+describe('approval votes', () => {
+  test('pass when the proof uses the approval limit of the election', async () => {
+    const { report, voteEvents } = await audit([await approvalVote([candidateIds[0], candidateIds[2]], 2)], approvalElection);
+
+    expect(voteEvents).toEqual([]);
+    expect(report.allVerified).toBe(true);
+    expect(report.verifiedTally).toEqual({ [electionId]: { [candidateIds[0]]: 1, [candidateIds[2]]: 1 } });
+  });
+
+  test('fail when the proof uses another approval limit, even though it verifies', async () => {
+    const { report, voteEvents } = await audit([await approvalVote(candidateIds, 3)], approvalElection);
+
+    expect(voteEvents).toEqual([expect.objectContaining({
+      status: voteAuditService.AUDIT_STATUS.INVALID,
+      code: PROOF_ERROR_CODES.APPROVAL_LIMIT_MISMATCH
+    })]);
+    expect(report.allVerified).toBe(false);
+    expect(report.verifiedTally).toEqual({});
+  });
+
+  test('fail when the election takes another kind of ballot', async () => {
+    const { voteEvents } = await audit([await approvalVote([candidateIds[0]], 2)], { ...approvalElection, ballotType: 'single', maxApprovals: null });
+
+    expect(voteEvents).toEqual([expect.objectContaining({
+      status: voteAuditService.AUDIT_STATUS.INVALID,
+      code: PROOF_ERROR_CODES.CHOICE_MISMATCH
+    })]);
+  });
+});
@@ -1,52 +1,48 @@
-const snarkjs = require('snarkjs');
-const fs = require('fs');
-const path = require('path');
-const crypto = require('crypto');
-const util = require('util');
-
-// Simple Poseidon hash simulation for demo purposes
-// Note: This is not a real Poseidon hash, just a placeholder
-function simulatePoseidonHash(...inputs) {
-  // Convert inputs to string and combine them
-  const combined = inputs.join('_');
-  // Use SHA256 as a substitute for demonstration
-  const hash = crypto.createHash('sha256').update(combined).digest('hex');
-  return BigInt('0x' + hash) % BigInt('21888242871839275222246405745257275088548364400416034343698204186575808495617');
-}
+const { buildPoseidon } = require('circomlibjs');
+const { createFieldEncoder } = require('./backend/src/utils/fieldEncoding');
 
 async function main() {
   console.log('Calculating expected public inputs for ZKP circuits...');
 
+  // Real Poseidon, identical to the hashes computed inside the circuits
+  const encoder = createFieldEncoder(await buildPoseidon());
+
   // 1. Admin Circuit
-  const adminKey = '123456789'; // Secret admin key
-  const actionData = '987654321'; // Example action data (like adding a candidate)
+  const adminKey = encoder.encodeString('123456789'); // Secret admin key
+  const actionData = encoder.encodeJSON({ action: 'add', name: 'Candidate A' }); // Example action data
   const actionNonce = '555444333'; // Random nonce to prevent replay attacks
-  
-  // Calculate action hash using simulated Poseidon
-  const actionHash = simulatePoseidonHash(adminKey, actionData, actionNonce);
+
+  // Calculate action hash (bound to the admin key commitment, not the key itself)
+  const adminProof = encoder.hash([adminKey]);
+  const actionHash = encoder.hash([adminProof, actionData, actionNonce]);
   console.log('\nAdmin Circuit:');
-  console.log('  publicActionHash:', actionHash.toString());
-  
+  console.log('  adminKey:', adminKey);
+  console.log('  actionData:', actionData);
+  console.log('  adminProof (enrolled commitment):', adminProof);
+  console.log('  publicActionHash:', actionHash);
+
   // 2. Auth Circuit
-  const identifierPreimage = '12345678'; // Voter's secret identifier
-  const nullifierSecret = '87654321'; // Secret for nullifier
-  
-  // Calculate hashed identifier
-  const hashedIdentifier = simulatePoseidonHash(identifierPreimage);
+  const identifierPreimage = encoder.encodeString('voter-12345678'); // Voter's secret identifier
+  const nullifierSecret = encoder.encodeString('nullifier:voter-12345678'); // Secret for nullifier
+  const electionId = '1';
+
+  // Calculate the registry leaf and the election-scoped nullifier hash
+  const identityCommitment = encoder.hash([identifierPreimage, nullifierSecret]);
+  const nullifierHash = encoder.hash([nullifierSecret, electionId]);
   console.log('\nAuth Circuit:');
-  console.log('  publicHashedIdentifier:', hashedIdentifier.toString());
-  
+  console.log('  identityCommitment (registry leaf):', identityCommitment);
+  console.log('  nullifierHash:', nullifierHash);
+
   // 3. Vote Circuit
-  const choice = '42'; // Candidate ID
-  
-  // Calculate nullifier hash
-  const nullifierHash = simulatePoseidonHash(identifierPreimage, nullifierSecret);
+  const choice = encoder.encodeId('candidate-42'); // Candidate ID
+
   // Calculate choice hash
-  const choiceHash = simulatePoseidonHash(choice);
-  
+  const choiceHash = encoder.hash([choice]);
+
   console.log('\nVote Circuit:');
-  console.log('  publicNullifierHash:', nullifierHash.toString());
-  console.log('  publicChoiceHash:', choiceHash.toString());
+  console.log('  choice:', choice);
+  console.log('  publicNullifierHash:', nullifierHash);
+  console.log('  publicChoiceHash:', choiceHash);
 
   console.log('\nYou can use these values in your test-zkp.js script.');
 }
@@ -56,4 +52,4 @@ main().then(() => {
 }).catch((err) => {
   console.error(err);
   process.exit(1);
-}); 
\ No newline at end of file
+});
@@ -8,6 +8,8 @@ include "/app/circomlib/circuits/comparators.circom";
  * - Takes admin credentials as private input
  * - Outputs admin action hash and admin proof
  * - Prevents non-admin users from managing candidates
+ * - The action hash commits to the admin key commitment instead of the key itself,
+ *   so the server can recompute it from the requested action and nonce
  */
 template AdminAction() {
     // Private inputs
@@ -26,9 +28,9 @@ template AdminAction() {
     adminProof <== adminProver.out;
     
     // Step 2: Compute the action hash
-    // The action hash combines the action data with a nonce
+    // The action hash combines the admin key commitment, the action data and a nonce
     component actionHasher = Poseidon(3);
-    actionHasher.inputs[0] <== adminKey;
+    actionHasher.inputs[0] <== adminProof;
     actionHasher.inputs[1] <== actionData;
     actionHasher.inputs[2] <== actionNonce;
     actionHash <== actionHasher.out;
@@ -32,6 +32,8 @@ module.exports = async function builder(code, options) {
                     err = "Not enough memory.\n";
 		} else if (code == 6) {
                     err = "Input signal array access exceeds the size.\n";
+		} else if (code == 7) {
+                    err = "Out of bounds array access.\n";
 		} else {
 		    err = "Unknown error.\n";
                 }
@@ -27,33 +27,33 @@ contract Groth16Verifier {
     uint256 constant q   = 21888242871839275222246405745257275088696311157297823662689037894645226208583;
 
     // Verification Key data
-    uint256 constant alphax  = 20491192805390485299153009773594534940189261866228447918068658471970481763042;
-    uint256 constant alphay  = 9383485363053290200918347156157836566562967994039712273449902621266178545958;
-    uint256 constant betax1  = 4252822878758300859123897981450591353533073413197771768651442665752259397132;
-    uint256 constant betax2  = 6375614351688725206403948262868962793625744043794305715222011528459656738731;
-    uint256 constant betay1  = 21847035105528745403288232691147584728191162732299865338377159692350059136679;
-    uint256 constant betay2  = 10505242626370262277552901082094356697409835680220590971873171140371331206856;
+    uint256 constant alphax  = 10036968831766164547978435953121238398665263144860938000043173526190250695373;
+    uint256 constant alphay  = 21210488678967237433864549302216029242890237429638385947474102283523935113041;
+    uint256 constant betax1  = 12148383112866491197496761428346670142139797238176706508831262067727122274841;
+    uint256 constant betax2  = 19616602179084779472033411346997298778922968981380313002301010873512320080990;
+    uint256 constant betay1  = 12974029701933032662617957003843572769242765408826604282932976326505136419733;
+    uint256 constant betay2  = 7557364394419663912973232718090167531232530109200544234785638918850050677431;
     uint256 constant gammax1 = 11559732032986387107991004021392285783925812861821192530917403151452391805634;
     uint256 constant gammax2 = 10857046999023057135944570762232829481370756359578518086990519993285655852781;
     uint256 constant gammay1 = 4082367875863433681332203403145435568316851327593401208105741076214120093531;
     uint256 constant gammay2 = 8495653923123431417604973247489272438418190587263600148770280649306958101930;
-    uint256 constant deltax1 = 2545772360997454312152644316137704339648824867164721731882309510613971249799;
-    uint256 constant deltax2 = 17170257931431632787477376808151870046256182154715226541158410476805041197211;
-    uint256 constant deltay1 = 1313373287654592250450316036124625739949495463658330030261799566093110651460;
-    uint256 constant deltay2 = 14521857419369683600748311829248552975831188088564797800383946528327917506840;
+    uint256 constant deltax1 = 11909029204830215412762027025997370994436042662555616049055135926061343261883;
+    uint256 constant deltax2 = 4530093419578382921241900471377871936406793218322776871780085569017483871639;
+    uint256 constant deltay1 = 1940913038691150209136655937111148172320732826924366403746315136355494173426;
+    uint256 constant deltay2 = 12008315695142266881106728352014106164288753783645112017191318338812510300275;
 
     
-    uint256 constant IC0x = 7295886811434419159444514891125400753837695012542872499479308010064038843168;
-    uint256 constant IC0y = 415039393369693867332207776794658936119598013092355023075484928041544111570;
+    uint256 constant IC0x = 1709697118691031233719443444097822719494248768769110114833716916835934889333;
+    uint256 constant IC0y = 13560994191342163132219027521383548060242877274816591526138435501258181471223;
     
-    uint256 constant IC1x = 15033527133111464773905139504701279921516162187652931338253228542528387604491;
-    uint256 constant IC1y = 7199215050009317317367333834536485722733989926513118954120291049580086587184;
+    uint256 constant IC1x = 5304526297060521331474009132199176623425739315999351546518721178356428857427;
+    uint256 constant IC1y = 15916782819261313295651837322466208707032461450014563929374624938442456038117;
     
-    uint256 constant IC2x = 4757706235115907283664727408081049895135002037607535437356359895028445588142;
-    uint256 constant IC2y = 18321284159731007929162076716360015799394173478156995457198243405732651453929;
+    uint256 constant IC2x = 4187780326466352672039140052081059665647109613025689722652799038685031071198;
+    uint256 constant IC2y = 7140271624548904717075421363322116097910874615875132516179321790442081167898;
     
-    uint256 constant IC3x = 2297458159917826262469263542279987494471556884475324500834574519711344344150;
-    uint256 constant IC3y = 16701258976991574808134951020305636158727678643367269632075872375916242726614;
+    uint256 constant IC3x = 11206025063540039412911181103699654530019289199963559882974290123122005291602;
+    uint256 constant IC3y = 2720644577774742507840983156747049539099502761017756741084759256312383993059;
     
  
     // Memory data
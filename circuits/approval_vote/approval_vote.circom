@@ -0,0 +1,102 @@
+pragma circom 2.0.0;
+
+include "/app/circomlib/circuits/poseidon.circom";
+include "/app/circomlib/circuits/bitify.circom";
+include "/app/circomlib/circuits/comparators.circom";
+
+/*
+ * Circuit for anonymous approval voting
+ * - Same election-scoped nullifier and candidate set commitment as the vote circuit
+ * - The approvals are a bit-vector over the candidate list: 1 approves the candidate at that index
+ * - Proves every entry is boolean, entries past candidateCount are zero and at most
+ *   maxApprovals candidates are approved
+ * - The choice hash commits to the approved candidate IDs at their ballot index, zero elsewhere
+ */
+template ApprovalVote(maxCandidates) {
+    // Private inputs
+    signal input nullifierSecret;    // Secret for nullifier, committed to in the voter registry
+    signal input approvals[maxCandidates]; // 1 for every approved candidate, 0 otherwise
+    signal input candidates[maxCandidates]; // Encoded candidate IDs of the ballot, zero padded
+    signal input candidateCount;     // Number of active candidates on the ballot
+
+    // Public inputs/outputs
+    signal input electionId;          // Election the ballot is cast in
+    signal input candidateSetCommitment; // Published commitment of the ballot's candidate list
+    signal input maxApprovals;        // Most candidates a voter may approve (K)
+    signal input publicNullifierHash; // Public input for nullifier hash verification
+    signal input publicChoiceHash;    // Public input for choice hash verification
+    signal output nullifierHash;     // Public nullifier hash (to prevent double voting)
+    signal output choiceHash;        // Hash of the approved candidate IDs
+
+    // Step 1: Compute the election-scoped nullifier hash
+    component nullifierHasher = Poseidon(2);
+    nullifierHasher.inputs[0] <== nullifierSecret;
+    nullifierHasher.inputs[1] <== electionId;
+    nullifierHash <== nullifierHasher.out;
+
+    // Ensure the public nullifier hash matches our calculation
+    publicNullifierHash === nullifierHash;
+
+    // Step 2: Recompute the candidate set commitment
+    // commitment = Poseidon(Poseidon(candidates), candidateCount)
+    component listHasher = Poseidon(maxCandidates);
+    for (var i = 0; i < maxCandidates; i++) {
+        listHasher.inputs[i] <== candidates[i];
+    }
+    component commitmentHasher = Poseidon(2);
+    commitmentHasher.inputs[0] <== listHasher.out;
+    commitmentHasher.inputs[1] <== candidateCount;
+    candidateSetCommitment === commitmentHasher.out;
+
+    // Step 3: Range-check the number of candidates and the approval limit
+    // Both are bounded to 8 bits first so the comparisons cannot overflow
+    component countBits = Num2Bits(8);
+    countBits.in <== candidateCount;
+
+    component countInRange = LessEqThan(8);
+    countInRange.in[0] <== candidateCount;
+    countInRange.in[1] <== maxCandidates;
+    countInRange.out === 1;
+
+    component limitBits = Num2Bits(8);
+    limitBits.in <== maxApprovals;
+
+    // Step 4: Every entry of the bit-vector is boolean, entries past the ballot are zero
+    component approvalBits[maxCandidates];
+    component onBallot[maxCandidates];
+    signal approvedIds[maxCandidates];
+    var approvedCount = 0;
+    for (var i = 0; i < maxCandidates; i++) {
+        approvalBits[i] = Num2Bits(1);
+        approvalBits[i].in <== approvals[i];
+
+        onBallot[i] = LessThan(8);
+        onBallot[i].in[0] <== i;
+        onBallot[i].in[1] <== candidateCount;
+        approvals[i] * (1 - onBallot[i].out) === 0;
+
+        // Candidate ID when approved, zero otherwise
+        approvedIds[i] <== approvals[i] * candidates[i];
+        approvedCount += approvals[i];
+    }
+
+    // Step 5: At most maxApprovals candidates are approved
+    // The count is at most maxCandidates, so it fits the comparison as well
+    component withinLimit = LessEqThan(8);
+    withinLimit.in[0] <== approvedCount;
+    withinLimit.in[1] <== maxApprovals;
+    withinLimit.out === 1;
+
+    // Step 6: Compute the choice hash over the approved candidate IDs
+    component choiceHasher = Poseidon(maxCandidates);
+    for (var i = 0; i < maxCandidates; i++) {
+        choiceHasher.inputs[i] <== approvedIds[i];
+    }
+    choiceHash <== choiceHasher.out;
+
+    // Ensure the public choice hash matches our calculation
+    publicChoiceHash === choiceHash;
+}
+
+// Ballot size must match config.zkp.maxCandidates in the backend
+component main { public [electionId, candidateSetCommitment, maxApprovals, publicNullifierHash, publicChoiceHash] } = ApprovalVote(16);
@@ -1,38 +1,52 @@
 pragma circom 2.0.0;
 
 include "/app/circomlib/circuits/poseidon.circom";
-include "/app/circomlib/circuits/comparators.circom";
+include "../lib/merkleTree.circom";
 
 /*
  * Circuit for voter authentication
- * - Takes a secret preimage (identifier) as private input
- * - Outputs the hashed identifier and a nullifier hash
- * - The nullifier hash prevents double voting
+ * - Takes the voter secrets (identifier and nullifier secret) as private input
+ * - Proves that Poseidon(identifier, nullifierSecret) is a leaf of the voter registry Merkle tree
+ * - Outputs an election-scoped nullifier hash without revealing which registered voter is logging in
+ * - The nullifier hash prevents double voting within one election while staying
+ *   unlinkable across elections
  */
-template VoterAuth() {
+template VoterAuth(levels) {
     // Private inputs
-    signal input identifierPreimage; // The secret identifier, only known to the voter
-    signal input nullifierSecret;    // Random secret for nullifier, chosen by voter
-    
+    signal input identifierPreimage;      // The secret identifier, only known to the voter
+    signal input nullifierSecret;         // Secret for nullifier, fixed by the registered commitment
+    signal input pathElements[levels];    // Sibling hashes from the leaf up to the root
+    signal input pathIndices[levels];     // 0 = left child, 1 = right child at each level
+
     // Public inputs/outputs
-    signal input publicHashedIdentifier; // Public input for verification
-    signal output hashedIdentifier;  // Public hash of the identifier
-    signal output nullifierHash;     // Public hash to prevent double voting
-    
-    // Step 1: Compute the hashed identifier
-    component identifierHasher = Poseidon(1);
-    identifierHasher.inputs[0] <== identifierPreimage;
-    hashedIdentifier <== identifierHasher.out;
-    
-    // Ensure the public hashed identifier matches our calculation
-    publicHashedIdentifier === hashedIdentifier;
-    
-    // Step 2: Compute the nullifier hash
-    // The nullifier combines the identifier with a secret to prevent linking
+    signal input merkleRoot;              // Registry root the proof is made against
+    signal input electionId;              // Election the nullifier is scoped to
+    signal output nullifierHash;          // Public hash to prevent double voting
+
+    // Step 1: Compute the identity commitment (the registry leaf)
+    // Committing to the nullifier secret leaves the voter exactly one nullifier per election
+    component commitmentHasher = Poseidon(2);
+    commitmentHasher.inputs[0] <== identifierPreimage;
+    commitmentHasher.inputs[1] <== nullifierSecret;
+
+    // Step 2: Prove the commitment is included in the registry
+    component inclusionProof = MerkleTreeInclusionProof(levels);
+    inclusionProof.leaf <== commitmentHasher.out;
+    for (var i = 0; i < levels; i++) {
+        inclusionProof.pathElements[i] <== pathElements[i];
+        inclusionProof.pathIndices[i] <== pathIndices[i];
+    }
+
+    // Ensure the public root matches the root we computed
+    merkleRoot === inclusionProof.root;
+
+    // Step 3: Compute the election-scoped nullifier hash
+    // Deterministic for one election, unlinkable between different elections
     component nullifierHasher = Poseidon(2);
-    nullifierHasher.inputs[0] <== identifierPreimage;
-    nullifierHasher.inputs[1] <== nullifierSecret;
+    nullifierHasher.inputs[0] <== nullifierSecret;
+    nullifierHasher.inputs[1] <== electionId;
     nullifierHash <== nullifierHasher.out;
 }
 
-component main { public [publicHashedIdentifier] } = VoterAuth(); 
\ No newline at end of file
+// Tree depth must match config.zkp.merkleTreeDepth in the backend
+component main { public [merkleRoot, electionId] } = VoterAuth(20);
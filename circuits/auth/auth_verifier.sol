@@ -27,33 +27,33 @@ contract Groth16Verifier {
     uint256 constant q   = 21888242871839275222246405745257275088696311157297823662689037894645226208583;
 
     // Verification Key data
-    uint256 constant alphax  = 20491192805390485299153009773594534940189261866228447918068658471970481763042;
-    uint256 constant alphay  = 9383485363053290200918347156157836566562967994039712273449902621266178545958;
-    uint256 constant betax1  = 4252822878758300859123897981450591353533073413197771768651442665752259397132;
-    uint256 constant betax2  = 6375614351688725206403948262868962793625744043794305715222011528459656738731;
-    uint256 constant betay1  = 21847035105528745403288232691147584728191162732299865338377159692350059136679;
-    uint256 constant betay2  = 10505242626370262277552901082094356697409835680220590971873171140371331206856;
+    uint256 constant alphax  = 10036968831766164547978435953121238398665263144860938000043173526190250695373;
+    uint256 constant alphay  = 21210488678967237433864549302216029242890237429638385947474102283523935113041;
+    uint256 constant betax1  = 12148383112866491197496761428346670142139797238176706508831262067727122274841;
+    uint256 constant betax2  = 19616602179084779472033411346997298778922968981380313002301010873512320080990;
+    uint256 constant betay1  = 12974029701933032662617957003843572769242765408826604282932976326505136419733;
+    uint256 constant betay2  = 7557364394419663912973232718090167531232530109200544234785638918850050677431;
     uint256 constant gammax1 = 11559732032986387107991004021392285783925812861821192530917403151452391805634;
     uint256 constant gammax2 = 10857046999023057135944570762232829481370756359578518086990519993285655852781;
     uint256 constant gammay1 = 4082367875863433681332203403145435568316851327593401208105741076214120093531;
     uint256 constant gammay2 = 8495653923123431417604973247489272438418190587263600148770280649306958101930;
-    uint256 constant deltax1 = 1152667592245172912714975622489429439967864539369796889423057172823720608663;
-    uint256 constant deltax2 = 8741700358790371576465746793108306821113703736847718825055847402595805080849;
-    uint256 constant deltay1 = 12776276709729078629893419710645694462382078872821497294354925709282666637289;
-    uint256 constant deltay2 = 16850518124251455866584014243610616136658668066340718917736936177408462234443;
+    uint256 constant deltax1 = 14247480563741546374976457550527517107383309963341505221706130450385861450473;
+    uint256 constant deltax2 = 6399548662522271513832943301455765216092300527847049053212308322746466326179;
+    uint256 constant deltay1 = 18545717744751104527941911125541949804501080641739347459970616587301905362366;
+    uint256 constant deltay2 = 9340366981632322762554119633295760765484731128559298408815488407209636037133;
 
     
-    uint256 constant IC0x = 8927190034807023086457859774191865399850796626372996957382583403101564857756;
-    uint256 constant IC0y = 10105546753964718171865210433963649119472875534303054880345029585192257545374;
+    uint256 constant IC0x = 5405119802751463935133623605595993382870350014273704017345313752150338719175;
+    uint256 constant IC0y = 10176787953731075757233885617101584376128370867926773457765970882873057456608;
     
-    uint256 constant IC1x = 12913047031435517739441239771313971867064898763271261508294897001482310713044;
-    uint256 constant IC1y = 18223801092865728646201569357146589174002028194122826630036180400494362832396;
+    uint256 constant IC1x = 13251031814902727219835244989928172477288716925836555339340165497155909947303;
+    uint256 constant IC1y = 2776795416701064547519610589825705159253458084645899400290143885971422603735;
     
-    uint256 constant IC2x = 3752160211704693529820454588396279382545884379722162622961269905500791959652;
-    uint256 constant IC2y = 4204683933102537014351768994128506116310101849198664334892784624691985258712;
+    uint256 constant IC2x = 15716583979962806761396906530723565736166141655436077038928396831133586644844;
+    uint256 constant IC2y = 5706545874427285696770951752180963293123701799492397483302914203133797976851;
     
-    uint256 constant IC3x = 2375599565592246579265297834826502796024292726877400878257293485518640182188;
-    uint256 constant IC3y = 4623020434627132372077077761339077668974894860457974827441883383392043482681;
+    uint256 constant IC3x = 8341959443325729312947862695340349134869658048571141389886352288767918458839;
+    uint256 constant IC3y = 5535307185543478020874393848058692845872122200499984824539840257427655798770;
     
  
     // Memory data
@@ -0,0 +1,49 @@
+pragma circom 2.0.0;
+
+include "/app/circomlib/circuits/poseidon.circom";
+include "/app/circomlib/circuits/eddsaposeidon.circom";
+
+/*
+ * Circuit for voter authentication with a registrar-signed credential
+ * - Takes the voter secrets and the registrar's EdDSA signature as private input
+ * - Proves that the registrar signed Poseidon(identifier, nullifierSecret) with the public key given
+ * - Outputs the same election-scoped nullifier hash as the registry-based auth circuit
+ * - The server only learns which registrar key vouched for the voter, never the commitment itself
+ */
+template CredentialVoterAuth() {
+    // Private inputs
+    signal input identifierPreimage;      // The secret identifier, only known to the voter
+    signal input nullifierSecret;         // Secret for nullifier, fixed by the signed commitment
+    signal input signatureR8x;            // EdDSA signature point R8 (x)
+    signal input signatureR8y;            // EdDSA signature point R8 (y)
+    signal input signatureS;              // EdDSA signature scalar S
+
+    // Public inputs/outputs
+    signal input registrarPubKeyX;        // Registrar BabyJubJub public key (x)
+    signal input registrarPubKeyY;        // Registrar BabyJubJub public key (y)
+    signal input electionId;              // Election the nullifier is scoped to
+    signal output nullifierHash;          // Public hash to prevent double voting
+
+    // Step 1: Compute the identity commitment the registrar signed
+    component commitmentHasher = Poseidon(2);
+    commitmentHasher.inputs[0] <== identifierPreimage;
+    commitmentHasher.inputs[1] <== nullifierSecret;
+
+    // Step 2: Verify the registrar's signature over the commitment
+    component signatureVerifier = EdDSAPoseidonVerifier();
+    signatureVerifier.enabled <== 1;
+    signatureVerifier.Ax <== registrarPubKeyX;
+    signatureVerifier.Ay <== registrarPubKeyY;
+    signatureVerifier.S <== signatureS;
+    signatureVerifier.R8x <== signatureR8x;
+    signatureVerifier.R8y <== signatureR8y;
+    signatureVerifier.M <== commitmentHasher.out;
+
+    // Step 3: Compute the election-scoped nullifier hash (same as auth.circom)
+    component nullifierHasher = Poseidon(2);
+    nullifierHasher.inputs[0] <== nullifierSecret;
+    nullifierHasher.inputs[1] <== electionId;
+    nullifierHash <== nullifierHasher.out;
+}
+
+component main { public [registrarPubKeyX, registrarPubKeyY, electionId] } = CredentialVoterAuth();
@@ -0,0 +1,372 @@
+/**
+ * Multi-party phase-2 trusted setup ceremony for the Groth16 circuits
+ *
+ * The final zKey is only secure if at least one contributor destroyed their entropy, so a real
+ * election runs this instead of the single development contribution of compile-circuits.js:
+ *
+ *   node circuits/ceremony.js keygen <name>                                  Ed25519 key pair for signing the transcript
+ *   node circuits/ceremony.js init <circuit> --ptau <file>                   Start from the compiled r1cs and a local ptau
+ *   node circuits/ceremony.js contribute <circuit> --name <name> --key <pem> --ptau <file>
+ *                                                                            Add one contribution (entropy is read from stdin)
+ *   node circuits/ceremony.js finalize <circuit> --beacon <hex> --key <pem> --ptau <file>
+ *                                                                            Apply the agreed beacon and export the keys
+ *   node circuits/ceremony.js verify <circuit> --ptau <file>                 Check the signatures, hash chain and final zKey
+ *
+ * Contributors take turns; each contribution is checked with `snarkjs zkey verify` before it is
+ * added to the transcript (<circuit>/<circuit>_ceremony.json), which lists the hash of every
+ * contribution signed by its contributor and is signed as a whole by the coordinator.
+ */
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { sha256File, pinArtifactHashes } = require('./pin-artifacts');
+
+const CIRCUIT_DIRS = ['admin', 'auth', 'auth_credential', 'vote', 'ranked_vote', 'approval_vote'];
+const DEFAULT_BEACON_ITERATIONS = 10;
+
+// Parse `--option value` pairs after the positional arguments
+const parseOptions = (args) => {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = args[i + 1];
+      i++;
+    }
+  }
+  return options;
+};
+
+const fail = (message) => {
+  console.error(`Error: ${message}`);
+  process.exit(1);
+};
+
+const requireOption = (options, name) => {
+  if (!options[name]) {
+    fail(`--${name} is required`);
+  }
+  return options[name];
+};
+
+const getPaths = (circuitName) => {
+  if (!CIRCUIT_DIRS.includes(circuitName)) {
+    fail(`Unknown circuit: ${circuitName} (expected one of ${CIRCUIT_DIRS.join(', ')})`);
+  }
+
+  const circuitDir = path.join(__dirname, circuitName);
+  return {
+    circuitDir,
+    ceremonyDir: path.join(circuitDir, 'ceremony'),
+    r1cs: path.join(circuitDir, `${circuitName}.r1cs`),
+    transcript: path.join(circuitDir, `${circuitName}_ceremony.json`),
+    finalZKey: path.join(circuitDir, `${circuitName}_final.zkey`),
+    verificationKey: path.join(circuitDir, 'verification_key.json'),
+    solidityVerifier: path.join(circuitDir, `${circuitName}_verifier.sol`)
+  };
+};
+
+const readTranscript = (paths) => {
+  if (!fs.existsSync(paths.transcript)) {
+    fail(`No ceremony started, run init first (${paths.transcript} not found)`);
+  }
+  return JSON.parse(fs.readFileSync(paths.transcript));
+};
+
+const writeTranscript = (paths, transcript) => {
+  fs.writeFileSync(paths.transcript, JSON.stringify(transcript, null, 2));
+};
+
+// The bytes that are signed: the record without its signature, with a fixed member order
+const signedBytes = (record) => {
+  const { signature, ...unsigned } = record;
+  return Buffer.from(JSON.stringify(unsigned));
+};
+
+const sign = (record, keyFile) => {
+  const privateKey = crypto.createPrivateKey(fs.readFileSync(keyFile));
+  const publicKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+  const signed = { ...record, publicKey };
+  return { ...signed, signature: crypto.sign(null, signedBytes(signed), privateKey).toString('base64') };
+};
+
+const verifySignature = (record) => {
+  if (!record.publicKey || !record.signature) {
+    return false;
+  }
+  return crypto.verify(null, signedBytes(record), record.publicKey, Buffer.from(record.signature, 'base64'));
+};
+
+// snarkjs prints the contribution hash as four lines of four 8-digit hex groups
+const parseContributionHash = (output) => {
+  const match = output.match(/Contribution Hash:\s*((?:\s*[0-9a-f]{8}){16})/);
+  if (!match) {
+    fail('Could not read the contribution hash from snarkjs');
+  }
+  return match[1].replace(/\s+/g, '');
+};
+
+// `snarkjs zkey verify` exits with an error when the zKey does not derive from the r1cs and ptau
+const verifyZKey = (r1cs, ptau, zKey) => {
+  try {
+    execFileSync('snarkjs', ['zkey', 'verify', r1cs, ptau, zKey], { stdio: 'pipe' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const latestZKey = (paths, transcript) => {
+  const latest = transcript.contributions.length > 0
+    ? transcript.contributions[transcript.contributions.length - 1]
+    : transcript.initialZKey;
+  return { file: path.join(paths.ceremonyDir, latest.file), sha256: latest.sha256 };
+};
+
+// Generate the Ed25519 key pair a participant signs the transcript with
+const keygen = (name) => {
+  if (!name) {
+    fail('Usage: ceremony.js keygen <name>');
+  }
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  fs.writeFileSync(`${name}.key`, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  fs.writeFileSync(`${name}.pub`, publicKey.export({ type: 'spki', format: 'pem' }));
+  console.log(`Key pair written to ${name}.key and ${name}.pub`);
+};
+
+// Start a ceremony from the compiled circuit and a local ptau file
+const init = (circuitName, options) => {
+  const paths = getPaths(circuitName);
+  const ptau = requireOption(options, 'ptau');
+
+  if (!fs.existsSync(ptau)) {
+    fail(`ptau file not found: ${ptau}`);
+  }
+  if (!fs.existsSync(paths.r1cs)) {
+    fail(`${paths.r1cs} not found, compile the circuit first`);
+  }
+  if (fs.existsSync(paths.transcript) && options.force !== 'true') {
+    fail(`A ceremony already exists for ${circuitName} (use --force true to start over)`);
+  }
+
+  fs.rmSync(paths.ceremonyDir, { recursive: true, force: true });
+  fs.mkdirSync(paths.ceremonyDir, { recursive: true });
+
+  const initialFile = `${circuitName}_0000.zkey`;
+  console.log('Generating initial zKey...');
+  execFileSync('snarkjs', ['zkey', 'new', paths.r1cs, ptau, path.join(paths.ceremonyDir, initialFile)], { stdio: 'inherit' });
+
+  writeTranscript(paths, {
+    circuit: circuitName,
+    r1cs: { sha256: sha256File(paths.r1cs) },
+    ptau: { file: path.basename(ptau), sha256: sha256File(ptau) },
+    initialZKey: { file: initialFile, sha256: sha256File(path.join(paths.ceremonyDir, initialFile)) },
+    contributions: [],
+    beacon: null
+  });
+
+  console.log(`Ceremony for ${circuitName} started, transcript at ${paths.transcript}`);
+};
+
+// Add one contribution on top of the latest zKey
+const contribute = (circuitName, options) => {
+  const paths = getPaths(circuitName);
+  const name = requireOption(options, 'name');
+  const keyFile = requireOption(options, 'key');
+  const ptau = requireOption(options, 'ptau');
+  const transcript = readTranscript(paths);
+
+  if (transcript.beacon) {
+    fail('The ceremony is already finalized');
+  }
+  if (sha256File(ptau) !== transcript.ptau.sha256) {
+    fail('The ptau file is not the one the ceremony started with');
+  }
+
+  // The zKey handed over by the previous contributor must be the one in the transcript
+  const previous = latestZKey(paths, transcript);
+  if (!fs.existsSync(previous.file) || sha256File(previous.file) !== previous.sha256) {
+    fail(`${previous.file} does not match the transcript`);
+  }
+
+  const index = transcript.contributions.length + 1;
+  const file = `${circuitName}_${String(index).padStart(4, '0')}.zkey`;
+  const zKey = path.join(paths.ceremonyDir, file);
+
+  // Entropy comes from stdin so it never appears in the process list or shell history;
+  // fresh random bytes are mixed in so a weak passphrase cannot weaken the contribution
+  if (process.stdin.isTTY) {
+    console.log('Type some random text, then press Ctrl-D:');
+  }
+  const entropy = `${fs.readFileSync(0, 'utf8').trim()}${crypto.randomBytes(64).toString('hex')}`;
+
+  console.log(`Contributing as ${name}...`);
+  const output = execFileSync('snarkjs', ['zkey', 'contribute', previous.file, zKey, `--name=${name}`], {
+    input: `${entropy}\n`,
+    encoding: 'utf8'
+  });
+  const contributionHash = parseContributionHash(output);
+
+  console.log('Verifying contribution...');
+  if (!verifyZKey(paths.r1cs, ptau, zKey)) {
+    fs.rmSync(zKey, { force: true });
+    fail('The contribution does not verify, it was discarded');
+  }
+
+  transcript.contributions.push(sign({
+    index,
+    name,
+    file,
+    previousSha256: previous.sha256,
+    sha256: sha256File(zKey),
+    contributionHash,
+    contributedAt: new Date().toISOString()
+  }, keyFile));
+  writeTranscript(paths, transcript);
+
+  console.log(`Contribution #${index} added, hash ${contributionHash}`);
+  console.log(`Pass ${zKey} and ${paths.transcript} on to the next contributor`);
+};
+
+// Apply the public beacon, verify the final zKey and export the verification keys
+const finalize = (circuitName, options) => {
+  const paths = getPaths(circuitName);
+  const beacon = requireOption(options, 'beacon');
+  const keyFile = requireOption(options, 'key');
+  const ptau = requireOption(options, 'ptau');
+  const iterations = parseInt(options.iterations, 10) || DEFAULT_BEACON_ITERATIONS;
+  const minContributions = parseInt(options['min-contributions'], 10) || 2;
+  const transcript = readTranscript(paths);
+
+  if (transcript.beacon) {
+    fail('The ceremony is already finalized');
+  }
+  if (!/^(?:[0-9a-fA-F]{2}){16,}$/.test(beacon)) {
+    fail('The beacon must be at least 16 bytes of hex, e.g. a block hash chosen before the ceremony');
+  }
+  if (transcript.contributions.length < minContributions) {
+    fail(`The ceremony has ${transcript.contributions.length} contributions, at least ${minContributions} are required`);
+  }
+  if (sha256File(ptau) !== transcript.ptau.sha256) {
+    fail('The ptau file is not the one the ceremony started with');
+  }
+
+  const previous = latestZKey(paths, transcript);
+  if (!fs.existsSync(previous.file) || sha256File(previous.file) !== previous.sha256) {
+    fail(`${previous.file} does not match the transcript`);
+  }
+
+  console.log('Applying beacon...');
+  const output = execFileSync('snarkjs', ['zkey', 'beacon', previous.file, paths.finalZKey, beacon, String(iterations), '-n=Final Beacon phase2'], {
+    encoding: 'utf8'
+  });
+  const contributionHash = parseContributionHash(output);
+
+  console.log('Verifying final zKey...');
+  if (!verifyZKey(paths.r1cs, ptau, paths.finalZKey)) {
+    fs.rmSync(paths.finalZKey, { force: true });
+    fail('The final zKey does not verify');
+  }
+
+  console.log('Exporting verification key and Solidity verifier...');
+  execFileSync('snarkjs', ['zkey', 'export', 'verificationkey', paths.finalZKey, paths.verificationKey], { stdio: 'inherit' });
+  execFileSync('snarkjs', ['zkey', 'export', 'solidityverifier', paths.finalZKey, paths.solidityVerifier], { stdio: 'inherit' });
+
+  const finalized = sign({
+    ...transcript,
+    beacon: {
+      value: beacon.toLowerCase(),
+      iterations,
+      previousSha256: previous.sha256,
+      contributionHash
+    },
+    finalZKey: { file: path.basename(paths.finalZKey), sha256: sha256File(paths.finalZKey) },
+    verificationKey: { file: path.basename(paths.verificationKey), sha256: sha256File(paths.verificationKey) },
+    finalizedAt: new Date().toISOString()
+  }, keyFile);
+  writeTranscript(paths, finalized);
+
+  // The backend only loads the new verification key once its hash is pinned
+  pinArtifactHashes([circuitName]);
+
+  console.log(`Ceremony for ${circuitName} finalized with ${transcript.contributions.length} contributions`);
+};
+
+// Check a transcript: signatures, the chain of zKey hashes and the final zKey itself
+const verify = (circuitName, options) => {
+  const paths = getPaths(circuitName);
+  const ptau = requireOption(options, 'ptau');
+  const transcript = readTranscript(paths);
+  const problems = [];
+
+  if (sha256File(paths.r1cs) !== transcript.r1cs.sha256) {
+    problems.push('The r1cs is not the one the ceremony was run for');
+  }
+  if (sha256File(ptau) !== transcript.ptau.sha256) {
+    problems.push('The ptau file is not the one the ceremony started with');
+  }
+
+  let previousSha256 = transcript.initialZKey.sha256;
+  transcript.contributions.forEach((contribution) => {
+    if (!verifySignature(contribution)) {
+      problems.push(`Contribution #${contribution.index} (${contribution.name}) has an invalid signature`);
+    }
+    if (contribution.previousSha256 !== previousSha256) {
+      problems.push(`Contribution #${contribution.index} (${contribution.name}) does not build on the previous zKey`);
+    }
+    previousSha256 = contribution.sha256;
+    console.log(`#${contribution.index} ${contribution.name}: ${contribution.contributionHash}`);
+  });
+
+  if (!transcript.beacon) {
+    problems.push('The ceremony is not finalized');
+  } else {
+    if (!verifySignature(transcript)) {
+      problems.push('The coordinator signature of the transcript is invalid');
+    }
+    if (transcript.beacon.previousSha256 !== previousSha256) {
+      problems.push('The beacon was not applied to the last contribution');
+    }
+    if (!fs.existsSync(paths.finalZKey) || sha256File(paths.finalZKey) !== transcript.finalZKey.sha256) {
+      problems.push(`${paths.finalZKey} is not the zKey the ceremony produced`);
+    } else if (!verifyZKey(paths.r1cs, ptau, paths.finalZKey)) {
+      problems.push('The final zKey does not verify against the r1cs and ptau');
+    }
+    if (!fs.existsSync(paths.verificationKey) || sha256File(paths.verificationKey) !== transcript.verificationKey.sha256) {
+      problems.push(`${paths.verificationKey} is not the key exported by the ceremony`);
+    }
+    console.log(`Beacon ${transcript.beacon.value} (${transcript.beacon.iterations} iterations): ${transcript.beacon.contributionHash}`);
+  }
+
+  if (problems.length > 0) {
+    problems.forEach(problem => console.error(`FAIL: ${problem}`));
+    process.exit(1);
+  }
+
+  console.log(`Ceremony for ${circuitName} verified: ${transcript.contributions.length} contributions and the beacon check out`);
+};
+
+const [command, target, ...rest] = process.argv.slice(2);
+const options = parseOptions(rest);
+
+switch (command) {
+  case 'keygen':
+    keygen(target);
+    break;
+  case 'init':
+    init(target, options);
+    break;
+  case 'contribute':
+    contribute(target, options);
+    break;
+  case 'finalize':
+    finalize(target, options);
+    break;
+  case 'verify':
+    verify(target, options);
+    break;
+  default:
+    console.log('Usage: node circuits/ceremony.js <keygen|init|contribute|finalize|verify> <circuit|name> [options]');
+    process.exit(command ? 1 : 0);
+}
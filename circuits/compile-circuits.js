@@ -2,10 +2,14 @@
 const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { pinArtifactHashes, sha256File } = require('./pin-artifacts');
 
-const CIRCUIT_DIRS = ['admin', 'auth', 'vote'];
+const CIRCUIT_DIRS = ['admin', 'auth', 'auth_credential', 'vote', 'ranked_vote', 'approval_vote'];
 const PTAU_FILE = 'pot15_final.ptau';
 
+// Universal-setup proving systems built next to Groth16 (fflonk needs a larger ptau, so it is opt-in)
+const UNIVERSAL_PROVING_SYSTEMS = process.env.BUILD_FFLONK === 'true' ? ['plonk', 'fflonk'] : ['plonk'];
+
 // Download the Powers of Tau file if it doesn't exist
 if (!fs.existsSync(PTAU_FILE)) {
   console.log('Downloading Powers of Tau file...');
@@ -30,6 +34,9 @@ CIRCUIT_DIRS.forEach(circuitName => {
   }
 });
 
+// Circuits whose artifacts were rebuilt from their current sources
+const compiledCircuits = [];
+
 // Process each circuit
 CIRCUIT_DIRS.forEach(circuitName => {
   const circuitDir = path.join(__dirname, circuitName);
@@ -47,35 +54,72 @@ CIRCUIT_DIRS.forEach(circuitName => {
     console.log('Generating R1CS and WASM...');
     execSync(`circom ${circuitPath} --r1cs --wasm --sym --output ${circuitDir}`, { stdio: 'inherit' });
     
-    // Step 2: Generate the zKey file
-    const zKeyPath = path.join(circuitDir, `${circuitName}_0000.zkey`);
-    console.log('Generating initial zKey...');
-    execSync(`snarkjs zkey new ${path.join(circuitDir, `${circuitName}.r1cs`)} ${PTAU_FILE} ${zKeyPath}`, { stdio: 'inherit' });
+    // A finalized ceremony (ceremony.js) owns the Groth16 zKey for as long as the circuit is unchanged
+    const r1csPath = path.join(circuitDir, `${circuitName}.r1cs`);
+    const finalZKeyPath = path.join(circuitDir, `${circuitName}_final.zkey`);
+    const ceremonyPath = path.join(circuitDir, `${circuitName}_ceremony.json`);
+    let keepCeremonyZKey = false;
+    if (fs.existsSync(ceremonyPath)) {
+      const transcript = JSON.parse(fs.readFileSync(ceremonyPath));
+      if (transcript.r1cs.sha256 !== sha256File(r1csPath)) {
+        console.warn(`${circuitName} changed since its ceremony, discarding the transcript; run ceremony.js again`);
+        fs.unlinkSync(ceremonyPath);
+      } else if (transcript.beacon) {
+        console.log(`Keeping the ${circuitName} zKey from the trusted setup ceremony`);
+        keepCeremonyZKey = true;
+      }
+    }
     
-    // Step 3: Contribute to the zKey ceremony (in a real system, this would involve multiple contributors)
-    const contributedZKeyPath = path.join(circuitDir, `${circuitName}_0001.zkey`);
-    console.log('Contributing to zKey ceremony...');
-    execSync(`snarkjs zkey contribute ${zKeyPath} ${contributedZKeyPath} -n="First contribution" -e="random entropy"`, { stdio: 'inherit' });
+    if (!keepCeremonyZKey) {
+      // Step 2: Generate the zKey file
+      const zKeyPath = path.join(circuitDir, `${circuitName}_0000.zkey`);
+      console.log('Generating initial zKey...');
+      execSync(`snarkjs zkey new ${r1csPath} ${PTAU_FILE} ${zKeyPath}`, { stdio: 'inherit' });
     
-    // Step 4: Finalize the zKey
-    const finalZKeyPath = path.join(circuitDir, `${circuitName}_final.zkey`);
-    console.log('Finalizing zKey...');
-    execSync(`snarkjs zkey beacon ${contributedZKeyPath} ${finalZKeyPath} 0102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f 10 -n="Final Beacon phase2"`, { stdio: 'inherit' });
+      // Step 3: Contribute to the zKey ceremony (development only, run ceremony.js for a real election)
+      const contributedZKeyPath = path.join(circuitDir, `${circuitName}_0001.zkey`);
+      console.log('Contributing to zKey ceremony...');
+      execSync(`snarkjs zkey contribute ${zKeyPath} ${contributedZKeyPath} -n="First contribution" -e="random entropy"`, { stdio: 'inherit' });
     
-    // Step 5: Export the verification key
-    const verificationKeyPath = path.join(circuitDir, 'verification_key.json');
-    console.log('Exporting verification key...');
-    execSync(`snarkjs zkey export verificationkey ${finalZKeyPath} ${verificationKeyPath}`, { stdio: 'inherit' });
+      // Step 4: Finalize the zKey
+      console.log('Finalizing zKey...');
+      execSync(`snarkjs zkey beacon ${contributedZKeyPath} ${finalZKeyPath} 0102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f 10 -n="Final Beacon phase2"`, { stdio: 'inherit' });
+    
+      // Step 5: Export the verification key
+      const verificationKeyPath = path.join(circuitDir, 'verification_key.json');
+      console.log('Exporting verification key...');
+      execSync(`snarkjs zkey export verificationkey ${finalZKeyPath} ${verificationKeyPath}`, { stdio: 'inherit' });
+    }
+    
+    // Step 6: Universal setups from the same ptau (no circuit-specific ceremony needed)
+    UNIVERSAL_PROVING_SYSTEMS.forEach(protocol => {
+      const universalZKeyPath = path.join(circuitDir, `${circuitName}_${protocol}.zkey`);
+      const universalVerificationKeyPath = path.join(circuitDir, `verification_key_${protocol}.json`);
+      
+      try {
+        console.log(`Generating ${protocol} zKey...`);
+        execSync(`snarkjs ${protocol} setup ${r1csPath} ${PTAU_FILE} ${universalZKeyPath}`, { stdio: 'inherit' });
+        execSync(`snarkjs zkey export verificationkey ${universalZKeyPath} ${universalVerificationKeyPath}`, { stdio: 'inherit' });
+      } catch (error) {
+        // PLONK and especially fflonk need more powers of tau than Groth16 for the same circuit
+        console.error(`Skipping ${protocol} for ${circuitName}: ${error.message}`);
+      }
+    });
     
     // Optional: Generate Solidity verifier (if you're using Ethereum)
     const solidityVerifierPath = path.join(circuitDir, `${circuitName}_verifier.sol`);
     console.log('Generating Solidity verifier...');
     execSync(`snarkjs zkey export solidityverifier ${finalZKeyPath} ${solidityVerifierPath}`, { stdio: 'inherit' });
     
+    compiledCircuits.push(circuitName);
     console.log(`Circuit ${circuitName} compiled successfully!`);
   } catch (error) {
     console.error(`Error compiling circuit ${circuitName}:`, error.message);
   }
 });
 
+// Pin the SHA-256 of every rebuilt artifact and its sources; the backend refuses verification keys
+// that do not match, and the backend tests fail on sources changed without a rebuild
+pinArtifactHashes(compiledCircuits);
+
 console.log('All circuits compiled!'); 
\ No newline at end of file
@@ -0,0 +1,353 @@
+/**
+ * Witness and constraint debugger for the circuits
+ *
+ * Runs the generated witness calculator on an input file and explains why it fails, instead of
+ * the bare "Failed to generate ... proof" of the services:
+ *
+ *   node circuits/debug-witness.js <circuit> <input.json> [--signals <prefix>] [--all] [--dir <build dir>]
+ *
+ * - Every input value is checked first for the usual encoding mistakes (numbers past 2^53,
+ *   non-numeric strings, values that silently wrap around the field)
+ * - When a circuit assert fails, the template and source line are printed with the values the
+ *   witness calculator had computed so far
+ * - When the witness is computed, it is checked against every R1CS constraint and the first
+ *   unsatisfied one is printed with its signal names and values
+ *
+ * Signal names come from the .sym file (e.g. main.publicChoiceHash). By default only the
+ * signals of the main component are printed; --signals shows the signals under a prefix
+ * (e.g. main.commitmentHasher) and --all every named signal.
+ */
+const fs = require('fs');
+const path = require('path');
+const snarkjs = require('snarkjs');
+
+const CIRCUIT_DIRS = ['admin', 'auth', 'auth_credential', 'vote', 'ranked_vote', 'approval_vote'];
+
+// Where templates used by the circuits can be defined; the circuits include circomlib from /app
+const TEMPLATE_DIRS = [
+  __dirname,
+  '/app/circomlib/circuits',
+  path.join(__dirname, '..', 'node_modules', 'circomlib', 'circuits'),
+  path.join(__dirname, '..', 'backend', 'node_modules', 'circomlib', 'circuits')
+];
+
+// Parse `--option value` pairs and `--flag` switches after the positional arguments
+const parseOptions = (args) => {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) {
+      continue;
+    }
+    const next = args[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      options[args[i].slice(2)] = true;
+    } else {
+      options[args[i].slice(2)] = next;
+      i++;
+    }
+  }
+  return options;
+};
+
+const fail = (message) => {
+  console.error(`Error: ${message}`);
+  process.exit(1);
+};
+
+const getPaths = (circuitName, buildDir) => {
+  if (!CIRCUIT_DIRS.includes(circuitName)) {
+    fail(`Unknown circuit: ${circuitName} (expected one of ${CIRCUIT_DIRS.join(', ')})`);
+  }
+
+  const dir = buildDir ? path.resolve(buildDir) : path.join(__dirname, circuitName);
+  return {
+    wasm: path.join(dir, `${circuitName}_js`, `${circuitName}.wasm`),
+    witnessCalculator: path.join(dir, `${circuitName}_js`, 'witness_calculator.js'),
+    sym: path.join(dir, `${circuitName}.sym`),
+    r1cs: path.join(dir, `${circuitName}.r1cs`)
+  };
+};
+
+// Read the .sym file: one `labelIndex,witnessIndex,componentIndex,name` line per signal,
+// with witness index -1 for signals the compiler optimized away
+const readSymbols = (symFile) => fs.readFileSync(symFile, 'utf8')
+  .split('\n')
+  .filter(Boolean)
+  .map((line) => {
+    const [, witnessIndex, , name] = line.split(',');
+    return { name, witnessIndex: Number(witnessIndex) };
+  });
+
+// Flatten an input value to `name[i][j]` leaves, the way the witness calculator reads it
+const flattenInput = (name, value, leaves = []) => {
+  if (Array.isArray(value)) {
+    value.forEach((member, index) => flattenInput(`${name}[${index}]`, member, leaves));
+  } else {
+    leaves.push({ name, value });
+  }
+  return leaves;
+};
+
+/**
+ * Check the input for encoding mistakes the witness calculator would not report
+ * @returns {Object} { errors, warnings }
+ */
+const checkInput = (input, symbols, prime) => {
+  const errors = [];
+  const warnings = [];
+  const names = new Set(symbols.map((symbol) => symbol.name));
+
+  Object.keys(input).forEach((key) => {
+    if (!names.has(`main.${key}`) && !names.has(`main.${key}[0]`) && !names.has(`main.${key}[0][0]`)) {
+      errors.push(`${key} is not a signal of the main component`);
+      return;
+    }
+
+    flattenInput(key, input[key]).forEach(({ name, value }) => {
+      if (typeof value === 'number') {
+        if (!Number.isSafeInteger(value)) {
+          errors.push(`${name} is the number ${value}, which lost precision in JSON; pass it as a decimal string`);
+        }
+        return;
+      }
+      if (typeof value !== 'string' || !/^(-?[0-9]+|0x[0-9a-fA-F]+)$/.test(value)) {
+        errors.push(`${name} is ${JSON.stringify(value)}, not a decimal or 0x-prefixed hex number; encode it as a field element first`);
+        return;
+      }
+
+      const number = BigInt(value);
+      if (number < BigInt(0)) {
+        warnings.push(`${name} is negative and becomes p - ${-number}`);
+      } else if (number >= prime) {
+        warnings.push(`${name} is not below the field size and wraps around to ${number % prime}`);
+      }
+    });
+  });
+
+  return { errors, warnings };
+};
+
+// Read witness values from the calculator's memory, which also works after a failed assert
+const readWitness = (calculator) => {
+  const witness = [];
+  for (let i = 0; i < calculator.witnessSize; i++) {
+    calculator.instance.exports.getWitness(i);
+    let value = BigInt(0);
+    for (let j = calculator.n32 - 1; j >= 0; j--) {
+      // The wasm returns signed 32-bit words
+      value = (value << BigInt(32)) + BigInt(calculator.instance.exports.readSharedRWMemory(j) >>> 0);
+    }
+    witness.push(value);
+  }
+  return witness;
+};
+
+// Find the source line of `Error in template <Name>_<id> line: <n>`
+const findTemplateLine = (message) => {
+  const match = message.match(/Error in template (\w+?)_\d+ line: (\d+)/);
+  if (!match) {
+    return null;
+  }
+
+  const [, template, line] = match;
+  const definition = new RegExp(`^\\s*template\\s+${template}\\s*\\(`, 'm');
+  const search = (dir) => {
+    if (!fs.existsSync(dir)) {
+      return null;
+    }
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory() && !entry.name.endsWith('_js') && entry.name !== 'ceremony') {
+        const found = search(file);
+        if (found) {
+          return found;
+        }
+      } else if (entry.name.endsWith('.circom') && definition.test(fs.readFileSync(file, 'utf8'))) {
+        return file;
+      }
+    }
+    return null;
+  };
+
+  for (const dir of TEMPLATE_DIRS) {
+    const file = search(dir);
+    if (file) {
+      const source = fs.readFileSync(file, 'utf8').split('\n')[Number(line) - 1];
+      return { template, line: Number(line), file, source: source && source.trim() };
+    }
+  }
+  return { template, line: Number(line), file: null, source: null };
+};
+
+// Print the selected signals with their values
+const printSignals = (symbols, witness, options) => {
+  const prefix = typeof options.signals === 'string' ? options.signals : null;
+  const selected = symbols.filter(({ name }) => {
+    if (options.all) {
+      return true;
+    }
+    if (prefix) {
+      return name === prefix || name.startsWith(`${prefix}.`) || name.startsWith(`${prefix}[`);
+    }
+    // Signals of the main component itself, not of its subcomponents
+    return /^main\.[^.]+$/.test(name);
+  });
+
+  // Signals the compiler optimized away have no witness value
+  const optimizedOut = selected.filter(({ witnessIndex }) => witnessIndex < 0).length;
+  selected
+    .filter(({ witnessIndex }) => witnessIndex >= 0)
+    .forEach(({ name, witnessIndex }) => console.log(`  ${name} = ${witness[witnessIndex]}`));
+  if (optimizedOut > 0) {
+    console.log(`  (${optimizedOut} more signals were optimized out by the compiler)`);
+  }
+  if (selected.length === 0) {
+    console.log(`  No signal matches ${prefix}`);
+  }
+};
+
+// Evaluate a linear combination ({ wire: coefficient }) over the witness
+const evaluate = (combination, witness, prime) => Object.keys(combination)
+  .reduce((sum, wire) => (sum + BigInt(combination[wire]) * witness[Number(wire)]) % prime, BigInt(0));
+
+// Write a linear combination with signal names, e.g. 2*main.a - main.b + 5
+const describe = (combination, names, prime) => {
+  const terms = Object.keys(combination).map((wire) => {
+    const coefficient = BigInt(combination[wire]);
+    // Show field elements close to p as negative coefficients
+    const negative = coefficient > prime / BigInt(2);
+    const magnitude = negative ? prime - coefficient : coefficient;
+    const name = names.get(Number(wire)) || `wire ${wire}`;
+    let term;
+    if (Number(wire) === 0) {
+      term = magnitude.toString();
+    } else {
+      term = magnitude === BigInt(1) ? name : `${magnitude}*${name}`;
+    }
+    return { negative, term };
+  });
+  if (terms.length === 0) {
+    return '0';
+  }
+  return terms
+    .map(({ negative, term }, index) => {
+      if (index === 0) {
+        return negative ? `-${term}` : term;
+      }
+      return `${negative ? '-' : '+'} ${term}`;
+    })
+    .join(' ');
+};
+
+// Check the witness against every R1CS constraint A * B - C = 0
+const checkConstraints = async (r1csFile, witness, symbols, prime) => {
+  const r1cs = await snarkjs.r1cs.exportJson(r1csFile);
+  if (r1cs.nVars !== witness.length) {
+    return { index: -1, count: r1cs.constraints.length, mismatch: `the r1cs has ${r1cs.nVars} wires but the witness ${witness.length}` };
+  }
+
+  const names = new Map();
+  symbols.forEach(({ name, witnessIndex }) => {
+    if (witnessIndex >= 0 && !names.has(witnessIndex)) {
+      names.set(witnessIndex, name);
+    }
+  });
+
+  for (let i = 0; i < r1cs.constraints.length; i++) {
+    const [a, b, c] = r1cs.constraints[i];
+    const [valueA, valueB, valueC] = [a, b, c].map((combination) => evaluate(combination, witness, prime));
+    if ((valueA * valueB - valueC) % prime !== BigInt(0)) {
+      return { index: i, count: r1cs.constraints.length, a, b, c, valueA, valueB, valueC, names };
+    }
+  }
+  return { index: -1, count: r1cs.constraints.length };
+};
+
+const main = async () => {
+  const [circuitName, inputFile, ...rest] = process.argv.slice(2);
+  const options = parseOptions(rest);
+  if (!circuitName || !inputFile) {
+    console.log('Usage: node circuits/debug-witness.js <circuit> <input.json> [--signals <prefix>] [--all] [--dir <build dir>]');
+    process.exit(circuitName ? 1 : 0);
+  }
+
+  const paths = getPaths(circuitName, options.dir);
+  [paths.wasm, paths.witnessCalculator, paths.sym].forEach((file) => {
+    if (!fs.existsSync(file)) {
+      fail(`${file} not found, compile the circuits first (npm run compile-circuits)`);
+    }
+  });
+
+  let input;
+  try {
+    input = JSON.parse(fs.readFileSync(inputFile, 'utf8'));
+  } catch (error) {
+    fail(`Cannot read ${inputFile}: ${error.message}`);
+  }
+
+  const symbols = readSymbols(paths.sym);
+  const buildWitnessCalculator = require(paths.witnessCalculator);
+  const calculator = await buildWitnessCalculator(fs.readFileSync(paths.wasm));
+  const prime = calculator.prime;
+
+  console.log(`Debugging ${circuitName} with ${inputFile}`);
+
+  const { errors, warnings } = checkInput(input, symbols, prime);
+  warnings.forEach((warning) => console.log(`WARN: ${warning}`));
+  if (errors.length > 0) {
+    errors.forEach((error) => console.error(`FAIL: ${error}`));
+    process.exit(1);
+  }
+
+  try {
+    await calculator.calculateWitness(input, true);
+  } catch (error) {
+    const message = error.message.replace(/^Error: /, '').trim();
+    console.error(`\nWitness calculation failed: ${message.split('\n')[0]}`);
+
+    const location = findTemplateLine(message);
+    if (location) {
+      console.error(`  in template ${location.template}, line ${location.line}${location.file ? ` of ${path.relative(process.cwd(), location.file)}` : ''}`);
+      if (location.source) {
+        console.error(`  > ${location.source}`);
+      }
+      if (location.file && fs.statSync(location.file).mtimeMs > fs.statSync(paths.wasm).mtimeMs) {
+        console.log('WARN: the source changed after the wasm was built, the line may be off; recompile the circuits');
+      }
+
+      // Signals that are only computed after the failing statement still read 0
+      console.log('\nValues computed before the failure:');
+      printSignals(symbols, readWitness(calculator), options);
+    }
+    process.exit(1);
+  }
+
+  const witness = readWitness(calculator);
+  console.log('\nWitness computed:');
+  printSignals(symbols, witness, options);
+
+  if (!fs.existsSync(paths.r1cs)) {
+    console.log(`\n${paths.r1cs} not found, skipping the constraint check`);
+    return;
+  }
+
+  const result = await checkConstraints(paths.r1cs, witness, symbols, prime);
+  if (result.mismatch) {
+    fail(`The wasm and the r1cs come from different builds of the circuit: ${result.mismatch}; recompile the circuits`);
+  }
+  if (result.index < 0) {
+    console.log(`\nAll ${result.count} constraints are satisfied`);
+    return;
+  }
+
+  // The witness calculator asserts every `===`, so an unsatisfied constraint after a successful
+  // calculation means the wasm and the r1cs are out of sync, or a `<--` hint is wrong
+  const { a, b, c, valueA, valueB, valueC, names } = result;
+  console.error(`\nConstraint ${result.index} of ${result.count} is not satisfied: A * B - C != 0`);
+  console.error(`  A = ${describe(a, names, prime)} = ${valueA}`);
+  console.error(`  B = ${describe(b, names, prime)} = ${valueB}`);
+  console.error(`  C = ${describe(c, names, prime)} = ${valueC}`);
+  process.exit(1);
+};
+
+main().catch((error) => fail(error.message));
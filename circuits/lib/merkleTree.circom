@@ -0,0 +1,42 @@
+pragma circom 2.0.0;
+
+include "/app/circomlib/circuits/poseidon.circom";
+include "/app/circomlib/circuits/mux1.circom";
+
+/*
+ * Merkle tree inclusion proof for the voter registry
+ * - Hashes a leaf up to the root using Poseidon(2) at every level
+ * - pathIndices[i] is 0 when the current node is a left child, 1 when it is a right child
+ * - Must use the same hashing order as backend/src/services/merkleTreeService.js
+ */
+template MerkleTreeInclusionProof(levels) {
+    signal input leaf;
+    signal input pathElements[levels];
+    signal input pathIndices[levels];
+    signal output root;
+
+    component hashers[levels];
+    component muxes[levels];
+
+    signal levelHashes[levels + 1];
+    levelHashes[0] <== leaf;
+
+    for (var i = 0; i < levels; i++) {
+        // Path indices must be bits, otherwise the mux could select arbitrary values
+        pathIndices[i] * (1 - pathIndices[i]) === 0;
+
+        muxes[i] = MultiMux1(2);
+        muxes[i].c[0][0] <== levelHashes[i];
+        muxes[i].c[0][1] <== pathElements[i];
+        muxes[i].c[1][0] <== pathElements[i];
+        muxes[i].c[1][1] <== levelHashes[i];
+        muxes[i].s <== pathIndices[i];
+
+        hashers[i] = Poseidon(2);
+        hashers[i].inputs[0] <== muxes[i].out[0];
+        hashers[i].inputs[1] <== muxes[i].out[1];
+        levelHashes[i + 1] <== hashers[i].out;
+    }
+
+    root <== levelHashes[levels];
+}
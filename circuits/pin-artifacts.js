@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Read by the backend (config.zkp.artifactHashesPath), which refuses verification keys that do not match
+const ARTIFACT_HASHES_FILE = path.join(__dirname, 'artifact-hashes.json');
+
+// SHA-256 of a file as hex
+const sha256File = (filePath) => crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+
+// Artifact files of a circuit, relative to its directory
+const artifactFiles = (circuitName) => [
+  path.join(`${circuitName}_js`, `${circuitName}.wasm`),
+  `${circuitName}_final.zkey`,
+  'verification_key.json',
+  `${circuitName}_ceremony.json`,
+  ...['plonk', 'fflonk'].flatMap(protocol => [`${circuitName}_${protocol}.zkey`, `verification_key_${protocol}.json`])
+];
+
+// Includes resolved against the including file; circomlib is pinned by its package version instead
+const LOCAL_INCLUDE = /^\s*include\s+"(\.{1,2}\/[^"]+)";/gm;
+
+// The .circom files a circuit is compiled from, relative to this directory
+const sourceFiles = (circuitName) => {
+  const files = new Set();
+  const visit = (filePath) => {
+    const key = path.relative(__dirname, filePath);
+    if (files.has(key)) {
+      return;
+    }
+    files.add(key);
+    for (const [, include] of fs.readFileSync(filePath, 'utf8').matchAll(LOCAL_INCLUDE)) {
+      visit(path.resolve(path.dirname(filePath), include));
+    }
+  };
+  
+  visit(path.join(__dirname, circuitName, `${circuitName}.circom`));
+  return [...files].sort();
+};
+
+// SHA-256 of every source file of a circuit, keyed like sourceFiles
+const hashSources = (circuitName) =>
+  Object.fromEntries(sourceFiles(circuitName).map(file => [file, sha256File(path.join(__dirname, file))]));
+
+// Pin the SHA-256 of every artifact of the given circuits and of the sources they were built from,
+// keeping the pins of other circuits
+const pinArtifactHashes = (circuitNames) => {
+  let artifacts = {};
+  let sources = {};
+  if (fs.existsSync(ARTIFACT_HASHES_FILE)) {
+    const pinned = JSON.parse(fs.readFileSync(ARTIFACT_HASHES_FILE));
+    artifacts = pinned.artifacts || {};
+    sources = pinned.sources || {};
+  }
+  
+  circuitNames.forEach(circuitName => {
+    sources[circuitName] = hashSources(circuitName);
+    
+    artifactFiles(circuitName).forEach(file => {
+      const filePath = path.join(__dirname, circuitName, file);
+      const key = path.relative(__dirname, filePath);
+      if (fs.existsSync(filePath)) {
+        artifacts[key] = sha256File(filePath);
+      } else {
+        delete artifacts[key];
+      }
+    });
+  });
+  
+  fs.writeFileSync(ARTIFACT_HASHES_FILE, JSON.stringify({ generatedAt: new Date().toISOString(), sources, artifacts }, null, 2));
+  console.log(`Pinned artifact hashes written to ${ARTIFACT_HASHES_FILE}`);
+};
+
+module.exports = {
+  ARTIFACT_HASHES_FILE,
+  sha256File,
+  sourceFiles,
+  hashSources,
+  pinArtifactHashes
+};
@@ -0,0 +1,117 @@
+pragma circom 2.0.0;
+
+include "/app/circomlib/circuits/poseidon.circom";
+include "/app/circomlib/circuits/bitify.circom";
+include "/app/circomlib/circuits/comparators.circom";
+
+/*
+ * Circuit for anonymous ranked-choice voting
+ * - Same election-scoped nullifier and candidate set commitment as the vote circuit
+ * - The ranking lists candidate indices in order of preference
+ * - Proves the ranking is a permutation of the candidates on the ballot:
+ *   every candidate is ranked exactly once, positions past candidateCount are zero
+ * - The choice hash commits to the ranked candidate IDs in order, zero padded
+ */
+template RankedVote(maxCandidates) {
+    // Private inputs
+    signal input nullifierSecret;    // Secret for nullifier, committed to in the voter registry
+    signal input ranking[maxCandidates]; // Candidate indices in order of preference, zero padded
+    signal input candidates[maxCandidates]; // Encoded candidate IDs of the ballot, zero padded
+    signal input candidateCount;     // Number of active candidates on the ballot
+
+    // Public inputs/outputs
+    signal input electionId;          // Election the ballot is cast in
+    signal input candidateSetCommitment; // Published commitment of the ballot's candidate list
+    signal input publicNullifierHash; // Public input for nullifier hash verification
+    signal input publicChoiceHash;    // Public input for choice hash verification
+    signal output nullifierHash;     // Public nullifier hash (to prevent double voting)
+    signal output choiceHash;        // Hash of the ranked candidate IDs
+
+    // Step 1: Compute the election-scoped nullifier hash
+    component nullifierHasher = Poseidon(2);
+    nullifierHasher.inputs[0] <== nullifierSecret;
+    nullifierHasher.inputs[1] <== electionId;
+    nullifierHash <== nullifierHasher.out;
+
+    // Ensure the public nullifier hash matches our calculation
+    publicNullifierHash === nullifierHash;
+
+    // Step 2: Recompute the candidate set commitment
+    // commitment = Poseidon(Poseidon(candidates), candidateCount)
+    component listHasher = Poseidon(maxCandidates);
+    for (var i = 0; i < maxCandidates; i++) {
+        listHasher.inputs[i] <== candidates[i];
+    }
+    component commitmentHasher = Poseidon(2);
+    commitmentHasher.inputs[0] <== listHasher.out;
+    commitmentHasher.inputs[1] <== candidateCount;
+    candidateSetCommitment === commitmentHasher.out;
+
+    // Step 3: Range-check the number of candidates
+    // It is bounded to 8 bits first so the comparisons cannot overflow
+    component countBits = Num2Bits(8);
+    countBits.in <== candidateCount;
+
+    component countInRange = LessEqThan(8);
+    countInRange.in[0] <== candidateCount;
+    countInRange.in[1] <== maxCandidates;
+    countInRange.out === 1;
+
+    // Step 4: Mark the candidates (and ranking positions) on the ballot
+    component onBallot[maxCandidates];
+    for (var i = 0; i < maxCandidates; i++) {
+        onBallot[i] = LessThan(8);
+        onBallot[i].in[0] <== i;
+        onBallot[i].in[1] <== candidateCount;
+    }
+
+    // Step 5: Prove the ranking is a permutation of the candidates on the ballot
+    // isRanked[i][j] is 1 when position i of the ranking holds candidate j
+    component isRanked[maxCandidates][maxCandidates];
+    signal rankedOnBallot[maxCandidates][maxCandidates];
+    signal rankedAtPosition[maxCandidates][maxCandidates];
+    signal selected[maxCandidates][maxCandidates];
+    signal rankedChoices[maxCandidates];
+    for (var i = 0; i < maxCandidates; i++) {
+        var rowSum = 0;
+        var rankedChoice = 0;
+        for (var j = 0; j < maxCandidates; j++) {
+            isRanked[i][j] = IsEqual();
+            isRanked[i][j].in[0] <== ranking[i];
+            isRanked[i][j].in[1] <== j;
+            rankedOnBallot[i][j] <== isRanked[i][j].out * onBallot[j].out;
+            selected[i][j] <== isRanked[i][j].out * candidates[j];
+            rowSum += rankedOnBallot[i][j];
+            rankedChoice += selected[i][j];
+        }
+        // Every position on the ballot ranks a candidate on the ballot
+        rowSum * onBallot[i].out === onBallot[i].out;
+        // Positions past the ballot are padding
+        (1 - onBallot[i].out) * ranking[i] === 0;
+        // Candidate ID at this position, zero for padding
+        rankedChoices[i] <== rankedChoice * onBallot[i].out;
+    }
+
+    // No duplicates: every candidate on the ballot is ranked at exactly one position on the ballot
+    for (var j = 0; j < maxCandidates; j++) {
+        var columnSum = 0;
+        for (var i = 0; i < maxCandidates; i++) {
+            rankedAtPosition[i][j] <== rankedOnBallot[i][j] * onBallot[i].out;
+            columnSum += rankedAtPosition[i][j];
+        }
+        columnSum === onBallot[j].out;
+    }
+
+    // Step 6: Compute the choice hash over the ranked candidate IDs
+    component choiceHasher = Poseidon(maxCandidates);
+    for (var i = 0; i < maxCandidates; i++) {
+        choiceHasher.inputs[i] <== rankedChoices[i];
+    }
+    choiceHash <== choiceHasher.out;
+
+    // Ensure the public choice hash matches our calculation
+    publicChoiceHash === choiceHash;
+}
+
+// Ballot size must match config.zkp.maxCandidates in the backend
+component main { public [electionId, candidateSetCommitment, publicNullifierHash, publicChoiceHash] } = RankedVote(16);
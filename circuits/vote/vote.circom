@@ -9,23 +9,29 @@ include "/app/circomlib/circuits/comparators.circom";
  * - Takes the nullifier hash and choice as input
  * - Proves that the voter is authorized
  * - Records the vote choice without revealing voter identity
+ * - The nullifier is scoped to one election, so it matches the one from authentication
+ * - Proves the choice is one of the active candidates committed to by the ballot
  */
-template AnonymousVote() {
+template AnonymousVote(maxCandidates) {
     // Private inputs
-    signal input identifierPreimage; // The original secret identifier
-    signal input nullifierSecret;    // Secret for nullifier
-    signal input choice;             // The voting choice (e.g., candidate ID)
+    signal input nullifierSecret;    // Secret for nullifier, committed to in the voter registry
+    signal input choice;             // The voting choice (encoded candidate ID)
+    signal input choiceIndex;        // Position of the choice in the ballot's candidate list
+    signal input candidates[maxCandidates]; // Encoded candidate IDs of the ballot, zero padded
+    signal input candidateCount;     // Number of active candidates on the ballot
     
     // Public inputs/outputs
+    signal input electionId;          // Election the ballot is cast in
+    signal input candidateSetCommitment; // Published commitment of the ballot's candidate list
     signal input publicNullifierHash; // Public input for nullifier hash verification
     signal input publicChoiceHash;    // Public input for choice hash verification
     signal output nullifierHash;     // Public nullifier hash (to prevent double voting)
     signal output choiceHash;        // Hash of the choice
     
-    // Step 1: Compute the nullifier hash
+    // Step 1: Compute the election-scoped nullifier hash
     component nullifierHasher = Poseidon(2);
-    nullifierHasher.inputs[0] <== identifierPreimage;
-    nullifierHasher.inputs[1] <== nullifierSecret;
+    nullifierHasher.inputs[0] <== nullifierSecret;
+    nullifierHasher.inputs[1] <== electionId;
     nullifierHash <== nullifierHasher.out;
     
     // Ensure the public nullifier hash matches our calculation
@@ -38,6 +44,48 @@ template AnonymousVote() {
     
     // Ensure the public choice hash matches our calculation
     publicChoiceHash === choiceHash;
+    
+    // Step 3: Recompute the candidate set commitment
+    // commitment = Poseidon(Poseidon(candidates), candidateCount)
+    component listHasher = Poseidon(maxCandidates);
+    for (var i = 0; i < maxCandidates; i++) {
+        listHasher.inputs[i] <== candidates[i];
+    }
+    component commitmentHasher = Poseidon(2);
+    commitmentHasher.inputs[0] <== listHasher.out;
+    commitmentHasher.inputs[1] <== candidateCount;
+    candidateSetCommitment === commitmentHasher.out;
+    
+    // Step 4: Range-check the choice index against the number of candidates
+    // Both values are bounded to 8 bits first so LessThan cannot overflow
+    component indexBits = Num2Bits(8);
+    indexBits.in <== choiceIndex;
+    component countBits = Num2Bits(8);
+    countBits.in <== candidateCount;
+    
+    component countInRange = LessEqThan(8);
+    countInRange.in[0] <== candidateCount;
+    countInRange.in[1] <== maxCandidates;
+    countInRange.out === 1;
+    
+    component indexInRange = LessThan(8);
+    indexInRange.in[0] <== choiceIndex;
+    indexInRange.in[1] <== candidateCount;
+    indexInRange.out === 1;
+    
+    // Step 5: Ensure the choice is the candidate at the chosen index
+    component indexMatches[maxCandidates];
+    signal selected[maxCandidates];
+    var selectedSum = 0;
+    for (var i = 0; i < maxCandidates; i++) {
+        indexMatches[i] = IsEqual();
+        indexMatches[i].in[0] <== i;
+        indexMatches[i].in[1] <== choiceIndex;
+        selected[i] <== indexMatches[i].out * candidates[i];
+        selectedSum += selected[i];
+    }
+    choice === selectedSum;
 }
 
-component main { public [publicNullifierHash, publicChoiceHash] } = AnonymousVote(); 
\ No newline at end of file
+// Ballot size must match config.zkp.maxCandidates in the backend
+component main { public [electionId, candidateSetCommitment, publicNullifierHash, publicChoiceHash] } = AnonymousVote(16);
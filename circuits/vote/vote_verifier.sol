@@ -27,36 +27,42 @@ contract Groth16Verifier {
     uint256 constant q   = 21888242871839275222246405745257275088696311157297823662689037894645226208583;
 
     // Verification Key data
-    uint256 constant alphax  = 20491192805390485299153009773594534940189261866228447918068658471970481763042;
-    uint256 constant alphay  = 9383485363053290200918347156157836566562967994039712273449902621266178545958;
-    uint256 constant betax1  = 4252822878758300859123897981450591353533073413197771768651442665752259397132;
-    uint256 constant betax2  = 6375614351688725206403948262868962793625744043794305715222011528459656738731;
-    uint256 constant betay1  = 21847035105528745403288232691147584728191162732299865338377159692350059136679;
-    uint256 constant betay2  = 10505242626370262277552901082094356697409835680220590971873171140371331206856;
+    uint256 constant alphax  = 10036968831766164547978435953121238398665263144860938000043173526190250695373;
+    uint256 constant alphay  = 21210488678967237433864549302216029242890237429638385947474102283523935113041;
+    uint256 constant betax1  = 12148383112866491197496761428346670142139797238176706508831262067727122274841;
+    uint256 constant betax2  = 19616602179084779472033411346997298778922968981380313002301010873512320080990;
+    uint256 constant betay1  = 12974029701933032662617957003843572769242765408826604282932976326505136419733;
+    uint256 constant betay2  = 7557364394419663912973232718090167531232530109200544234785638918850050677431;
     uint256 constant gammax1 = 11559732032986387107991004021392285783925812861821192530917403151452391805634;
     uint256 constant gammax2 = 10857046999023057135944570762232829481370756359578518086990519993285655852781;
     uint256 constant gammay1 = 4082367875863433681332203403145435568316851327593401208105741076214120093531;
     uint256 constant gammay2 = 8495653923123431417604973247489272438418190587263600148770280649306958101930;
-    uint256 constant deltax1 = 11906811121641218514008409189415119682445179177079703637491681279074337081260;
-    uint256 constant deltax2 = 12897181767921951919006644410309726896701459109231270856830263956759396230556;
-    uint256 constant deltay1 = 16273143585479612032597208547696969714310077759498072676477606055178954699642;
-    uint256 constant deltay2 = 7255703066797103894351989108870464932672889995903154466028038207866181743760;
+    uint256 constant deltax1 = 16893808736240974520456593711555069154403807531946835148068092088523714091644;
+    uint256 constant deltax2 = 13036079485692221216382465613986151433876506649222346057669368033109273591728;
+    uint256 constant deltay1 = 10187211972311877945018725823280634560503633241645411285392770907598959230571;
+    uint256 constant deltay2 = 10937757088763393048781796478698033220843614994060327607558110983792196661875;
 
     
-    uint256 constant IC0x = 20670772489326025693943750215264304201605696073165074433117257465276050219715;
-    uint256 constant IC0y = 1703020436300896217199978289475392186595494790581645750977181429820986896195;
+    uint256 constant IC0x = 1555485607499184436235581355924675511349834725885318207770841620038515816131;
+    uint256 constant IC0y = 19143330534011041774420757067326073421757527828327685224892075365368966655376;
     
-    uint256 constant IC1x = 8794875311475618077061037291802520336744927635440196601668711272833653556280;
-    uint256 constant IC1y = 16132848444751204555735721800181330200889359109465412375217087993829898984664;
+    uint256 constant IC1x = 6418495224049990053752170661081576132596139608215517424748160711356870231427;
+    uint256 constant IC1y = 1006581806062891237061372819987296588058499341379813844545667375959374184308;
     
-    uint256 constant IC2x = 21032300294815357984211683219567029405562290919965390196838094603403222599035;
-    uint256 constant IC2y = 5873066670981007437429880446197934384425593058376119481558175190603814700132;
+    uint256 constant IC2x = 6789994625290841999925961888022475791607173197108489604240049278917392852064;
+    uint256 constant IC2y = 11180377074599001912428747220952621772076064207082452193328082929844849394016;
     
-    uint256 constant IC3x = 21446720018972749915767341975502098916548478784563014356709515323973401077514;
-    uint256 constant IC3y = 12568975470283914421113422195639873242651155861960721118870075940907115366682;
+    uint256 constant IC3x = 21500032939458263527596206316199778675661654504655501845521072431885209815844;
+    uint256 constant IC3y = 18934369078330020212541199993936637502902418130892825768571798861685869860550;
     
-    uint256 constant IC4x = 14845425808004399148431441727631803573982842309440989019615336996533198806470;
-    uint256 constant IC4y = 5031075707304814263991646625476802214423130632742489060471068224761121099109;
+    uint256 constant IC4x = 3059104258861953072641429585664623219055383953027245514498535840302002292528;
+    uint256 constant IC4y = 14300395162603808292957455822498538022448293751920445312201608862299868692110;
+    
+    uint256 constant IC5x = 5656289406432313258666463632356449365500929197891382673196810906455306263043;
+    uint256 constant IC5y = 14401009819574947320856637764917826181130518780750422474107569439248468405174;
+    
+    uint256 constant IC6x = 9644022583043303330014303272461240748247977734616657690422514485908810380825;
+    uint256 constant IC6y = 10041272147945880242689043244170745244561167025013463236579615203089804537676;
     
  
     // Memory data
@@ -65,7 +71,7 @@ contract Groth16Verifier {
 
     uint16 constant pLastMem = 896;
 
-    function verifyProof(uint[2] calldata _pA, uint[2][2] calldata _pB, uint[2] calldata _pC, uint[4] calldata _pubSignals) public view returns (bool) {
+    function verifyProof(uint[2] calldata _pA, uint[2][2] calldata _pB, uint[2] calldata _pC, uint[6] calldata _pubSignals) public view returns (bool) {
         assembly {
             function checkField(v) {
                 if iszero(lt(v, r)) {
@@ -117,6 +123,10 @@ contract Groth16Verifier {
                 
                 g1_mulAccC(_pVk, IC4x, IC4y, calldataload(add(pubSignals, 96)))
                 
+                g1_mulAccC(_pVk, IC5x, IC5y, calldataload(add(pubSignals, 128)))
+                
+                g1_mulAccC(_pVk, IC6x, IC6y, calldataload(add(pubSignals, 160)))
+                
 
                 // -A
                 mstore(_pPairing, calldataload(pA))
@@ -178,6 +188,10 @@ contract Groth16Verifier {
             
             checkField(calldataload(add(_pubSignals, 96)))
             
+            checkField(calldataload(add(_pubSignals, 128)))
+            
+            checkField(calldataload(add(_pubSignals, 160)))
+            
 
             // Validate all evaluations
             let isValid := checkPairing(_pA, _pB, _pC, _pubSignals, pMem)
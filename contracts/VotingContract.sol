@@ -58,7 +58,7 @@ contract VotingContract {
      * @dev Cast a vote with a zk-SNARK proof
      * @param _nullifierHash Hash to prevent double voting
      * @param _choiceHash Hash of the vote choice
-     * @param _proof The zk-SNARK proof data
+     * @param _proof The zk-SNARK proof as ABI-encoded verifier calldata, e.g. abi.encode(pA, pB, pC, pubSignals) for Groth16 (see proofCodec.js in the backend)
      */
     function castVote(
         bytes32 _nullifierHash,
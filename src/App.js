@@ -5,12 +5,14 @@ import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
 import AdminLogin from './pages/AdminLogin';
 import AdminDashboard from './pages/AdminDashboard';
+import ZkpModeBanner from './components/ZkpModeBanner';
 import './App.css';
 
 function App() {
   return (
     <Router>
       <div className="min-h-screen bg-gray-100">
+        <ZkpModeBanner />
         <Routes>
           {/* Voter Routes */}
           <Route path="/" element={<Login />} />
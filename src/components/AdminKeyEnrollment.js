@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import { adminAPI } from '../utils/api';
+import { generateAdminKey, computeAdminKeyCommitment } from '../utils/snarkjsHelper';
+
+// The secret admin key never leaves the browser, only its commitment is sent to the server
+const ADMIN_KEY_STORAGE_KEY = 'admin_secretKey';
+
+const AdminKeyEnrollment = () => {
+  const [status, setStatus] = useState(null);
+  const [hasLocalKey, setHasLocalKey] = useState(false);
+  const [newKey, setNewKey] = useState('');
+  const [importKey, setImportKey] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  // Check the enrolled commitment against the key stored in this browser
+  const fetchStatus = async () => {
+    setLoading(true);
+    try {
+      const response = await adminAPI.getAdminKey();
+      setStatus(response.data);
+
+      const storedKey = localStorage.getItem(ADMIN_KEY_STORAGE_KEY);
+      const matches = !!storedKey && response.data.enrolled &&
+        (await computeAdminKeyCommitment(storedKey)) === response.data.commitment;
+      setHasLocalKey(matches);
+    } catch (error) {
+      setError(`Error: ${error.message || 'Failed to fetch admin key status'}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Generate a key in the browser and enroll its commitment
+  const handleEnroll = async () => {
+    setError('');
+    setSuccess('');
+    setLoading(true);
+    try {
+      const adminKey = generateAdminKey();
+      const commitment = await computeAdminKeyCommitment(adminKey);
+
+      await adminAPI.enrollAdminKey(commitment);
+      localStorage.setItem(ADMIN_KEY_STORAGE_KEY, adminKey);
+
+      setNewKey(adminKey);
+      setSuccess('Admin key enrolled. Store the key below somewhere safe, it is needed to manage candidates from another browser.');
+      await fetchStatus();
+    } catch (error) {
+      setError(`Error: ${error.message || 'Failed to enroll admin key'}`);
+      setLoading(false);
+    }
+  };
+
+  // Use a previously enrolled key in this browser
+  const handleImport = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    const key = importKey.trim();
+    if (!/^[0-9]+$/.test(key)) {
+      setError('The admin key must be a decimal number');
+      return;
+    }
+
+    if ((await computeAdminKeyCommitment(key)) !== status.commitment) {
+      setError('This key does not match the enrolled admin key');
+      return;
+    }
+
+    localStorage.setItem(ADMIN_KEY_STORAGE_KEY, key);
+    setImportKey('');
+    setSuccess('Admin key imported');
+    await fetchStatus();
+  };
+
+  if (loading && !status) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white shadow overflow-hidden sm:rounded-lg mb-6">
+      <div className="px-4 py-5 border-b border-gray-200 sm:px-6">
+        <h3 className="text-lg leading-6 font-medium text-gray-900">
+          Admin Key
+        </h3>
+        <p className="mt-1 max-w-2xl text-sm text-gray-500">
+          Candidate changes are authorized with a zero-knowledge proof of this key.
+        </p>
+      </div>
+
+      {error && (
+        <div className="mx-4 mt-4 p-4 rounded-md bg-red-100 text-red-700">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="mx-4 mt-4 p-4 rounded-md bg-green-100 text-green-700">
+          {success}
+        </div>
+      )}
+
+      <div className="px-4 py-5 sm:p-6">
+        {newKey && (
+          <div className="mb-4 p-4 rounded-md bg-yellow-50 text-yellow-800 text-sm break-all">
+            <strong>Your admin key:</strong> {newKey}
+          </div>
+        )}
+
+        {status && !status.enrolled && (
+          <button
+            onClick={handleEnroll}
+            disabled={loading}
+            className="px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+          >
+            Generate and Enroll Admin Key
+          </button>
+        )}
+
+        {status && status.enrolled && hasLocalKey && (
+          <p className="text-sm text-green-700">
+            The enrolled admin key is available in this browser.
+          </p>
+        )}
+
+        {status && status.enrolled && !hasLocalKey && (
+          <form onSubmit={handleImport} className="flex gap-2">
+            <input
+              type="password"
+              value={importKey}
+              onChange={(e) => setImportKey(e.target.value)}
+              placeholder="Enter your admin key"
+              className="flex-1 focus:ring-indigo-500 focus:border-indigo-500 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md"
+            />
+            <button
+              type="submit"
+              className="px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+            >
+              Import Key
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminKeyEnrollment;
@@ -1,5 +1,6 @@
-import React, { useState, useEffect } from 'react';
-import { candidateAPI, zkpUtils } from '../utils/api';
+import React, { useState, useEffect, useCallback } from 'react';
+import { candidateAPI, electionAPI } from '../utils/api';
+import { generateAdminActionProof } from '../utils/snarkjsHelper';
 
 const CandidateManager = () => {
   const [candidates, setCandidates] = useState([]);
@@ -7,6 +8,9 @@ const CandidateManager = () => {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [showInactive, setShowInactive] = useState(true);
+  // Candidates are listed and added for the selected election, the first one whose ballot may still change by default
+  const [electionId, setElectionId] = useState(null);
+  const [elections, setElections] = useState([]);
   
   // For adding/editing candidate
   const [isEditing, setIsEditing] = useState(false);
@@ -17,16 +21,28 @@ const CandidateManager = () => {
     isActive: true
   });
 
-  // Fetch candidates on component mount
+  // Fetch the elections whose ballot may still change on component mount
   useEffect(() => {
-    fetchCandidates();
+    electionAPI.getElections(['draft', 'scheduled'])
+      .then((response) => {
+        setElections(response.data);
+        if (response.data.length > 0) {
+          setElectionId(response.data[0].electionId);
+        } else {
+          setLoading(false);
+        }
+      })
+      .catch(() => {
+        setError('Failed to fetch the elections');
+        setLoading(false);
+      });
   }, []);
 
-  // Fetch all candidates
-  const fetchCandidates = async () => {
+  // Fetch all candidates of the selected election
+  const fetchCandidates = useCallback(async () => {
     setLoading(true);
     try {
-      const response = await candidateAPI.getAllCandidatesAdmin();
+      const response = await candidateAPI.getAllCandidatesAdmin(electionId);
       if (response.success) {
         console.log('Fetched candidates:', response.data);
         setCandidates(response.data);
@@ -38,7 +54,14 @@ const CandidateManager = () => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [electionId]);
+
+  // Fetch the candidates of the selected election
+  useEffect(() => {
+    if (electionId) {
+      fetchCandidates();
+    }
+  }, [electionId, fetchCandidates]);
 
   // Filter candidates based on showInactive state
   const filteredCandidates = showInactive 
@@ -67,37 +90,40 @@ const CandidateManager = () => {
   };
 
   // Generate ZK proof for admin action
+  // actionData must match the canonical action candidateController builds for the request
   const generateAdminProof = async (action) => {
     try {
-      // In a real app, we would use a secure admin key
-      // For demo purposes, we'll use the JWT token
-      const adminKey = localStorage.getItem('admin_authToken');
+      // The admin key enrolled on this browser (see AdminKeyEnrollment)
+      const adminKey = localStorage.getItem('admin_secretKey');
       
       if (!adminKey) {
-        console.error('Admin key is missing - authentication token not found');
-        setError('Authentication failed: Please log out and log back in as admin');
+        console.error('Admin key is missing - no enrolled key in this browser');
+        setError('Admin key missing: Please enroll or import your admin key first');
         return null;
       }
       
-      console.log('Generating admin proof with action:', action);
+      console.log('Generating admin proof with action:', action.action);
       
-      // Create action data
-      const actionData = {
-        action,
-        ...formData,
-        timestamp: Date.now()
-      };
+      // The server rejects proofs issued too long ago
+      const issuedAt = Date.now();
+      const actionData = { ...action, issuedAt };
       
       // Generate ZK proof
-      const proofResult = await zkpUtils.generateAdminActionProof(adminKey, actionData);
+      const proofResult = await generateAdminActionProof(adminKey, actionData);
       
-      if (!proofResult || !proofResult.zkProof) {
+      if (!proofResult || !proofResult.proof) {
         console.error('Proof generation failed - invalid result', proofResult);
-        setError('ZK proof generation failed: Invalid result from zkpUtils');
+        setError('ZK proof generation failed: Invalid result from the prover');
         return null;
       }
       
-      return proofResult.zkProof;
+      return {
+        proof: proofResult.proof,
+        publicSignals: proofResult.publicSignals,
+        protocol: proofResult.protocol,
+        actionNonce: proofResult.actionNonce,
+        issuedAt
+      };
     } catch (error) {
       console.error('Error generating admin proof:', error);
       setError(`Failed to generate ZK proof: ${error.message}`);
@@ -121,7 +147,9 @@ const CandidateManager = () => {
     
     try {
       // Generate ZK proof for this admin action
-      const action = isEditing ? 'update' : 'add';
+      const action = isEditing
+        ? { action: 'update', candidateId: editingId, ...formData }
+        : { action: 'add', electionId, ...formData };
       const zkProof = await generateAdminProof(action);
       
       if (!zkProof) {
@@ -148,7 +176,8 @@ const CandidateManager = () => {
             formData.name, 
             formData.description, 
             zkProof, 
-            formData.isActive
+            formData.isActive,
+            electionId
           );
           setSuccess('Candidate added successfully');
         } catch (apiError) {
@@ -192,7 +221,7 @@ const CandidateManager = () => {
     
     try {
       // Generate ZK proof for delete action
-      const zkProof = await generateAdminProof('delete');
+      const zkProof = await generateAdminProof({ action: 'delete', candidateId });
       
       if (!zkProof) {
         setError('Failed to generate proof for admin action');
@@ -222,6 +251,26 @@ const CandidateManager = () => {
         <p className="mt-1 max-w-2xl text-sm text-gray-500">
           Add, edit, or remove candidates for the election.
         </p>
+        <div className="mt-4 max-w-md">
+          <label htmlFor="candidate-election" className="block text-sm font-medium text-gray-700">
+            Election
+          </label>
+          <select
+            id="candidate-election"
+            value={electionId || ''}
+            onChange={(e) => {
+              resetForm();
+              setElectionId(e.target.value);
+            }}
+            className="mt-1 block w-full py-2 px-3 border border-gray-300 bg-white rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+          >
+            {elections.map((election) => (
+              <option key={election.electionId} value={election.electionId}>
+                {election.name} ({election.status})
+              </option>
+            ))}
+          </select>
+        </div>
       </div>
       
       {/* Alert messages */}
@@ -0,0 +1,402 @@
+import React, { useState, useEffect } from 'react';
+import { electionAPI } from '../utils/api';
+import { generateAdminActionProof } from '../utils/snarkjsHelper';
+import ElectionTally from './ElectionTally';
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-800',
+  scheduled: 'bg-yellow-100 text-yellow-800',
+  open: 'bg-green-100 text-green-800',
+  closed: 'bg-red-100 text-red-800',
+  tallied: 'bg-blue-100 text-blue-800',
+  archived: 'bg-gray-200 text-gray-600'
+};
+
+const TRANSITION_LABELS = {
+  draft: 'Back to Draft',
+  scheduled: 'Schedule',
+  open: 'Open Now',
+  closed: 'Close',
+  tallied: 'Mark Tallied',
+  archived: 'Archive'
+};
+
+const BALLOT_TYPE_LABELS = {
+  single: 'Single choice',
+  ranked: 'Ranked choice',
+  approval: 'Approval'
+};
+
+// States in which an election has ballots to tally
+const TALLY_STATES = ['open', 'closed', 'tallied', 'archived'];
+
+// datetime-local inputs have no time zone, send them as ISO strings so the proof and the request agree
+const toISOString = (value) => (value ? new Date(value).toISOString() : null);
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '--');
+
+const ElectionManager = () => {
+  const [elections, setElections] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [tally, setTally] = useState(null);
+  const [formData, setFormData] = useState({
+    name: '',
+    description: '',
+    ballotType: 'single',
+    maxApprovals: '',
+    startTime: '',
+    endTime: ''
+  });
+
+  useEffect(() => {
+    fetchElections();
+  }, []);
+
+  const fetchElections = async () => {
+    setLoading(true);
+    try {
+      const response = await electionAPI.getElections();
+      setElections(response.data);
+    } catch (error) {
+      setError(`Error: ${error.message || 'Failed to fetch elections'}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  // Generate ZK proof for admin action
+  // actionData must match the canonical action electionController builds for the request
+  const generateAdminProof = async (action) => {
+    // The admin key enrolled on this browser (see AdminKeyEnrollment)
+    const adminKey = localStorage.getItem('admin_secretKey');
+    if (!adminKey) {
+      throw new Error('Admin key missing: Please enroll or import your admin key first');
+    }
+
+    // The server rejects proofs issued too long ago
+    const issuedAt = Date.now();
+    const proofResult = await generateAdminActionProof(adminKey, { ...action, issuedAt });
+
+    return {
+      proof: proofResult.proof,
+      publicSignals: proofResult.publicSignals,
+      protocol: proofResult.protocol,
+      actionNonce: proofResult.actionNonce,
+      issuedAt
+    };
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    if (!formData.name) {
+      setError('Please give the election a name');
+      return;
+    }
+
+    if (formData.ballotType === 'approval' && !formData.maxApprovals) {
+      setError('Please set how many candidates a voter may approve');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const election = {
+        name: formData.name,
+        description: formData.description,
+        ballotType: formData.ballotType,
+        maxApprovals: formData.ballotType === 'approval' ? Number(formData.maxApprovals) : null,
+        startTime: toISOString(formData.startTime),
+        endTime: toISOString(formData.endTime)
+      };
+      const zkProof = await generateAdminProof({ action: 'createElection', ...election });
+
+      await electionAPI.createElection(election, zkProof);
+      setSuccess(`Election "${election.name}" created as draft`);
+      setFormData({ name: '', description: '', ballotType: 'single', maxApprovals: '', startTime: '', endTime: '' });
+      fetchElections();
+    } catch (error) {
+      setError(`Error: ${error.message || 'Failed to create the election'}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleTransition = async (election, status) => {
+    if (!window.confirm(`Move "${election.name}" from ${election.status} to ${status}?`)) {
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const zkProof = await generateAdminProof({
+        action: 'transitionElection',
+        electionId: election.electionId,
+        status,
+        startTime: null,
+        endTime: null
+      });
+
+      await electionAPI.transitionElection(election.electionId, status, zkProof);
+      setSuccess(`Election "${election.name}" is now ${status}`);
+      fetchElections();
+    } catch (error) {
+      setError(`Error: ${error.message || 'Failed to change the election state'}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleTally = async (election) => {
+    setLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await electionAPI.getTally(election.electionId);
+      setTally(response.data);
+    } catch (error) {
+      setError(`Error: ${error.message || 'Failed to tally the election'}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+      <div className="px-4 py-5 border-b border-gray-200 sm:px-6">
+        <h3 className="text-lg leading-6 font-medium text-gray-900">
+          Election Management
+        </h3>
+        <p className="mt-1 max-w-2xl text-sm text-gray-500">
+          Create elections and move them through their lifecycle. Ballots are only accepted while an election is open.
+        </p>
+      </div>
+
+      {error && (
+        <div className="mx-4 mt-4 p-4 rounded-md bg-red-100 text-red-700">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="mx-4 mt-4 p-4 rounded-md bg-green-100 text-green-700">
+          {success}
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="px-4 py-5 sm:p-6">
+        <div className="grid grid-cols-1 gap-6 sm:grid-cols-6">
+          <div className="sm:col-span-3">
+            <label htmlFor="election-name" className="block text-sm font-medium text-gray-700">
+              Election Name
+            </label>
+            <input
+              type="text"
+              name="name"
+              id="election-name"
+              value={formData.name}
+              onChange={handleChange}
+              className="mt-1 focus:ring-indigo-500 focus:border-indigo-500 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md"
+            />
+          </div>
+
+          <div className="sm:col-span-3">
+            <label htmlFor="election-description" className="block text-sm font-medium text-gray-700">
+              Description
+            </label>
+            <input
+              type="text"
+              name="description"
+              id="election-description"
+              value={formData.description}
+              onChange={handleChange}
+              className="mt-1 focus:ring-indigo-500 focus:border-indigo-500 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md"
+            />
+          </div>
+
+          <div className={formData.ballotType === 'approval' ? 'sm:col-span-4' : 'sm:col-span-6'}>
+            <label htmlFor="election-ballot-type" className="block text-sm font-medium text-gray-700">
+              Ballot Type
+            </label>
+            <select
+              name="ballotType"
+              id="election-ballot-type"
+              value={formData.ballotType}
+              onChange={handleChange}
+              className="mt-1 block w-full py-2 px-3 border border-gray-300 bg-white rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+            >
+              <option value="single">Single choice: voters pick one candidate</option>
+              <option value="ranked">Ranked choice: voters order the candidates, counted by instant runoff</option>
+              <option value="approval">Approval: voters approve up to a number of candidates</option>
+            </select>
+          </div>
+
+          {formData.ballotType === 'approval' && (
+            <div className="sm:col-span-2">
+              <label htmlFor="election-max-approvals" className="block text-sm font-medium text-gray-700">
+                Approvals per Voter
+              </label>
+              <input
+                type="number"
+                name="maxApprovals"
+                id="election-max-approvals"
+                min="1"
+                max="16"
+                value={formData.maxApprovals}
+                onChange={handleChange}
+                className="mt-1 focus:ring-indigo-500 focus:border-indigo-500 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md"
+              />
+            </div>
+          )}
+
+          <div className="sm:col-span-3">
+            <label htmlFor="election-start" className="block text-sm font-medium text-gray-700">
+              Start Time
+            </label>
+            <input
+              type="datetime-local"
+              name="startTime"
+              id="election-start"
+              value={formData.startTime}
+              onChange={handleChange}
+              className="mt-1 focus:ring-indigo-500 focus:border-indigo-500 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md"
+            />
+          </div>
+
+          <div className="sm:col-span-3">
+            <label htmlFor="election-end" className="block text-sm font-medium text-gray-700">
+              End Time
+            </label>
+            <input
+              type="datetime-local"
+              name="endTime"
+              id="election-end"
+              value={formData.endTime}
+              onChange={handleChange}
+              className="mt-1 focus:ring-indigo-500 focus:border-indigo-500 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md"
+            />
+          </div>
+        </div>
+
+        <div className="mt-6">
+          <button
+            type="submit"
+            disabled={loading}
+            className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+          >
+            {loading ? 'Processing...' : 'Create Draft Election'}
+          </button>
+        </div>
+      </form>
+
+      <div className="px-4 py-5 sm:p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h4 className="text-md font-medium text-gray-900">Elections</h4>
+          <button
+            onClick={fetchElections}
+            className="text-sm text-indigo-600 hover:text-indigo-900"
+          >
+            Refresh List
+          </button>
+        </div>
+
+        {elections.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Name
+                  </th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Voting Window
+                  </th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {elections.map((election) => (
+                  <tr key={election.electionId}>
+                    <td className="px-6 py-4 text-sm">
+                      <div className="font-medium text-gray-900">{election.name}</div>
+                      <div className="text-xs text-gray-500 font-mono truncate max-w-xs" title={election.electionId}>
+                        {election.electionId}
+                      </div>
+                      <div className="text-xs text-gray-500">
+                        {BALLOT_TYPE_LABELS[election.ballotType]}
+                        {election.ballotType === 'approval' && ` (up to ${election.maxApprovals})`}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_STYLES[election.status]}`}>
+                        {election.status}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {formatTime(election.startTime)} - {formatTime(election.endTime)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      {election.allowedTransitions.map((status) => (
+                        <button
+                          key={status}
+                          onClick={() => handleTransition(election, status)}
+                          disabled={loading}
+                          className="ml-4 text-indigo-600 hover:text-indigo-900"
+                        >
+                          {TRANSITION_LABELS[status]}
+                        </button>
+                      ))}
+                      {TALLY_STATES.includes(election.status) && (
+                        <button
+                          onClick={() => handleTally(election)}
+                          disabled={loading}
+                          className="ml-4 text-indigo-600 hover:text-indigo-900"
+                        >
+                          Tally
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="text-center py-4 bg-gray-50 rounded-md">
+            <p className="text-sm text-gray-500">{loading ? 'Loading elections...' : 'No elections found.'}</p>
+          </div>
+        )}
+      </div>
+
+      {tally && <ElectionTally tally={tally} onClose={() => setTally(null)} />}
+
+      <div className="px-4 py-3 bg-gray-50 text-xs text-gray-500 sm:px-6">
+        <p>Every state change is secured with a zero-knowledge admin proof and recorded in the system logs.</p>
+      </div>
+    </div>
+  );
+};
+
+export default ElectionManager;
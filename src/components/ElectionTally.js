@@ -0,0 +1,80 @@
+import React from 'react';
+
+// How each kind of ballot is counted
+const TALLY_METHODS = {
+  single: 'plurality',
+  ranked: 'instant runoff',
+  approval: 'approvals per candidate'
+};
+
+// Result of an election tally: plurality or approval counts, or the rounds of an instant runoff
+const ElectionTally = ({ tally, onClose }) => {
+  const names = new Map(tally.candidates.map((candidate) => [candidate.candidateId, candidate.name]));
+  const nameOf = (candidateId) => names.get(candidateId) || candidateId;
+
+  return (
+    <div className="px-4 py-5 sm:p-6 border-t border-gray-200">
+      <div className="flex justify-between items-center mb-4">
+        <h4 className="text-md font-medium text-gray-900">
+          Tally ({TALLY_METHODS[tally.ballotType]}, {tally.totalBallots} ballots)
+        </h4>
+        <button
+          onClick={onClose}
+          className="text-sm text-indigo-600 hover:text-indigo-900"
+        >
+          Close
+        </button>
+      </div>
+
+      <p className="mb-4 text-sm text-gray-700">
+        {tally.winner
+          ? <>Winner: <span className="font-semibold">{nameOf(tally.winner)}</span></>
+          : 'No winner: there are no ballots or the most votes are tied.'}
+      </p>
+
+      {tally.ballotType === 'approval' && (
+        <p className="mb-4 text-sm text-gray-500">
+          {tally.totalApprovals} approvals, each voter could approve up to {tally.maxApprovals} candidates.
+        </p>
+      )}
+
+      {tally.ballotType === 'ranked' ? (
+        <div className="space-y-4">
+          {tally.rounds.map((round) => (
+            <div key={round.round} className="p-4 bg-gray-50 rounded-md">
+              <h5 className="text-sm font-medium text-gray-900 mb-2">
+                Round {round.round} <span className="font-normal text-gray-500">- {round.threshold} votes needed to win, {round.exhausted} exhausted ballots</span>
+              </h5>
+              <ul className="text-sm text-gray-700 space-y-1">
+                {round.counts.map((entry) => (
+                  <li key={entry.candidateId} className={entry.candidateId === round.eliminated ? 'text-red-700' : ''}>
+                    {nameOf(entry.candidateId)}: {entry.votes}
+                    {entry.candidateId === round.eliminated && ' (eliminated)'}
+                  </li>
+                ))}
+              </ul>
+              {round.transfers && (
+                <p className="mt-2 text-xs text-gray-500">
+                  Transferred: {Object.entries(round.transfers)
+                    .filter(([, votes]) => votes > 0)
+                    .map(([candidateId, votes]) => `${votes} to ${candidateId === 'exhausted' ? 'exhausted' : nameOf(candidateId)}`)
+                    .join(', ') || 'no ballots'}
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <ul className="text-sm text-gray-700 space-y-1">
+          {tally.counts.map((entry) => (
+            <li key={entry.candidateId}>
+              {nameOf(entry.candidateId)}: {entry.votes}{tally.ballotType === 'approval' && ` approval${entry.votes === 1 ? '' : 's'}`}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ElectionTally;
@@ -0,0 +1,77 @@
+import React from 'react';
+import { PROOF_STAGES } from '../utils/prover';
+
+const STAGE_LABELS = {
+  download: 'Downloading circuit',
+  witness: 'Computing witness',
+  prove: 'Generating proof'
+};
+
+// Fold a prover progress event into the progress state shown by ProofProgress
+export const updateProofProgress = (progress, event) => {
+  const downloads = { ...progress?.downloads };
+  if (event.stage === 'download') {
+    downloads[event.artifact] = { loaded: event.loaded, total: event.total, cached: !!event.cached };
+  }
+  return { stage: event.stage, artifact: event.artifact || progress?.artifact, downloads };
+};
+
+// Shows which proof stage the prover worker is in, with a cancel button
+const ProofProgress = ({ progress, onCancel }) => {
+  const stage = progress?.stage || 'download';
+  const stageIndex = PROOF_STAGES.indexOf(stage);
+  const downloads = progress?.downloads || {};
+  const fromCache = ['wasm', 'zkey'].every((artifact) => downloads[artifact]?.cached);
+  // The wasm and the zkey are downloaded one after the other, show the current one
+  const download = progress?.artifact ? downloads[progress.artifact] : null;
+  const downloadPercent = download?.total ? Math.round((download.loaded / download.total) * 100) : null;
+
+  return (
+    <div className="p-4 border border-blue-200 bg-blue-50 rounded-md text-sm text-blue-800">
+      <ol className="space-y-2">
+        {PROOF_STAGES.map((name, index) => (
+          <li key={name} className="flex items-center">
+            <span
+              className={`mr-2 h-2 w-2 rounded-full ${
+                index < stageIndex ? 'bg-green-500' : index === stageIndex ? 'bg-blue-600 animate-pulse' : 'bg-gray-300'
+              }`}
+            />
+            <span className={index === stageIndex ? 'font-medium' : 'text-gray-600'}>
+              {STAGE_LABELS[name]}
+              {name === 'download' && fromCache && ' (cached)'}
+            </span>
+          </li>
+        ))}
+      </ol>
+
+      {stage === 'download' && download && !download.cached && (
+        <div className="mt-3">
+          <p className="mb-1 text-xs text-blue-700">
+            {progress.artifact === 'zkey' ? 'Proving key' : 'Circuit'}
+            {downloadPercent !== null && ` ${downloadPercent}%`}
+          </p>
+          <div className="h-2 w-full rounded-full bg-blue-100">
+            <div
+              className={`h-2 rounded-full bg-blue-600 ${downloadPercent === null ? 'animate-pulse w-full' : ''}`}
+              style={downloadPercent === null ? undefined : { width: `${downloadPercent}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      {onCancel && (
+        <div className="mt-3 text-right">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="text-sm font-medium text-blue-700 hover:text-blue-900 underline"
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProofProgress;
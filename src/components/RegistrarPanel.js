@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import { registrarAPI } from '../utils/api';
+
+const RegistrarPanel = () => {
+  const [keys, setKeys] = useState([]);
+  const [identityCommitment, setIdentityCommitment] = useState('');
+  const [issuedCredential, setIssuedCredential] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    fetchKeys();
+  }, []);
+
+  const fetchKeys = async () => {
+    setLoading(true);
+    try {
+      const response = await registrarAPI.getKeys();
+      setKeys(response.data);
+    } catch (error) {
+      setError(`Error: ${error.message || 'Failed to fetch registrar keys'}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Generate a new signing key, older keys stay trusted until revoked
+  const handleCreateKey = async () => {
+    setError('');
+    setSuccess('');
+    try {
+      await registrarAPI.createKey();
+      setSuccess('Registrar key generated');
+      await fetchKeys();
+    } catch (error) {
+      setError(`Error: ${error.message || 'Failed to generate registrar key'}`);
+    }
+  };
+
+  const handleRevokeKey = async (keyId) => {
+    if (!window.confirm('Credentials signed by this key will no longer be accepted. Revoke it?')) {
+      return;
+    }
+
+    setError('');
+    setSuccess('');
+    try {
+      await registrarAPI.revokeKey(keyId);
+      setSuccess('Registrar key revoked');
+      await fetchKeys();
+    } catch (error) {
+      setError(`Error: ${error.message || 'Failed to revoke registrar key'}`);
+    }
+  };
+
+  // Sign a voter's identity commitment, the voter pastes the result on the login page
+  const handleIssue = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+    setIssuedCredential(null);
+
+    const commitment = identityCommitment.trim();
+    if (!/^[0-9]+$/.test(commitment)) {
+      setError('The identity commitment must be a decimal number');
+      return;
+    }
+
+    try {
+      const response = await registrarAPI.issueCredential(commitment);
+      setIssuedCredential(response.data);
+      setIdentityCommitment('');
+    } catch (error) {
+      setError(`Error: ${error.message || 'Failed to issue credential'}`);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+      <div className="px-4 py-5 border-b border-gray-200 sm:px-6 flex justify-between items-center">
+        <div>
+          <h3 className="text-lg leading-6 font-medium text-gray-900">
+            Registrar
+          </h3>
+          <p className="mt-1 max-w-2xl text-sm text-gray-500">
+            Voter credentials are EdDSA signatures of identity commitments made with the active key.
+          </p>
+        </div>
+        <button
+          onClick={handleCreateKey}
+          className="px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+        >
+          Generate New Key
+        </button>
+      </div>
+
+      {error && (
+        <div className="mx-4 mt-4 p-4 rounded-md bg-red-100 text-red-700">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="mx-4 mt-4 p-4 rounded-md bg-green-100 text-green-700">
+          {success}
+        </div>
+      )}
+
+      <div className="px-4 py-5 sm:p-6">
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading registrar keys...</p>
+        ) : keys.length === 0 ? (
+          <p className="text-sm text-gray-500">No registrar keys yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 mb-6">
+            {keys.map((key) => (
+              <li key={key.keyId} className="py-3 flex justify-between items-center">
+                <div className="text-sm break-all pr-4">
+                  <p className="font-medium text-gray-900">
+                    {key.keyId} {key.isActive && <span className="ml-2 text-green-700">(active)</span>}
+                  </p>
+                  <p className="text-gray-500 font-mono">x: {key.publicKey.x}</p>
+                  <p className="text-gray-500 font-mono">y: {key.publicKey.y}</p>
+                </div>
+                <button
+                  onClick={() => handleRevokeKey(key.keyId)}
+                  className="px-3 py-1 border border-transparent text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
+                >
+                  Revoke
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <form onSubmit={handleIssue} className="flex gap-2">
+          <input
+            type="text"
+            value={identityCommitment}
+            onChange={(e) => setIdentityCommitment(e.target.value)}
+            placeholder="Voter identity commitment"
+            className="flex-1 focus:ring-indigo-500 focus:border-indigo-500 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md"
+          />
+          <button
+            type="submit"
+            className="px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+          >
+            Issue Credential
+          </button>
+        </form>
+
+        {issuedCredential && (
+          <div className="mt-4 p-4 rounded-md bg-yellow-50 text-yellow-800 text-xs font-mono break-all">
+            {JSON.stringify(issuedCredential)}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RegistrarPanel;
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { adminAPI } from '../utils/api';
+
+// Vote events kept on screen, the report still counts every vote
+const MAX_LISTED_VOTES = 100;
+
+const STATUS_STYLES = {
+  invalid: 'text-red-700',
+  malformed: 'text-orange-700',
+  mock: 'text-yellow-700',
+  unverified: 'text-gray-700'
+};
+
+const VoteAuditPanel = () => {
+  const [electionId, setElectionId] = useState('');
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [flaggedVotes, setFlaggedVotes] = useState([]);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleEvent = (event) => {
+    if (event.type === 'start') {
+      setProgress({ processed: 0, total: event.total });
+    } else if (event.type === 'progress') {
+      setProgress({ processed: event.processed, total: event.total });
+    } else if (event.type === 'vote') {
+      setFlaggedVotes((votes) => (votes.length < MAX_LISTED_VOTES ? [...votes, event] : votes));
+    } else if (event.type === 'report') {
+      setProgress({ processed: event.processed, total: event.total });
+      setReport(event);
+    } else if (event.type === 'error') {
+      setError(`Error: ${event.message}`);
+    }
+  };
+
+  // Re-verify every stored vote proof on the server and follow its progress
+  const handleAudit = async () => {
+    setRunning(true);
+    setError('');
+    setProgress(null);
+    setFlaggedVotes([]);
+    setReport(null);
+
+    try {
+      await adminAPI.auditVotes(handleEvent, electionId.trim() || null);
+    } catch (error) {
+      setError(`Error: ${error.message || 'Failed to audit votes'}`);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const percent = progress && progress.total > 0
+    ? Math.round((progress.processed / progress.total) * 100)
+    : 0;
+
+  return (
+    <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+      <div className="px-4 py-5 border-b border-gray-200 sm:px-6 flex justify-between items-center">
+        <div>
+          <h3 className="text-lg leading-6 font-medium text-gray-900">
+            Vote Audit
+          </h3>
+          <p className="mt-1 max-w-2xl text-sm text-gray-500">
+            Re-verifies every stored vote proof and checks it is bound to the recorded nullifier and choice.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={electionId}
+            onChange={(e) => setElectionId(e.target.value)}
+            placeholder="Election ID (all)"
+            disabled={running}
+            className="focus:ring-indigo-500 focus:border-indigo-500 block w-40 shadow-sm sm:text-sm border-gray-300 rounded-md"
+          />
+          <button
+            onClick={handleAudit}
+            disabled={running}
+            className="px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+          >
+            {running ? 'Auditing...' : 'Run Audit'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mx-4 mt-4 p-4 rounded-md bg-red-100 text-red-700">
+          {error}
+        </div>
+      )}
+
+      <div className="px-4 py-5 sm:p-6">
+        {progress && (
+          <div className="mb-4">
+            <div className="flex justify-between text-sm text-gray-500 mb-1">
+              <span>{progress.processed} of {progress.total} votes</span>
+              <span>{percent}%</span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div className="bg-indigo-600 h-2 rounded-full" style={{ width: `${percent}%` }} />
+            </div>
+          </div>
+        )}
+
+        {report && (
+          <div className={`mb-4 p-4 rounded-md ${report.allVerified ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}`}>
+            <p className="font-medium">
+              {report.allVerified
+                ? 'Every counted ballot carries a verified proof.'
+                : 'Some ballots could not be verified.'}
+            </p>
+            <p className="mt-1 text-sm">
+              {report.counts.valid} valid, {report.counts.invalid} invalid, {report.counts.malformed} malformed, {report.counts.mock} mock, {report.counts.unverified} unverified
+            </p>
+          </div>
+        )}
+
+        {flaggedVotes.length > 0 && (
+          <ul className="divide-y divide-gray-200 text-sm">
+            {flaggedVotes.map((vote) => (
+              <li key={vote.voteId} className="py-2 flex justify-between">
+                <span className="font-mono text-gray-500">{vote.voteId}</span>
+                <span className={STATUS_STYLES[vote.status]}>{vote.status}: {vote.message}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {!progress && !running && (
+          <p className="text-sm text-gray-500">No audit has been run in this session.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VoteAuditPanel;
@@ -0,0 +1,39 @@
+import React, { useEffect, useState } from 'react';
+import { getZkpMode } from '../utils/snarkjsHelper';
+
+// Shows whether the server verifies real zk-SNARK proofs or accepts mock ones
+const ZkpModeBanner = () => {
+  const [mode, setMode] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getZkpMode().then((zkpMode) => {
+      if (!cancelled) {
+        setMode(zkpMode);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (!mode) {
+    return null;
+  }
+
+  if (mode === 'mock') {
+    return (
+      <div className="bg-yellow-100 border-b border-yellow-300 px-4 py-2 text-center text-sm text-yellow-800">
+        <span className="font-semibold">Mock proof mode:</span> the server accepts simulated proofs, ballots are not cryptographically verified.
+      </div>
+    );
+  }
+
+  return (
+    <div className="fixed bottom-2 right-2 rounded-full bg-green-100 px-3 py-1 text-xs font-medium text-green-800 shadow">
+      zk-SNARK proofs verified
+    </div>
+  );
+};
+
+export default ZkpModeBanner;
@@ -2,6 +2,10 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { adminAPI, authAPI } from '../utils/api';
 import CandidateManager from '../components/CandidateManager';
+import ElectionManager from '../components/ElectionManager';
+import AdminKeyEnrollment from '../components/AdminKeyEnrollment';
+import RegistrarPanel from '../components/RegistrarPanel';
+import VoteAuditPanel from '../components/VoteAuditPanel';
 
 const AdminDashboard = () => {
   const navigate = useNavigate();
@@ -11,7 +15,8 @@ const AdminDashboard = () => {
     uptime: '--',
     activeUsers: 0,
     totalVotes: 0,
-    failedLogins: 0
+    failedLogins: 0,
+    verificationKeys: []
   });
   const [timeFrame, setTimeFrame] = useState('24h');
   const [isLoading, setIsLoading] = useState(true);
@@ -207,6 +212,16 @@ const AdminDashboard = () => {
           >
             Dashboard
           </button>
+          <button
+            onClick={() => setActiveTab('elections')}
+            className={`px-4 py-3 text-sm font-medium ${
+              activeTab === 'elections'
+                ? 'border-b-2 border-indigo-500 text-indigo-600'
+                : 'text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            Elections
+          </button>
           <button
             onClick={() => setActiveTab('candidates')}
             className={`px-4 py-3 text-sm font-medium ${
@@ -217,6 +232,26 @@ const AdminDashboard = () => {
           >
             Candidate Management
           </button>
+          <button
+            onClick={() => setActiveTab('registrar')}
+            className={`px-4 py-3 text-sm font-medium ${
+              activeTab === 'registrar'
+                ? 'border-b-2 border-indigo-500 text-indigo-600'
+                : 'text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            Registrar
+          </button>
+          <button
+            onClick={() => setActiveTab('audit')}
+            className={`px-4 py-3 text-sm font-medium ${
+              activeTab === 'audit'
+                ? 'border-b-2 border-indigo-500 text-indigo-600'
+                : 'text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            Vote Audit
+          </button>
           <button
             onClick={() => setActiveTab('logs')}
             className={`px-4 py-3 text-sm font-medium ${
@@ -237,7 +272,7 @@ const AdminDashboard = () => {
           </div>
         )}
         
-        {isLoading && activeTab !== 'candidates' ? (
+        {isLoading && activeTab !== 'elections' && activeTab !== 'candidates' && activeTab !== 'registrar' && activeTab !== 'audit' ? (
           <div className="flex justify-center items-center h-64">
             <svg className="animate-spin h-10 w-10 text-primary-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
               <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
@@ -282,15 +317,110 @@ const AdminDashboard = () => {
                     </div>
                   </div>
                 </div>
+                
+                {systemStatus.zkp && (
+                  <div className={`mt-4 overflow-hidden shadow rounded-lg ${systemStatus.zkp.mode === 'real' && systemStatus.zkp.ready ? 'bg-white' : 'bg-yellow-50'}`}>
+                    <div className="px-4 py-5 sm:p-6">
+                      <h3 className="text-lg font-medium text-gray-900">ZKP Mode: {systemStatus.zkp.mode === 'mock' ? 'Mock' : 'Real'}</h3>
+                      <p className="mt-1 text-sm text-gray-600">
+                        {systemStatus.zkp.mode === 'mock'
+                          ? 'Mock proofs are accepted, ballots are not cryptographically verified. The server refuses to start in production in this mode.'
+                          : 'Only proofs that verify against the circuit verification keys are accepted.'}
+                      </p>
+                      {systemStatus.zkp.problems.length > 0 && (
+                        <ul className="mt-2 list-disc list-inside text-sm text-yellow-800">
+                          {systemStatus.zkp.problems.map((problem) => (
+                            <li key={problem}>{problem}</li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  </div>
+                )}
+                
+                {systemStatus.verificationPool && (
+                  <div className="mt-4 bg-white overflow-hidden shadow rounded-lg">
+                    <div className="px-4 py-5 sm:p-6">
+                      <h3 className="text-lg font-medium text-gray-900 mb-3">Proof Verification</h3>
+                      <div className="grid grid-cols-2 gap-5 sm:grid-cols-4 text-sm">
+                        <div>
+                          <p className="text-gray-500">Busy Workers</p>
+                          <p className="mt-1 text-xl font-semibold text-gray-900">{systemStatus.verificationPool.busyWorkers} / {systemStatus.verificationPool.poolSize}</p>
+                        </div>
+                        <div>
+                          <p className="text-gray-500">Queued Proofs</p>
+                          <p className="mt-1 text-xl font-semibold text-gray-900">{systemStatus.verificationPool.queueDepth} / {systemStatus.verificationPool.maxQueueSize}</p>
+                        </div>
+                        <div>
+                          <p className="text-gray-500">Latency (avg / p95)</p>
+                          <p className="mt-1 text-xl font-semibold text-gray-900">{systemStatus.verificationPool.latencyMs.average} / {systemStatus.verificationPool.latencyMs.p95} ms</p>
+                        </div>
+                        <div>
+                          <p className="text-gray-500">Rejected / Timed Out</p>
+                          <p className="mt-1 text-xl font-semibold text-gray-900">{systemStatus.verificationPool.rejected} / {systemStatus.verificationPool.timedOut}</p>
+                        </div>
+                      </div>
+                    </div>
+                  </div>
+                )}
+                
+                {systemStatus.verificationKeys && systemStatus.verificationKeys.length > 0 && (
+                  <div className="mt-4 bg-white overflow-hidden shadow rounded-lg">
+                    <div className="px-4 py-5 sm:p-6">
+                      <h3 className="text-lg font-medium text-gray-900 mb-3">Verification Keys</h3>
+                      <table className="min-w-full divide-y divide-gray-200 text-sm">
+                        <thead>
+                          <tr className="text-left text-gray-500">
+                            <th className="py-2 pr-4 font-medium">Circuit</th>
+                            <th className="py-2 pr-4 font-medium">Proving System</th>
+                            <th className="py-2 pr-4 font-medium">Status</th>
+                            <th className="py-2 font-medium">SHA-256</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                          {systemStatus.verificationKeys
+                            .filter((key) => key.status !== 'missing')
+                            .map((key) => (
+                              <tr key={`${key.circuit}@${key.version}/${key.protocol}`}>
+                                <td className="py-2 pr-4 text-gray-900">{key.circuit}@{key.version}</td>
+                                <td className="py-2 pr-4 text-gray-500">{key.protocol}</td>
+                                <td className={`py-2 pr-4 font-medium ${key.status === 'loaded' ? 'text-green-700' : 'text-red-700'}`}>{key.status}</td>
+                                <td className="py-2 text-gray-500 font-mono break-all">{key.sha256}</td>
+                              </tr>
+                            ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+            
+            {activeTab === 'elections' && (
+              <div className="mb-8">
+                <ElectionManager />
               </div>
             )}
             
             {activeTab === 'candidates' && (
               <div className="mb-8">
+                <AdminKeyEnrollment />
                 <CandidateManager />
               </div>
             )}
             
+            {activeTab === 'registrar' && (
+              <div className="mb-8">
+                <RegistrarPanel />
+              </div>
+            )}
+            
+            {activeTab === 'audit' && (
+              <div className="mb-8">
+                <VoteAuditPanel />
+              </div>
+            )}
+            
             {activeTab === 'logs' && (
               <div>
                 <div className="flex items-center justify-between mb-4">
@@ -1,115 +1,174 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { voteAPI, zkpUtils, authAPI, candidateAPI } from '../utils/api';
+import ProofProgress, { updateProofProgress } from '../components/ProofProgress';
+import { authAPI, electionAPI } from '../utils/api';
+import { generateVoteProof, generateRankedVoteProof, generateApprovalVoteProof } from '../utils/snarkjsHelper';
 
 const Dashboard = () => {
   const navigate = useNavigate();
+  const [elections, setElections] = useState([]);
+  const [loadingElections, setLoadingElections] = useState(true);
+  const [selectedElection, setSelectedElection] = useState(null);
   const [hasVoted, setHasVoted] = useState(false);
   const [statusMessage, setStatusMessage] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [candidates, setCandidates] = useState([]);
-  const [loadingCandidates, setLoadingCandidates] = useState(true);
+  const [ranking, setRanking] = useState([]);
+  const [approvals, setApprovals] = useState([]);
+  const [loadingCandidates, setLoadingCandidates] = useState(false);
+  const [proofProgress, setProofProgress] = useState(null);
+  const proofController = useRef(null);
 
-  // Check if user is authenticated and hasn't voted already
+  // Check if user is authenticated and fetch the elections open for voting
   useEffect(() => {
     if (!authAPI.isVoterAuthenticated()) {
       navigate('/');
       return;
     }
     
-    // Get user identifier
-    const userIdentifier = localStorage.getItem('voter_userIdentifier');
-    if (!userIdentifier) {
-      console.error('User identifier missing');
-      return;
-    }
-    
-    // Check if this specific user has already voted
-    const userVotedKey = `hasVoted_${userIdentifier}`;
-    const hasAlreadyVoted = localStorage.getItem(userVotedKey) === 'true';
-    
-    if (hasAlreadyVoted) {
-      setHasVoted(true);
-      setStatusMessage('You have already cast your vote in this election.');
-    }
-
-    // Fetch candidates from the API
-    const fetchCandidates = async () => {
-      setLoadingCandidates(true);
+    const fetchElections = async () => {
+      setLoadingElections(true);
       try {
-        const response = await candidateAPI.getCandidates();
-        if (response.success && response.data) {
-          setCandidates(response.data);
-        } else {
-          // If no candidates are found, show default candidates as fallback
-          setCandidates([
-            { candidateId: 'default-1', name: 'Candidate A', description: 'Policy focus: Economy' },
-            { candidateId: 'default-2', name: 'Candidate B', description: 'Policy focus: Healthcare' },
-            { candidateId: 'default-3', name: 'Candidate C', description: 'Policy focus: Education' },
-            { candidateId: 'default-4', name: 'Abstain', description: 'I choose not to vote' }
-          ]);
-        }
+        const response = await electionAPI.getElections(['open']);
+        setElections(response.data);
       } catch (error) {
-        console.error('Error fetching candidates:', error);
-        // Fallback to default candidates in case of error
-        setCandidates([
-          { candidateId: 'default-1', name: 'Candidate A', description: 'Policy focus: Economy' },
-          { candidateId: 'default-2', name: 'Candidate B', description: 'Policy focus: Healthcare' },
-          { candidateId: 'default-3', name: 'Candidate C', description: 'Policy focus: Education' },
-          { candidateId: 'default-4', name: 'Abstain', description: 'I choose not to vote' }
-        ]);
+        console.error('Error fetching elections:', error);
+        setStatusMessage(`Error: ${error.message || 'Failed to fetch the open elections'}`);
       } finally {
-        setLoadingCandidates(false);
+        setLoadingElections(false);
       }
     };
 
-    fetchCandidates();
+    fetchElections();
   }, [navigate]);
 
-  const handleVote = async (candidateName) => {
-    // Get user identifier
-    const userIdentifier = localStorage.getItem('voter_userIdentifier');
-    if (!userIdentifier) {
-      setStatusMessage('Error: User identifier missing. Please log in again.');
+  // Select an election and fetch its candidates
+  const handleSelectElection = async (election) => {
+    setSelectedElection(election);
+    setCandidates([]);
+    setRanking([]);
+    setApprovals([]);
+    
+    // Check if this specific user has already voted in this election
+    const hasAlreadyVoted = authAPI.hasVotedInElection(election.electionId);
+    setHasVoted(hasAlreadyVoted);
+    setStatusMessage(hasAlreadyVoted ? 'You have already cast your vote in this election.' : '');
+    
+    setLoadingCandidates(true);
+    try {
+      const response = await electionAPI.getCandidates(election.electionId);
+      setCandidates(response.data);
+      // Ranked ballots start in ballot order, the voter reorders them
+      setRanking(response.data);
+    } catch (error) {
+      console.error('Error fetching candidates:', error);
+      setStatusMessage(`Error: ${error.message || 'Failed to fetch the candidates'}`);
+    } finally {
+      setLoadingCandidates(false);
+    }
+  };
+
+  // Move a candidate up (-1) or down (+1) in the ranking
+  const handleMoveCandidate = (index, offset) => {
+    setRanking((current) => {
+      const reordered = [...current];
+      [reordered[index], reordered[index + offset]] = [reordered[index + offset], reordered[index]];
+      return reordered;
+    });
+  };
+
+  // Approve a candidate, or withdraw the approval; no more than the election allows
+  const handleToggleApproval = (candidateId) => {
+    setApprovals((current) => {
+      if (current.includes(candidateId)) {
+        return current.filter((approved) => approved !== candidateId);
+      }
+      return current.length < selectedElection.maxApprovals ? [...current, candidateId] : current;
+    });
+  };
+
+  // Each kind of ballot is proven with its own circuit
+  const proveBallot = (ballot, nullifierSecret, candidateSet, proofOptions) => {
+    const { electionId, provingSystem, ballotType, maxApprovals } = selectedElection;
+    if (ballotType === 'ranked') {
+      return generateRankedVoteProof(nullifierSecret, ballot.ranking, electionId, candidateSet, provingSystem, proofOptions);
+    }
+    if (ballotType === 'approval') {
+      return generateApprovalVoteProof(nullifierSecret, ballot.approvals, electionId, candidateSet, maxApprovals, provingSystem, proofOptions);
+    }
+    return generateVoteProof(nullifierSecret, ballot.choice, electionId, candidateSet, provingSystem, proofOptions);
+  };
+
+  // Cast a ballot: { choice } for single-choice elections, { ranking } for ranked elections,
+  // { approvals } for approval elections
+  const handleVote = async (ballot, recordedMessage) => {
+    const { electionId } = selectedElection;
+    const nullifierSecret = localStorage.getItem('voter_nullifierSecret');
+    if (!nullifierSecret || !authAPI.isLoggedInForElection(electionId)) {
+      setStatusMessage('Error: You are not logged in for this election. Please log in again.');
       return;
     }
     
-    const userVotedKey = `hasVoted_${userIdentifier}`;
-    
     // Prevent double voting for this specific user
-    if (hasVoted || localStorage.getItem(userVotedKey) === 'true') {
+    if (hasVoted || authAPI.hasVotedInElection(electionId)) {
       setStatusMessage('You have already cast your vote in this election.');
       setHasVoted(true);
       return;
     }
     
     setIsLoading(true);
-    setStatusMessage('Processing your vote...');
+    setStatusMessage('');
+    
+    // Progress and cancellation of the proof, which runs in the prover worker
+    proofController.current = new AbortController();
+    const proofOptions = {
+      onProgress: (event) => setProofProgress((progress) => updateProofProgress(progress, event)),
+      signal: proofController.current.signal,
+      // Prove with the circuit versions the election verifies against
+      circuitVersions: selectedElection.circuitVersions
+    };
     
     try {
-      // Generate a zk-SNARK proof for voting using the identifier and choice
-      const { zkProof } = await zkpUtils.generateVoteProof(userIdentifier, candidateName);
+      // The proof commits to the currently published ballot of the election
+      const { data: candidateSet } = await electionAPI.getCandidateSet(electionId);
+      
+      // Generate a zk-SNARK proof bound to our nullifier and the chosen candidate (ranking, approvals)
+      const { proof, publicSignals, protocol } = await proveBallot(ballot, nullifierSecret, candidateSet, proofOptions);
+      const zkProof = { proof, publicSignals, protocol };
       
-      // Cast the vote via API
-      const result = await voteAPI.castVote(candidateName, zkProof);
+      setProofProgress(null);
+      setStatusMessage('Submitting your vote...');
+      
+      // Cast the vote with the token issued for this election
+      const result = await electionAPI.castBallot(electionId, ballot, zkProof);
       
       // Mark as voted both in state and localStorage for this specific user
       setHasVoted(true);
-      localStorage.setItem(userVotedKey, 'true');
+      authAPI.markVotedInElection(electionId);
       
-      setStatusMessage(`Your vote for "${candidateName}" has been recorded anonymously.`);
+      setStatusMessage(recordedMessage);
       
       // If the vote was recorded on the blockchain, show the transaction hash
       if (result.transactionHash) {
         setStatusMessage(prev => `${prev} Transaction hash: ${result.transactionHash.substring(0, 10)}...`);
       }
     } catch (error) {
-      setStatusMessage(`Error: ${error.message || 'Failed to cast vote. Please try again.'}`);
+      if (error.name === 'AbortError') {
+        setStatusMessage('Vote cancelled. Nothing was submitted.');
+      } else {
+        setStatusMessage(`Error: ${error.message || 'Failed to cast vote. Please try again.'}`);
+      }
     } finally {
+      proofController.current = null;
+      setProofProgress(null);
       setIsLoading(false);
     }
   };
 
+  const handleCancelProof = () => {
+    proofController.current?.abort();
+  };
+
   const handleLogout = () => {
     authAPI.logoutVoter();
     navigate('/');
@@ -139,38 +198,167 @@ const Dashboard = () => {
             )}
             
             <div className="mb-6">
-              <h2 className="text-xl font-semibold mb-4">Current Election</h2>
+              <h2 className="text-xl font-semibold mb-4">Open Elections</h2>
               <p className="text-gray-600 mb-2">
                 You are authenticated anonymously. Your identity is protected while maintaining the integrity of the voting process.
               </p>
             </div>
             
-            {loadingCandidates ? (
+            {loadingElections ? (
+              <div className="flex justify-center items-center h-40">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-gray-900"></div>
+              </div>
+            ) : (
+              <div className="mb-6 grid grid-cols-1 gap-4 sm:grid-cols-2">
+                {elections.map(election => {
+                  const loggedIn = authAPI.isLoggedInForElection(election.electionId);
+                  const voted = authAPI.hasVotedInElection(election.electionId);
+                  const selected = selectedElection?.electionId === election.electionId;
+                  return (
+                    <button
+                      key={election.electionId}
+                      onClick={() => handleSelectElection(election)}
+                      disabled={isLoading || !loggedIn}
+                      className={`px-4 py-4 border rounded-md shadow-sm text-left focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 ${selected ? 'border-primary-500 bg-primary-100' : 'border-gray-300 hover:bg-gray-50'}`}
+                    >
+                      <span className="block text-lg font-medium text-gray-900">{election.name}</span>
+                      {election.description && (
+                        <span className="block mt-1 text-sm text-gray-500">{election.description}</span>
+                      )}
+                      {election.endTime && (
+                        <span className="block mt-1 text-xs text-gray-500">Closes {new Date(election.endTime).toLocaleString()}</span>
+                      )}
+                      <span className={`block mt-2 text-sm font-medium ${voted ? 'text-green-700' : loggedIn ? 'text-primary-600' : 'text-gray-500'}`}>
+                        {voted ? 'Vote recorded' : loggedIn ? 'Vote now' : 'Log in again to take part'}
+                      </span>
+                    </button>
+                  );
+                })}
+                
+                {elections.length === 0 && (
+                  <div className="col-span-2 p-6 text-center border border-yellow-300 bg-yellow-50 rounded-md">
+                    <p className="text-yellow-700">No election is open at the moment. Please come back later.</p>
+                  </div>
+                )}
+              </div>
+            )}
+            
+            {!selectedElection ? null : loadingCandidates ? (
               <div className="flex justify-center items-center h-40">
                 <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-gray-900"></div>
               </div>
             ) : !hasVoted ? (
               <div>
-                <h3 className="text-lg font-medium mb-3">Cast Your Vote</h3>
-                <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
-                  {candidates.map(candidate => (
+                <h3 className="text-lg font-medium mb-3">Cast Your Vote: {selectedElection.name}</h3>
+                {proofProgress && (
+                  <div className="mb-4">
+                    <ProofProgress progress={proofProgress} onCancel={handleCancelProof} />
+                  </div>
+                )}
+                {candidates.length === 0 ? (
+                  <div className="p-6 text-center border border-yellow-300 bg-yellow-50 rounded-md">
+                    <p className="text-yellow-700">No candidates available for this election. Please contact an administrator.</p>
+                  </div>
+                ) : selectedElection.ballotType === 'approval' ? (
+                  <div>
+                    <p className="mb-3 text-sm text-gray-600">
+                      Approve every candidate you support, up to {selectedElection.maxApprovals}, or none of them.
+                      Approved {approvals.length} of at most {selectedElection.maxApprovals}.
+                    </p>
+                    <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                      {candidates.map(candidate => {
+                        const approved = approvals.includes(candidate.candidateId);
+                        const atLimit = !approved && approvals.length >= selectedElection.maxApprovals;
+                        return (
+                          <label
+                            key={candidate.candidateId}
+                            className={`flex items-start px-4 py-4 border rounded-md shadow-sm ${approved ? 'border-primary-500 bg-primary-100' : 'border-gray-300'} ${atLimit ? 'opacity-50' : 'cursor-pointer hover:bg-gray-50'}`}
+                          >
+                            <input
+                              type="checkbox"
+                              checked={approved}
+                              onChange={() => handleToggleApproval(candidate.candidateId)}
+                              disabled={isLoading || atLimit}
+                              className="mt-1 h-4 w-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                            />
+                            <span className="ml-3">
+                              <span className="block text-lg font-medium text-gray-900">{candidate.name}</span>
+                              <span className="block mt-1 text-sm text-gray-500">{candidate.description}</span>
+                            </span>
+                          </label>
+                        );
+                      })}
+                    </div>
                     <button
-                      key={candidate.candidateId}
-                      onClick={() => handleVote(candidate.name)}
-                      className="px-4 py-6 border border-gray-300 rounded-md shadow-sm text-center hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+                      onClick={() => handleVote(
+                        { approvals },
+                        approvals.length === 0
+                          ? 'Your ballot approving no candidate has been recorded anonymously.'
+                          : `Your approval of ${approvals.length} candidate${approvals.length === 1 ? '' : 's'} has been recorded anonymously.`
+                      )}
                       disabled={isLoading}
+                      className="mt-4 px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50"
                     >
-                      <span className="block text-lg font-medium text-gray-900">{candidate.name}</span>
-                      <span className="block mt-1 text-sm text-gray-500">{candidate.description}</span>
+                      {approvals.length === 0 ? 'Submit Without Approvals' : 'Submit Approvals'}
                     </button>
-                  ))}
-                  
-                  {candidates.length === 0 && (
-                    <div className="col-span-2 p-6 text-center border border-yellow-300 bg-yellow-50 rounded-md">
-                      <p className="text-yellow-700">No candidates available for this election. Please contact an administrator.</p>
-                    </div>
-                  )}
-                </div>
+                  </div>
+                ) : selectedElection.ballotType === 'ranked' ? (
+                  <div>
+                    <p className="mb-3 text-sm text-gray-600">
+                      Order every candidate from your first to your last preference. If your first preference is
+                      eliminated, your vote moves to your next preference.
+                    </p>
+                    <ol className="space-y-2">
+                      {ranking.map((candidate, index) => (
+                        <li key={candidate.candidateId} className="flex items-center px-4 py-3 border border-gray-300 rounded-md shadow-sm bg-white">
+                          <span className="w-8 text-lg font-bold text-primary-600">{index + 1}</span>
+                          <span className="flex-1">
+                            <span className="block text-lg font-medium text-gray-900">{candidate.name}</span>
+                            <span className="block text-sm text-gray-500">{candidate.description}</span>
+                          </span>
+                          <button
+                            onClick={() => handleMoveCandidate(index, -1)}
+                            disabled={isLoading || index === 0}
+                            className="ml-2 px-3 py-1 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                          >
+                            Up
+                          </button>
+                          <button
+                            onClick={() => handleMoveCandidate(index, 1)}
+                            disabled={isLoading || index === ranking.length - 1}
+                            className="ml-2 px-3 py-1 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                          >
+                            Down
+                          </button>
+                        </li>
+                      ))}
+                    </ol>
+                    <button
+                      onClick={() => handleVote(
+                        { ranking: ranking.map((candidate) => candidate.candidateId) },
+                        `Your ranking (first preference "${ranking[0].name}") has been recorded anonymously.`
+                      )}
+                      disabled={isLoading}
+                      className="mt-4 px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50"
+                    >
+                      Submit Ranking
+                    </button>
+                  </div>
+                ) : (
+                  <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                    {candidates.map(candidate => (
+                      <button
+                        key={candidate.candidateId}
+                        onClick={() => handleVote({ choice: candidate.candidateId }, `Your vote for "${candidate.name}" has been recorded anonymously.`)}
+                        className="px-4 py-6 border border-gray-300 rounded-md shadow-sm text-center hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+                        disabled={isLoading}
+                      >
+                        <span className="block text-lg font-medium text-gray-900">{candidate.name}</span>
+                        <span className="block mt-1 text-sm text-gray-500">{candidate.description}</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
               </div>
             ) : (
               <div className="bg-green-50 p-6 rounded-md">
@@ -1,13 +1,19 @@
-import React, { useState } from 'react';
+import React, { useRef, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import LockIcon from '../components/LockIcon';
-import { authAPI, zkpUtils } from '../utils/api';
+import ProofProgress, { updateProofProgress } from '../components/ProofProgress';
+import { authAPI, electionAPI } from '../utils/api';
+import { computeIdentityCommitment, deriveNullifierSecret, generateAuthProof, generateCredentialAuthProof, getRegistryPath, loadVoterSecret, storeVoterSecret } from '../utils/snarkjsHelper';
 
 const Login = () => {
   const [identifier, setIdentifier] = useState('');
+  const [voterSecretInput, setVoterSecretInput] = useState('');
+  const [credential, setCredential] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const [notRegistered, setNotRegistered] = useState(false);
+  const [proofProgress, setProofProgress] = useState(null);
+  const proofController = useRef(null);
   const navigate = useNavigate();
 
   const handleSubmit = async (e) => {
@@ -18,31 +24,91 @@ const Login = () => {
       return;
     }
     
+    // The voter secret is stored in the browser used to register, elsewhere it has to be pasted
+    const voterSecret = voterSecretInput.trim() || (await loadVoterSecret(identifier));
+    if (!voterSecret) {
+      setError('No voter secret is stored in this browser for this identifier. Please enter the one shown at registration.');
+      return;
+    }
+    if (!/^[0-9]+$/.test(voterSecret)) {
+      setError('The voter secret must be a decimal number');
+      return;
+    }
+    
     setIsLoading(true);
     setError('');
     setNotRegistered(false);
     
+    // Progress and cancellation of the proof, which runs in the prover worker
+    proofController.current = new AbortController();
+    const proofOptions = {
+      onProgress: (event) => setProofProgress((progress) => updateProofProgress(progress, event)),
+      signal: proofController.current.signal
+    };
+    
     try {
-      // Generate a zk-SNARK proof for authentication
-      const { hashedIdentifier, zkProof } = await zkpUtils.generateAuthProof(identifier);
+      const identityCommitment = await computeIdentityCommitment(identifier, voterSecret);
+      
+      // Nullifiers are scoped to an election, so we log in once for every open election
+      const { data: elections } = await electionAPI.getElections(['open']);
+      if (elections.length === 0) {
+        setError('No election is open at the moment. Please come back later.');
+        return;
+      }
+      const nullifierSecret = await deriveNullifierSecret(voterSecret);
+      
+      if (credential.trim()) {
+        // Prove we hold a registrar-signed credential instead of a registry leaf
+        let parsedCredential;
+        try {
+          parsedCredential = JSON.parse(credential);
+        } catch (parseError) {
+          setError('The registrar credential is not valid JSON');
+          return;
+        }
+        
+        for (const election of elections) {
+          const zkProof = await generateCredentialAuthProof(identifier, voterSecret, parsedCredential, election.electionId, election.provingSystem, { ...proofOptions, circuitVersions: election.circuitVersions });
+          await authAPI.loginWithCredential(zkProof, identityCommitment, nullifierSecret);
+        }
+      } else {
+        // Find our leaf in the voter registry, without telling the server which leaf it is
+        const merklePath = await getRegistryPath(identityCommitment);
+        
+        for (const election of elections) {
+          // Generate a zk-SNARK proof of registry membership with the election's proving system
+          const zkProof = await generateAuthProof(identifier, voterSecret, merklePath, election.electionId, election.provingSystem, { ...proofOptions, circuitVersions: election.circuitVersions });
+          
+          // Authenticate with the backend
+          await authAPI.login(zkProof, identityCommitment, nullifierSecret);
+        }
+      }
       
-      // Authenticate with the backend
-      await authAPI.login(hashedIdentifier, zkProof);
+      // Keep a pasted voter secret so the next login from this browser does not need it
+      await storeVoterSecret(identifier, voterSecret);
       
       // Redirect to dashboard on success
       navigate('/dashboard');
     } catch (err) {
-      if (err.message?.includes('not registered') || err.message?.includes('not found')) {
+      if (err.name === 'AbortError') {
+        setError('Authentication cancelled.');
+      } else if (err.message?.includes('not registered') || err.message?.includes('not found')) {
         setNotRegistered(true);
         setError('You are not registered. Please register first.');
       } else {
         setError(err.message || 'Authentication failed. Please try again.');
       }
     } finally {
+      proofController.current = null;
+      setProofProgress(null);
       setIsLoading(false);
     }
   };
 
+  const handleCancelProof = () => {
+    proofController.current?.abort();
+  };
+
   const handleRegister = () => {
     navigate('/register');
   };
@@ -81,6 +147,41 @@ const Login = () => {
             </div>
           </div>
 
+          <div>
+            <label htmlFor="voterSecret" className="block text-sm font-medium text-gray-700">
+              Voter secret (if not registered in this browser)
+            </label>
+            <input
+              id="voterSecret"
+              name="voterSecret"
+              type="password"
+              autoComplete="off"
+              className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm font-mono"
+              placeholder="Paste the voter secret shown at registration"
+              value={voterSecretInput}
+              onChange={(e) => setVoterSecretInput(e.target.value)}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="credential" className="block text-sm font-medium text-gray-700">
+              Registrar credential (optional)
+            </label>
+            <textarea
+              id="credential"
+              name="credential"
+              rows={3}
+              className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm font-mono"
+              placeholder="Paste the credential issued by the registrar to log in with it"
+              value={credential}
+              onChange={(e) => setCredential(e.target.value)}
+            />
+          </div>
+
+          {proofProgress && (
+            <ProofProgress progress={proofProgress} onCancel={handleCancelProof} />
+          )}
+
           {error && (
             <div className="text-red-500 text-sm text-center">{error}</div>
           )}
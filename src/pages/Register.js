@@ -2,10 +2,13 @@ import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import LockIcon from '../components/LockIcon';
 import { authAPI } from '../utils/api';
-import { hashIdentifier } from '../utils/api';
+import { computeIdentityCommitment, generateVoterSecret, loadVoterSecret, storeVoterSecret } from '../utils/snarkjsHelper';
 
 const Register = () => {
   const [identifier, setIdentifier] = useState('');
+  const [credential, setCredential] = useState('');
+  const [pendingCommitment, setPendingCommitment] = useState('');
+  const [registeredSecret, setRegisteredSecret] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const navigate = useNavigate();
@@ -20,18 +23,32 @@ const Register = () => {
     
     setIsLoading(true);
     setError('');
+    setPendingCommitment('');
     
+    let identityCommitment;
     try {
-      // Generate a hashed identifier for registration
-      const hashedIdentifier = await hashIdentifier(identifier);
+      // The nullifier secret comes from a random voter secret, so the identifier alone cannot reveal our nullifiers
+      // A secret from an earlier attempt is reused so the commitment the registrar signs stays the same
+      const voterSecret = (await loadVoterSecret(identifier)) || generateVoterSecret();
+      await storeVoterSecret(identifier, voterSecret);
+      
+      // Commit to the identifier and voter secret for the voter registry
+      identityCommitment = await computeIdentityCommitment(identifier, voterSecret);
+      
+      // Registration may require a credential the registrar signed for this commitment
+      const parsedCredential = credential.trim() ? JSON.parse(credential) : undefined;
       
       // Register with the backend
-      await authAPI.registerVoter(hashedIdentifier);
+      await authAPI.registerVoter(identityCommitment, parsedCredential);
       
-      // Redirect to login page on success
+      // Show the voter secret on success, it is needed to log in from another browser
       setError('');
-      navigate('/login');
+      setRegisteredSecret(voterSecret);
     } catch (err) {
+      if (err.message?.includes('credential')) {
+        // The registrar needs the commitment (never the identifier) to issue a credential
+        setPendingCommitment(identityCommitment);
+      }
       setError(err.message || 'Registration failed. Please try again.');
     } finally {
       setIsLoading(false);
@@ -53,53 +70,92 @@ const Register = () => {
           </p>
         </div>
         
-        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
-          <div className="rounded-md shadow-sm -space-y-px">
+        {registeredSecret ? (
+          <div className="mt-8 space-y-6">
+            <div className="p-4 rounded-md bg-yellow-50 text-yellow-800 text-sm break-all">
+              <p className="mb-2">
+                Registration complete. Store your voter secret somewhere safe, it is needed with your identifier to log in from another browser.
+              </p>
+              <strong>Your voter secret:</strong> <span className="font-mono">{registeredSecret}</span>
+            </div>
+            <button
+              type="button"
+              onClick={() => navigate('/login')}
+              className="w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+            >
+              Continue to login
+            </button>
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            <div className="rounded-md shadow-sm -space-y-px">
+              <div>
+                <label htmlFor="identifier" className="sr-only">
+                  Identifier
+                </label>
+                <input
+                  id="identifier"
+                  name="identifier"
+                  type="text"
+                  required
+                  className="appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-t-md rounded-b-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 focus:z-10 sm:text-sm"
+                  placeholder="Create your identifier (will be hashed)"
+                  value={identifier}
+                  onChange={(e) => setIdentifier(e.target.value)}
+                />
+              </div>
+            </div>
+
             <div>
-              <label htmlFor="identifier" className="sr-only">
-                Identifier
+              <label htmlFor="credential" className="block text-sm font-medium text-gray-700">
+                Registrar credential (if required)
               </label>
-              <input
-                id="identifier"
-                name="identifier"
-                type="text"
-                required
-                className="appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-t-md rounded-b-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 focus:z-10 sm:text-sm"
-                placeholder="Create your identifier (will be hashed)"
-                value={identifier}
-                onChange={(e) => setIdentifier(e.target.value)}
+              <textarea
+                id="credential"
+                name="credential"
+                rows={3}
+                className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm font-mono"
+                placeholder="Paste the credential issued by the registrar"
+                value={credential}
+                onChange={(e) => setCredential(e.target.value)}
               />
             </div>
-          </div>
 
-          {error && (
-            <div className="text-red-500 text-sm text-center">{error}</div>
-          )}
+            {error && (
+              <div className="text-red-500 text-sm text-center">{error}</div>
+            )}
 
-          <div>
-            <button
-              type="submit"
-              className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
-              disabled={isLoading}
-            >
-              {isLoading ? (
-                <span className="absolute left-0 inset-y-0 flex items-center pl-3">
-                  <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
-                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
-                  </svg>
-                </span>
-              ) : (
-                <span className="absolute left-0 inset-y-0 flex items-center pl-3">
-                  <svg className="h-5 w-5 text-primary-300 group-hover:text-primary-400" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
-                    <path fillRule="evenodd" d="M5 9V7a5 5 0 0110 0v2a2 2 0 012 2v5a2 2 0 01-2 2H5a2 2 0 01-2-2v-5a2 2 0 012-2zm8-2v2H7V7a3 3 0 016 0z" clipRule="evenodd" />
-                  </svg>
-                </span>
-              )}
-              {isLoading ? 'Registering...' : 'Register'}
-            </button>
-          </div>
-        </form>
+            {pendingCommitment && (
+              <div className="text-sm text-gray-700 break-all">
+                Give this identity commitment to the registrar to get a credential: <span className="font-mono">{pendingCommitment}</span>
+              </div>
+            )}
+
+            <div>
+              <button
+                type="submit"
+                className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+                disabled={isLoading}
+              >
+                {isLoading ? (
+                  <span className="absolute left-0 inset-y-0 flex items-center pl-3">
+                    <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
+                    </svg>
+                  </span>
+                ) : (
+                  <span className="absolute left-0 inset-y-0 flex items-center pl-3">
+                    <svg className="h-5 w-5 text-primary-300 group-hover:text-primary-400" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+                      <path fillRule="evenodd" d="M5 9V7a5 5 0 0110 0v2a2 2 0 012 2v5a2 2 0 01-2 2H5a2 2 0 01-2-2v-5a2 2 0 012-2zm8-2v2H7V7a3 3 0 016 0z" clipRule="evenodd" />
+                    </svg>
+                  </span>
+                )}
+                {isLoading ? 'Registering...' : 'Register'}
+              </button>
+            </div>
+          </form>
+        )}
         
         <div className="mt-6">
           <div className="relative">
@@ -1,8 +1,11 @@
 import axios from 'axios';
 
+// Base URL of the backend API
+export const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
 // Create an Axios instance with default config
 const api = axios.create({
-  baseURL: process.env.REACT_APP_API_URL || 'http://localhost:5000/api',
+  baseURL: API_BASE_URL,
   headers: {
     'Content-Type': 'application/json',
   },
@@ -11,11 +14,17 @@ const api = axios.create({
 // Add a request interceptor to include the token in the headers if it exists
 api.interceptors.request.use(
   (config) => {
+    // Requests made with the voter token of a specific election keep it
+    if (config.headers.Authorization) {
+      return config;
+    }
+    
     // Check for admin token first (admin paths take priority)
     if (config.url.includes('/admin') || 
         config.url.includes('/candidates/admin') || 
         config.url.includes('/system-status') ||
-        config.url.includes('/candidates')) {
+        config.url.includes('/candidates') ||
+        config.url.includes('/registrar')) {
       const adminToken = localStorage.getItem('admin_authToken');
       if (adminToken) {
         config.headers.Authorization = `Bearer ${adminToken}`;
@@ -34,44 +43,141 @@ api.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
+// Voter tokens are issued per election, keyed by election ID
+const getElectionSessions = () => JSON.parse(localStorage.getItem('voter_elections') || '{}');
+
+// Authorization header with the voter token issued for an election
+const electionAuthHeaders = (electionId) => {
+  const session = getElectionSessions()[electionId];
+  if (!session) {
+    throw new Error('You are not logged in for this election. Please log in again.');
+  }
+  return { Authorization: `Bearer ${session.token}` };
+};
+
+// Store the voter session after a successful login
+const storeVoterSession = (token, zkProof, identityCommitment, nullifierSecret) => {
+  // Keep the token of every election logged in for
+  if (zkProof.electionId) {
+    localStorage.setItem('voter_elections', JSON.stringify({
+      ...getElectionSessions(),
+      [zkProof.electionId]: { token, nullifierHash: zkProof.nullifierHash }
+    }));
+  }
+  
+  // Store the voter auth token with a voter-specific key
+  localStorage.setItem('voter_authToken', token);
+  
+  // Store user identifier (consistent for each user)
+  localStorage.setItem('voter_userIdentifier', identityCommitment);
+  
+  // Store nullifier hash from the proof to prevent double voting
+  if (zkProof.nullifierHash) {
+    localStorage.setItem('voter_nullifierHash', zkProof.nullifierHash);
+  }
+  
+  // Store the election the token was issued for
+  if (zkProof.electionId) {
+    localStorage.setItem('voter_electionId', zkProof.electionId);
+  }
+  
+  // Vote proofs must use the same proving system as the login proof
+  if (zkProof.protocol) {
+    localStorage.setItem('voter_provingSystem', zkProof.protocol);
+  }
+  
+  // Vote proofs must reproduce the nullifier this token was issued for
+  localStorage.setItem('voter_nullifierSecret', nullifierSecret);
+  
+  // Check if user has already voted (using the consistent identifier)
+  const userVotedKey = `hasVoted_${identityCommitment}`;
+  const hasVoted = localStorage.getItem(userVotedKey) === 'true';
+  
+  // Update global voting status for backward compatibility
+  if (hasVoted) {
+    localStorage.setItem('voter_hasVoted', 'true');
+  } else {
+    localStorage.removeItem('voter_hasVoted');
+  }
+};
+
 // Authentication API calls
 export const authAPI = {
-  // Register a new voter with a hashed identifier
-  registerVoter: async (hashedIdentifier) => {
+  // Register a new voter with the Poseidon commitment of their identifier
+  // A registrar credential is only needed when the server requires one
+  registerVoter: async (identityCommitment, credential) => {
     try {
-      const response = await api.post('/auth/register', { hashedIdentifier });
+      const response = await api.post('/auth/register', { identityCommitment, credential });
       return response.data;
     } catch (error) {
       throw error.response?.data || error.message;
     }
   },
 
-  // Login as voter with zk-SNARK proof
-  login: async (hashedIdentifier, zkProof) => {
+  // Get the current root of the voter registry tree
+  getRegistryRoot: async () => {
     try {
-      const response = await api.post('/auth/login', { hashedIdentifier, zkProof });
-      if (response.data.token) {
-        // Store the voter auth token with a voter-specific key
-        localStorage.setItem('voter_authToken', response.data.token);
-        
-        // Store user identifier (consistent for each user)
-        localStorage.setItem('voter_userIdentifier', hashedIdentifier);
-        
-        // Store nullifier hash from the proof to prevent double voting
-        if (zkProof.nullifierHash) {
-          localStorage.setItem('voter_nullifierHash', zkProof.nullifierHash);
+      const response = await api.get('/auth/registry/root');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  // Get the Merkle authentication path for a registered identity commitment
+  // The lookup tells the server which voter is about to log in, Login uses getRegistryLeaves instead
+  getAuthenticationPath: async (identityCommitment) => {
+    try {
+      const response = await api.get(`/auth/registry/path/${identityCommitment}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  // Get the leaves of the voter registry from a leaf index on, the authentication path is computed
+  // locally from them (see getRegistryPath), so the server cannot tell which voter is about to log in
+  getRegistryLeaves: async (from = 0) => {
+    try {
+      const response = await api.get('/auth/registry/leaves', { params: { from } });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  // Login as voter with a zk-SNARK registry membership proof
+  // The identity commitment is only kept locally, neither the proof nor the path lookup sends it
+  login: async (zkProof, identityCommitment, nullifierSecret) => {
+    try {
+      const response = await api.post('/auth/login', {
+        zkProof: {
+          proof: zkProof.proof,
+          publicSignals: zkProof.publicSignals,
+          protocol: zkProof.protocol
         }
-        
-        // Check if user has already voted (using the consistent identifier)
-        const userVotedKey = `hasVoted_${hashedIdentifier}`;
-        const hasVoted = localStorage.getItem(userVotedKey) === 'true';
-        
-        // Update global voting status for backward compatibility
-        if (hasVoted) {
-          localStorage.setItem('voter_hasVoted', 'true');
-        } else {
-          localStorage.removeItem('voter_hasVoted');
+      });
+      if (response.data.token) {
+        storeVoterSession(response.data.token, zkProof, identityCommitment, nullifierSecret);
+      }
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  // Login as voter with a zk-SNARK proof of a registrar-signed credential
+  loginWithCredential: async (zkProof, identityCommitment, nullifierSecret) => {
+    try {
+      const response = await api.post('/auth/login/credential', {
+        zkProof: {
+          proof: zkProof.proof,
+          publicSignals: zkProof.publicSignals,
+          protocol: zkProof.protocol
         }
+      });
+      if (response.data.token) {
+        storeVoterSession(response.data.token, zkProof, identityCommitment, nullifierSecret);
       }
       return response.data;
     } catch (error) {
@@ -98,6 +204,10 @@ export const authAPI = {
     localStorage.removeItem('voter_authToken');
     localStorage.removeItem('voter_hasVoted');
     localStorage.removeItem('voter_nullifierHash');
+    localStorage.removeItem('voter_electionId');
+    localStorage.removeItem('voter_provingSystem');
+    localStorage.removeItem('voter_nullifierSecret');
+    localStorage.removeItem('voter_elections');
     // Don't remove the user-specific voting records to maintain history
   },
 
@@ -125,37 +235,28 @@ export const authAPI = {
     
     const userVotedKey = `hasVoted_${userIdentifier}`;
     return localStorage.getItem(userVotedKey) === 'true';
-  }
-};
+  },
 
-// Voting API calls
-export const voteAPI = {
-  // Cast a vote
-  castVote: async (choice, zkProof) => {
-    try {
-      // Get the nullifier hash from localStorage or from the proof
-      const nullifierHash = localStorage.getItem('voter_nullifierHash') || zkProof.nullifierHash;
-      
-      const response = await api.post('/vote/cast', { 
-        choice, 
-        zkProof,
-        nullifierHash // Include the nullifier hash to prevent double voting
-      });
-      return response.data;
-    } catch (error) {
-      throw error.response?.data || error.message;
-    }
+  // Check if the voter holds a token for an election
+  isLoggedInForElection: (electionId) => {
+    return Boolean(getElectionSessions()[electionId]);
   },
 
-  // Get voting statistics (admin only)
-  getVotingStats: async () => {
-    try {
-      const response = await api.get('/vote/stats');
-      return response.data;
-    } catch (error) {
-      throw error.response?.data || error.message;
-    }
+  // Check if current user has voted in an election
+  hasVotedInElection: (electionId) => {
+    const userIdentifier = localStorage.getItem('voter_userIdentifier');
+    if (!userIdentifier) return false;
+    
+    return localStorage.getItem(`hasVoted_${userIdentifier}_${electionId}`) === 'true';
   },
+
+  // Remember that current user has voted in an election
+  markVotedInElection: (electionId) => {
+    const userIdentifier = localStorage.getItem('voter_userIdentifier');
+    if (userIdentifier) {
+      localStorage.setItem(`hasVoted_${userIdentifier}_${electionId}`, 'true');
+    }
+  }
 };
 
 // Candidate API calls
@@ -170,23 +271,35 @@ export const candidateAPI = {
     }
   },
   
-  // Get all candidates including inactive ones (for admin)
-  getAllCandidatesAdmin: async () => {
+  // Get the published commitment of the active candidate set (for vote proofs)
+  getCandidateSet: async () => {
+    try {
+      const response = await api.get('/candidates/commitment');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+  
+  // Get all candidates including inactive ones (for admin), optionally of one election
+  getAllCandidatesAdmin: async (electionId = null) => {
     try {
-      const response = await api.get('/candidates/admin');
+      const params = electionId ? { electionId } : {};
+      const response = await api.get('/candidates/admin', { params });
       return response.data;
     } catch (error) {
       throw error.response?.data || error.message;
     }
   },
 
-  // Add a new candidate (admin only)
-  addCandidate: async (name, description, zkProof, isActive = true) => {
+  // Add a new candidate to an election (admin only)
+  addCandidate: async (name, description, zkProof, isActive = true, electionId = undefined) => {
     try {
       const response = await api.post('/candidates', {
         name,
         description,
         isActive,
+        electionId,
         zkProof
       });
       return response.data;
@@ -221,6 +334,94 @@ export const candidateAPI = {
   }
 };
 
+// Election API calls
+export const electionAPI = {
+  // Get all elections, optionally only those in the given states
+  getElections: async (statuses = []) => {
+    try {
+      const params = statuses.length > 0 ? { status: statuses.join(',') } : {};
+      const response = await api.get('/elections', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  // Create a draft election (admin only)
+  createElection: async (election, zkProof) => {
+    try {
+      const response = await api.post('/elections', { ...election, zkProof });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  // Move an election to another state (admin only)
+  transitionElection: async (electionId, status, zkProof, schedule = {}) => {
+    try {
+      const response = await api.post(`/elections/${electionId}/transition`, { status, ...schedule, zkProof });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  // Get the active candidates of an election
+  getCandidates: async (electionId) => {
+    try {
+      const response = await api.get(`/elections/${electionId}/candidates`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  // Get the published commitment of an election's candidate set (for vote proofs)
+  getCandidateSet: async (electionId) => {
+    try {
+      const response = await api.get(`/elections/${electionId}/candidates/commitment`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  // Cast a vote in an election with the voter token issued for it
+  // The ballot is { choice } for single-choice elections, { ranking } for ranked elections,
+  // { approvals } for approval elections
+  castBallot: async (electionId, ballot, zkProof) => {
+    try {
+      const response = await api.post(`/elections/${electionId}/ballots`, { ...ballot, zkProof }, {
+        headers: electionAuthHeaders(electionId)
+      });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  // Get the voting statistics of an election (admin only)
+  getVotingStats: async (electionId) => {
+    try {
+      const response = await api.get(`/elections/${electionId}/stats`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  // Get the tally of an election, with the instant-runoff rounds of ranked elections (admin only)
+  getTally: async (electionId) => {
+    try {
+      const response = await api.get(`/elections/${electionId}/tally`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  }
+};
+
 // Admin API calls
 export const adminAPI = {
   // Get system logs with filtering and pagination
@@ -260,136 +461,68 @@ export const adminAPI = {
       throw error.response?.data || error.message;
     }
   },
-};
 
-// ZKP utility functions
-export const zkpUtils = {
-  // Generate a proof for authentication
-  generateAuthProof: async (identifier) => {
+  // Get the enrollment status of the admin key
+  getAdminKey: async () => {
     try {
-      // Hash the identifier first (using a secure algorithm)
-      const hashedIdentifier = await hashIdentifier(identifier);
-      
-      // In a real ZKP system, we would use a zkSNARK library like snarkjs
-      // Here we'll use crypto APIs to create a more realistic simulation
-      
-      // Create a nullifier hash based on the user's identifier and a random salt
-      const salt = crypto.getRandomValues(new Uint8Array(16));
-      const nullifierInput = new TextEncoder().encode(`${hashedIdentifier}-${Array.from(salt).join('')}`);
-      const nullifierBuffer = await crypto.subtle.digest('SHA-256', nullifierInput);
-      const nullifierHash = bufferToHex(nullifierBuffer);
-      
-      // Generate a simulated proof (signature) of the hashedIdentifier
-      // This is a simplified simulation - real ZK proofs would use specialized cryptography
-      const proofInput = new TextEncoder().encode(hashedIdentifier);
-      const proofBuffer = await crypto.subtle.digest('SHA-256', proofInput);
-      const proofA = bufferToHex(proofBuffer).slice(0, 16);
-      const proofB = bufferToHex(proofBuffer).slice(16, 32);
-      const proofC = bufferToHex(proofBuffer).slice(32, 48);
-      
-      // In a real implementation, these would be specialized mathematical structures
-      const mockProof = {
-        proof: {
-          pi_a: [proofA, proofB],
-          pi_b: [[proofA.slice(0, 8), proofB.slice(0, 8)], [proofA.slice(8), proofB.slice(8)]],
-          pi_c: [proofC, proofC.split('').reverse().join('')]
-        },
-        publicSignals: [hashedIdentifier, nullifierHash],
-        nullifierHash
-      };
-      
-      return {
-        hashedIdentifier,
-        zkProof: mockProof
-      };
+      const response = await api.get('/admin/key');
+      return response.data;
     } catch (error) {
-      throw new Error(`Failed to generate auth proof: ${error.message}`);
+      throw error.response?.data || error.message;
     }
   },
-  
-  // Generate a proof for voting
-  generateVoteProof: async (identifier, choice) => {
+
+  // Enroll the admin key (only its commitment leaves the browser)
+  enrollAdminKey: async (commitment) => {
     try {
-      const hashedIdentifier = await hashIdentifier(identifier);
-      
-      // Create a deterministic nullifier hash based on the user's identifier
-      // In a real ZKP system, this would be derived from a private input
-      const nullifierInput = new TextEncoder().encode(`nullifier-${hashedIdentifier}`);
-      const nullifierBuffer = await crypto.subtle.digest('SHA-256', nullifierInput);
-      const nullifierHash = bufferToHex(nullifierBuffer);
-      
-      // Create a hash of the vote choice
-      const choiceInput = new TextEncoder().encode(choice);
-      const choiceBuffer = await crypto.subtle.digest('SHA-256', choiceInput);
-      const choiceHash = bufferToHex(choiceBuffer);
-      
-      // Generate simulated proof components
-      const proofSeed = new TextEncoder().encode(`${nullifierHash}:${choiceHash}`);
-      const proofBuffer = await crypto.subtle.digest('SHA-256', proofSeed);
-      const proofHex = bufferToHex(proofBuffer);
-      
-      const mockProof = {
-        proof: {
-          pi_a: [proofHex.slice(0, 16), proofHex.slice(16, 32)],
-          pi_b: [[proofHex.slice(0, 8), proofHex.slice(8, 16)], [proofHex.slice(16, 24), proofHex.slice(24, 32)]],
-          pi_c: [proofHex.slice(32, 48), proofHex.slice(48, 64)],
-        },
-        publicSignals: [nullifierHash, choiceHash],
-      };
-      
-      return {
-        nullifierHash,
-        choiceHash,
-        zkProof: mockProof
-      };
+      const response = await api.post('/admin/key', { commitment });
+      return response.data;
     } catch (error) {
-      throw new Error(`Failed to generate vote proof: ${error.message}`);
+      throw error.response?.data || error.message;
     }
   },
 
-  // Generate a proof for admin actions
-  generateAdminActionProof: async (adminKey, actionData) => {
-    try {
-      // Create a nonce for this specific action (timestamp + random bytes)
-      const randomBytes = crypto.getRandomValues(new Uint8Array(8));
-      const actionNonce = Date.now().toString() + Array.from(randomBytes).join('');
-      
-      // Create an action hash by hashing the action data with the nonce
-      const actionString = JSON.stringify(actionData);
-      const actionInput = new TextEncoder().encode(`${actionString}-${actionNonce}`);
-      const actionBuffer = await crypto.subtle.digest('SHA-256', actionInput);
-      const actionHash = bufferToHex(actionBuffer);
-      
-      // Create an admin proof by hashing the admin key
-      // In a real system, this would be a ZK proof that the admin has authorization
-      const adminInput = new TextEncoder().encode(adminKey);
-      const adminBuffer = await crypto.subtle.digest('SHA-256', adminInput);
-      const adminProof = bufferToHex(adminBuffer);
-      
-      // Generate the proof components from a combination of admin proof and action
-      const proofSeed = new TextEncoder().encode(`${adminProof}:${actionHash}`);
-      const proofBuffer = await crypto.subtle.digest('SHA-256', proofSeed);
-      const proofHex = bufferToHex(proofBuffer);
-      
-      const mockProof = {
-        proof: {
-          pi_a: [proofHex.slice(0, 16), proofHex.slice(16, 32)],
-          pi_b: [[proofHex.slice(0, 8), proofHex.slice(8, 16)], [proofHex.slice(16, 24), proofHex.slice(24, 32)]],
-          pi_c: [proofHex.slice(32, 48), proofHex.slice(48, 64)],
-        },
-        publicSignals: [adminProof, actionHash],
-        actionNonce
-      };
-      
-      return {
-        adminProof,
-        actionHash,
-        zkProof: mockProof
-      };
-    } catch (error) {
-      throw new Error(`Failed to generate admin action proof: ${error.message}`);
+  // Re-verify every stored vote proof; the audit streams NDJSON, so it uses fetch instead of axios
+  // onEvent receives each event as it arrives, the final report is also returned
+  auditVotes: async (onEvent, electionId = null) => {
+    const query = electionId ? `?electionId=${encodeURIComponent(electionId)}` : '';
+    const response = await fetch(`${api.defaults.baseURL}/admin/audit/votes${query}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('admin_authToken')}`
+      }
+    });
+
+    if (!response.ok) {
+      throw await response.json().catch(() => response.statusText);
     }
-  }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffered = '';
+    let report = null;
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+
+      buffered += decoder.decode(value, { stream: true });
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+
+      for (const line of lines.filter(Boolean)) {
+        const event = JSON.parse(line);
+        if (event.type === 'report') {
+          report = event;
+        }
+        onEvent(event);
+      }
+    }
+
+    return report;
+  },
 };
 
 // Helper function to convert buffer to hex string
@@ -399,6 +532,62 @@ const bufferToHex = (buffer) => {
     .join('');
 };
 
+// Circuit API calls
+export const circuitAPI = {
+  // Get the ZKP mode of the server and the manifest of every circuit version
+  getManifest: async () => {
+    try {
+      const response = await api.get('/circuits/manifest');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  }
+};
+
+// Registrar API calls
+export const registrarAPI = {
+  // Get the registrar public keys whose credentials are accepted
+  getKeys: async () => {
+    try {
+      const response = await api.get('/registrar/keys');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  // Generate a new registrar signing key
+  createKey: async () => {
+    try {
+      const response = await api.post('/registrar/keys');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  // Revoke a registrar key
+  revokeKey: async (keyId) => {
+    try {
+      const response = await api.delete(`/registrar/keys/${keyId}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  },
+
+  // Sign a voter's identity commitment
+  issueCredential: async (identityCommitment) => {
+    try {
+      const response = await api.post('/registrar/credentials', { identityCommitment });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error.message;
+    }
+  }
+};
+
 // Helper function to hash a string securely
 export const hashString = async (str) => {
   try {
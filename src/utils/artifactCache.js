@@ -0,0 +1,76 @@
+/**
+ * IndexedDB cache of circuit artifacts (wasm and zkey files)
+ * Artifacts are keyed by the SHA-256 the circuit manifest lists for them, so a recompiled
+ * circuit is downloaded again and the stale copy is dropped. Works in the page and in workers.
+ */
+
+const DB_NAME = 'zk-circuit-artifacts';
+const DB_VERSION = 1;
+const STORE_NAME = 'artifacts';
+
+let dbPromise;
+
+// Wrap an IndexedDB request in a promise
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      // One record per artifact hash, indexed by the artifact's path in the manifest
+      const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'sha256' });
+      store.createIndex('path', 'path');
+    };
+    dbPromise = requestToPromise(request).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Get a cached artifact
+ * @param {string} sha256 - SHA-256 of the artifact, from the circuit manifest
+ * @returns {Promise<Uint8Array|null>} The artifact bytes, or null if they are not cached
+ */
+export const getCachedArtifact = async (sha256) => {
+  try {
+    const db = await openDatabase();
+    const record = await requestToPromise(db.transaction(STORE_NAME).objectStore(STORE_NAME).get(sha256));
+    return record ? new Uint8Array(record.data) : null;
+  } catch (error) {
+    // Private browsing and some embedded browsers have no IndexedDB, proving still works without the cache
+    console.warn('Circuit artifact cache is unavailable:', error);
+    return null;
+  }
+};
+
+/**
+ * Cache an artifact, replacing older versions of the same file
+ * @param {string} sha256 - SHA-256 of the artifact, from the circuit manifest
+ * @param {string} path - Path of the artifact in the manifest
+ * @param {Uint8Array} data - The artifact bytes
+ */
+export const cacheArtifact = async (sha256, path, data) => {
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+
+    const staleKeys = await requestToPromise(store.index('path').getAllKeys(path));
+    staleKeys.filter((key) => key !== sha256).forEach((key) => store.delete(key));
+    store.put({ sha256, path, data, cachedAt: Date.now() });
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } catch (error) {
+    console.warn('Failed to cache circuit artifact:', error);
+  }
+};
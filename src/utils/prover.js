@@ -0,0 +1,127 @@
+/**
+ * Runs proofs in a Web Worker (workers/proverWorker.js) so the UI stays responsive
+ * The artifacts are taken from the circuit manifest, which pins the SHA-256 the worker
+ * checks and caches them under.
+ */
+import { API_BASE_URL, circuitAPI } from './api';
+
+// Proof stages reported through onProgress, in order
+export const PROOF_STAGES = ['download', 'witness', 'prove'];
+
+let worker = null;
+let nextJobId = 1;
+const jobs = new Map();
+
+const createAbortError = () => {
+  const error = new Error('Proof generation was cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('../workers/proverWorker.js', import.meta.url));
+
+    worker.onmessage = ({ data }) => {
+      const job = jobs.get(data.id);
+      if (!job) {
+        return;
+      }
+
+      if (data.type === 'progress') {
+        job.onProgress(data);
+        return;
+      }
+
+      jobs.delete(data.id);
+      job.cleanup();
+      if (data.type === 'result') {
+        job.resolve({ proof: data.proof, publicSignals: data.publicSignals });
+      } else {
+        job.reject(new Error(data.message));
+      }
+    };
+
+    worker.onerror = (event) => {
+      event.preventDefault();
+      failAllJobs(new Error(event.message || 'The prover worker crashed'));
+    };
+  }
+  return worker;
+};
+
+// Stop the worker and fail every job it was running; the next proof starts a new worker
+const failAllJobs = (error) => {
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+  jobs.forEach((job) => {
+    job.cleanup();
+    job.reject(error);
+  });
+  jobs.clear();
+};
+
+/**
+ * Find the artifacts of the circuit version the election verifies against
+ * @param {string} circuitName - Circuit name in the registry
+ * @param {string} protocol - Proving system
+ * @param {string} version - Version pinned for the election, the current version if it has none yet
+ * @returns {Promise<Object>} Manifest artifacts ({ wasm, zkey }) with absolute URLs
+ */
+const getArtifacts = async (circuitName, protocol, version) => {
+  const { data: manifest } = await circuitAPI.getManifest();
+  const entry = manifest.circuits.find((circuit) =>
+    circuit.name === circuitName && circuit.protocol === protocol && (version ? circuit.version === version : circuit.current));
+  if (!entry) {
+    throw new Error(`The server has no ${protocol} ${circuitName} circuit${version ? ` of version ${version}` : ''}`);
+  }
+
+  // Manifest URLs are absolute paths on the API server
+  const apiUrl = new URL(API_BASE_URL, window.location.href);
+  const { wasm, zkey } = entry.artifacts;
+  return {
+    wasm: { ...wasm, url: new URL(wasm.url, apiUrl).href },
+    zkey: { ...zkey, url: new URL(zkey.url, apiUrl).href }
+  };
+};
+
+/**
+ * Generate a proof in the prover worker
+ * Only one proof runs at a time in practice; cancelling one terminates the worker,
+ * since witness computation and proving cannot be interrupted
+ * @param {string} circuitName - Circuit name in the registry (auth, authCredential, vote, rankedVote, approvalVote or admin)
+ * @param {Object} input - Circuit input
+ * @param {string} protocol - Proving system (groth16, plonk or fflonk)
+ * @param {Object} options - Proof options
+ * @param {Function} options.onProgress - Called with { stage, artifact, loaded, total } events
+ * @param {AbortSignal} options.signal - Cancels the proof when aborted
+ * @param {Object} options.circuitVersions - Circuit versions pinned for the election (see GET /api/elections)
+ * @returns {Promise<Object>} { proof, publicSignals }
+ */
+export const proveInWorker = async (circuitName, input, protocol, { onProgress = () => {}, signal, circuitVersions = {} } = {}) => {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+
+  const artifacts = await getArtifacts(circuitName, protocol, circuitVersions[circuitName]);
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = nextJobId++;
+    const onAbort = () => failAllJobs(createAbortError());
+
+    jobs.set(id, {
+      resolve,
+      reject,
+      onProgress,
+      cleanup: () => signal?.removeEventListener('abort', onAbort)
+    });
+    signal?.addEventListener('abort', onAbort);
+
+    getWorker().postMessage({ id, circuitName, protocol, input, artifacts });
+  });
+};
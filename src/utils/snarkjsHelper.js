@@ -1,8 +1,13 @@
 /**
  * Utility for working with snarkjs in the browser
- * This file helps the frontend generate real ZK-SNARK proofs
+ * This file helps the frontend generate real ZK-SNARK proofs; the proving itself runs in
+ * a Web Worker (see prover.js)
  */
-import * as snarkjs from 'snarkjs';
+import { buildPoseidon, buildEddsa } from 'circomlibjs';
+import { createFieldEncoder } from './fieldEncoding';
+import { createMockProver } from './mockProof';
+import { proveInWorker } from './prover';
+import { authAPI, circuitAPI } from './api';
 
 // Helper function to convert a buffer to a hex string
 export const bufferToHex = (buffer) => {
@@ -18,224 +23,534 @@ export const hashString = async (str) => {
   return bufferToHex(hashBuffer);
 };
 
-// Fetch circuit artifacts from the server
-async function fetchCircuitArtifacts(circuitName) {
+// The field encoder (and Poseidon) is built once and shared by every hash computation
+let encoderPromise;
+export const getFieldEncoder = () => {
+  if (!encoderPromise) {
+    encoderPromise = buildPoseidon().then(createFieldEncoder);
+  }
+  return encoderPromise;
+};
+
+/**
+ * Compute a Poseidon hash with the same parameters as the circuits
+ * @param {Array<string|bigint>} inputs - Field elements to hash
+ * @returns {Promise<string>} The hash as a decimal field element
+ */
+export const poseidonHash = async (inputs) => {
+  const encoder = await getFieldEncoder();
+  return encoder.hash(inputs);
+};
+
+/**
+ * Map a free-form identifier to a field element
+ * @param {string} identifier - The voter's identifier
+ * @returns {Promise<string>} The identifier as a decimal field element
+ */
+export const identifierToField = async (identifier) => {
+  const encoder = await getFieldEncoder();
+  return encoder.encodeString(identifier);
+};
+
+/**
+ * Generate a new random voter secret
+ * 31 random bytes always fit in the BN254 field
+ * @returns {string} The voter secret as a decimal field element
+ */
+export const generateVoterSecret = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(31));
+  return BigInt(`0x${bufferToHex(bytes)}`).toString();
+};
+
+// Voter secrets are kept in this browser under a hash of the identifier, never the identifier itself
+const voterSecretStorageKey = async (identifier) => `voter_secret:${await hashString(identifier)}`;
+
+/**
+ * Look up the voter secret this browser stored for an identifier
+ * @param {string} identifier - The voter's identifier
+ * @returns {Promise<string|null>} The voter secret, or null if it is not stored here
+ */
+export const loadVoterSecret = async (identifier) => {
+  return localStorage.getItem(await voterSecretStorageKey(identifier));
+};
+
+/**
+ * Keep the voter secret for an identifier in this browser
+ * @param {string} identifier - The voter's identifier
+ * @param {string} voterSecret - The voter secret as a decimal field element
+ */
+export const storeVoterSecret = async (identifier, voterSecret) => {
+  localStorage.setItem(await voterSecretStorageKey(identifier), voterSecret);
+};
+
+/**
+ * Derive the voter's nullifier secret from their random voter secret
+ * It cannot be recomputed from the identifier, so guessing an identifier does not reveal its nullifiers
+ * @param {string} voterSecret - The voter secret (see generateVoterSecret)
+ * @returns {Promise<string>} The nullifier secret as a decimal field element
+ */
+export const deriveNullifierSecret = async (voterSecret) => {
+  return poseidonHash([voterSecret]);
+};
+
+/**
+ * Compute the identity commitment that is stored in the voter registry
+ * @param {string} identifier - The voter's identifier
+ * @param {string} voterSecret - The voter secret (see generateVoterSecret)
+ * @returns {Promise<string>} Poseidon commitment of the identifier and nullifier secret
+ */
+export const computeIdentityCommitment = async (identifier, voterSecret) => {
+  return poseidonHash([
+    await identifierToField(identifier),
+    await deriveNullifierSecret(voterSecret)
+  ]);
+};
+
+/**
+ * Compute the election-scoped nullifier hash, as the auth and vote circuits do
+ * @param {string} voterSecret - The voter secret (see generateVoterSecret)
+ * @param {string} electionId - Election the nullifier is scoped to
+ * @returns {Promise<string>} The nullifier hash
+ */
+export const computeNullifierHash = async (voterSecret, electionId) => {
+  return poseidonHash([await deriveNullifierSecret(voterSecret), electionId]);
+};
+
+// The registry tree is kept between logins, so a login only hashes the leaves registered since
+const REGISTRY_TREE_KEY = 'voter_registry_tree';
+
+const loadRegistryTree = () => {
+  try {
+    return JSON.parse(localStorage.getItem(REGISTRY_TREE_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+const storeRegistryTree = (tree) => {
+  try {
+    localStorage.setItem(REGISTRY_TREE_KEY, JSON.stringify(tree));
+  } catch (error) {
+    // Too large for the storage quota, the next login fetches every leaf again
+    localStorage.removeItem(REGISTRY_TREE_KEY);
+  }
+};
+
+/**
+ * Add registry leaves to a registry tree, as merkleTreeService does
+ * Empty subtrees hash to the same value at every level, so only non-empty nodes are stored;
+ * only the nodes above the added leaves are hashed again
+ * @param {Object|null} tree - Tree of the leaves before registry.from ({ depth, layers, root }), null for none
+ * @param {Object} registry - Registry leaves from registry.from on (see authAPI.getRegistryLeaves)
+ * @returns {Promise<Object>} The tree of every leaf
+ */
+export const extendRegistryTree = async (tree, registry) => {
+  const encoder = await getFieldEncoder();
+  const layers = tree ? tree.layers.map((layer) => [...layer]) : [[]];
+  layers[0].splice(registry.from, Infinity, ...registry.leaves);
+  
+  let zero = '0';
+  let first = registry.from;
+  for (let level = 0; level < registry.depth; level++) {
+    const layer = layers[level];
+    const parents = (layers[level + 1] || []).slice(0, Math.floor(first / 2));
+    for (let i = parents.length * 2; i < layer.length; i += 2) {
+      parents.push(encoder.hash([layer[i], i + 1 < layer.length ? layer[i + 1] : zero]));
+    }
+    layers[level + 1] = parents;
+    zero = encoder.hash([zero, zero]);
+    first = Math.floor(first / 2);
+  }
+  
+  return { depth: registry.depth, layers, root: layers[registry.depth][0] || zero };
+};
+
+/**
+ * Compute the Merkle authentication path of a registry leaf, as merkleTreeService does
+ * @param {string} identityCommitment - Our identity commitment
+ * @param {Object} tree - Registry tree (see extendRegistryTree)
+ * @returns {Promise<Object>} Path elements, path indices and the root they hash to
+ */
+export const computeAuthenticationPath = async (identityCommitment, tree) => {
+  const leafIndex = tree.layers[0].indexOf(identityCommitment);
+  if (leafIndex === -1) {
+    throw new Error('Voter not registered');
+  }
+  
+  const encoder = await getFieldEncoder();
+  let zero = '0';
+  let index = leafIndex;
+  const pathElements = [];
+  const pathIndices = [];
+  
+  for (let level = 0; level < tree.depth; level++) {
+    const isRightChild = index % 2;
+    const sibling = tree.layers[level][isRightChild ? index - 1 : index + 1];
+    pathElements.push(sibling === undefined ? zero : sibling);
+    pathIndices.push(isRightChild);
+    zero = encoder.hash([zero, zero]);
+    index = Math.floor(index / 2);
+  }
+  
+  return { leafIndex, pathElements, pathIndices, root: tree.root };
+};
+
+// Fetch the leaves a tree is missing and add them, null when the result does not hash to the served root
+const syncRegistryTree = async (tree) => {
+  const { data: registry } = await authAPI.getRegistryLeaves(tree ? tree.layers[0].length : 0);
+  const synced = await extendRegistryTree(tree, registry);
+  return synced.root === registry.root ? synced : null;
+};
+
+/**
+ * Get the Merkle authentication path of our registry leaf without telling the server which leaf it is
+ * Only the leaves registered since the last login are fetched and hashed
+ * @param {string} identityCommitment - Our identity commitment
+ * @returns {Promise<Object>} Path elements, path indices and the root they hash to
+ */
+export const getRegistryPath = async (identityCommitment) => {
+  // A tree kept from a registry that was since rebuilt no longer matches, start over from the first leaf
+  const cached = loadRegistryTree();
+  let tree = cached && await syncRegistryTree(cached).catch(() => null);
+  if (!tree) {
+    tree = await syncRegistryTree(null);
+  }
+  if (!tree) {
+    throw new Error('The voter registry changed while computing the authentication path, please try again');
+  }
+  
+  storeRegistryTree(tree);
+  return computeAuthenticationPath(identityCommitment, tree);
+};
+
+/**
+ * Generate a new random admin key
+ * 31 random bytes always fit in the BN254 field
+ * @returns {string} The admin key as a decimal field element
+ */
+export const generateAdminKey = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(31));
+  return BigInt(`0x${bufferToHex(bytes)}`).toString();
+};
+
+/**
+ * Compute the commitment of an admin key, as admin.circom outputs it in adminProof
+ * @param {string} adminKey - The admin key as a decimal field element
+ * @returns {Promise<string>} Poseidon commitment of the admin key
+ */
+export const computeAdminKeyCommitment = async (adminKey) => {
+  return poseidonHash([adminKey]);
+};
+
+// The server's ZKP mode is read once; if it cannot be read the server is taken to be in real mode
+let zkpModePromise;
+export const getZkpMode = () => {
+  if (!zkpModePromise) {
+    zkpModePromise = circuitAPI.getManifest()
+      .then((response) => response.data.zkpMode || 'real')
+      .catch(() => 'real');
+  }
+  return zkpModePromise;
+};
+
+// The mock prover is built on first use, only when the server runs in mock mode
+let mockProverPromise;
+const getMockProver = () => {
+  if (!mockProverPromise) {
+    mockProverPromise = buildEddsa().then(createMockProver);
+  }
+  return mockProverPromise;
+};
+
+/**
+ * Prove a circuit input in the prover worker, or with the mock prover if that fails and the server runs in mock mode
+ * The mock prover computes the same public signals and rejects the same inputs as the circuit,
+ * only the proof is faked
+ * @param {string} circuitName - Circuit name in the registry (auth, authCredential, vote, rankedVote, approvalVote or admin)
+ * @param {Object} input - Circuit input
+ * @param {string} protocol - Proving system to use (groth16, plonk or fflonk)
+ * @param {Object} options - Progress callback and abort signal (see proveInWorker)
+ * @returns {Promise<Object>} { proof, publicSignals }
+ */
+const proveCircuit = async (circuitName, input, protocol, options) => {
   try {
-    const wasmResponse = await fetch(`/circuits/${circuitName}/${circuitName}.wasm`);
-    const wasmBuffer = await wasmResponse.arrayBuffer();
+    return await proveInWorker(circuitName, input, protocol, options);
+  } catch (error) {
+    // A cancelled proof is never replaced by a mock one
+    if (error.name === 'AbortError' || await getZkpMode() !== 'mock') {
+      throw error;
+    }
+    console.warn(`Failed to generate real ${circuitName} proof, falling back to the mock prover:`, error);
     
-    const zkeyResponse = await fetch(`/circuits/${circuitName}/${circuitName}_final.zkey`);
-    const zkeyBuffer = await zkeyResponse.arrayBuffer();
+    const mockProver = await getMockProver();
+    return mockProver.fullProve(circuitName, input, protocol);
+  }
+};
+
+/**
+ * Generate a real ZK-SNARK proof for authentication
+ * Proves membership in the voter registry without revealing which leaf is ours
+ * @param {string} identifier - The voter's identifier
+ * @param {string} voterSecret - The voter secret (see generateVoterSecret)
+ * @param {Object} merklePath - Registry authentication path ({ pathElements, pathIndices, root })
+ * @param {string} electionId - Election the nullifier is scoped to
+ * @param {string} protocol - Proving system to use (groth16, plonk or fflonk)
+ * @param {Object} options - { onProgress, signal, circuitVersions } for the prover worker (see proveInWorker)
+ * @returns {Promise<Object>} The generated proof
+ */
+export const generateAuthProof = async (identifier, voterSecret, merklePath, electionId, protocol = 'groth16', options = {}) => {
+  try {
+    // The nullifier secret is fixed by the registered commitment
+    const nullifierSecret = await deriveNullifierSecret(voterSecret);
+    
+    // Create the input for the circuit
+    const input = {
+      identifierPreimage: await identifierToField(identifier),
+      nullifierSecret: nullifierSecret,
+      pathElements: merklePath.pathElements,
+      pathIndices: merklePath.pathIndices,
+      merkleRoot: merklePath.root,
+      electionId: electionId
+    };
+    
+    const { proof, publicSignals } = await proveCircuit('auth', input, protocol, options);
     
     return {
-      wasm: wasmBuffer,
-      zkey: zkeyBuffer
+      proof,
+      publicSignals,
+      protocol,
+      nullifierHash: publicSignals[0], // The first public signal is the nullifier hash
+      merkleRoot: publicSignals[1], // The second public signal is the registry root
+      electionId: publicSignals[2] // The third public signal is the election ID
     };
   } catch (error) {
-    console.error(`Error loading circuit artifacts for ${circuitName}:`, error);
-    throw new Error(`Failed to load circuit artifacts: ${error.message}`);
+    throw new Error(`Failed to generate auth proof: ${error.message}`);
   }
-}
+};
 
 /**
- * Generate a real ZK-SNARK proof for authentication
+ * Generate a real ZK-SNARK proof of a registrar-signed credential
+ * Proves the registrar signed our identity commitment without revealing the commitment or signature
  * @param {string} identifier - The voter's identifier
+ * @param {string} voterSecret - The voter secret (see generateVoterSecret)
+ * @param {Object} credential - Credential issued by the registrar ({ publicKey, signature })
+ * @param {string} electionId - Election the nullifier is scoped to
+ * @param {string} protocol - Proving system to use (groth16, plonk or fflonk)
+ * @param {Object} options - { onProgress, signal, circuitVersions } for the prover worker (see proveInWorker)
  * @returns {Promise<Object>} The generated proof
  */
-export const generateAuthProof = async (identifier) => {
+export const generateCredentialAuthProof = async (identifier, voterSecret, credential, electionId, protocol = 'groth16', options = {}) => {
   try {
-    // Generate a random salt for the nullifier
-    const nullifierSecret = Date.now().toString() + Math.random().toString().substring(2);
+    const nullifierSecret = await deriveNullifierSecret(voterSecret);
+    const { publicKey, signature } = credential;
     
     // Create the input for the circuit
     const input = {
-      identifierPreimage: identifier,
-      nullifierSecret: nullifierSecret
+      identifierPreimage: await identifierToField(identifier),
+      nullifierSecret: nullifierSecret,
+      signatureR8x: signature.R8x,
+      signatureR8y: signature.R8y,
+      signatureS: signature.S,
+      registrarPubKeyX: publicKey.x,
+      registrarPubKeyY: publicKey.y,
+      electionId: electionId
     };
     
-    try {
-      // Try to generate a real ZK proof using snarkjs
-      const artifacts = await fetchCircuitArtifacts('auth');
-      const { proof, publicSignals } = await snarkjs.groth16.fullProve(
-        input,
-        artifacts.wasm,
-        artifacts.zkey
-      );
-      
-      return {
-        proof,
-        publicSignals,
-        nullifierSecret, // Save this for voting later
-        nullifierHash: publicSignals[1], // The second public signal is the nullifier hash
-        hashedIdentifier: publicSignals[0] // The first public signal is the hashed identifier
-      };
-    } catch (error) {
-      console.warn('Failed to generate real proof, falling back to mock:', error);
-      
-      // Fall back to mock implementation if real proof generation fails
-      const hashedIdentifier = await hashString(identifier);
-      const nullifierHash = await hashString(`nullifier-${identifier}-${nullifierSecret}`);
-      
-      // Create a simulated proof
-      const proofInput = new TextEncoder().encode(hashedIdentifier);
-      const proofBuffer = await crypto.subtle.digest('SHA-256', proofInput);
-      const proofHex = bufferToHex(proofBuffer);
-      
-      const mockProof = {
-        pi_a: [proofHex.slice(0, 16), proofHex.slice(16, 32), "1"],
-        pi_b: [
-          [proofHex.slice(0, 8), proofHex.slice(8, 16)], 
-          [proofHex.slice(16, 24), proofHex.slice(24, 32)],
-          ["1", "0"]
-        ],
-        pi_c: [proofHex.slice(32, 48), proofHex.slice(48, 64), "1"]
-      };
-      
-      return {
-        proof: mockProof,
-        publicSignals: [hashedIdentifier, nullifierHash],
-        nullifierSecret,
-        nullifierHash,
-        hashedIdentifier
-      };
-    }
+    const { proof, publicSignals } = await proveCircuit('authCredential', input, protocol, options);
+    
+    return {
+      proof,
+      publicSignals,
+      protocol,
+      nullifierHash: publicSignals[0], // The first public signal is the nullifier hash
+      electionId: publicSignals[3] // Registrar public key, then the election ID
+    };
   } catch (error) {
-    throw new Error(`Failed to generate auth proof: ${error.message}`);
+    throw new Error(`Failed to generate credential proof: ${error.message}`);
   }
 };
 
 /**
  * Generate a real ZK-SNARK proof for voting
- * @param {string} identifier - The voter's identifier
- * @param {string} nullifierSecret - The secret used for the nullifier
+ * @param {string} nullifierSecret - The voter's nullifier secret (see deriveNullifierSecret)
  * @param {string} choice - The voting choice (candidate ID)
+ * @param {string} electionId - Election the ballot is cast in
+ * @param {Object} candidateSet - Published candidate set ({ commitment, candidateIds, candidateCount, candidates })
+ * @param {string} protocol - Proving system to use (groth16, plonk or fflonk)
+ * @param {Object} options - { onProgress, signal, circuitVersions } for the prover worker (see proveInWorker)
  * @returns {Promise<Object>} The generated proof
  */
-export const generateVoteProof = async (identifier, nullifierSecret, choice) => {
+export const generateVoteProof = async (nullifierSecret, choice, electionId, candidateSet, protocol = 'groth16', options = {}) => {
   try {
+    // The circuit proves the choice sits at this index of the committed candidate list
+    const choiceIndex = candidateSet.candidateIds.indexOf(choice);
+    if (choiceIndex === -1) {
+      throw new Error('Choice is not on the current ballot');
+    }
+    
     // Create the input for the circuit
     const input = {
-      identifierPreimage: identifier,
       nullifierSecret: nullifierSecret,
-      choice: choice
+      choice: candidateSet.candidates[choiceIndex],
+      choiceIndex: choiceIndex,
+      candidates: candidateSet.candidates,
+      candidateCount: candidateSet.candidateCount,
+      electionId: electionId,
+      candidateSetCommitment: candidateSet.commitment,
+      publicNullifierHash: await poseidonHash([nullifierSecret, electionId]),
+      publicChoiceHash: await poseidonHash([candidateSet.candidates[choiceIndex]])
     };
     
-    try {
-      // Try to generate a real ZK proof using snarkjs
-      const artifacts = await fetchCircuitArtifacts('vote');
-      const { proof, publicSignals } = await snarkjs.groth16.fullProve(
-        input,
-        artifacts.wasm,
-        artifacts.zkey
-      );
-      
-      return {
-        proof,
-        publicSignals,
-        nullifierHash: publicSignals[0], // The first public signal is the nullifier hash
-        choiceHash: publicSignals[1] // The second public signal is the choice hash
-      };
-    } catch (error) {
-      console.warn('Failed to generate real vote proof, falling back to mock:', error);
-      
-      // Fall back to mock implementation if real proof generation fails
-      const nullifierHash = await hashString(`nullifier-${identifier}-${nullifierSecret}`);
-      const choiceHash = await hashString(choice);
-      
-      // Generate simulated proof components
-      const proofSeed = new TextEncoder().encode(`${nullifierHash}:${choiceHash}`);
-      const proofBuffer = await crypto.subtle.digest('SHA-256', proofSeed);
-      const proofHex = bufferToHex(proofBuffer);
-      
-      const mockProof = {
-        pi_a: [proofHex.slice(0, 16), proofHex.slice(16, 32), "1"],
-        pi_b: [
-          [proofHex.slice(0, 8), proofHex.slice(8, 16)], 
-          [proofHex.slice(16, 24), proofHex.slice(24, 32)],
-          ["1", "0"]
-        ],
-        pi_c: [proofHex.slice(32, 48), proofHex.slice(48, 64), "1"]
-      };
-      
-      return {
-        proof: mockProof,
-        publicSignals: [nullifierHash, choiceHash],
-        nullifierHash,
-        choiceHash
-      };
-    }
+    const { proof, publicSignals } = await proveCircuit('vote', input, protocol, options);
+    
+    return {
+      proof,
+      publicSignals,
+      protocol,
+      nullifierHash: publicSignals[0], // The first public signal is the nullifier hash
+      choiceHash: publicSignals[1] // The second public signal is the choice hash
+    };
   } catch (error) {
     throw new Error(`Failed to generate vote proof: ${error.message}`);
   }
 };
 
+/**
+ * Generate a real ZK-SNARK proof for a ranked ballot
+ * The circuit proves the ranking is a permutation of the committed candidate list
+ * @param {string} nullifierSecret - The voter's nullifier secret (see deriveNullifierSecret)
+ * @param {Array<string>} ranking - Every candidate ID on the ballot, in order of preference
+ * @param {string} electionId - Election the ballot is cast in
+ * @param {Object} candidateSet - Published candidate set ({ commitment, candidateIds, candidateCount, candidates })
+ * @param {string} protocol - Proving system to use (groth16, plonk or fflonk)
+ * @param {Object} options - { onProgress, signal, circuitVersions } for the prover worker (see proveInWorker)
+ * @returns {Promise<Object>} The generated proof
+ */
+export const generateRankedVoteProof = async (nullifierSecret, ranking, electionId, candidateSet, protocol = 'groth16', options = {}) => {
+  try {
+    // Positions of the ranked candidates in the committed list, zero padded to the ballot size
+    const indices = ranking.map((candidateId) => candidateSet.candidateIds.indexOf(candidateId));
+    if (indices.includes(-1)) {
+      throw new Error('Ranking includes a candidate that is not on the current ballot');
+    }
+    const padding = new Array(candidateSet.candidates.length - indices.length).fill('0');
+    const rankedCandidates = indices.map((index) => candidateSet.candidates[index]);
+    
+    // Create the input for the circuit
+    const input = {
+      nullifierSecret: nullifierSecret,
+      ranking: [...indices, ...padding],
+      candidates: candidateSet.candidates,
+      candidateCount: candidateSet.candidateCount,
+      electionId: electionId,
+      candidateSetCommitment: candidateSet.commitment,
+      publicNullifierHash: await poseidonHash([nullifierSecret, electionId]),
+      publicChoiceHash: await poseidonHash([...rankedCandidates, ...padding])
+    };
+    
+    const { proof, publicSignals } = await proveCircuit('rankedVote', input, protocol, options);
+    
+    return {
+      proof,
+      publicSignals,
+      protocol,
+      nullifierHash: publicSignals[0], // The first public signal is the nullifier hash
+      choiceHash: publicSignals[1] // The second public signal is the hash of the ranking
+    };
+  } catch (error) {
+    throw new Error(`Failed to generate ranked vote proof: ${error.message}`);
+  }
+};
+
+/**
+ * Generate a real ZK-SNARK proof for an approval ballot
+ * The circuit proves the approvals are a bit-vector over the committed candidate list
+ * that approves at most maxApprovals candidates
+ * @param {string} nullifierSecret - The voter's nullifier secret (see deriveNullifierSecret)
+ * @param {Array<string>} approvals - IDs of the approved candidates
+ * @param {string} electionId - Election the ballot is cast in
+ * @param {Object} candidateSet - Published candidate set ({ commitment, candidateIds, candidateCount, candidates })
+ * @param {number} maxApprovals - Most candidates the election lets a voter approve
+ * @param {string} protocol - Proving system to use (groth16, plonk or fflonk)
+ * @param {Object} options - { onProgress, signal, circuitVersions } for the prover worker (see proveInWorker)
+ * @returns {Promise<Object>} The generated proof
+ */
+export const generateApprovalVoteProof = async (nullifierSecret, approvals, electionId, candidateSet, maxApprovals, protocol = 'groth16', options = {}) => {
+  try {
+    if (!approvals.every((candidateId) => candidateSet.candidateIds.includes(candidateId))) {
+      throw new Error('Approvals include a candidate that is not on the current ballot');
+    }
+    
+    // One bit per position of the committed list, padding is never approved
+    const bits = candidateSet.candidates.map((_, index) => (
+      approvals.includes(candidateSet.candidateIds[index]) ? 1 : 0
+    ));
+    
+    // Create the input for the circuit
+    const input = {
+      nullifierSecret: nullifierSecret,
+      approvals: bits,
+      candidates: candidateSet.candidates,
+      candidateCount: candidateSet.candidateCount,
+      electionId: electionId,
+      candidateSetCommitment: candidateSet.commitment,
+      maxApprovals: maxApprovals,
+      publicNullifierHash: await poseidonHash([nullifierSecret, electionId]),
+      publicChoiceHash: await poseidonHash(candidateSet.candidates.map((candidate, index) => (bits[index] ? candidate : '0')))
+    };
+    
+    const { proof, publicSignals } = await proveCircuit('approvalVote', input, protocol, options);
+    
+    return {
+      proof,
+      publicSignals,
+      protocol,
+      nullifierHash: publicSignals[0], // The first public signal is the nullifier hash
+      choiceHash: publicSignals[1] // The second public signal is the hash of the approved candidates
+    };
+  } catch (error) {
+    throw new Error(`Failed to generate approval vote proof: ${error.message}`);
+  }
+};
+
 /**
  * Generate a real ZK-SNARK proof for admin actions
  * @param {string} adminKey - The admin's secret key
  * @param {Object} actionData - The action data
+ * @param {string} protocol - Proving system to use (groth16, plonk or fflonk)
+ * @param {Object} options - { onProgress, signal, circuitVersions } for the prover worker (see proveInWorker)
  * @returns {Promise<Object>} The generated proof
  */
-export const generateAdminActionProof = async (adminKey, actionData) => {
+export const generateAdminActionProof = async (adminKey, actionData, protocol = 'groth16', options = {}) => {
   try {
     // Create a nonce for this action to prevent replay attacks
     const actionNonce = Date.now().toString() + Math.random().toString().substring(2);
     
-    // Format action data as string
-    const actionDataStr = typeof actionData === 'object' ? JSON.stringify(actionData) : String(actionData);
+    // Encode every input as a field element, the same way the backend does
+    const encoder = await getFieldEncoder();
+    const encodedInputs = {
+      adminKey: encoder.encodeId(adminKey),
+      actionData: typeof actionData === 'object' ? encoder.encodeJSON(actionData) : encoder.encodeString(String(actionData)),
+      actionNonce: encoder.encodeId(actionNonce)
+    };
     
     // Create the input for the circuit
     const input = {
-      adminKey: adminKey,
-      actionData: actionDataStr,
-      actionNonce: actionNonce
+      ...encodedInputs,
+      // admin.circom hashes the key commitment, so the server can recompute this hash
+      publicActionHash: encoder.hash([encoder.hash([encodedInputs.adminKey]), encodedInputs.actionData, encodedInputs.actionNonce])
     };
     
-    try {
-      // Try to generate a real ZK proof using snarkjs
-      const artifacts = await fetchCircuitArtifacts('admin');
-      const { proof, publicSignals } = await snarkjs.groth16.fullProve(
-        input, 
-        artifacts.wasm, 
-        artifacts.zkey
-      );
-      
-      return {
-        proof,
-        publicSignals,
-        actionNonce,
-        adminProof: publicSignals[0], // First public signal is admin proof
-        actionHash: publicSignals[1] // Second public signal is action hash
-      };
-    } catch (error) {
-      console.warn('Failed to generate real admin proof, falling back to mock:', error);
-      
-      // Fall back to mock implementation if real proof generation fails
-      const actionHash = await hashString(`${actionDataStr}-${actionNonce}`);
-      const adminProof = await hashString(adminKey);
-      
-      // Generate simulated proof components
-      const proofSeed = new TextEncoder().encode(`${adminProof}:${actionHash}`);
-      const proofBuffer = await crypto.subtle.digest('SHA-256', proofSeed);
-      const proofHex = bufferToHex(proofBuffer);
-      
-      const mockProof = {
-        pi_a: [proofHex.slice(0, 16), proofHex.slice(16, 32), "1"],
-        pi_b: [
-          [proofHex.slice(0, 8), proofHex.slice(8, 16)], 
-          [proofHex.slice(16, 24), proofHex.slice(24, 32)],
-          ["1", "0"]
-        ],
-        pi_c: [proofHex.slice(32, 48), proofHex.slice(48, 64), "1"]
-      };
-      
-      return {
-        proof: mockProof,
-        publicSignals: [adminProof, actionHash],
-        actionNonce,
-        adminProof,
-        actionHash
-      };
-    }
+    const { proof, publicSignals } = await proveCircuit('admin', input, protocol, options);
+    
+    return {
+      proof,
+      publicSignals,
+      protocol,
+      actionNonce,
+      adminProof: publicSignals[0], // First public signal is admin proof
+      actionHash: publicSignals[1] // Second public signal is action hash
+    };
   } catch (error) {
     throw new Error(`Failed to generate admin action proof: ${error.message}`);
   }
@@ -0,0 +1,88 @@
+/**
+ * Web Worker that generates zk-SNARK proofs off the UI thread (see utils/prover.js)
+ * Receives { id, circuitName, protocol, input, artifacts } and posts progress events
+ * ({ id, type: 'progress', stage, ... }), then { id, type: 'result', proof, publicSignals }
+ * or { id, type: 'error', message }
+ */
+import * as snarkjs from 'snarkjs';
+import { getCachedArtifact, cacheArtifact } from '../utils/artifactCache';
+
+// The worker's global scope (self), referenced through globalThis
+const workerScope = globalThis;
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer))
+  .map((b) => b.toString(16).padStart(2, '0'))
+  .join('');
+
+/**
+ * Get an artifact from the cache, or download it and cache it once its hash matches the manifest
+ * @param {number} id - Job the download belongs to
+ * @param {string} type - Artifact type (wasm or zkey)
+ * @param {Object} artifact - Manifest entry of the artifact ({ url, path, sha256 })
+ * @returns {Promise<Uint8Array>} The artifact bytes
+ */
+const loadArtifact = async (id, type, artifact) => {
+  if (!artifact.sha256) {
+    throw new Error(`The ${type} of this circuit has not been built on the server`);
+  }
+
+  const cached = await getCachedArtifact(artifact.sha256);
+  if (cached) {
+    workerScope.postMessage({ id, type: 'progress', stage: 'download', artifact: type, loaded: cached.length, total: cached.length, cached: true });
+    return cached;
+  }
+
+  const response = await fetch(artifact.url);
+  if (!response.ok) {
+    throw new Error(`Failed to download the ${type} (HTTP ${response.status})`);
+  }
+
+  // Stream the body so the download reports progress
+  const total = parseInt(response.headers.get('Content-Length'), 10) || 0;
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    loaded += value.length;
+    workerScope.postMessage({ id, type: 'progress', stage: 'download', artifact: type, loaded, total });
+  }
+
+  const data = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    data.set(chunk, offset);
+    offset += chunk.length;
+  });
+
+  // Never prove with, or cache, an artifact the manifest does not vouch for
+  const sha256 = toHex(await crypto.subtle.digest('SHA-256', data));
+  if (sha256 !== artifact.sha256) {
+    throw new Error(`The downloaded ${type} does not match the circuit manifest`);
+  }
+
+  await cacheArtifact(artifact.sha256, artifact.path, data);
+  return data;
+};
+
+workerScope.onmessage = async ({ data: { id, circuitName, protocol, input, artifacts } }) => {
+  try {
+    const wasm = await loadArtifact(id, 'wasm', artifacts.wasm);
+    const zkey = await loadArtifact(id, 'zkey', artifacts.zkey);
+
+    workerScope.postMessage({ id, type: 'progress', stage: 'witness' });
+    const witness = { type: 'mem' };
+    await snarkjs.wtns.calculate(input, wasm, witness);
+
+    workerScope.postMessage({ id, type: 'progress', stage: 'prove' });
+    const { proof, publicSignals } = await snarkjs[protocol].prove(zkey, witness);
+
+    workerScope.postMessage({ id, type: 'result', proof, publicSignals });
+  } catch (error) {
+    workerScope.postMessage({ id, type: 'error', message: `${circuitName} proof: ${error.message}` });
+  }
+};